@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+/**
+ * ToastMan CLI
+ *
+ * Runs an exported Postman v2.1 collection from the command line, the way
+ * newman does: every request is sent with its pre-request and test scripts,
+ * results are printed and optionally written as JSON, JUnit XML or HTML, and the
+ * exit code tells CI whether anything failed.
+ *
+ *   npm run cli -- run collection.json -e environment.json -n 3 -r console,junit
+ *
+ * It can also serve a collection's saved examples as a mock server:
+ *
+ *   npm run cli -- mock collection.json --port 3000
+ *
+ * It reuses the app's pieces: PostmanAdapter for loading, CollectionRunner
+ * for the run, ScriptSandbox (on a worker thread) for scripts and the relay's
+ * Node transport for HTTP.
+ *
+ * Scripts run on worker threads with time and memory limits, but Node offers
+ * no isolation comparable to a browser worker. Only run collections you trust.
+ *
+ * Exit codes: 0 all passed, 1 failed assertions or request errors, 2 bad usage
+ * or unreadable input.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import { basename, dirname, resolve } from 'node:path'
+import { parseArgs } from 'node:util'
+import { PostmanAdapter } from '../src/adapters/PostmanAdapter.js'
+import { CollectionRunner, collectRunItems } from '../src/core/runner/CollectionRunner.js'
+import { createDataFile, parseDataFile } from '../src/core/runner/dataFile.js'
+import { REPORT_FORMATS, resultTitle } from '../src/core/runner/reporters.js'
+import { ScriptSandbox } from '../src/core/scripting/ScriptSandbox.js'
+import { SnapshotEnvironmentStore } from '../src/core/scripting/EnvironmentSnapshot.js'
+import { createNodeWorker } from '../src/core/scripting/node/createNodeWorker.js'
+import { NodeHttpClient } from '../src/core/http/node/NodeHttpClient.js'
+import { protocolProfileToOptions } from '../src/services/RequestExecutionService.js'
+import { OAuth2Service } from '../src/services/OAuth2Service.js'
+import { toVariableMap, interpolateScoped } from '../src/core/variables/scopes.js'
+import { MockServer } from '../src/core/mock/MockServer.js'
+import { startMockServer } from '../src/core/mock/node/startMockServer.js'
+
+const REPORTERS = ['console', 'json', 'junit', 'html']
+const DEFAULT_EXPORTS = {
+  json: 'toastman-report.json',
+  junit: 'toastman-report.xml',
+  html: 'toastman-report.html'
+}
+
+const USAGE = `Usage: toastman run <collection.json> [options]
+       toastman mock <collection.json> [--port <n>] [--host <host>]
+
+Run options:
+  -e, --environment <file>          Postman environment JSON
+  -g, --globals <file>              Postman globals JSON
+  --env-var <key=value>             Set an environment variable (repeatable)
+  --global-var <key=value>          Set a global variable (repeatable)
+  -n, --iteration-count <n>         Number of iterations (default: 1, or one per data row)
+  -d, --iteration-data <file>       CSV or JSON data file, one row per iteration
+  --folder <name>                   Only run the folder with this name
+  --delay-request <ms>              Pause between requests
+  --timeout-request <ms>            Request timeout (default: 30000)
+  --timeout-script <ms>             Script timeout per chain (default: 5000)
+  --bail                            Stop at the first failed assertion or request error
+  -k, --insecure                    Skip SSL certificate verification
+  -r, --reporters <list>            Comma-separated: ${REPORTERS.join(', ')} (default: console)
+  --reporter-json-export <path>     Where to write the JSON report (default: ${DEFAULT_EXPORTS.json})
+  --reporter-junit-export <path>    Where to write the JUnit report (default: ${DEFAULT_EXPORTS.junit})
+  --reporter-html-export <path>     Where to write the HTML report (default: ${DEFAULT_EXPORTS.html})
+  --no-color                        Disable colored output
+
+Mock options:
+  -p, --port <n>                    Port to listen on (default: 3000)
+  --host <host>                     Interface to bind (default: 127.0.0.1)
+
+  -h, --help                        Show this help
+  -v, --version                     Show the version
+
+Proxies are taken from the HTTP_PROXY, HTTPS_PROXY and NO_PROXY environment variables.`
+
+const OPTIONS = {
+  environment: { type: 'string', short: 'e' },
+  globals: { type: 'string', short: 'g' },
+  'env-var': { type: 'string', multiple: true },
+  'global-var': { type: 'string', multiple: true },
+  'iteration-count': { type: 'string', short: 'n' },
+  'iteration-data': { type: 'string', short: 'd' },
+  folder: { type: 'string' },
+  'delay-request': { type: 'string' },
+  'timeout-request': { type: 'string' },
+  'timeout-script': { type: 'string' },
+  bail: { type: 'boolean' },
+  insecure: { type: 'boolean', short: 'k' },
+  reporters: { type: 'string', short: 'r' },
+  'reporter-json-export': { type: 'string' },
+  'reporter-junit-export': { type: 'string' },
+  'reporter-html-export': { type: 'string' },
+  'no-color': { type: 'boolean' },
+  port: { type: 'string', short: 'p' },
+  host: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' }
+}
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+class UsageError extends Error {}
+
+/**
+ * Parse a non-negative integer option
+ */
+function parseCount(value, name) {
+  if (value === undefined) return undefined
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`--${name} must be a whole number, got "${value}"`)
+  }
+  return number
+}
+
+/**
+ * Parse repeated key=value options into a map
+ */
+function parseAssignments(values = [], name) {
+  const map = {}
+  values.forEach(assignment => {
+    const index = assignment.indexOf('=')
+    if (index <= 0) {
+      throw new UsageError(`--${name} expects key=value, got "${assignment}"`)
+    }
+    map[assignment.slice(0, index)] = assignment.slice(index + 1)
+  })
+  return map
+}
+
+async function readJsonFile(path, label) {
+  let text
+  try {
+    text = await readFile(path, 'utf8')
+  } catch (error) {
+    throw new UsageError(`Cannot read ${label} "${path}": ${error.message}`)
+  }
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new UsageError(`${label} "${path}" is not valid JSON: ${error.message}`)
+  }
+}
+
+/**
+ * Find a folder by name anywhere in the collection
+ */
+function findFolderId(items, name) {
+  for (const item of items || []) {
+    if (!Array.isArray(item.item)) continue
+    if (item.name === name) return item.id
+    const found = findFolderId(item.item, name)
+    if (found) return found
+  }
+  return null
+}
+
+/**
+ * In-memory variable scopes for one run
+ * Implements what ScriptSandbox needs from useVariableScopes() (getScriptScopes,
+ * applyScriptChanges) plus interpolation; the environment scope lives in the
+ * SnapshotEnvironmentStore so pm.environment changes carry over between requests.
+ */
+function createRunScopes({ environmentStore, collection, globals }) {
+  const collectionVariables = toVariableMap(collection.variable)
+  let data = {}
+
+  const getScopes = (local) => ({
+    local: local || {},
+    data,
+    environment: toVariableMap(environmentStore.activeEnvironment.value?.values),
+    collection: collectionVariables,
+    global: globals
+  })
+
+  return {
+    setData: (row) => { data = row ? { ...row } : {} },
+    interpolateString: (text, local = null) => interpolateScoped(text, getScopes(local)),
+    getScriptScopes: () => ({
+      data: { ...data },
+      collection: { ...collectionVariables },
+      global: { ...globals }
+    }),
+    applyScriptChanges: (changes = []) => {
+      changes.forEach(change => {
+        const target = change.scope === 'global' ? globals : change.scope === 'collection' ? collectionVariables : null
+        if (!target) return
+        if (change.action === 'unset') {
+          delete target[change.key]
+        } else {
+          target[change.key] = change.value
+        }
+      })
+      return { global: true, collection: true }
+    }
+  }
+}
+
+/**
+ * Turn an environment or globals export into a snapshot with overrides applied
+ */
+function toEnvironmentSnapshot(data, overrides, fallbackName) {
+  const values = (data?.values || []).map(v => ({
+    id: v.key,
+    key: v.key,
+    value: v.value,
+    enabled: v.enabled !== false
+  }))
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    const existing = values.find(v => v.key === key)
+    if (existing) {
+      Object.assign(existing, { value, enabled: true })
+    } else {
+      values.push({ id: key, key, value, enabled: true })
+    }
+  })
+
+  return { id: data?.id || fallbackName, name: data?.name || fallbackName, values }
+}
+
+/**
+ * ANSI styling, disabled when not writing to a terminal
+ */
+function createStyles(enabled) {
+  const wrap = (open, close) => (text) => (enabled ? `\x1b[${open}m${text}\x1b[${close}m` : String(text))
+  return {
+    bold: wrap(1, 22),
+    dim: wrap(2, 22),
+    red: wrap(31, 39),
+    green: wrap(32, 39),
+    yellow: wrap(33, 39),
+    cyan: wrap(36, 39)
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes}B`
+  return `${(bytes / 1024).toFixed(1)}kB`
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`
+  return `${(ms / 1000).toFixed(1)}s`
+}
+
+/**
+ * Console reporter: prints progress as the run goes, then a summary
+ */
+function createConsoleReporter({ styles, write }) {
+  const failures = []
+  let lastPath = null
+
+  return {
+    start(collection, { iterationCount, itemCount }) {
+      write(`\n${styles.bold('ToastMan')}\n\n${styles.bold(collection.info.name)}\n`)
+      write(styles.dim(`${itemCount} ${itemCount === 1 ? 'request' : 'requests'} × ${iterationCount} ${iterationCount === 1 ? 'iteration' : 'iterations'}\n`))
+    },
+
+    onEvent(event) {
+      if (event.type === 'iterationStart') {
+        lastPath = null
+        if (event.iterationCount > 1) {
+          write(`\n${styles.dim(`Iteration ${event.iteration + 1}/${event.iterationCount}`)}\n`)
+        }
+      } else if (event.type === 'requestStart') {
+        if (event.entry.path !== lastPath) {
+          lastPath = event.entry.path
+          if (lastPath) write(`\n❏ ${lastPath}\n`)
+        }
+        write(`\n→ ${event.entry.name}\n`)
+      } else if (event.type === 'requestComplete') {
+        this.printResult(event.result)
+      }
+    },
+
+    printResult(result) {
+      const status = result.status
+        ? `[${result.status} ${result.statusText}, ${formatSize(result.size)}, ${formatDuration(result.time)}]`
+        : ''
+      write(`  ${result.method} ${result.url} ${styles.dim(status)}\n`)
+
+      result.consoleLogs.forEach(log => {
+        write(styles.dim(`  │ ${log.args.join(' ')}\n`))
+      })
+
+      result.tests.forEach(test => {
+        if (test.passed) {
+          write(`  ${styles.green('✓')} ${test.name}\n`)
+        } else {
+          failures.push({ result, name: test.name, message: test.error?.message })
+          write(`  ${styles.red(`${failures.length}. ${test.name}`)}\n`)
+        }
+      })
+
+      if (result.error) {
+        failures.push({ result, name: 'Error', message: result.error })
+        write(`  ${styles.red(`${failures.length}. ${result.error}`)}\n`)
+      }
+    },
+
+    finish(run, { bailed }) {
+      const { summary } = run
+      const row = (label, executed, failed) => {
+        const failedText = String(failed).padStart(8)
+        return `  ${label.padEnd(12)}${String(executed).padStart(10)}${failed > 0 ? styles.red(failedText) : failedText}\n`
+      }
+
+      write(`\n${styles.bold(`  ${''.padEnd(12)}${'executed'.padStart(10)}${'failed'.padStart(8)}`)}\n`)
+      write(row('iterations', run.iterations.length, 0))
+      write(row('requests', summary.requests, summary.errors))
+      write(row('assertions', summary.tests, summary.failed))
+      write(`\n  total run duration: ${formatDuration(Date.parse(run.finishedAt) - Date.parse(run.startedAt))}\n`)
+      write(`  total response time: ${formatDuration(summary.duration)}\n`)
+
+      if (failures.length > 0) {
+        write(`\n${styles.bold('  #  failure')}\n`)
+        failures.forEach((failure, index) => {
+          write(`  ${styles.red(`${index + 1}.`)} ${failure.name}\n`)
+          if (failure.message && failure.message !== failure.name) {
+            write(`     ${failure.message}\n`)
+          }
+          write(styles.dim(`     at "${resultTitle(failure.result)}" (iteration ${failure.result.iteration + 1})\n`))
+        })
+      }
+
+      if (bailed) {
+        write(styles.yellow('\n  Run stopped after the first failure (--bail)\n'))
+      }
+      write('\n')
+    }
+  }
+}
+
+async function writeReport(path, content, write) {
+  const target = resolve(path)
+  await mkdir(dirname(target), { recursive: true })
+  await writeFile(target, content)
+  write(`Report written to ${target}\n`)
+}
+
+/**
+ * Run a collection
+ * @param {string} collectionPath - Collection file
+ * @param {Object} values - Parsed options
+ * @param {Function} write - Output function for the console
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(collectionPath, values, write) {
+  const reporters = (values.reporters || 'console').split(',').map(r => r.trim()).filter(Boolean)
+  const unknown = reporters.filter(r => !REPORTERS.includes(r))
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown reporter: ${unknown.join(', ')}`)
+  }
+
+  const iterationCount = parseCount(values['iteration-count'], 'iteration-count')
+  const delay = parseCount(values['delay-request'], 'delay-request') || 0
+  const requestTimeout = parseCount(values['timeout-request'], 'timeout-request')
+  const scriptTimeout = parseCount(values['timeout-script'], 'timeout-script')
+
+  const imported = PostmanAdapter.import(await readJsonFile(collectionPath, 'Collection'))
+  if (!imported.collection) {
+    throw new UsageError(imported.errors.map(e => e.message).join('\n'))
+  }
+  const collection = imported.collection
+
+  const environmentData = values.environment ? await readJsonFile(values.environment, 'Environment') : null
+  const globalsData = values.globals ? await readJsonFile(values.globals, 'Globals') : null
+
+  const environmentStore = new SnapshotEnvironmentStore(toEnvironmentSnapshot(
+    environmentData,
+    parseAssignments(values['env-var'], 'env-var'),
+    'CLI Environment'
+  ))
+  const globals = toVariableMap(toEnvironmentSnapshot(
+    globalsData,
+    parseAssignments(values['global-var'], 'global-var'),
+    'Globals'
+  ).values)
+
+  let data = []
+  if (values['iteration-data']) {
+    let content
+    try {
+      content = await readFile(values['iteration-data'], 'utf8')
+    } catch (error) {
+      throw new UsageError(`Cannot read data file "${values['iteration-data']}": ${error.message}`)
+    }
+    try {
+      data = parseDataFile(createDataFile(basename(values['iteration-data']), content))
+    } catch (error) {
+      throw new UsageError(`Invalid data file "${values['iteration-data']}": ${error.message}`)
+    }
+  }
+
+  let folderId = null
+  if (values.folder) {
+    folderId = findFolderId(collection.item, values.folder)
+    if (!folderId) {
+      throw new UsageError(`Folder not found: ${values.folder}`)
+    }
+  }
+
+  const items = collectRunItems(collection, folderId)
+  const scopes = createRunScopes({ environmentStore, collection, globals })
+
+  const requestExecutor = {
+    send(config, { protocolProfileBehavior = {} } = {}) {
+      const client = new NodeHttpClient({
+        timeout: requestTimeout || undefined,
+        validateSSL: !values.insecure,
+        ...protocolProfileToOptions(protocolProfileBehavior)
+      })
+      client.setProxy({ enabled: true, useSystemProxy: true })
+      return client.send(config)
+    }
+  }
+  // OAuth 2.0 tokens last for the run; sign-in grants need a token saved in the collection
+  const oauth2 = new OAuth2Service({ requestExecutor })
+
+  const runner = new CollectionRunner({
+    requestExecutor,
+    createSandbox: () => new ScriptSandbox({
+      environmentStore,
+      variableScopes: scopes,
+      logger: silentLogger,
+      timeout: scriptTimeout || undefined,
+      createWorker: createNodeWorker
+    }),
+    interpolate: (text, localVariables) => scopes.interpolateString(text, localVariables),
+    setData: (row) => scopes.setData(row),
+    authorize: (request, { interpolate }) => oauth2.authorizeRequest(request, {
+      collectionId: collection.info?.id,
+      interpolate
+    }),
+    logger: silentLogger
+  })
+
+  const styles = createStyles(!values['no-color'] && process.stdout.isTTY && !process.env.NO_COLOR)
+  const consoleReporter = reporters.includes('console') ? createConsoleReporter({ styles, write }) : null
+  const abortController = new AbortController()
+  let bailed = false
+
+  consoleReporter?.start(collection, {
+    iterationCount: Math.max(1, iterationCount ?? data.length) || 1,
+    itemCount: items.length
+  })
+
+  const result = await runner.run({
+    collection,
+    items,
+    iterations: iterationCount,
+    data,
+    delay,
+    signal: abortController.signal,
+    onEvent: (event) => {
+      consoleReporter?.onEvent(event)
+      const failed = event.type === 'requestComplete' &&
+        (event.result.error || event.result.tests.some(test => !test.passed))
+      if (failed && values.bail) {
+        bailed = true
+        abortController.abort()
+      }
+    }
+  })
+
+  consoleReporter?.finish(result, { bailed })
+
+  for (const reporter of reporters.filter(r => r !== 'console')) {
+    const path = values[`reporter-${reporter}-export`] || DEFAULT_EXPORTS[reporter]
+    await writeReport(path, REPORT_FORMATS[reporter].build(result), write)
+  }
+
+  return result.summary.failed > 0 || result.summary.errors > 0 ? 1 : 0
+}
+
+/**
+ * Serve the saved examples of a collection until interrupted
+ * @param {string} collectionPath - Collection file
+ * @param {Object} values - Parsed options
+ * @param {Function} write - Output function for the console
+ * @returns {Promise<number>} - Exit code
+ */
+async function mock(collectionPath, values, write) {
+  const port = parseCount(values.port, 'port') ?? 3000
+  const host = values.host || '127.0.0.1'
+
+  const imported = PostmanAdapter.import(await readJsonFile(collectionPath, 'Collection'))
+  if (!imported.collection) {
+    throw new UsageError(imported.errors.map(e => e.message).join('\n'))
+  }
+  const collection = imported.collection
+
+  const mockServer = new MockServer({ collection, logger: silentLogger })
+  if (mockServer.examples.length === 0) {
+    throw new UsageError(`Collection "${collection.info.name}" has no saved examples to serve`)
+  }
+
+  const styles = createStyles(!values['no-color'] && process.stdout.isTTY && !process.env.NO_COLOR)
+  let server
+  try {
+    server = await startMockServer(mockServer, {
+      port,
+      host,
+      onRequest: ({ method, path, status, example }) => {
+        const color = status >= 400 ? styles.red : styles.green
+        const source = example ? styles.dim(`${example.requestName} / ${example.name}`) : ''
+        write(`${method} ${path} ${color(status)} ${source}\n`)
+      }
+    })
+  } catch (error) {
+    throw new UsageError(`Cannot listen on ${host}:${port}: ${error.message}`)
+  }
+
+  const { port: boundPort } = server.address()
+  write(`\n${styles.bold('ToastMan')} mock of ${styles.bold(collection.info.name)}\n`)
+  write(styles.dim(`${mockServer.examples.length} ${mockServer.examples.length === 1 ? 'example' : 'examples'}, listening on http://${host}:${boundPort}\n\n`))
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve)
+    process.once('SIGTERM', resolve)
+  })
+  server.closeAllConnections()
+  await new Promise(resolve => server.close(resolve))
+  return 0
+}
+
+async function main(argv) {
+  const write = (text) => process.stdout.write(text)
+
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+
+    if (values.version) {
+      const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'))
+      write(`${pkg.version}\n`)
+      return 0
+    }
+    if (values.help || positionals.length === 0) {
+      write(`${USAGE}\n`)
+      return values.help ? 0 : 2
+    }
+
+    const [command, collectionPath, ...rest] = positionals
+    if (!['run', 'mock'].includes(command) || !collectionPath || rest.length > 0) {
+      throw new UsageError(`Expected "run <collection.json>" or "mock <collection.json>"\n\n${USAGE}`)
+    }
+
+    if (command === 'mock') {
+      return await mock(collectionPath, values, write)
+    }
+    return await run(collectionPath, values, write)
+  } catch (error) {
+    // parseArgs reports unknown or malformed options with ERR_PARSE_ARGS_* codes
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      process.stderr.write(`toastman: ${error.message}\n`)
+      return 2
+    }
+    throw error
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2))
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * ToastMan Local Relay
+ *
+ * A small HTTP server that executes requests on behalf of the browser app,
+ * applying the proxy, client certificate and SSL settings that the Fetch API
+ * cannot. Start it with `npm run relay` and select "Local relay" as the
+ * HTTP client in Settings → Request.
+ *
+ * Endpoints:
+ *   GET  /health - relay status
+ *   POST /relay  - execute a request envelope built by RelayHttpClient
+ *
+ * Environment:
+ *   TOASTMAN_RELAY_PORT    - port to listen on (default 9997)
+ *   TOASTMAN_RELAY_ORIGINS - extra comma-separated origins allowed to call the relay,
+ *                            e.g. http://localhost:4173 for `npm run preview`
+ */
+
+import http from 'node:http'
+import { pathToFileURL } from 'node:url'
+import { performRequest, decodeRequestBody } from '../src/core/http/node/transport.js'
+
+const HOST = '127.0.0.1'
+const PORT = parseInt(process.env.TOASTMAN_RELAY_PORT, 10) || 9997
+const VERSION = '1.0.0'
+const MAX_ENVELOPE_SIZE = 50 * 1024 * 1024
+
+// The app and its dev server (vite.config.js)
+const ALLOWED_ORIGINS = [
+  'https://toastman.guinetik.com',
+  'http://localhost:9998',
+  'http://127.0.0.1:9998',
+  ...(process.env.TOASTMAN_RELAY_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean)
+]
+
+const TEXT_CONTENT_TYPE = /^(text\/|application\/([\w.+-]*\+)?(json|xml|javascript|x-www-form-urlencoded|graphql))/i
+
+/**
+ * Only the app itself (or its dev server) may use the relay, otherwise any
+ * website or local process could reach the user's network through it.
+ * Browsers always send Origin on the relay's cross-origin calls, so a request
+ * without one did not come from the app.
+ */
+function isAllowedOrigin(origin) {
+  return Boolean(origin) && ALLOWED_ORIGINS.includes(origin)
+}
+
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin
+  if (origin && isAllowedOrigin(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin)
+    res.setHeader('Vary', 'Origin')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+    res.setHeader('Access-Control-Allow-Private-Network', 'true')
+  }
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(data))
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > MAX_ENVELOPE_SIZE) {
+        reject(new Error('Request envelope too large'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+      } catch (error) {
+        reject(new Error(`Invalid JSON envelope: ${error.message}`))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Encode response bytes so they survive the JSON envelope
+ */
+function encodeResponseBody(buffer, contentType = '') {
+  if (buffer.length === 0) {
+    return { body: '', bodyEncoding: 'utf8' }
+  }
+  if (TEXT_CONTENT_TYPE.test(contentType) || (!contentType && !buffer.includes(0))) {
+    return { body: buffer.toString('utf8'), bodyEncoding: 'utf8' }
+  }
+  return { body: buffer.toString('base64'), bodyEncoding: 'base64' }
+}
+
+async function handleRelay(req, res) {
+  const envelope = await readJsonBody(req)
+  const { request, options = {}, proxy = null, certificates = [] } = envelope
+
+  if (!request?.url || !request?.method) {
+    sendJson(res, 400, { error: 'Envelope must include request.method and request.url' })
+    return
+  }
+
+  const headers = { ...(request.headers || {}) }
+  const body = decodeRequestBody(request.body, headers)
+
+  // Abort the outgoing request if the browser goes away
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+
+  const startTime = performance.now()
+  const response = await performRequest(
+    { method: request.method, url: request.url, headers, body },
+    {
+      timeout: options.timeout,
+      followRedirects: options.followRedirects !== false,
+      maxRedirects: options.maxRedirects,
+      validateSSL: options.validateSSL !== false,
+      keepAlive: options.keepAlive !== false,
+      ntlm: options.ntlm || null,
+      proxy,
+      certificates,
+      signal: controller.signal
+    }
+  )
+
+  sendJson(res, 200, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    size: response.size,
+    url: response.url,
+    redirects: response.redirects,
+    time: performance.now() - startTime,
+    ...encodeResponseBody(response.body, response.headers['content-type'])
+  })
+}
+
+/**
+ * Create the relay server (not yet listening)
+ * @returns {http.Server}
+ */
+export function createRelayServer() {
+  return http.createServer(handleConnection)
+}
+
+/**
+ * Handle one call to the relay
+ */
+async function handleConnection(req, res) {
+  if (!isAllowedOrigin(req.headers.origin)) {
+    sendJson(res, 403, { error: `Origin not allowed: ${req.headers.origin || '(none)'}` })
+    return
+  }
+
+  setCorsHeaders(req, res)
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204)
+    res.end()
+    return
+  }
+
+  try {
+    if (req.method === 'GET' && req.url === '/health') {
+      sendJson(res, 200, { ok: true, name: 'toastman-relay', version: VERSION })
+    } else if (req.method === 'POST' && req.url === '/relay') {
+      await handleRelay(req, res)
+    } else {
+      sendJson(res, 404, { error: 'Not found' })
+    }
+  } catch (error) {
+    if (!res.headersSent) {
+      // 502: the relay worked, the upstream request did not
+      sendJson(res, 502, { error: error.message, code: error.code || null })
+    }
+  }
+}
+
+// Listen when started with `npm run relay`, not when imported by tests
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createRelayServer().listen(PORT, HOST, () => {
+    console.log(`🍞 ToastMan relay listening on http://localhost:${PORT}`)
+  })
+}
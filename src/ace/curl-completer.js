@@ -5,10 +5,11 @@
  * - HTTP methods (after -X flag)
  * - cURL flags (-H, -d, --header, etc.)
  * - Common headers (after -H flag)
- * - Environment variables (after {{ prefix)
+ * - Variables from every scope and dynamic variables (after {{ prefix)
  */
 
-import { useEnvironments } from '../stores/useEnvironments.js'
+import { useVariableScopes } from '../stores/useVariableScopes.js'
+import { listDynamicVariables } from '../core/variables/dynamic.js'
 
 // HTTP Methods
 const HTTP_METHODS = [
@@ -37,6 +38,7 @@ const CURL_FLAGS = [
   { caption: '--data-raw', value: '--data-raw ', meta: 'data', description: 'Raw data (no processing)' },
   { caption: '--data-binary', value: '--data-binary ', meta: 'data', description: 'Binary data' },
   { caption: '--data-urlencode', value: '--data-urlencode ', meta: 'data', description: 'URL encoded data' },
+  { caption: '--json', value: '--json ', meta: 'data', description: 'JSON body with JSON headers' },
 
   // Form flags
   { caption: '-F', value: '-F ', meta: 'form', description: 'Multipart form field' },
@@ -45,6 +47,10 @@ const CURL_FLAGS = [
   // Auth flags
   { caption: '-u', value: '-u ', meta: 'auth', description: 'User:password auth' },
   { caption: '--user', value: '--user ', meta: 'auth', description: 'User auth (long)' },
+  { caption: '--aws-sigv4', value: '--aws-sigv4 ', meta: 'auth', description: 'AWS Signature v4' },
+  { caption: '--digest', value: '--digest ', meta: 'auth', description: 'Digest auth for -u' },
+  { caption: '--ntlm', value: '--ntlm ', meta: 'auth', description: 'NTLM auth for -u' },
+  { caption: '--oauth2-bearer', value: '--oauth2-bearer ', meta: 'auth', description: 'Bearer token' },
 
   // SSL/TLS flags
   { caption: '-k', value: '-k ', meta: 'ssl', description: 'Allow insecure connections' },
@@ -53,6 +59,7 @@ const CURL_FLAGS = [
   // Behavior flags
   { caption: '-L', value: '-L ', meta: 'redirect', description: 'Follow redirects' },
   { caption: '--location', value: '--location ', meta: 'redirect', description: 'Follow redirects (long)' },
+  { caption: '--max-redirs', value: '--max-redirs ', meta: 'redirect', description: 'Max redirects to follow' },
   { caption: '-v', value: '-v ', meta: 'debug', description: 'Verbose output' },
   { caption: '--verbose', value: '--verbose ', meta: 'debug', description: 'Verbose (long)' },
   { caption: '-i', value: '-i ', meta: 'output', description: 'Include response headers' },
@@ -100,30 +107,40 @@ const COMMON_HEADERS = [
 ]
 
 /**
- * Get environment variables from the store for autocomplete
+ * Get resolvable variables for autocomplete, tagged with their scope
  */
 function getEnvironmentVariables() {
   try {
-    const envStore = useEnvironments()
-    const activeEnv = envStore.activeEnvironment?.value
-
-    if (!activeEnv?.values) return []
-
-    return activeEnv.values
-      .filter(v => v.enabled !== false)
-      .map(v => ({
-        caption: `{{${v.key}}}`,
-        value: `{{${v.key}}}`,
-        meta: 'variable',
-        description: v.value ? (v.value.length > 30 ? v.value.slice(0, 30) + '...' : v.value) : 'empty',
-        score: 500
-      }))
+    return useVariableScopes().getAvailableVariables()
+      .map(v => {
+        const value = String(v.value)
+        return {
+          caption: `{{${v.key}}}`,
+          value: `{{${v.key}}}`,
+          meta: v.scope,
+          description: value ? (value.length > 30 ? value.slice(0, 30) + '...' : value) : 'empty',
+          score: 500
+        }
+      })
   } catch (e) {
     // Store might not be available during initialization
     return []
   }
 }
 
+/**
+ * Get dynamic variables ({{$guid}}, ...) with a freshly generated sample
+ */
+function getDynamicVariables() {
+  return listDynamicVariables().map(v => ({
+    caption: `{{${v.key}}}`,
+    value: `{{${v.key}}}`,
+    meta: 'dynamic',
+    description: `${v.description} - e.g. ${v.example}`,
+    score: 400
+  }))
+}
+
 /**
  * Detect context from the current line to provide relevant suggestions
  */
@@ -162,7 +179,7 @@ function detectContext(line, column) {
  * Create the cURL autocomplete completer for ACE
  */
 export const curlCompleter = {
-  identifierRegexps: [/[a-zA-Z_0-9\-{]/],
+  identifierRegexps: [/[a-zA-Z_0-9\-{$]/],
 
   getCompletions(editor, session, pos, prefix, callback) {
     const line = session.getLine(pos.row)
@@ -171,8 +188,8 @@ export const curlCompleter = {
 
     switch (context) {
       case 'variable':
-        // Show environment variables
-        suggestions = getEnvironmentVariables()
+        // Show scope variables, then dynamic variables
+        suggestions = [...getEnvironmentVariables(), ...getDynamicVariables()]
         break
 
       case 'method':
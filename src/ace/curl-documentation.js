@@ -83,6 +83,15 @@ export const FLAG_DOCS = {
     usage: 'Use for uploading binary files. Preserves newlines and special chars.',
     tip: 'Use @filename to read data from a file.'
   },
+  '--json': {
+    name: 'JSON Data',
+    short: null,
+    long: '--json',
+    description: 'Sends JSON in the request body. Implies -X POST.',
+    example: '--json \'{"name": "John"}\'',
+    usage: 'Also sets Content-Type and Accept to application/json.',
+    tip: 'Shorter than -d with two -H flags for JSON APIs.'
+  },
   '--data-urlencode': {
     name: 'URL Encoded Data',
     short: null,
@@ -132,6 +141,42 @@ export const FLAG_DOCS = {
     usage: 'Format: --user user:pass. Omit password to be prompted.',
     tip: 'Used for Basic HTTP authentication. Consider using tokens instead.'
   },
+  '--digest': {
+    name: 'Digest Authentication',
+    short: null,
+    long: '--digest',
+    description: 'Uses HTTP Digest authentication with the -u credentials.',
+    example: "--digest -u 'username:password'",
+    usage: 'The first request gets a 401 challenge; the request is sent again with a hashed response.',
+    tip: 'The password never crosses the wire in plain text, unlike Basic auth.'
+  },
+  '--ntlm': {
+    name: 'NTLM Authentication',
+    short: null,
+    long: '--ntlm',
+    description: 'Uses Windows NTLM authentication with the -u credentials.',
+    example: "--ntlm -u 'DOMAIN\\username:password'",
+    usage: 'Prefix the user with DOMAIN\\ for domain accounts.',
+    tip: 'NTLM needs a kept-alive connection: in ToastMan use the local relay or the CLI.'
+  },
+  '--oauth2-bearer': {
+    name: 'OAuth 2 Bearer Token',
+    short: null,
+    long: '--oauth2-bearer',
+    description: 'Sends a bearer token in the Authorization header.',
+    example: "--oauth2-bearer 'eyJhbGciOi...'",
+    usage: 'Same as -H "Authorization: Bearer <token>".',
+    tip: 'In ToastMan it becomes Bearer Token auth.'
+  },
+  '--aws-sigv4': {
+    name: 'AWS Signature',
+    short: null,
+    long: '--aws-sigv4',
+    description: 'Signs the request with AWS Signature Version 4.',
+    example: "--aws-sigv4 'aws:amz:us-east-1:execute-api' -u 'ACCESS_KEY:SECRET_KEY'",
+    usage: 'Format: aws:amz:region:service. The access key and secret key go in -u.',
+    tip: 'Add -H "X-Amz-Security-Token: ..." for temporary credentials.'
+  },
 
   // SSL/TLS flags
   '-k': {
@@ -172,6 +217,15 @@ export const FLAG_DOCS = {
     usage: 'Automatically follows Location headers up to 50 redirects.',
     tip: 'Essential for shortened URLs or sites with redirects.'
   },
+  '--max-redirs': {
+    name: 'Max Redirects',
+    short: null,
+    long: '--max-redirs',
+    description: 'Sets how many redirects -L follows at most.',
+    example: '-L --max-redirs 5',
+    usage: 'The request fails when more redirects are needed.',
+    tip: 'Use to catch redirect loops early.'
+  },
 
   // Output flags
   '-o': {
@@ -3,17 +3,28 @@
  *
  * Validates cURL commands and returns errors with positions
  * for educational highlighting in the editor.
- * Supports multi-line commands with backslash continuations.
+ * Supports multi-line commands with backslash continuations, commands copied
+ * for Windows cmd or PowerShell (see utils/shellTokenizer.js) and scripts with
+ * several commands (see utils/curlScript.js).
  */
 
+import { detectShellDialect, tokenizeShell } from '../utils/shellTokenizer.js'
+import { splitCurlCommands } from '../utils/curlScript.js'
+
 const VALID_FLAGS = new Set([
   '-X', '--request',
   '-H', '--header',
-  '-d', '--data', '--data-raw', '--data-binary', '--data-urlencode',
+  '-d', '--data', '--data-raw', '--data-binary', '--data-ascii', '--data-urlencode',
+  '--json',
   '-F', '--form',
+  '-T', '--upload-file',
+  '--url',
   '-u', '--user',
+  '--aws-sigv4', '--basic', '--digest', '--ntlm', '--oauth2-bearer',
   '-k', '--insecure',
-  '-L', '--location',
+  '-L', '--location', '--location-trusted',
+  '--max-redirs',
+  '-f', '--fail',
   '-o', '--output',
   '-O', '--remote-name',
   '-v', '--verbose',
@@ -37,9 +48,14 @@ const VALID_FLAGS = new Set([
 const FLAGS_REQUIRING_VALUE = new Set([
   '-X', '--request',
   '-H', '--header',
-  '-d', '--data', '--data-raw', '--data-binary', '--data-urlencode',
+  '-d', '--data', '--data-raw', '--data-binary', '--data-ascii', '--data-urlencode',
+  '--json',
   '-F', '--form',
+  '-T', '--upload-file',
+  '--url',
   '-u', '--user',
+  '--aws-sigv4', '--oauth2-bearer',
+  '--max-redirs',
   '-o', '--output',
   '-m', '--max-time',
   '--connect-timeout',
@@ -51,30 +67,57 @@ const FLAGS_REQUIRING_VALUE = new Set([
   '-U', '--proxy-user'
 ])
 
+// Single-letter flags, which curl lets you bundle (-sSL) or give an attached value (-XPOST)
+const SHORT_FLAGS = [...VALID_FLAGS].filter(flag => /^-[A-Za-z]$/.test(flag))
+
 const VALID_METHODS = new Set([
   'GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'CONNECT', 'TRACE'
 ])
 
 /**
  * Validate a cURL command and return errors with range information
- * @param {string} input - The cURL command to validate
+ * A script with several commands (see utils/curlScript.js) is validated one
+ * command at a time; comments and other commands are skipped.
+ * @param {string} input - The cURL command or script to validate
  * @returns {Array<{row: number, column: number, endRow: number, endColumn: number, text: string, type: string}>}
  */
 export function validateCurl(input) {
-  const errors = []
-
   if (!input || !input.trim()) {
-    return errors
+    return []
   }
 
-  const lines = input.split('\n')
+  const dialect = detectShellDialect(input)
 
-  // Check for unclosed quotes
-  const quoteErrors = checkUnclosedQuotes(input, lines)
-  errors.push(...quoteErrors)
+  // Positions within a command are moved to where it starts in the input
+  return splitCurlCommands(input, dialect).flatMap(command => validateCommand(command.text, dialect).map(error => ({
+    ...error,
+    row: error.row + command.row,
+    column: error.row === 0 ? error.column + command.column : error.column,
+    endRow: error.endRow + command.row,
+    endColumn: error.endRow === 0 ? error.endColumn + command.column : error.endColumn
+  })))
+}
 
-  // Tokenize with positions (handles multi-line with backslash)
-  const tokens = tokenizeWithPositions(input)
+/**
+ * Validate one command
+ */
+function validateCommand(input, dialect) {
+  const errors = []
+
+  // Tokenize with positions, in the quoting rules of the shell the command was written for
+  const { tokens, unclosedQuote } = tokenizeShell(input, dialect)
+
+  // Check for unclosed quotes
+  if (unclosedQuote) {
+    errors.push({
+      row: unclosedQuote.row,
+      column: unclosedQuote.column,
+      endRow: unclosedQuote.row,
+      endColumn: unclosedQuote.column + 1,
+      text: unclosedQuote.quote === '"' ? 'Unclosed double quote' : 'Unclosed single quote',
+      type: 'error'
+    })
+  }
 
   let hasUrl = false
   let i = 0
@@ -84,7 +127,7 @@ export function validateCurl(input) {
     const value = token.value
 
     // Skip 'curl' command itself
-    if (value.toLowerCase() === 'curl') {
+    if (i === 0 && /^curl(\.exe)?$/i.test(value)) {
       i++
       continue
     }
@@ -96,6 +139,38 @@ export function validateCurl(input) {
       continue
     }
 
+    // Bundled short flags are checked one by one; a value flag ends the bundle
+    const bundle = value.startsWith('-') && !VALID_FLAGS.has(value) ? splitShortFlags(value) : null
+    if (bundle) {
+      const last = bundle.flags[bundle.flags.length - 1]
+      if (bundle.value === null && FLAGS_REQUIRING_VALUE.has(last) &&
+          (i + 1 >= tokens.length || tokens[i + 1].value.startsWith('-'))) {
+        errors.push({
+          row: token.row,
+          column: token.column,
+          endRow: token.endRow,
+          endColumn: token.endColumn,
+          text: `Flag "${last}" requires a value`,
+          type: 'error'
+        })
+        i++
+        continue
+      }
+      const method = last === '-X' ? (bundle.value ?? tokens[i + 1]?.value) : null
+      if (method && !VALID_METHODS.has(method.toUpperCase())) {
+        errors.push({
+          row: token.row,
+          column: token.column,
+          endRow: token.endRow,
+          endColumn: token.endColumn,
+          text: `Invalid HTTP method "${method}". Valid: GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS`,
+          type: 'error'
+        })
+      }
+      i += bundle.value === null && FLAGS_REQUIRING_VALUE.has(last) ? 2 : 1
+      continue
+    }
+
     // Check for flags
     if (value.startsWith('-')) {
       // Check if it's a valid flag
@@ -160,6 +235,10 @@ export function validateCurl(input) {
           }
         }
 
+        if (value === '--url') {
+          hasUrl = true
+        }
+
         i += 2
         continue
       }
@@ -176,7 +255,7 @@ export function validateCurl(input) {
   // Check if URL is present
   if (!hasUrl && tokens.length > 0) {
     // Find a good place to show this error (first non-curl token or start)
-    const firstToken = tokens.find(t => t.value.toLowerCase() !== 'curl') || tokens[0]
+    const firstToken = tokens.find((t, index) => index > 0 || !/^curl(\.exe)?$/i.test(t.value)) || tokens[0]
     if (firstToken) {
       errors.push({
         row: firstToken.row,
@@ -193,172 +272,22 @@ export function validateCurl(input) {
 }
 
 /**
- * Tokenize input and track positions, handling multi-line with backslash
- */
-function tokenizeWithPositions(input) {
-  const tokens = []
-  let row = 0
-  let col = 0
-  let current = ''
-  let tokenStartRow = 0
-  let tokenStartCol = 0
-  let inSingleQuote = false
-  let inDoubleQuote = false
-  let escaped = false
-
-  const pushToken = () => {
-    if (current.trim()) {
-      tokens.push({
-        value: current.trim(),
-        row: tokenStartRow,
-        column: tokenStartCol,
-        endRow: row,
-        endColumn: col
-      })
-    }
-    current = ''
-  }
-
-  for (let i = 0; i < input.length; i++) {
-    const char = input[i]
-    const nextChar = input[i + 1]
-
-    // Handle backslash line continuation
-    if (char === '\\' && nextChar === '\n' && !inSingleQuote && !inDoubleQuote) {
-      // Skip the backslash and newline - they're line continuation
-      i++ // Skip newline
-      row++
-      col = 0
-      continue
-    }
-
-    if (char === '\n') {
-      if (!inSingleQuote && !inDoubleQuote) {
-        pushToken()
-      } else {
-        current += char
-      }
-      row++
-      col = 0
-      continue
-    }
-
-    if (escaped) {
-      current += char
-      escaped = false
-      col++
-      continue
-    }
-
-    if (char === '\\' && !inSingleQuote) {
-      escaped = true
-      current += char
-      col++
-      continue
-    }
-
-    if (char === "'" && !inDoubleQuote) {
-      inSingleQuote = !inSingleQuote
-      col++
-      continue
-    }
-
-    if (char === '"' && !inSingleQuote) {
-      inDoubleQuote = !inDoubleQuote
-      col++
-      continue
-    }
-
-    if (char === ' ' && !inSingleQuote && !inDoubleQuote) {
-      pushToken()
-      col++
-      continue
-    }
-
-    if (current === '') {
-      tokenStartRow = row
-      tokenStartCol = col
-    }
-
-    current += char
-    col++
-  }
-
-  pushToken()
-  return tokens
-}
-
-/**
- * Check for unclosed quotes
+ * Split bundled short flags (-sSL, -XPOST)
+ * @returns {{flags: string[], value: string|null}|null} null when the token is not a bundle of known flags
  */
-function checkUnclosedQuotes(input, lines) {
-  const errors = []
-  let inSingleQuote = false
-  let inDoubleQuote = false
-  let singleQuoteStart = null
-  let doubleQuoteStart = null
-  let escaped = false
-
-  for (let row = 0; row < lines.length; row++) {
-    const line = lines[row]
-    for (let col = 0; col < line.length; col++) {
-      const char = line[col]
-
-      if (escaped) {
-        escaped = false
-        continue
-      }
-
-      if (char === '\\') {
-        escaped = true
-        continue
-      }
-
-      if (char === "'" && !inDoubleQuote) {
-        if (inSingleQuote) {
-          inSingleQuote = false
-          singleQuoteStart = null
-        } else {
-          inSingleQuote = true
-          singleQuoteStart = { row, col }
-        }
-      }
-
-      if (char === '"' && !inSingleQuote) {
-        if (inDoubleQuote) {
-          inDoubleQuote = false
-          doubleQuoteStart = null
-        } else {
-          inDoubleQuote = true
-          doubleQuoteStart = { row, col }
-        }
-      }
+function splitShortFlags(token) {
+  if (!/^-[A-Za-z]./.test(token)) return null
+
+  const flags = []
+  for (let i = 1; i < token.length; i++) {
+    const flag = `-${token[i]}`
+    if (!SHORT_FLAGS.includes(flag)) return null
+    flags.push(flag)
+    if (FLAGS_REQUIRING_VALUE.has(flag)) {
+      return { flags, value: i + 1 < token.length ? token.substring(i + 1) : null }
     }
   }
-
-  if (inSingleQuote && singleQuoteStart) {
-    errors.push({
-      row: singleQuoteStart.row,
-      column: singleQuoteStart.col,
-      endRow: singleQuoteStart.row,
-      endColumn: singleQuoteStart.col + 1,
-      text: 'Unclosed single quote',
-      type: 'error'
-    })
-  }
-
-  if (inDoubleQuote && doubleQuoteStart) {
-    errors.push({
-      row: doubleQuoteStart.row,
-      column: doubleQuoteStart.col,
-      endRow: doubleQuoteStart.row,
-      endColumn: doubleQuoteStart.col + 1,
-      text: 'Unclosed double quote',
-      type: 'error'
-    })
-  }
-
-  return errors
+  return { flags, value: null }
 }
 
 /**
@@ -372,6 +301,10 @@ function isUrl(str) {
   if (str.includes('{{') && str.includes('}}')) {
     return true
   }
+  // So are shell variables like $BASE_URL/path
+  if (/^\$(\{\w+\}|env:\w+|[A-Za-z_]\w*)/.test(str)) {
+    return true
+  }
   if (!str.startsWith('-') && str.includes('.') && !str.includes(' ')) {
     return true
   }
@@ -21,10 +21,10 @@ const BODY_MODE_MAP = {
 const BODY_MODE_REVERSE_MAP = BODY_MODE_MAP
 
 // Supported auth types
-const SUPPORTED_AUTH_TYPES = ['basic', 'bearer', 'apikey', 'digest', 'ntlm', 'awsv4', 'hawk']
+const SUPPORTED_AUTH_TYPES = ['basic', 'bearer', 'apikey', 'oauth2', 'digest', 'ntlm', 'awsv4', 'hawk']
 
 // Partially supported auth types (imported but need manual intervention)
-const PARTIAL_AUTH_TYPES = ['oauth1', 'oauth2']
+const PARTIAL_AUTH_TYPES = ['oauth1']
 
 // Unsupported auth types
 const UNSUPPORTED_AUTH_TYPES = ['edgegrid']
@@ -69,13 +69,7 @@ export class PostmanAdapter {
     collection.info.id = generateId()
     collection.info._postman_id = collection.info._postman_id || generateId()
 
-    // Check for collection-level features
-    if (collection.event && collection.event.length > 0) {
-      warnings.push({
-        type: 'scripts',
-        message: 'Collection-level scripts detected. Collection scripts run for all requests and are not supported.'
-      })
-    }
+    // Collection-level scripts (collection.event) are kept and run around every request
 
     if (collection.auth) {
       const authWarning = this._checkAuthSupport(collection.auth, 'collection')
@@ -118,7 +112,9 @@ export class PostmanAdapter {
     }
 
     // Convert collection-level auth back to Postman format
-    if (exported.auth) {
+    if (this._isInheritedAuth(exported.auth)) {
+      delete exported.auth
+    } else if (exported.auth) {
       exported.auth = this._denormalizeAuth(exported.auth)
     }
 
@@ -134,6 +130,7 @@ export class PostmanAdapter {
     // Remove ToastMan-specific fields
     delete exported.createdAt
     delete exported.updatedAt
+    delete exported.mock
 
     return exported
   }
@@ -164,13 +161,8 @@ export class PostmanAdapter {
           folder.auth = this._normalizeAuth(item.auth)
         }
 
-        // Process folder-level scripts
+        // Folder-level scripts run for all contained requests
         if (item.event && item.event.length > 0) {
-          itemWarnings.push({
-            type: 'scripts',
-            message: `Folder "${item.name}" has scripts. Folder scripts run for all contained requests and are not supported.`,
-            item: item.name
-          })
           folder.event = item.event
         }
 
@@ -225,31 +217,14 @@ export class PostmanAdapter {
       normalized.request = this._normalizeRequestObject(item.request, item.name, requestWarnings)
     }
 
-    // Handle request-level events (scripts)
+    // Handle request-level events (pre-request and test scripts are both executed)
     if (item.event && item.event.length > 0) {
-      const hasPreRequest = item.event.some(e => e.listen === 'prerequest')
-      const hasTest = item.event.some(e => e.listen === 'test')
-
-      // Only warn for pre-request scripts (post-request/test scripts are now executed)
-      if (hasPreRequest) {
-        requestWarnings.push({
-          type: 'scripts',
-          message: `Request "${item.name}" has pre-request scripts. Pre-request scripts are stored but not executed.`,
-          item: item.name
-        })
-      }
-
       normalized.event = item.event
     }
 
-    // Handle saved responses
+    // Handle saved responses (examples, also served by mock servers)
     if (item.response && item.response.length > 0) {
-      normalized.response = item.response
-      requestWarnings.push({
-        type: 'responses',
-        message: `Request "${item.name}" has ${item.response.length} saved response(s). Responses are stored for reference.`,
-        item: item.name
-      })
+      normalized.response = item.response.map(response => this._normalizeResponse(response, normalized.name))
     }
 
     // Handle protocol profile behavior
@@ -260,6 +235,36 @@ export class PostmanAdapter {
     return { request: normalized, requestWarnings }
   }
 
+  /**
+   * Normalize a saved response (example)
+   * @private
+   */
+  static _normalizeResponse(response, itemName) {
+    const normalized = {
+      id: response.id || generateId(),
+      name: response.name || 'Example',
+      code: Number(response.code) || 200,
+      status: response.status || '',
+      header: Array.isArray(response.header)
+        ? response.header.filter(h => h && h.key).map(h => ({ key: h.key, value: h.value || '' }))
+        : [],
+      body: response.body ?? ''
+    }
+
+    if (response.originalRequest) {
+      // Warnings for the original request would repeat those of the request itself
+      normalized.originalRequest = typeof response.originalRequest === 'string'
+        ? { method: 'GET', url: this._normalizeUrl(response.originalRequest), header: [], body: null }
+        : this._normalizeRequestObject(response.originalRequest, itemName, [])
+    }
+    if (response._postman_previewlanguage) {
+      normalized._postman_previewlanguage = response._postman_previewlanguage
+    }
+    if (response.cookie) normalized.cookie = response.cookie
+
+    return normalized
+  }
+
   /**
    * Normalize a request object
    * @private
@@ -453,7 +458,7 @@ export class PostmanAdapter {
    * @private
    */
   static _checkAuthSupport(auth, context) {
-    if (!auth || !auth.type || auth.type === 'noauth' || auth.type === 'none') {
+    if (!auth || !auth.type || auth.type === 'noauth' || auth.type === 'none' || auth.type === 'inherit') {
       return null
     }
 
@@ -493,7 +498,10 @@ export class PostmanAdapter {
       normalized[auth.type] = {}
       for (const attr of authData) {
         if (attr.key) {
-          normalized[auth.type][attr.key] = attr.value
+          // Flags like disableRetryRequest are sometimes exported as "true"/"false"
+          normalized[auth.type][attr.key] = attr.type === 'boolean' && typeof attr.value === 'string'
+            ? attr.value === 'true'
+            : attr.value
         }
       }
     } else if (authData && typeof authData === 'object') {
@@ -504,6 +512,15 @@ export class PostmanAdapter {
     return normalized
   }
 
+  /**
+   * Whether auth is set to inherit from the parent folder or collection
+   * Postman leaves such auth out of the collection.
+   * @private
+   */
+  static _isInheritedAuth(auth) {
+    return auth?.type === 'inherit'
+  }
+
   /**
    * Denormalize auth from ToastMan object format back to Postman array format
    * @private
@@ -523,7 +540,7 @@ export class PostmanAdapter {
       denormalized[auth.type] = Object.entries(authData).map(([key, value]) => ({
         key,
         value,
-        type: 'string'
+        type: typeof value === 'boolean' ? 'boolean' : 'string'
       }))
     } else {
       denormalized[auth.type] = authData
@@ -603,7 +620,7 @@ export class PostmanAdapter {
         }
 
         if (item.description) folder.description = item.description
-        if (item.auth) folder.auth = this._denormalizeAuth(item.auth)
+        if (item.auth && !this._isInheritedAuth(item.auth)) folder.auth = this._denormalizeAuth(item.auth)
         if (item.event) folder.event = item.event
 
         return folder
@@ -626,7 +643,7 @@ export class PostmanAdapter {
 
     if (item.description) exported.description = item.description
     if (item.event) exported.event = item.event
-    if (item.response) exported.response = item.response
+    if (item.response) exported.response = item.response.map(response => this._exportResponse(response))
     if (item.protocolProfileBehavior) {
       exported.protocolProfileBehavior = item.protocolProfileBehavior
     }
@@ -634,6 +651,18 @@ export class PostmanAdapter {
     return exported
   }
 
+  /**
+   * Export a saved response (example) to Postman format
+   * @private
+   */
+  static _exportResponse(response) {
+    const { originalRequest, ...exported } = response
+    if (originalRequest) {
+      exported.originalRequest = this._exportRequest(originalRequest)
+    }
+    return exported
+  }
+
   /**
    * Export request object to Postman format
    * @private
@@ -651,7 +680,7 @@ export class PostmanAdapter {
       exported.body = this._exportBody(request.body)
     }
 
-    if (request.auth) {
+    if (request.auth && !this._isInheritedAuth(request.auth)) {
       exported.auth = this._denormalizeAuth(request.auth)
     }
 
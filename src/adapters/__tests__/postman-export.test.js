@@ -242,6 +242,28 @@ describe('PostmanAdapter.export', () => {
       expect(exported.auth.type).toBe('noauth')
     })
 
+    it('should leave out auth set to inherit', () => {
+      const collection = {
+        info: { id: 'test-001', name: 'Test' },
+        auth: { type: 'bearer', bearer: { token: 'abc123' } },
+        item: [{
+          name: 'Users',
+          type: 'folder',
+          auth: { type: 'inherit' },
+          item: [{
+            name: 'List',
+            type: 'request',
+            request: { method: 'GET', url: { raw: 'https://example.com' }, auth: { type: 'inherit' } }
+          }]
+        }]
+      }
+
+      const exported = PostmanAdapter.export(collection)
+      expect(exported.auth.type).toBe('bearer')
+      expect(exported.item[0]).not.toHaveProperty('auth')
+      expect(exported.item[0].item[0].request).not.toHaveProperty('auth')
+    })
+
     it('should export request-level auth', () => {
       const collection = {
         info: { id: 'test-001', name: 'Test' },
@@ -377,6 +399,45 @@ describe('PostmanAdapter.export', () => {
       expect(exported.item[0].request.body.raw).toBe('{"test": true}')
     })
 
+    it('should preserve digest, hawk and ntlm auth blocks', () => {
+      const authBlocks = {
+        digest: [
+          { key: 'username', value: 'user', type: 'string' },
+          { key: 'password', value: 'pass', type: 'string' },
+          { key: 'algorithm', value: 'MD5', type: 'string' },
+          { key: 'disableRetryRequest', value: false, type: 'boolean' }
+        ],
+        hawk: [
+          { key: 'authId', value: 'id', type: 'string' },
+          { key: 'authKey', value: 'key', type: 'string' },
+          { key: 'algorithm', value: 'sha256', type: 'string' },
+          { key: 'includePayloadHash', value: true, type: 'boolean' }
+        ],
+        ntlm: [
+          { key: 'username', value: 'user', type: 'string' },
+          { key: 'password', value: 'pass', type: 'string' },
+          { key: 'domain', value: 'CORP', type: 'string' }
+        ]
+      }
+      const original = {
+        info: { name: 'Auth Round Trip' },
+        item: Object.entries(authBlocks).map(([type, block]) => ({
+          name: type,
+          request: { method: 'GET', url: 'https://api.example.com', auth: { type, [type]: block } }
+        }))
+      }
+
+      const imported = PostmanAdapter.import(original)
+      expect(imported.warnings.filter(w => w.type === 'auth')).toHaveLength(0)
+      expect(imported.collection.item[1].request.auth.hawk.includePayloadHash).toBe(true)
+
+      const exported = PostmanAdapter.export(imported.collection)
+      exported.item.forEach(item => {
+        const { type } = item.request.auth
+        expect(item.request.auth[type]).toEqual(authBlocks[type])
+      })
+    })
+
   })
 
 })
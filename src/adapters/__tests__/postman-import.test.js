@@ -263,11 +263,21 @@ describe('PostmanAdapter.import', () => {
       expect(apiKeyAuth.apikey.in).toBe('header')
     })
 
-    it('should warn about OAuth2 requiring manual token', () => {
+    it('should convert OAuth2 auth format without warning', () => {
+      const result = PostmanAdapter.import(authTypes)
+      const oauth2Auth = result.collection.item[2].request.auth
+
+      expect(oauth2Auth.type).toBe('oauth2')
+      expect(oauth2Auth.oauth2.accessToken).toBe('abc123')
+      expect(oauth2Auth.oauth2.tokenType).toBe('Bearer')
+      expect(result.warnings.find(w => w.message.includes('oauth2'))).toBeUndefined()
+    })
+
+    it('should warn about OAuth1 requiring manual token', () => {
       const result = PostmanAdapter.import(authTypes)
 
       const oauthWarning = result.warnings.find(w =>
-        w.type === 'auth' && w.message.includes('oauth2')
+        w.type === 'auth' && w.message.includes('oauth1')
       )
       expect(oauthWarning).toBeDefined()
       expect(oauthWarning.message).toContain('manual')
@@ -288,24 +298,21 @@ describe('PostmanAdapter.import', () => {
 
   describe('Scripts Warning', () => {
 
-    it('should warn about collection-level scripts', () => {
+    it('should keep collection-level scripts without warning (they are executed)', () => {
       const result = PostmanAdapter.import(withScripts)
 
-      const scriptWarning = result.warnings.find(w =>
-        w.type === 'scripts' && w.message.includes('Collection-level')
-      )
-      expect(scriptWarning).toBeDefined()
+      const scriptWarning = result.warnings.find(w => w.type === 'scripts')
+      expect(scriptWarning).toBeUndefined()
+      expect(result.collection.event).toEqual(withScripts.event)
     })
 
-    it('should warn about pre-request scripts only (test scripts are now executed)', () => {
+    it('should not warn about request-level scripts (pre-request and test scripts are executed)', () => {
       const result = PostmanAdapter.import(withScripts)
 
-      // Only pre-request scripts should generate warnings (test/post-request scripts are now executed)
       const requestScriptWarning = result.warnings.find(w =>
-        w.type === 'scripts' && w.message.includes('pre-request')
+        w.type === 'scripts' && w.item
       )
-      expect(requestScriptWarning).toBeDefined()
-      expect(requestScriptWarning.message).not.toContain('test')
+      expect(requestScriptWarning).toBeUndefined()
     })
 
     it('should preserve script content', () => {
@@ -367,14 +374,41 @@ describe('PostmanAdapter.import', () => {
 
   })
 
+  describe('Saved Responses', () => {
+
+    it('should keep examples with ids and normalized original requests', () => {
+      const result = PostmanAdapter.import({
+        info: { name: 'Examples' },
+        item: [{
+          name: 'Get user',
+          request: { method: 'GET', url: '{{baseUrl}}/users/:id' },
+          response: [{
+            name: 'Found',
+            originalRequest: { method: 'GET', url: { raw: '{{baseUrl}}/users/1?full=true', query: [{ key: 'full', value: 'true', disabled: true }] } },
+            code: 200,
+            header: [{ key: 'Content-Type', value: 'application/json' }],
+            body: '{"id":1}'
+          }]
+        }]
+      })
+
+      const example = result.collection.item[0].response[0]
+      expect(example.id).toBeDefined()
+      expect(example).toMatchObject({ name: 'Found', code: 200, body: '{"id":1}' })
+      expect(example.originalRequest.url.query[0].enabled).toBe(false)
+      expect(result.warnings.filter(w => w.type === 'responses')).toHaveLength(0)
+    })
+
+  })
+
   describe('Warning Summary', () => {
 
     it('should summarize warnings by type', () => {
-      const result = PostmanAdapter.import(withScripts)
+      const result = PostmanAdapter.import(authTypes)
       const summary = PostmanAdapter.summarizeWarnings(result.warnings)
 
       expect(summary.total).toBeGreaterThan(0)
-      expect(summary.byType.scripts).toBeDefined()
+      expect(summary.byType.auth).toBeDefined()
       expect(summary.messages).toBeInstanceOf(Array)
     })
 
@@ -14,7 +14,8 @@ const STORAGE_KEYS = {
   SETTINGS: 'toastman_settings',
   ACTIVE_ENVIRONMENT: 'toastman_active_environment',
   TABS: 'toastman_tabs',
-  CONVERSATIONS: 'toastman_conversations'
+  CONVERSATIONS: 'toastman_conversations',
+  OAUTH2_TOKENS: 'toastman_oauth2_tokens'
 }
 
 // Global event emitter for storage changes
@@ -259,6 +260,20 @@ export function useConversationsStorage() {
   return storage
 }
 
+/**
+ * OAuth 2.0 tokens storage: { [collectionId]: { [tokenKey]: token } }
+ */
+export function useOAuth2TokensStorage() {
+  const storage = useStorage(STORAGE_KEYS.OAUTH2_TOKENS, {})
+
+  // Ensure data is always an object
+  if (!storage.data.value || typeof storage.data.value !== 'object' || Array.isArray(storage.data.value)) {
+    storage.data.value = {}
+  }
+
+  return storage
+}
+
 /**
  * Utility to clear all ToastMan data
  */
@@ -348,4 +363,4 @@ export function getStorageStats() {
   })
 
   return stats
-}
\ No newline at end of file
+}
@@ -5,13 +5,18 @@
  * - Detecting variables in text ({{variableName}})
  * - Interpolating variables with actual values
  * - Highlighting variables in UI
+ *
+ * Values resolve through every scope (data, environment, collection, global)
+ * via useVariableScopes; each result reports the scope that supplied it.
  */
 
 import { computed } from 'vue'
 import { useEnvironments } from '../stores/useEnvironments.js'
+import { useVariableScopes } from '../stores/useVariableScopes.js'
 
 export function useVariableInterpolation() {
   const environmentsStore = useEnvironments()
+  const variableScopes = useVariableScopes()
 
   /**
    * Regular expression to match variables in {{variableName}} format
@@ -46,33 +51,33 @@ export function useVariableInterpolation() {
   }
 
   /**
-   * Check if a variable exists in the active environment
+   * Resolve a variable and the scope that supplied it
+   * @param {string} variableName - Name of the variable
+   * @param {string} environmentId - Optional environment ID, uses active if not provided
+   * @returns {{ value: *, scope: string }|null} Resolution or null if not found
+   */
+  const resolveVariable = (variableName, environmentId = null) => {
+    return variableScopes.resolveVariable(variableName, { environmentId })
+  }
+
+  /**
+   * Check if a variable is defined in any scope
    * @param {string} variableName - Name of the variable to check
    * @param {string} environmentId - Optional environment ID, uses active if not provided
    * @returns {boolean} True if variable exists and is enabled
    */
   const variableExists = (variableName, environmentId = null) => {
-    const targetEnvironment = environmentId
-      ? environmentsStore.getEnvironment(environmentId)
-      : environmentsStore.activeEnvironment.value
-    if (!targetEnvironment) {
-      return false
-    }
-    const variable = targetEnvironment.values?.find(v =>
-      v.key === variableName && v.enabled
-    )
-
-    return !!variable
+    return resolveVariable(variableName, environmentId) !== null
   }
 
   /**
-   * Get variable value from environment
+   * Get variable value using scope precedence
    * @param {string} variableName - Name of the variable
    * @param {string} environmentId - Optional environment ID, uses active if not provided
    * @returns {string|null} Variable value or null if not found
    */
   const getVariableValue = (variableName, environmentId = null) => {
-    return environmentsStore.resolveVariable(variableName, environmentId)
+    return resolveVariable(variableName, environmentId)?.value ?? null
   }
 
   /**
@@ -82,7 +87,7 @@ export function useVariableInterpolation() {
    * @returns {string} Text with variables replaced by their values
    */
   const interpolateText = (text, environmentId = null) => {
-    return environmentsStore.interpolateString(text, environmentId)
+    return variableScopes.interpolateString(text, { environmentId })
   }
 
   /**
@@ -94,14 +99,14 @@ export function useVariableInterpolation() {
   const analyzeVariables = (text, environmentId = null) => {
     const variables = detectVariables(text)
     const analyzed = variables.map(variable => {
-      const exists = variableExists(variable.name, environmentId)
-      const value = getVariableValue(variable.name, environmentId)
-      const resolved = value !== null
+      const resolution = resolveVariable(variable.name, environmentId)
+      const resolved = resolution !== null
       return {
         ...variable,
-        exists,
-        value,
-        resolved
+        exists: resolved,
+        value: resolved ? resolution.value : null,
+        resolved,
+        scope: resolution?.scope || null
       }
     })
     return analyzed
@@ -140,7 +145,8 @@ export function useVariableInterpolation() {
         name: variable.name,
         exists: variable.exists,
         value: variable.value,
-        resolved: variable.resolved
+        resolved: variable.resolved,
+        scope: variable.scope
       })
 
       lastIndex = variable.end
@@ -182,14 +188,15 @@ export function useVariableInterpolation() {
     const env = environmentsStore.activeEnvironment.value
     return env
   })
+  // All resolvable variables as { key, value, scope }, one per key
   const availableVariables = computed(() => {
-    const vars = environmentsStore.getAvailableVariables()
-    return vars
+    return variableScopes.getAvailableVariables()
   })
 
   return {
     // Core functions
     detectVariables,
+    resolveVariable,
     variableExists,
     getVariableValue,
     interpolateText,
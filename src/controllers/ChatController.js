@@ -5,6 +5,8 @@
  * - Managing the composer state (cURL vs Visual mode)
  * - Sending requests and handling responses
  * - Syncing between cURL and visual form representations
+ * - Running and importing scripts with several cURL commands
+ * - Writing the request as code for other languages
  */
 
 import { ref, computed, watch } from 'vue'
@@ -12,13 +14,22 @@ import { BaseController } from './BaseController.js'
 import { useCollections } from '../stores/useCollections.js'
 import { useEnvironments } from '../stores/useEnvironments.js'
 import { useConversations } from '../stores/useConversations.js'
-import { useVariableInterpolation } from '../composables/useVariableInterpolation.js'
-import { FetchHttpClient } from '../core/http/FetchHttpClient.js'
-import { curlToRequest, validateCurlInput } from '../utils/curlParser.js'
+import { useVariableScopes } from '../stores/useVariableScopes.js'
+import requestExecutionService, { findInheritedAuth } from '../services/RequestExecutionService.js'
+import oauth2Service from '../services/OAuth2Service.js'
+import { parseCurl, mergeProtocolProfileBehavior, validateCurlInput } from '../utils/curlParser.js'
+import { detectShellDialect } from '../utils/shellTokenizer.js'
+import { listShellVariables, replaceShellVariables } from '../utils/shellVariables.js'
+import { splitCurlCommands } from '../utils/curlScript.js'
 import { requestToCurl, requestToDisplay } from '../utils/curlGenerator.js'
-import { createRequest, createKeyValue, createRequestBody, createUrl } from '../models/types.js'
+import { createRequest, createKeyValue, createRequestBody, createUrl, createAuthState } from '../models/types.js'
 import { validateCurl } from '../ace/curl-validator.js'
 import { PostmanScriptRunner } from '../core/scripting/PostmanScriptRunner.js'
+import { CollectionRunner } from '../core/runner/CollectionRunner.js'
+import { ScriptSandbox } from '../core/scripting/ScriptSandbox.js'
+import { loadSettings } from '../utils/settingsUtils.js'
+import { parseDataFile, createDataFile } from '../core/runner/dataFile.js'
+import { generateCode } from '../core/codegen/index.js'
 
 export class ChatController extends BaseController {
   constructor() {
@@ -28,12 +39,18 @@ export class ChatController extends BaseController {
     this.collectionsStore = useCollections()
     this.environmentsStore = useEnvironments()
     this.conversationsStore = useConversations()
+    this.variableScopes = useVariableScopes()
 
-    // Composables
-    this.variableInterpolation = useVariableInterpolation()
+    // Shared send path (settings + per-request overrides)
+    this.requestExecutor = requestExecutionService
+    // Gets and refreshes OAuth 2.0 tokens before sends
+    this.oauth2Service = oauth2Service
 
-    // HTTP client
-    this.httpClient = new FetchHttpClient()
+    // Abort controller for the send in progress (see cancelRequest)
+    this.abortController = null
+
+    // Composer mode the code view was opened from
+    this.modeBeforeCode = null
 
     this.init()
   }
@@ -61,12 +78,7 @@ export class ChatController extends BaseController {
       },
 
       // Auth configuration
-      auth: {
-        type: 'none',
-        bearer: { token: '' },
-        basic: { username: '', password: '' },
-        apikey: { key: 'X-API-Key', value: '', in: 'header' }
-      },
+      auth: createAuthState(),
 
       // Script configuration
       script: {
@@ -74,6 +86,12 @@ export class ChatController extends BaseController {
         postRequest: ''
       },
 
+      // Per-request settings overrides (Postman protocolProfileBehavior)
+      protocolProfileBehavior: {},
+
+      // Data file attached to this request ({ name, format, content }), sent once per row
+      dataFile: null,
+
       // Active visual tab (headers, body, params)
       activeVisualTab: 'params',
 
@@ -96,9 +114,12 @@ export class ChatController extends BaseController {
     this.createWatcher(
       () => this.state.composerMode,
       (newMode, oldMode) => {
+        if (newMode === 'code') this.modeBeforeCode = oldMode
+
         // Sync between curl and visual modes
-        // Script mode and AI mode are independent and don't require syncing
-        if (oldMode === 'curl' && newMode === 'visual') {
+        // Script mode and AI mode are independent and don't require syncing;
+        // code mode writes the visual form, so it needs the cURL read in
+        if (oldMode === 'curl' && (newMode === 'visual' || newMode === 'code')) {
           this.syncCurlToVisual()
         } else if (oldMode === 'visual' && newMode === 'curl') {
           this.syncVisualToCurl()
@@ -107,8 +128,11 @@ export class ChatController extends BaseController {
           this.syncVisualToCurl()
         } else if (oldMode === 'script' && newMode === 'visual') {
           // Visual form already has current state, no sync needed
-        } else if (oldMode === 'ai' && newMode === 'visual') {
-          // When leaving AI mode to visual, sync from curl if we have curl input
+        } else if (oldMode === 'code' && newMode === 'curl') {
+          // The cURL is only stale when the visual form was used before the code view
+          if (this.modeBeforeCode !== 'curl') this.syncVisualToCurl()
+        } else if (oldMode === 'ai' && (newMode === 'visual' || newMode === 'code')) {
+          // When leaving AI mode to visual or code, sync from curl if we have curl input
           if (this.state.curlInput.trim()) {
             this.syncCurlToVisual()
           }
@@ -116,6 +140,22 @@ export class ChatController extends BaseController {
         // Note: ai → curl doesn't need syncing as curlInput is set directly
       }
     )
+
+    // Collection variables resolve from the collection of the loaded request
+    this.createWatcher(
+      () => this.state.currentCollectionId,
+      (collectionId) => {
+        this.variableScopes.setActiveCollection(collectionId)
+      },
+      { immediate: true }
+    )
+
+    // Columns of the data file resolve in the editors, previewing the first row
+    this.createWatcher(
+      () => [this.state.dataFile, this.state.currentRequestId],
+      () => this.previewDataRow(),
+      { immediate: true }
+    )
   }
 
   /**
@@ -136,7 +176,7 @@ export class ChatController extends BaseController {
    * Set composer mode
    */
   setComposerMode(mode) {
-    if (mode === 'curl' || mode === 'visual' || mode === 'script' || mode === 'ai') {
+    if (['curl', 'visual', 'script', 'code', 'ai'].includes(mode)) {
       this.state.composerMode = mode
     }
   }
@@ -155,7 +195,8 @@ export class ChatController extends BaseController {
     if (!this.state.curlInput.trim()) return
 
     try {
-      const request = curlToRequest(this.state.curlInput)
+      const { request, protocolProfileBehavior } = parseCurl(this.state.curlInput)
+      const keepsInheritedAuth = this.state.auth?.type === 'inherit' && this.takeInheritedAuth(request)
 
       this.state.method = request.method || 'GET'
       this.state.url = request.url?.raw || ''
@@ -184,23 +225,19 @@ export class ChatController extends BaseController {
         }
       }
 
-      // Auth
-      if (request.auth && request.auth.type) {
-        this.state.auth = {
-          type: request.auth.type,
-          bearer: request.auth.bearer || { token: '' },
-          basic: request.auth.basic || { username: '', password: '' },
-          apikey: request.auth.apikey || { key: 'X-API-Key', value: '', in: 'header' }
-        }
-      } else {
-        this.state.auth = {
-          type: 'none',
-          bearer: { token: '' },
-          basic: { username: '', password: '' },
-          apikey: { key: 'X-API-Key', value: '', in: 'header' }
-        }
+      // Auth (cURL has no form for OAuth 2.0 or Hawk settings, so those are kept)
+      if (keepsInheritedAuth) {
+        // The cURL shows the inherited auth unchanged
+      } else if (request.auth?.type || !['oauth2', 'hawk'].includes(this.state.auth?.type)) {
+        this.state.auth = createAuthState(request.auth || { type: 'none' })
       }
 
+      // -k, -L, --max-redirs and --max-time
+      this.state.protocolProfileBehavior = mergeProtocolProfileBehavior(
+        this.state.protocolProfileBehavior,
+        protocolProfileBehavior
+      )
+
       this.logger.debug('Synced cURL to visual')
     } catch (error) {
       this.logger.error('Failed to sync cURL to visual:', error)
@@ -211,11 +248,58 @@ export class ChatController extends BaseController {
    * Sync visual form to cURL input
    */
   syncVisualToCurl() {
-    const request = this.buildRequestFromVisual()
-    this.state.curlInput = requestToCurl(request)
+    const request = this.withEffectiveAuth(this.buildRequestFromVisual())
+    this.state.curlInput = requestToCurl(request, { protocolProfileBehavior: this.state.protocolProfileBehavior })
     this.logger.debug('Synced visual to cURL')
   }
 
+  /**
+   * Get the auth the current request inherits from its folders or collection
+   * @returns {object|null} { auth, level, name } from findInheritedAuth()
+   */
+  getInheritedAuth() {
+    const { currentCollectionId, currentRequestId } = this.state
+    const collection = currentCollectionId ? this.collectionsStore.getCollection(currentCollectionId) : null
+    if (!collection) return null
+
+    const folders = currentRequestId
+      ? this.collectionsStore.getItemAncestors(currentCollectionId, currentRequestId)
+      : []
+    return findInheritedAuth({ collection, folders })
+  }
+
+  /**
+   * Replace inherited auth with the auth that will be sent
+   * @param {object} request - Request built from the composer
+   * @returns {object}
+   */
+  withEffectiveAuth(request) {
+    if (request.auth?.type !== 'inherit') return request
+    return { ...request, auth: this.getInheritedAuth()?.auth || null }
+  }
+
+  /**
+   * Whether a parsed cURL request carries exactly the auth the request inherits
+   * The cURL view shows inherited auth, so reading it back must not make it the
+   * request's own. An inherited API key header is removed from the parsed headers.
+   * @param {object} request - Request parsed from cURL (headers may be changed)
+   * @returns {boolean}
+   */
+  takeInheritedAuth(request) {
+    const inherited = this.getInheritedAuth()?.auth || null
+
+    if (inherited?.type === 'apikey' && inherited.apikey?.in !== 'query' && !request.auth) {
+      const index = (request.header || []).findIndex(h =>
+        h.key === inherited.apikey.key && h.value === inherited.apikey.value)
+      if (index === -1) return !inherited.apikey.key || !inherited.apikey.value
+      request.header.splice(index, 1)
+      return true
+    }
+
+    const authToCurl = (auth) => requestToCurl({ url: '', auth })
+    return authToCurl(request.auth) === authToCurl(inherited)
+  }
+
   /**
    * Build a Postman request object from visual form state
    */
@@ -246,6 +330,21 @@ export class ChatController extends BaseController {
     }
   }
 
+  /**
+   * Write the composed request as code
+   * @param {string} generatorId - Id from getCodeGenerators()
+   * @param {boolean} resolveVariables - Write variable values instead of {{variables}}
+   * @returns {{code: string, warnings: string[]}}
+   */
+  getRequestCode(generatorId, resolveVariables = false) {
+    const request = {
+      ...this.withEffectiveAuth(this.buildRequestFromVisual()),
+      protocolProfileBehavior: this.state.protocolProfileBehavior
+    }
+    const interpolate = resolveVariables ? (text) => this.interpolateWithLocals(text) : null
+    return generateCode(request, generatorId, { interpolate })
+  }
+
   /**
    * Load a request from a collection into the composer
    */
@@ -300,22 +399,17 @@ export class ChatController extends BaseController {
     }
 
     // Auth
-    if (request.auth && request.auth.type) {
-      this.state.auth = {
-        type: request.auth.type,
-        bearer: request.auth.bearer || { token: '' },
-        basic: request.auth.basic || { username: '', password: '' },
-        apikey: request.auth.apikey || { key: 'X-API-Key', value: '', in: 'header' }
-      }
-    } else {
-      this.state.auth = {
-        type: 'none',
-        bearer: { token: '' },
-        basic: { username: '', password: '' },
-        apikey: { key: 'X-API-Key', value: '', in: 'header' }
-      }
+    this.state.auth = createAuthState(request.auth)
+
+    // Settings overrides (stored on the item by Postman, on the request by older imports)
+    this.state.protocolProfileBehavior = {
+      ...(request.protocolProfileBehavior || {}),
+      ...(requestItem.protocolProfileBehavior || {})
     }
 
+    // Data file for data-driven sends
+    this.state.dataFile = requestItem.dataFile || null
+
     // Scripts - extract from Postman event array
     this.state.script = {
       preRequest: '',
@@ -362,6 +456,53 @@ export class ChatController extends BaseController {
     this.state.curlInput = value
   }
 
+  /**
+   * Shell variables ($VAR, ${VAR}) in the cURL input, as pasted from API docs
+   * @returns {Array<{name: string, key: string|null}>} key is the active environment's variable of that name, if any
+   */
+  getShellVariables() {
+    const keys = this.getEnvironmentVariableKeys()
+    return listShellVariables(this.state.curlInput).map(name => ({
+      name,
+      key: keys.includes(name) ? name : null
+    }))
+  }
+
+  /**
+   * Keys of the active environment's variables
+   * @returns {string[]}
+   */
+  getEnvironmentVariableKeys() {
+    const environment = this.environmentsStore.activeEnvironment.value
+    return (environment?.values || []).map(variable => variable.key).filter(Boolean)
+  }
+
+  /**
+   * Rewrite the cURL input's shell variables as {{variables}}
+   * Variables the active environment lacks are created in it.
+   * @param {Object} choices - { [shell name]: { key, value } }; value is used for created variables
+   * @returns {string[]} Keys of the created variables
+   */
+  convertShellVariables(choices = {}) {
+    const environment = this.environmentsStore.activeEnvironment.value
+    const existing = this.getEnvironmentVariableKeys()
+    const keys = {}
+    const created = []
+
+    for (const { name } of this.getShellVariables()) {
+      const key = choices[name]?.key || name
+      keys[name] = key
+      if (environment && !existing.includes(key) && !created.includes(key)) {
+        this.environmentsStore.addVariable(environment.id, key, choices[name]?.value || '')
+        created.push(key)
+      }
+    }
+
+    this.state.curlInput = replaceShellVariables(this.state.curlInput, keys)
+    this.logger.debug('Converted shell variables:', keys)
+    return created
+  }
+
   /**
    * Update visual form field
    */
@@ -418,34 +559,31 @@ export class ChatController extends BaseController {
       return
     }
 
+    // A script with several commands runs them in order
+    if (this.state.composerMode === 'curl' && this.getCurlCommands().length > 1) {
+      await this.runCurlCommands()
+      return
+    }
+
     // Validate cURL input before sending (only in curl mode)
+    let convertedDialect = null
     if (this.state.composerMode === 'curl' && this.state.curlInput.trim()) {
-      const validationErrors = validateCurl(this.state.curlInput)
-      // Filter to only blocking errors (not warnings)
-      const blockingErrors = validationErrors.filter(e => e.type === 'error')
-
-      if (blockingErrors.length > 0) {
-        this.logger.warn('cURL validation failed:', blockingErrors)
-
-        // Still add the request bubble to show the student's attempt
-        // Build a minimal request object for display
-        const attemptedRequest = {
-          method: 'GET',
-          url: { raw: this.state.curlInput },
-          header: [],
-          body: null
-        }
-        this.conversationsStore.addRequest(attemptedRequest, this.state.curlInput)
-
-        // Then add validation error message to conversation
-        this.conversationsStore.addValidationError(validationErrors, this.state.curlInput)
+      const { blocked, dialect } = this.reportCurlProblems(this.state.curlInput)
+      if (blocked) {
         return // Don't actually send the request
       }
+      if (dialect !== 'posix') {
+        convertedDialect = dialect
+      }
     }
 
     this.state.isLoading = true
     this.state.requestError = null
 
+    const abortController = new AbortController()
+    this.abortController = abortController
+    const { signal } = abortController
+
     try {
       // Build request from current state
       let request
@@ -453,108 +591,30 @@ export class ChatController extends BaseController {
         // Sync curl to visual first
         this.syncCurlToVisual()
         request = this.buildRequestFromVisual()
-      } else {
-        request = this.buildRequestFromVisual()
-      }
 
-      // Generate cURL for message display
-      const curlString = requestToCurl(request)
-
-      // Add request message to conversation
-      this.conversationsStore.addRequest(request, curlString)
-
-      // Interpolate variables
-      const interpolatedUrl = this.variableInterpolation.interpolateText(request.url?.raw || '')
-      const interpolatedHeaders = (request.header || []).map(h => ({
-        ...h,
-        key: this.variableInterpolation.interpolateText(h.key || ''),
-        value: this.variableInterpolation.interpolateText(h.value || '')
-      }))
-
-      // Add auth headers based on request.auth configuration
-      if (request.auth?.type && request.auth.type !== 'none') {
-        const authType = request.auth.type
-
-        if (authType === 'bearer' && request.auth.bearer?.token) {
-          const token = this.variableInterpolation.interpolateText(request.auth.bearer.token)
-          if (token) {
-            interpolatedHeaders.push({
-              key: 'Authorization',
-              value: `Bearer ${token}`,
-              enabled: true
-            })
-          }
-        } else if (authType === 'basic' && request.auth.basic) {
-          const username = this.variableInterpolation.interpolateText(request.auth.basic.username || '')
-          const password = this.variableInterpolation.interpolateText(request.auth.basic.password || '')
-          if (username || password) {
-            const credentials = btoa(`${username}:${password}`)
-            interpolatedHeaders.push({
-              key: 'Authorization',
-              value: `Basic ${credentials}`,
-              enabled: true
-            })
-          }
-        } else if (authType === 'apikey' && request.auth.apikey) {
-          const apiKey = request.auth.apikey
-          const keyName = this.variableInterpolation.interpolateText(apiKey.key || 'X-API-Key')
-          const keyValue = this.variableInterpolation.interpolateText(apiKey.value || '')
-          if (keyValue && apiKey.in === 'header') {
-            interpolatedHeaders.push({
-              key: keyName,
-              value: keyValue,
-              enabled: true
-            })
-          }
+        // Show the converted command in the editor
+        if (convertedDialect) {
+          this.syncVisualToCurl()
         }
+      } else {
+        request = this.buildRequestFromVisual()
       }
 
-      // Interpolate query parameters
-      const interpolatedParams = (request.url?.query || []).map(p => ({
-        ...p,
-        key: this.variableInterpolation.interpolateText(p.key || ''),
-        value: this.variableInterpolation.interpolateText(p.value || '')
-      }))
-
-      let interpolatedBody = null
-      if (request.body?.mode === 'raw') {
-        interpolatedBody = this.variableInterpolation.interpolateText(request.body.raw)
-      } else if (request.body?.mode === 'formdata') {
-        interpolatedBody = (request.body.formdata || []).map(item => ({
-          ...item,
-          key: this.variableInterpolation.interpolateText(item.key || ''),
-          value: this.variableInterpolation.interpolateText(item.value || '')
-        }))
-      } else if (request.body?.mode === 'urlencoded') {
-        interpolatedBody = (request.body.urlencoded || []).map(item => ({
-          ...item,
-          key: this.variableInterpolation.interpolateText(item.key || ''),
-          value: this.variableInterpolation.interpolateText(item.value || '')
-        }))
-      }
-
-      this.logger.debug('Sending request:', {
-        method: request.method,
-        url: interpolatedUrl,
-        params: interpolatedParams
+      // Generate cURL for message display, with the auth that will be sent
+      const curlString = requestToCurl(this.withEffectiveAuth(request), {
+        protocolProfileBehavior: this.state.protocolProfileBehavior
       })
 
-      // Send HTTP request
-      const response = await this.httpClient.send({
-        method: request.method,
-        url: interpolatedUrl,
-        params: interpolatedParams,
-        headers: interpolatedHeaders,
-        body: interpolatedBody,
-        bodyType: request.body?.mode
-      })
+      // With a data file attached, send once per row
+      const dataFile = this.getDataFile()
+      const rows = dataFile ? parseDataFile(dataFile) : []
 
-      // Add response message to conversation
-      this.conversationsStore.addResponse(response)
+      const completed = rows.length > 0
+        ? await this.executeDataSend(request, curlString, dataFile, rows, signal)
+        : (await this.executeSend(request, curlString, signal)).completed
 
-      // Execute post-request script if present
-      if (this.state.script.postRequest?.trim()) {
-        await this.executePostRequestScript(response)
+      if (!completed) {
+        return
       }
 
       // Auto-save to collection if linked
@@ -568,7 +628,7 @@ export class ChatController extends BaseController {
         // Errors are already logged in autoNameRequest, no need to log again
       })
 
-      this.logger.info('Request completed:', response.status)
+      this.logger.info('Request completed')
 
     } catch (error) {
       this.logger.error('Request failed:', error)
@@ -585,106 +645,467 @@ export class ChatController extends BaseController {
       })
     } finally {
       this.state.isLoading = false
+      if (this.abortController === abortController) {
+        this.abortController = null
+      }
     }
   }
 
   /**
-   * Execute post-request script after receiving a response
-   * @param {object} response - The HTTP response object
+   * Validate a cURL command before it is sent
+   * Blocking errors add the attempted request and the errors to the conversation.
+   * Otherwise flags that cannot be applied, and commands converted from another
+   * shell, are reported and the command may be sent.
+   * @param {string} curlInput - cURL command
+   * @returns {{blocked: boolean, dialect: string}} dialect is a key of SHELL_DIALECTS
    */
-  async executePostRequestScript(response) {
-    const scriptContent = this.state.script.postRequest
-    if (!scriptContent?.trim()) return
+  reportCurlProblems(curlInput) {
+    const validationErrors = validateCurl(curlInput)
+    const dialect = detectShellDialect(curlInput)
+    // Filter to only blocking errors (not warnings)
+    const blockingErrors = validationErrors.filter(e => e.type === 'error')
+
+    if (blockingErrors.length > 0) {
+      this.logger.warn('cURL validation failed:', blockingErrors)
+
+      // Still add the request bubble to show the student's attempt
+      // Build a minimal request object for display
+      const attemptedRequest = {
+        method: 'GET',
+        url: { raw: curlInput },
+        header: [],
+        body: null
+      }
+      this.conversationsStore.addRequest(attemptedRequest, curlInput)
 
-    this.logger.debug('Executing post-request script')
+      // Then add validation error message to conversation
+      this.conversationsStore.addValidationError(validationErrors, curlInput, dialect)
+      return { blocked: true, dialect }
+    }
+
+    // Flags that are valid cURL but cannot be applied are reported, and the request is sent without them;
+    // commands copied for another shell are converted, which is reported too
+    const notApplied = [...validationErrors, ...parseCurl(curlInput).warnings]
+    if (notApplied.length > 0 || dialect !== 'posix') {
+      this.conversationsStore.addValidationError(notApplied, curlInput, dialect)
+    }
+    return { blocked: false, dialect }
+  }
+
+  /**
+   * The commands of the cURL input, which may be a script with several
+   * @returns {Array<object>} From splitCurlCommands()
+   */
+  getCurlCommands() {
+    return splitCurlCommands(this.state.curlInput)
+  }
+
+  /**
+   * Send commands of a cURL script in order, each as its own exchange in the conversation
+   * Commands are sent as written, without the scripts of the request open in the
+   * composer or its collection; an invalid command stops the sequence.
+   * @param {number[]|null} indexes - Indexes into getCurlCommands() (all when null)
+   * @returns {Promise<number>} How many commands were sent
+   */
+  async runCurlCommands(indexes = null) {
+    if (this.state.isLoading) {
+      this.logger.warn('Request already in progress')
+      return 0
+    }
+
+    const commands = this.getCurlCommands()
+    const selected = indexes ? indexes.map(index => commands[index]).filter(Boolean) : commands
+    if (selected.length === 0) return 0
+
+    this.state.isLoading = true
+    this.state.requestError = null
+
+    const abortController = new AbortController()
+    this.abortController = abortController
+    const { signal } = abortController
+    let sent = 0
 
     try {
-      // Build environment accessor functions
-      const environmentAccessor = {
-        get: (key) => {
-          return this.environmentsStore.getVariable(key)
-        },
-        set: (key, value) => {
-          this.environmentsStore.setVariable(key, String(value))
-        },
-        unset: (key) => {
-          this.environmentsStore.unsetVariable(key)
-        },
-        has: (key) => {
-          return this.environmentsStore.getVariable(key) !== undefined
-        }
+      for (const command of selected) {
+        if (signal.aborted) break
+        if (this.reportCurlProblems(command.text).blocked) break
+
+        const { request, protocolProfileBehavior } = parseCurl(command.text)
+        const curlString = requestToCurl(request, { protocolProfileBehavior })
+        // Without auth flags the command sends no auth, as in the composer
+        await this.executeSend({ ...request, auth: request.auth || { type: 'none' } }, curlString, signal, {}, protocolProfileBehavior, { scripts: false })
+        sent++
       }
 
-      // Get request name for pm.info
-      let requestName = 'Request'
-      if (this.state.currentRequestId && this.state.currentCollectionId) {
-        const requestItem = this.collectionsStore.getRequest(
-          this.state.currentCollectionId,
-          this.state.currentRequestId
-        )
-        if (requestItem) {
-          requestName = requestItem.name
-        }
-      }
+      this.logger.info(`Sent ${sent} of ${selected.length} cURL commands`)
+    } catch (error) {
+      this.logger.error('Request failed:', error)
+      this.state.requestError = error.message
 
-      // Create the script runner with environment store
-      const runner = new PostmanScriptRunner({
-        environmentStore: this.environmentsStore,
-        logger: this.logger
+      this.conversationsStore.addResponse({
+        status: 0,
+        statusText: 'Error',
+        error: error.message,
+        success: false,
+        time: 0,
+        size: 0
       })
+    } finally {
+      this.state.isLoading = false
+      if (this.abortController === abortController) {
+        this.abortController = null
+      }
+    }
 
-      // Execute the script with response context
-      const result = runner.execute({
-        script: scriptContent,
-        response: {
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers || {},
-          body: response.body,
-          time: response.time
-        },
-        requestName
-      })
+    return sent
+  }
 
-      // Add console log messages to conversation if any
-      if (result.consoleLogs && result.consoleLogs.length > 0) {
-        this.conversationsStore.addConsoleLogs(result.consoleLogs)
+  /**
+   * Add each command of the cURL input to a collection as a request
+   * Requests are named after the comment above their command, else after the method and path.
+   * @param {string} collectionId - Target collection
+   * @param {string|null} folderId - Optional target folder
+   * @returns {Array<object>} The created items
+   */
+  importCurlCommands(collectionId, folderId = null) {
+    const items = []
+
+    for (const command of this.getCurlCommands()) {
+      const { request, protocolProfileBehavior } = parseCurl(command.text)
+      const item = this.collectionsStore.addRequest(collectionId, {
+        name: command.label || this.getCommandName(request),
+        request
+      }, folderId)
+      if (!item) break
+
+      if (Object.keys(protocolProfileBehavior).length > 0) {
+        this.collectionsStore.updateRequest(collectionId, item.id, { protocolProfileBehavior })
       }
+      items.push(item)
+    }
+
+    this.logger.info(`Imported ${items.length} cURL commands`)
+    return items
+  }
+
+  /**
+   * Name for a request without one: method and path, e.g. "POST /users"
+   * @param {object} request - Parsed request
+   * @returns {string}
+   */
+  getCommandName(request) {
+    const path = (request.url?.raw || '').replace(/^(\{\{[^}]+\}\}|[a-z]+:\/\/[^/]*)/i, '').split('?')[0]
+    return `${request.method || 'GET'} ${path || '/'}`
+  }
 
-      // Add environment change messages to conversation if any
-      if (result.environmentChanges && result.environmentChanges.length > 0) {
-        const activeEnv = this.environmentsStore.activeEnvironment
-        this.conversationsStore.addEnvChanges(
-          result.environmentChanges,
-          activeEnv?.name || '',
-          !!activeEnv
-        )
+  /**
+   * Send a request once: pre-request scripts, interpolation, send, test scripts
+   * Adds the request, response and script messages to the conversation.
+   * @param {object} request - Request built from the composer
+   * @param {string} curlString - cURL shown in the request bubble
+   * @param {AbortSignal} signal - Cancels the send
+   * @param {object} info - { iteration, iterationCount } for pm.info
+   * @param {object} protocolProfileBehavior - Per-request settings (default: the composer's)
+   * @param {object} options - { scripts: false } sends without the pre-request and test scripts
+   * @returns {Promise<object>} { completed, response, tests, error }
+   */
+  async executeSend(request, curlString, signal, info = {}, protocolProfileBehavior = this.state.protocolProfileBehavior, { scripts = true } = {}) {
+    const outcome = { completed: false, response: null, tests: [], error: null }
+
+    // Add request message to conversation
+    this.conversationsStore.addRequest(request, curlString)
+
+    // The same pipeline as collection runs, with scripts and responses added to the conversation
+    const { collection, entry } = this.getComposerEntry(request, protocolProfileBehavior)
+    const result = await this.createRunner().runRequest(entry, {
+      collection,
+      info,
+      signal,
+      phases: scripts ? ['prerequest', 'test'] : [],
+      onScriptResult: (scriptResult) => this.recordScriptResult(scriptResult),
+      onResponse: (response, sent) => {
+        this.conversationsStore.addResponse(response)
+        outcome.response = response
+        outcome.completed = sent && !response.cancelled
       }
+    })
+    outcome.tests = result.tests
 
-      // Add test results message to conversation if there are tests
-      if ((result.tests && result.tests.length > 0) || result.error) {
-        this.conversationsStore.addScriptResults({
-          tests: result.tests || [],
-          duration: result.duration || 0,
-          error: result.error
+    if (outcome.response?.cancelled) {
+      this.logger.info('Request cancelled')
+      outcome.error = 'Request cancelled'
+    } else if (outcome.completed) {
+      outcome.error = outcome.response.error || result.error
+    } else {
+      this.logger.warn('Request not sent:', result.error)
+      outcome.error = result.error
+    }
+    outcome.error = outcome.error || null
+
+    return outcome
+  }
+
+  /**
+   * Send a request once per data file row
+   * Each row is the data scope for its send ({{column}}, pm.iterationData) and
+   * starts a group in the conversation; a summary follows the last row.
+   * @param {object} request - Request built from the composer
+   * @param {string} curlString - cURL shown in the request bubbles
+   * @param {object} dataFile - The attached data file
+   * @param {Array<object>} rows - Parsed rows
+   * @param {AbortSignal} signal - Cancels the remaining rows
+   * @returns {Promise<boolean>} Whether any row got a response
+   */
+  async executeDataSend(request, curlString, dataFile, rows, signal) {
+    const rowResults = []
+
+    try {
+      for (let index = 0; index < rows.length && !signal.aborted; index++) {
+        this.conversationsStore.addDataRow(index, rows.length, rows[index])
+        this.variableScopes.setDataVariables(rows[index])
+
+        const outcome = await this.executeSend(request, curlString, signal, {
+          iteration: index,
+          iterationCount: rows.length
+        })
+
+        const failed = outcome.tests.filter(t => !t.passed).length
+        rowResults.push({
+          index,
+          status: outcome.response?.status || 0,
+          passed: outcome.tests.length - failed,
+          failed,
+          error: outcome.error,
+          completed: outcome.completed
         })
       }
+    } finally {
+      this.previewDataRow()
+    }
+
+    this.conversationsStore.addDataSummary({
+      fileName: dataFile.name,
+      rows: rowResults,
+      cancelled: signal.aborted
+    })
 
-      // Log summary
-      const tests = result.tests || []
-      const envChanges = result.environmentChanges || []
-      const passed = tests.filter(t => t.passed).length
-      const failed = tests.filter(t => !t.passed).length
-      this.logger.info(`Script executed: ${passed} passed, ${failed} failed, ${envChanges.length} env changes`)
+    this.logger.info(`Data-driven send finished: ${rowResults.length} of ${rows.length} rows`)
+    return rowResults.some(r => r.completed)
+  }
+
+  /**
+   * Cancel the send in progress
+   * Aborts the HTTP request and any scripts still queued for that send
+   */
+  cancelRequest() {
+    if (!this.state.isLoading || !this.abortController) {
+      return
+    }
+
+    this.logger.info('Cancelling request')
+    this.abortController.abort()
+  }
+
+  /**
+   * Get the data file for sends: the request's own, else the nearest folder's
+   * @returns {object|null} { name, format, content, inherited }
+   */
+  getDataFile() {
+    if (this.state.dataFile) {
+      return { ...this.state.dataFile, inherited: false }
+    }
+
+    const { currentCollectionId, currentRequestId } = this.state
+    if (!currentCollectionId || !currentRequestId) return null
+
+    const folder = this.collectionsStore.getItemAncestors(currentCollectionId, currentRequestId)
+      .reverse()
+      .find(f => f.dataFile)
+    return folder ? { ...folder.dataFile, inherited: true, folderName: folder.name } : null
+  }
+
+  /**
+   * Describe the data file for the composer
+   * @returns {object|null} { name, rowCount, inherited, folderName, error }
+   */
+  getDataFileInfo() {
+    const dataFile = this.getDataFile()
+    if (!dataFile) return null
+
+    const info = { name: dataFile.name, rowCount: 0, inherited: dataFile.inherited, folderName: dataFile.folderName, error: null }
+    try {
+      info.rowCount = parseDataFile(dataFile).length
+    } catch (error) {
+      info.error = error.message
+    }
+    return info
+  }
 
+  /**
+   * Use the first row of the data file as the data scope between sends
+   */
+  previewDataRow() {
+    const dataFile = this.getDataFile()
+    let firstRow = null
+    try {
+      firstRow = dataFile ? parseDataFile(dataFile)[0] : null
     } catch (error) {
-      this.logger.error('Script execution error:', error)
+      this.logger.warn('Invalid data file:', error.message)
+    }
+    this.variableScopes.setDataVariables(firstRow)
+  }
+
+  /**
+   * Attach a CSV or JSON data file to the current request
+   * Saved to the collection right away when the request is linked.
+   * @param {File} file - Selected file
+   * @returns {Promise<object>} { success, data: dataFile } or { success: false, error }
+   */
+  async attachDataFile(file) {
+    return this.executeAsync(async () => {
+      const content = await file.text()
+      const { rowCount, ...dataFile } = createDataFile(file.name, content)
+      this.state.dataFile = dataFile
+      this.persistDataFile()
+      this.logger.info(`Attached data file ${file.name} (${rowCount} rows)`)
+      return { ...dataFile, rowCount }
+    }, 'Failed to attach data file')
+  }
+
+  /**
+   * Remove the current request's data file
+   */
+  detachDataFile() {
+    this.state.dataFile = null
+    this.persistDataFile()
+  }
+
+  /**
+   * Save the data file of a linked request
+   */
+  persistDataFile() {
+    if (this.state.currentRequestId && this.state.currentCollectionId) {
+      this.collectionsStore.updateRequest(this.state.currentCollectionId, this.state.currentRequestId, {
+        dataFile: this.state.dataFile
+      })
+    }
+  }
+
+  /**
+   * Interpolate {{variables}} across all scopes, send-local variables first
+   * @param {string} text - Text containing variables
+   * @param {object} localVariables - Variables set by pm.variables during this send
+   * @returns {string}
+   */
+  interpolateWithLocals(text, localVariables = {}) {
+    return this.variableScopes.interpolateString(text, { local: localVariables })
+  }
+
+  /**
+   * Get the name of the linked collection request for pm.info
+   */
+  getRequestName() {
+    if (this.state.currentRequestId && this.state.currentCollectionId) {
+      const requestItem = this.collectionsStore.getRequest(
+        this.state.currentCollectionId,
+        this.state.currentRequestId
+      )
+      if (requestItem) {
+        return requestItem.name
+      }
+    }
+    return 'Request'
+  }
 
-      // Add error result to conversation
+  /**
+   * The composer's request as a run entry, with its collection and ancestor folders
+   * for the collection and folder scripts and inherited auth
+   * @param {object} request - Request built from the composer
+   * @param {object} protocolProfileBehavior - Per-request settings
+   * @returns {{collection: object|null, entry: object}} entry as from collectRunItems()
+   */
+  getComposerEntry(request, protocolProfileBehavior) {
+    const { currentCollectionId, currentRequestId } = this.state
+    const collection = currentCollectionId ? this.collectionsStore.getCollection(currentCollectionId) : null
+    const folders = collection && currentRequestId
+      ? this.collectionsStore.getItemAncestors(currentCollectionId, currentRequestId)
+      : []
+
+    const event = [
+      PostmanScriptRunner.createEventFromScript(this.state.script.preRequest, 'prerequest'),
+      PostmanScriptRunner.createEventFromScript(this.state.script.postRequest, 'test')
+    ].filter(Boolean)
+
+    return {
+      collection,
+      entry: {
+        id: currentRequestId,
+        name: this.getRequestName(),
+        path: folders.map(f => f.name).join(' / '),
+        method: request.method || 'GET',
+        item: { request, event, protocolProfileBehavior },
+        folders
+      }
+    }
+  }
+
+  /**
+   * Create a runner that sends through the shared execution service, with the
+   * composer's variables, script sandbox and OAuth 2.0 tokens
+   * @returns {CollectionRunner}
+   */
+  createRunner() {
+    return new CollectionRunner({
+      requestExecutor: this.requestExecutor,
+      createSandbox: () => this.createScriptSandbox(),
+      interpolate: (text, localVariables) => this.interpolateWithLocals(text, localVariables),
+      authorize: (request, { interpolate }) => this.oauth2Service.authorizeRequest(request, {
+        collectionId: this.state.currentCollectionId,
+        interpolate
+      }),
+      logger: this.logger
+    })
+  }
+
+  /**
+   * Create a script sandbox using the current script timeout and memory settings
+   * Scripts run in a Web Worker so they cannot reach the app or freeze the UI
+   */
+  createScriptSandbox() {
+    return ScriptSandbox.fromSettings(loadSettings(), {
+      environmentStore: this.environmentsStore,
+      variableScopes: this.variableScopes,
+      logger: this.logger
+    })
+  }
+
+  /**
+   * Add a script's console output, variable changes and test results to the conversation
+   * @param {ScriptResult} result - Result from PostmanScriptRunner
+   */
+  recordScriptResult(result) {
+    // Add console log messages to conversation if any
+    if (result.consoleLogs && result.consoleLogs.length > 0) {
+      this.conversationsStore.addConsoleLogs(result.consoleLogs, result.phase)
+    }
+
+    // Add environment change messages to conversation if any
+    if (result.environmentChanges && result.environmentChanges.length > 0) {
+      const activeEnv = this.environmentsStore.activeEnvironment.value
+      this.conversationsStore.addEnvChanges(
+        result.environmentChanges,
+        activeEnv?.name || '',
+        !!activeEnv || result.environmentChanges.every(c => c.scope !== 'environment')
+      )
+    }
+
+    // Add test results message to conversation if there are tests
+    if ((result.tests && result.tests.length > 0) || result.error) {
       this.conversationsStore.addScriptResults({
-        tests: [],
-        duration: 0,
-        error: error.message || 'Script execution failed'
+        tests: result.tests || [],
+        duration: result.duration || 0,
+        error: result.error,
+        phase: result.phase
       })
     }
   }
@@ -728,7 +1149,8 @@ export class ChatController extends BaseController {
       this.state.currentRequestId,
       {
         request,
-        event: event.length > 0 ? event : undefined
+        event: event.length > 0 ? event : undefined,
+        protocolProfileBehavior: this.state.protocolProfileBehavior
       }
     )
 
@@ -745,16 +1167,13 @@ export class ChatController extends BaseController {
     this.state.headers = []
     this.state.params = []
     this.state.body = { mode: 'none', raw: '', formData: [], urlEncoded: [] }
-    this.state.auth = {
-      type: 'none',
-      bearer: { token: '' },
-      basic: { username: '', password: '' },
-      apikey: { key: 'X-API-Key', value: '', in: 'header' }
-    }
+    this.state.auth = createAuthState()
     this.state.script = {
       preRequest: '',
       postRequest: ''
     }
+    this.state.protocolProfileBehavior = {}
+    this.state.dataFile = null
     this.state.requestError = null
   }
 
@@ -843,21 +1262,7 @@ export class ChatController extends BaseController {
       }
 
       // Auth
-      if (request.auth && request.auth.type) {
-        this.state.auth = {
-          type: request.auth.type,
-          bearer: request.auth.bearer || { token: '' },
-          basic: request.auth.basic || { username: '', password: '' },
-          apikey: request.auth.apikey || { key: 'X-API-Key', value: '', in: 'header' }
-        }
-      } else {
-        this.state.auth = {
-          type: 'none',
-          bearer: { token: '' },
-          basic: { username: '', password: '' },
-          apikey: { key: 'X-API-Key', value: '', in: 'header' }
-        }
-      }
+      this.state.auth = createAuthState(request.auth)
 
       // Restore cURL from last request
       if (lastRequest.data.curl) {
@@ -3,6 +3,11 @@ import { ChatController } from './ChatController.js'
 import { useConversations } from '../stores/useConversations.js'
 import { useCollections } from '../stores/useCollections.js'
 import { useTabs } from '../stores/useTabs.js'
+import { buildConversationRun, REPORT_SCOPES } from '../core/runner/conversationReport.js'
+import { createReport } from '../core/runner/reporters.js'
+import { downloadFile } from '../utils/downloadUtils.js'
+import { exampleFromResponse } from '../utils/exampleUtils.js'
+import { MESSAGE_TYPES } from '../models/Conversation.js'
 
 /**
  * ChatViewController
@@ -13,6 +18,9 @@ import { useTabs } from '../stores/useTabs.js'
  * - Dialog state management
  * - Tab and conversation linkage
  * - View mode coordination
+ * - Test report export
+ * - Saving responses as examples
+ * - Running and importing multi-command cURL scripts
  *
  * Follows MVC pattern by keeping business logic out of Vue components.
  * Wraps ChatController for request/response logic.
@@ -43,6 +51,8 @@ export class ChatViewController extends BaseController {
       // Dialog state
       showSaveDialog: false,
       pendingRequestName: '',
+      // Commands of a cURL script to import with the dialog (0 saves the request)
+      pendingImportCount: 0,
 
       // View mode (split, conversation, composer)
       viewMode: 'split',
@@ -125,7 +135,7 @@ export class ChatViewController extends BaseController {
 
   /**
    * Set composer mode
-   * @param {string} mode - Composer mode (curl, visual, script, ai)
+   * @param {string} mode - Composer mode (curl, visual, script, code, ai)
    */
   setComposerMode(mode) {
     this.state.composerMode = mode
@@ -155,6 +165,65 @@ export class ChatViewController extends BaseController {
     }
   }
 
+  /**
+   * Run commands of a multi-command cURL script
+   * @param {number[]|null} indexes - Commands to run (all when null)
+   */
+  async handleRunCommands(indexes = null) {
+    try {
+      await this.chatController.runCurlCommands(indexes)
+
+      // Show the responses when only the composer is visible
+      if (this.state.viewMode === 'composer') {
+        this.setViewMode('split')
+      }
+    } catch (error) {
+      this.logger.error('Failed to run cURL commands', error)
+      this.emit('error', { message: 'Failed to run cURL commands', error })
+    }
+  }
+
+  /**
+   * Show the dialog to choose where the commands of a cURL script are imported
+   */
+  handleImportCommands() {
+    const count = this.chatController.getCurlCommands().length
+    if (count === 0) return
+
+    this.logger.debug('Showing import dialog', { count })
+    this.state.pendingImportCount = count
+    this.state.showSaveDialog = true
+  }
+
+  /**
+   * Import the commands of a cURL script into the chosen collection or folder
+   * @param {Object} data - Save dialog data ({ collectionId, folderId })
+   * @returns {Object} Result with success status and the created requests
+   */
+  handleImportToCollection(data) {
+    try {
+      const items = this.chatController.importCurlCommands(data.collectionId, data.folderId)
+      this.closeSaveDialog()
+
+      const collectionName = this.collectionsStore.getCollection(data.collectionId)?.name || 'collection'
+      const message = `Imported ${items.length} ${items.length === 1 ? 'request' : 'requests'} to ${collectionName}`
+
+      this.emit('saveSuccess', { message })
+      return { success: true, message, requestIds: items.map(item => item.id) }
+    } catch (error) {
+      this.logger.error('Failed to import cURL commands', error)
+      this.emit('error', { message: 'Failed to import cURL commands', error })
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Cancel the request currently being sent
+   */
+  cancelRequest() {
+    this.chatController.cancelRequest()
+  }
+
   /**
    * Handle saving the current request
    * If already linked to a collection, updates it
@@ -200,11 +269,13 @@ export class ChatViewController extends BaseController {
   closeSaveDialog() {
     this.state.showSaveDialog = false
     this.state.pendingRequestName = ''
+    this.state.pendingImportCount = 0
     this.logger.debug('Save dialog closed')
   }
 
   /**
    * Handle saving a request to a new collection
+   * When the dialog was opened to import a cURL script, imports its commands instead.
    * @param {Object} data - Save dialog data
    * @param {string} data.collectionId - Target collection ID
    * @param {string} data.folderId - Optional folder ID
@@ -212,6 +283,10 @@ export class ChatViewController extends BaseController {
    * @returns {Promise<Object>} Result with success status and saved request
    */
   async handleSaveToCollection(data) {
+    if (this.state.pendingImportCount > 0) {
+      return this.handleImportToCollection(data)
+    }
+
     this.logger.info('Saving to collection', {
       collectionId: data.collectionId,
       requestName: data.requestName
@@ -403,6 +478,74 @@ export class ChatViewController extends BaseController {
     }
   }
 
+  /**
+   * Export test results from the conversation as a report file
+   * @param {Object} options
+   * @param {string} options.scope - 'request', 'batch' or 'session'
+   * @param {string} options.messageId - Message identifying the request or batch
+   * @param {string} options.format - 'json', 'junit' or 'html'
+   */
+  handleExportReport({ scope = REPORT_SCOPES.SESSION, messageId = null, format = 'html' } = {}) {
+    try {
+      const conversation = this.conversationsStore.activeConversation.value
+      const run = buildConversationRun(conversation?.messages || [], {
+        name: conversation?.name || 'Conversation',
+        scope,
+        messageId
+      })
+
+      if (run.summary.requests === 0) {
+        this.emit('error', { message: 'Nothing to report yet - send a request first' })
+        return
+      }
+
+      const report = createReport(run, format)
+      downloadFile(report.content, report.filename, report.mimeType)
+
+      this.logger.info('Exported test report:', report.filename)
+      this.emit('reportExported', { filename: report.filename })
+    } catch (error) {
+      this.logger.error('Failed to export test report', error)
+      this.emit('error', { message: 'Failed to export test report', error })
+    }
+  }
+
+  /**
+   * Whether responses in the active conversation can be saved as examples
+   * (the conversation belongs to a request saved in a collection)
+   * @returns {boolean}
+   */
+  canSaveExamples() {
+    const conversation = this.conversationsStore.activeConversation.value
+    if (!conversation?.requestId || !conversation?.collectionId) return false
+    return !!this.collectionsStore.getRequest(conversation.collectionId, conversation.requestId)
+  }
+
+  /**
+   * Save a response as an example of the conversation's request
+   * The request message before the response is stored as the original request.
+   * @param {Object} responseMessage - Response message
+   * @param {string} name - Example name
+   */
+  handleSaveExample(responseMessage, name) {
+    const conversation = this.conversationsStore.activeConversation.value
+    if (!this.canSaveExamples()) {
+      this.emit('error', { message: 'Save the request to a collection before saving examples' })
+      return null
+    }
+
+    const messages = conversation.messages || []
+    const index = messages.findIndex(m => m.id === responseMessage.id)
+    const requestMessage = messages.slice(0, index).reverse().find(m => m.type === MESSAGE_TYPES.REQUEST)
+
+    const example = exampleFromResponse(responseMessage.data || {}, requestMessage?.data?.request, name)
+    this.collectionsStore.addExample(conversation.collectionId, conversation.requestId, example)
+
+    this.logger.info('Saved response as example:', name)
+    this.emit('exampleSaved', { message: `Saved example "${name}"`, example })
+    return example
+  }
+
   /**
    * Handle loading a cURL command into composer
    * @param {string} curlCommand - The cURL command string
@@ -38,6 +38,19 @@ export class CollectionContextMenuController extends BaseContextMenuController {
       {
         type: 'separator'
       },
+      {
+        action: 'run',
+        label: 'Run',
+        icon: '▶️'
+      },
+      {
+        action: 'settings',
+        label: 'Scripts & Settings',
+        icon: '⚙️'
+      },
+      {
+        type: 'separator'
+      },
       {
         action: 'rename',
         label: 'Rename',
@@ -71,6 +84,10 @@ export class CollectionContextMenuController extends BaseContextMenuController {
         return await this.createRequest(collection)
       case 'create-folder':
         return await this.createFolder(collection)
+      case 'run':
+        return await this.openRunner(collection)
+      case 'settings':
+        return await this.openSettings(collection)
       case 'rename':
         return await this.renameCollection(collection)
       case 'duplicate':
@@ -111,6 +128,32 @@ export class CollectionContextMenuController extends BaseContextMenuController {
     return { action: 'create-folder', dialogRequested: true }
   }
 
+  /**
+   * Open the collection runner for the whole collection
+   */
+  async openRunner(collection) {
+    this.emit('showRunnerDialog', {
+      collectionId: collection.info.id,
+      folderId: null
+    })
+
+    this.logger.info('Requested runner for collection:', collection.info.name)
+    return { action: 'run', dialogRequested: true }
+  }
+
+  /**
+   * Open the collection settings dialog (scripts run before/after every request)
+   */
+  async openSettings(collection) {
+    this.emit('showSettingsDialog', {
+      collectionId: collection.info.id,
+      folderId: null
+    })
+
+    this.logger.info('Requested settings dialog for collection:', collection.info.name)
+    return { action: 'settings', dialogRequested: true }
+  }
+
   /**
    * Rename the collection
    */
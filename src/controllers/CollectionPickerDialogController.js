@@ -27,6 +27,8 @@ export class CollectionPickerDialogController extends BaseController {
     this.createState({
       // Form inputs
       requestName: 'New Request',
+      // Requests of a cURL script being imported; they are named from their commands
+      importCount: 0,
       newCollectionName: '',
       newFolderName: '',
 
@@ -54,7 +56,7 @@ export class CollectionPickerDialogController extends BaseController {
     })
 
     this.createComputed('canSave', () => {
-      const hasRequestName = this.state.requestName.trim().length > 0
+      const hasRequestName = this.state.importCount > 0 || this.state.requestName.trim().length > 0
 
       if (this.state.mode === 'create-collection') {
         return hasRequestName && this.state.newCollectionName.trim().length > 0
@@ -72,8 +74,9 @@ export class CollectionPickerDialogController extends BaseController {
   /**
    * Initialize from props
    */
-  initializeFromProps(requestName) {
+  initializeFromProps(requestName, importCount = 0) {
     this.state.requestName = requestName || 'New Request'
+    this.state.importCount = importCount
   }
 
   /**
@@ -375,7 +378,7 @@ export class CollectionPickerDialogController extends BaseController {
   validateInput() {
     const errors = []
 
-    if (!this.state.requestName.trim()) {
+    if (this.state.importCount === 0 && !this.state.requestName.trim()) {
       errors.push('Request name is required')
     }
 
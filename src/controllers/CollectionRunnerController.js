@@ -0,0 +1,363 @@
+import { BaseController } from './BaseController.js'
+import { useCollections } from '../stores/useCollections.js'
+import { useEnvironments } from '../stores/useEnvironments.js'
+import { useVariableScopes } from '../stores/useVariableScopes.js'
+import requestExecutionService from '../services/RequestExecutionService.js'
+import oauth2Service from '../services/OAuth2Service.js'
+import { CollectionRunner, collectRunItems, summarizeRun } from '../core/runner/CollectionRunner.js'
+import { ScriptSandbox } from '../core/scripting/ScriptSandbox.js'
+import { parseDataFile } from '../core/runner/dataFile.js'
+import { createReport } from '../core/runner/reporters.js'
+import { downloadFile } from '../utils/downloadUtils.js'
+import { loadSettings } from '../utils/settingsUtils.js'
+
+/**
+ * Controller for CollectionRunnerDialog component
+ * Configures and runs every request in a collection or folder, in order,
+ * with its scripts, and collects per-iteration results
+ */
+export class CollectionRunnerController extends BaseController {
+  constructor(collectionId, folderId = null) {
+    super('CollectionRunnerController')
+
+    // Store parameters
+    this.collectionId = collectionId
+    this.folderId = folderId
+
+    // Get stores
+    this.collectionsStore = useCollections()
+    this.environmentsStore = useEnvironments()
+    this.variableScopes = useVariableScopes()
+
+    // Run entries keyed by id (the state only holds display data)
+    this.entries = new Map()
+
+    // Abort controller for the run in progress
+    this.abortController = null
+
+    // Parsed rows of the data file, if any
+    this.dataRows = []
+
+    // Initialize state
+    this.init()
+  }
+
+  /**
+   * Initialize controller state
+   */
+  init() {
+    super.init()
+
+    this.createState({
+      // 'config' or 'results'
+      view: 'config',
+
+      // Run order: { id, name, path, method, selected }
+      items: [],
+
+      // Run options
+      iterations: 1,
+      delay: 0,
+      environmentId: this.environmentsStore.activeEnvironmentId.value || '',
+
+      // Data file of the folder (or an ancestor): { name, rowCount }, used when useDataFile is on
+      dataFile: null,
+      useDataFile: false,
+
+      // Progress
+      isRunning: false,
+      completed: 0,
+      total: 0,
+      currentIteration: 0,
+      currentRequest: '',
+
+      // Results: [{ iteration, data, results }]
+      runIterations: [],
+      summary: null,
+      cancelled: false,
+      startedAt: null,
+      finishedAt: null
+    })
+
+    this.loadItems()
+    this.loadDataFile()
+  }
+
+  /**
+   * Get the collection being run
+   */
+  getCollection() {
+    return this.collectionsStore.getCollection(this.collectionId)
+  }
+
+  /**
+   * Get a display title for the dialog
+   */
+  getTitle() {
+    if (this.folderId) {
+      const folder = this.collectionsStore.getFolder(this.collectionId, this.folderId)
+      return `Run Folder: ${folder?.name || 'Unknown Folder'}`
+    }
+    return `Run Collection: ${this.getCollection()?.info?.name || 'Unknown Collection'}`
+  }
+
+  /**
+   * Environments the run can use (globals always apply and are not listed)
+   */
+  getEnvironments() {
+    return (this.environmentsStore.environments.value || []).filter(env => !env.isGlobal)
+  }
+
+  /**
+   * Load the requests to run in tree order
+   */
+  loadItems() {
+    const collection = this.getCollection()
+    if (!collection) {
+      this.logger.warn('Collection not found:', this.collectionId)
+      return
+    }
+
+    const entries = collectRunItems(collection, this.folderId)
+    this.entries = new Map(entries.map(entry => [entry.id, entry]))
+    this.state.items = entries.map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      path: entry.path,
+      method: entry.method,
+      selected: true
+    }))
+  }
+
+  /**
+   * Find the data file of the folder being run, or of its nearest ancestor
+   * Runs default to one iteration per row, as in Postman.
+   */
+  loadDataFile() {
+    if (!this.folderId) return
+
+    const folders = [
+      ...this.collectionsStore.getItemAncestors(this.collectionId, this.folderId),
+      this.collectionsStore.getFolder(this.collectionId, this.folderId)
+    ].filter(Boolean)
+    const folder = folders.reverse().find(f => f.dataFile)
+    if (!folder) return
+
+    try {
+      this.dataRows = parseDataFile(folder.dataFile)
+    } catch (error) {
+      this.logger.warn('Invalid data file:', error.message)
+      return
+    }
+
+    if (this.dataRows.length > 0) {
+      this.state.dataFile = { name: folder.dataFile.name, rowCount: this.dataRows.length }
+      this.state.useDataFile = true
+      this.state.iterations = this.dataRows.length
+    }
+  }
+
+  /**
+   * Move a request up (-1) or down (+1) in the run order
+   */
+  moveItem(index, delta) {
+    const target = index + delta
+    if (target < 0 || target >= this.state.items.length) return
+
+    const items = [...this.state.items]
+    const [moved] = items.splice(index, 1)
+    items.splice(target, 0, moved)
+    this.state.items = items
+  }
+
+  /**
+   * Select or deselect every request
+   */
+  setAllSelected(selected) {
+    this.state.items.forEach(item => { item.selected = selected })
+  }
+
+  /**
+   * Selected requests in run order
+   */
+  getSelectedEntries() {
+    return this.state.items
+      .filter(item => item.selected)
+      .map(item => this.entries.get(item.id))
+      .filter(Boolean)
+  }
+
+  /**
+   * Create a runner pinned to the chosen collection and environment
+   */
+  createRunner() {
+    const environmentId = this.state.environmentId || null
+    const scopes = this.variableScopes.createScopeContext({
+      collectionId: this.collectionId,
+      environmentId
+    })
+    const environmentStore = this.environmentsStore.getEnvironmentView(environmentId)
+
+    return new CollectionRunner({
+      requestExecutor: requestExecutionService,
+      createSandbox: () => ScriptSandbox.fromSettings(loadSettings(), {
+        environmentStore,
+        variableScopes: scopes,
+        logger: this.logger
+      }),
+      interpolate: (text, localVariables) => scopes.interpolateString(text, localVariables),
+      setData: (row) => scopes.setData(row),
+      authorize: (request, { interpolate }) => oauth2Service.authorizeRequest(request, {
+        collectionId: this.collectionId,
+        interpolate
+      }),
+      logger: this.logger
+    })
+  }
+
+  /**
+   * Run the selected requests
+   */
+  async start() {
+    const items = this.getSelectedEntries()
+    if (items.length === 0 || this.state.isRunning) {
+      return { success: false, error: 'No requests selected' }
+    }
+
+    return this.executeAsync(async () => {
+      const iterations = Math.max(1, Math.floor(Number(this.state.iterations)) || 1)
+      const delay = Math.max(0, Number(this.state.delay) || 0)
+
+      const abortController = new AbortController()
+      this.abortController = abortController
+
+      Object.assign(this.state, {
+        view: 'results',
+        isRunning: true,
+        completed: 0,
+        total: items.length * iterations,
+        currentIteration: 0,
+        currentRequest: '',
+        runIterations: [],
+        summary: null,
+        cancelled: false,
+        startedAt: new Date().toISOString(),
+        finishedAt: null
+      })
+
+      try {
+        const run = await this.createRunner().run({
+          collection: this.getCollection(),
+          items,
+          iterations,
+          data: this.state.useDataFile ? this.dataRows : [],
+          delay,
+          signal: abortController.signal,
+          onEvent: (event) => this.handleRunEvent(event)
+        })
+
+        this.state.summary = run.summary
+        this.state.cancelled = run.cancelled
+        this.state.finishedAt = run.finishedAt
+        this.logger.info(`Run finished: ${run.summary.requests} requests, ${run.summary.failed} failed tests`)
+        this.emit('runFinished', run)
+        return run
+      } finally {
+        this.state.isRunning = false
+        this.state.currentRequest = ''
+        if (this.abortController === abortController) {
+          this.abortController = null
+        }
+      }
+    }, 'Collection run failed')
+  }
+
+  /**
+   * Apply progress events from the runner to the state
+   */
+  handleRunEvent(event) {
+    if (event.type === 'iterationStart') {
+      this.state.currentIteration = event.iteration
+      this.state.runIterations.push({ iteration: event.iteration, data: event.data, results: [] })
+    } else if (event.type === 'requestStart') {
+      this.state.currentRequest = event.entry.name
+    } else if (event.type === 'requestComplete') {
+      const current = this.state.runIterations[this.state.runIterations.length - 1]
+      current.results.push(event.result)
+      this.state.completed++
+      this.state.summary = summarizeRun(this.state.runIterations)
+    }
+  }
+
+  /**
+   * Stop the run in progress
+   */
+  stop() {
+    if (this.abortController) {
+      this.logger.info('Stopping collection run')
+      this.abortController.abort()
+    }
+  }
+
+  /**
+   * Download the results of the last run as a report
+   * @param {string} format - 'json', 'junit' or 'html'
+   */
+  exportReport(format) {
+    if (!this.state.summary || this.state.isRunning) return
+
+    const collectionName = this.getCollection()?.info?.name || 'Collection'
+    const folderName = this.folderId ? this.collectionsStore.getFolder(this.collectionId, this.folderId)?.name : null
+
+    const report = createReport({
+      collectionName: folderName ? `${collectionName} / ${folderName}` : collectionName,
+      startedAt: this.state.startedAt,
+      finishedAt: this.state.finishedAt,
+      iterations: this.state.runIterations,
+      summary: this.state.summary,
+      cancelled: this.state.cancelled
+    }, format)
+
+    downloadFile(report.content, report.filename, report.mimeType)
+    this.logger.info('Exported run report:', report.filename)
+  }
+
+  /**
+   * Go back to the run configuration
+   */
+  showConfig() {
+    if (this.state.isRunning) return
+    this.state.view = 'config'
+  }
+
+  /**
+   * Get method color for styling
+   */
+  getMethodColor(method) {
+    const colors = {
+      'GET': 'var(--color-get)',
+      'POST': 'var(--color-post)',
+      'PUT': 'var(--color-put)',
+      'PATCH': 'var(--color-patch)',
+      'DELETE': 'var(--color-delete)',
+      'HEAD': 'var(--color-head)',
+      'OPTIONS': 'var(--color-options)'
+    }
+    return colors[method] || 'var(--color-text-secondary)'
+  }
+
+  /**
+   * Whether a request result counts as failed
+   */
+  isFailedResult(result) {
+    return !!result.error || result.tests.some(test => !test.passed)
+  }
+
+  /**
+   * Stop any run before the dialog is destroyed
+   */
+  dispose() {
+    this.stop()
+    super.dispose()
+  }
+}
@@ -0,0 +1,238 @@
+import { BaseController } from './BaseController.js'
+import { useCollections } from '../stores/useCollections.js'
+import { PostmanScriptRunner } from '../core/scripting/PostmanScriptRunner.js'
+import { createDataFile, parseDataFile } from '../core/runner/dataFile.js'
+import { collectMockExamples } from '../core/mock/MockServer.js'
+import { useMockServers } from '../stores/useMockServers.js'
+import { createAuthState } from '../models/types.js'
+import { findInheritedAuth } from '../services/RequestExecutionService.js'
+
+/**
+ * Controller for CollectionSettingsDialog component
+ * Edits collection- or folder-level settings (pre-request and test scripts,
+ * the auth requests inherit, for folders the data file used by their
+ * requests, and for collections the mock server answering from their saved
+ * examples)
+ */
+export class CollectionSettingsDialogController extends BaseController {
+  constructor(collectionId, folderId = null) {
+    super('CollectionSettingsDialogController')
+
+    // Store parameters
+    this.collectionId = collectionId
+    this.folderId = folderId
+
+    // Get stores
+    this.collectionsStore = useCollections()
+    this.mockServers = useMockServers()
+
+    // Initialize state
+    this.init()
+  }
+
+  /**
+   * Initialize controller state
+   */
+  init() {
+    super.init()
+
+    this.createState({
+      activeTab: 'scripts',
+
+      // Script editor model, same shape as the composer's script state
+      script: {
+        preRequest: '',
+        postRequest: ''
+      },
+
+      // Auth passed on to requests set to inherit; folders may inherit themselves
+      auth: createAuthState({ type: this.folderId ? 'inherit' : 'none' }),
+
+      // Folder data file ({ name, format, content }) and its row count
+      dataFile: null,
+      dataFileRows: 0,
+      dataFileError: null,
+
+      // Collection mock server
+      mock: {
+        enabled: false,
+        baseUrl: ''
+      },
+
+      // UI state
+      isSubmitting: false
+    })
+
+    this.loadSettings()
+  }
+
+  /**
+   * Get the collection or folder being edited
+   */
+  getTarget() {
+    if (this.folderId) {
+      return this.collectionsStore.getFolder(this.collectionId, this.folderId)
+    }
+    return this.collectionsStore.getCollection(this.collectionId)
+  }
+
+  /**
+   * Get a display title for the dialog
+   */
+  getTitle() {
+    const target = this.getTarget()
+    if (this.folderId) {
+      return `Folder Settings: ${target?.name || 'Unknown Folder'}`
+    }
+    return `Collection Settings: ${target?.info?.name || 'Unknown Collection'}`
+  }
+
+  /**
+   * Load scripts from the target's events
+   */
+  loadSettings() {
+    const target = this.getTarget()
+    if (!target) {
+      this.logger.warn('Settings target not found:', this.collectionId, this.folderId)
+      return
+    }
+
+    this.state.script.preRequest = PostmanScriptRunner.getEventScript(target.event, 'prerequest')
+    this.state.script.postRequest = PostmanScriptRunner.getEventScript(target.event, 'test')
+
+    if (target.auth?.type) {
+      this.state.auth = createAuthState(target.auth)
+    }
+
+    if (!this.folderId) {
+      this.state.mock.enabled = !!target.mock?.enabled
+      this.state.mock.baseUrl = target.mock?.baseUrl || this.mockServers.getDefaultBaseUrl(target)
+    }
+
+    if (this.folderId && target.dataFile) {
+      this.state.dataFile = { ...target.dataFile }
+      try {
+        this.state.dataFileRows = parseDataFile(target.dataFile).length
+      } catch (error) {
+        this.state.dataFileError = error.message
+      }
+    }
+  }
+
+  /**
+   * Set the auth from the auth editor
+   */
+  setAuth(auth) {
+    this.state.auth = auth
+  }
+
+  /**
+   * Get the auth a folder inherits from its parent folders or the collection
+   * @returns {Object|null} - { auth, level, name } from findInheritedAuth()
+   */
+  getInheritedAuth() {
+    if (!this.folderId) return null
+    return findInheritedAuth({
+      collection: this.collectionsStore.getCollection(this.collectionId),
+      folders: this.collectionsStore.getItemAncestors(this.collectionId, this.folderId)
+    })
+  }
+
+  /**
+   * Set active tab
+   */
+  setActiveTab(tab) {
+    this.state.activeTab = tab
+  }
+
+  /**
+   * Attach a CSV or JSON data file (saved with the other settings)
+   * @param {File} file - Selected file
+   */
+  async attachDataFile(file) {
+    try {
+      const { rowCount, ...dataFile } = createDataFile(file.name, await file.text())
+      this.state.dataFile = dataFile
+      this.state.dataFileRows = rowCount
+      this.state.dataFileError = null
+    } catch (error) {
+      this.logger.warn('Invalid data file:', error.message)
+      this.state.dataFileError = error.message
+    }
+  }
+
+  /**
+   * Remove the data file (saved with the other settings)
+   */
+  removeDataFile() {
+    this.state.dataFile = null
+    this.state.dataFileRows = 0
+    this.state.dataFileError = null
+  }
+
+  /**
+   * Examples the mock server answers with, for display
+   * @returns {Array} - [{ id, method, path, code, name, requestName }]
+   */
+  getMockExamples() {
+    if (this.folderId) return []
+    return collectMockExamples(this.getTarget()).map(example => ({
+      id: example.id,
+      method: example.method,
+      path: `/${example.segments.join('/')}`,
+      code: example.response.code,
+      name: example.name,
+      requestName: example.requestName
+    }))
+  }
+
+  /**
+   * Build the event array, keeping any non-script events from the original
+   */
+  buildEvents() {
+    const target = this.getTarget()
+    const otherEvents = (target?.event || []).filter(e => e.listen !== 'prerequest' && e.listen !== 'test')
+
+    return [
+      ...otherEvents,
+      PostmanScriptRunner.createEventFromScript(this.state.script.preRequest, 'prerequest'),
+      PostmanScriptRunner.createEventFromScript(this.state.script.postRequest, 'test')
+    ].filter(Boolean)
+  }
+
+  /**
+   * Save settings to the collection or folder
+   */
+  async save() {
+    return this.executeAsync(async () => {
+      this.state.isSubmitting = true
+
+      try {
+        const updates = {
+          event: this.buildEvents(),
+          // Postman leaves auth out where it is inherited
+          auth: this.state.auth.type === 'inherit' ? null : this.state.auth
+        }
+        if (this.folderId) {
+          updates.dataFile = this.state.dataFile
+        } else {
+          updates.mock = {
+            enabled: this.state.mock.enabled,
+            baseUrl: this.state.mock.baseUrl.trim().replace(/\/+$/, '')
+          }
+        }
+
+        const updated = this.collectionsStore.updateItemSettings(this.collectionId, this.folderId, updates)
+
+        if (!updated) {
+          throw new Error('Collection or folder not found')
+        }
+
+        this.logger.info('Saved settings for', this.folderId ? `folder ${this.folderId}` : `collection ${this.collectionId}`)
+        return updated
+      } finally {
+        this.state.isSubmitting = false
+      }
+    }, 'Failed to save settings')
+  }
+}
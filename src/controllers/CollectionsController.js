@@ -3,6 +3,7 @@ import { Collection, CollectionFolder } from '../models/Collection.js'
 import { Request } from '../models/Request.js'
 import { useCollections } from '../stores/useCollections.js'
 import { useTabs } from '../stores/useTabs.js'
+import { useOAuth2Tokens } from '../stores/useOAuth2Tokens.js'
 import { fuzzyMatchRequest } from '../utils/fuzzySearch.js'
 
 /**
@@ -253,6 +254,7 @@ export class CollectionsController extends BaseController {
   async deleteCollection(collectionId) {
     const result = await this.executeAsync(async () => {
       this.collectionsStore.deleteCollection(collectionId)
+      useOAuth2Tokens().clearCollection(collectionId)
       this.state.expandedCollections.delete(collectionId)
       this.logger.info(`Deleted collection: ${collectionId}`)
     }, 'Failed to delete collection')
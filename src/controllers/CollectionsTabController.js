@@ -37,7 +37,15 @@ export class CollectionsTabController extends BaseController {
 
       // Dialog state
       showNewFolderDialog: false,
-      newFolderDialogData: null
+      newFolderDialogData: null,
+      showSettingsDialog: false,
+      settingsDialogData: null,
+      showRunnerDialog: false,
+      runnerDialogData: null,
+      showLoadTestDialog: false,
+      loadTestDialogData: null,
+      showExampleDialog: false,
+      exampleDialogData: null
     })
 
     // Proxy collections controller events
@@ -63,12 +71,30 @@ export class CollectionsTabController extends BaseController {
       collectionRef.controller.on('showFolderDialog', (data) => {
         this.showNewFolderDialog(data)
       })
+      collectionRef.controller.on('showSettingsDialog', (data) => {
+        this.showSettingsDialog(data)
+      })
+      collectionRef.controller.on('showRunnerDialog', (data) => {
+        this.showRunnerDialog(data)
+      })
+    }
+
+    if (requestRef?.controller) {
+      requestRef.controller.on('showLoadTestDialog', (data) => {
+        this.showLoadTestDialog(data)
+      })
     }
 
     if (folderRef?.controller) {
       folderRef.controller.on('showFolderDialog', (data) => {
         this.showNewFolderDialog(data)
       })
+      folderRef.controller.on('showSettingsDialog', (data) => {
+        this.showSettingsDialog(data)
+      })
+      folderRef.controller.on('showRunnerDialog', (data) => {
+        this.showRunnerDialog(data)
+      })
     }
   }
 
@@ -191,6 +217,74 @@ export class CollectionsTabController extends BaseController {
     this.state.newFolderDialogData = null
   }
 
+  /**
+   * Show CollectionSettingsDialog for a collection or folder
+   */
+  showSettingsDialog(data) {
+    this.state.settingsDialogData = data
+    this.state.showSettingsDialog = true
+    this.logger.info('Showing settings dialog for collection:', data.collectionId, 'folder:', data.folderId)
+  }
+
+  /**
+   * Hide CollectionSettingsDialog
+   */
+  hideSettingsDialog() {
+    this.state.showSettingsDialog = false
+    this.state.settingsDialogData = null
+  }
+
+  /**
+   * Show CollectionRunnerDialog for a collection or folder
+   */
+  showRunnerDialog(data) {
+    this.state.runnerDialogData = data
+    this.state.showRunnerDialog = true
+    this.logger.info('Showing runner for collection:', data.collectionId, 'folder:', data.folderId)
+  }
+
+  /**
+   * Hide CollectionRunnerDialog
+   */
+  hideRunnerDialog() {
+    this.state.showRunnerDialog = false
+    this.state.runnerDialogData = null
+  }
+
+  /**
+   * Show LoadTestDialog for a request
+   */
+  showLoadTestDialog(data) {
+    this.state.loadTestDialogData = data
+    this.state.showLoadTestDialog = true
+    this.logger.info('Showing load test for request:', data.requestId)
+  }
+
+  /**
+   * Hide LoadTestDialog
+   */
+  hideLoadTestDialog() {
+    this.state.showLoadTestDialog = false
+    this.state.loadTestDialogData = null
+  }
+
+  /**
+   * Show ExampleViewerDialog for a saved response example
+   */
+  showExampleDialog(data) {
+    this.state.exampleDialogData = data
+    this.state.showExampleDialog = true
+    this.logger.info('Showing example:', data.exampleId)
+  }
+
+  /**
+   * Hide ExampleViewerDialog
+   */
+  hideExampleDialog() {
+    this.state.showExampleDialog = false
+    this.state.exampleDialogData = null
+  }
+
   /**
    * Validation and debugging
    */
@@ -35,7 +35,12 @@ export class EnvironmentsController extends BaseController {
         return []
       }
 
-      return environments
+      // Globals are listed separately and can't be made active
+      return environments.filter(env => !env.isGlobal)
+    })
+
+    this.globalEnvironment = this.createComputed('globalEnvironment', () => {
+      return this.environmentsStore?.globalEnvironment.value || null
     })
 
     this.activeEnvironment = this.createComputed('activeEnvironment', () => {
@@ -71,6 +76,13 @@ export class EnvironmentsController extends BaseController {
     return result
   }
 
+  /**
+   * Get the globals environment, creating it on first use
+   */
+  getGlobalEnvironment() {
+    return this.environmentsStore.getOrCreateGlobalEnvironment()
+  }
+
   /**
    * Set active environment
    */
@@ -0,0 +1,189 @@
+import { BaseController } from './BaseController.js'
+import { useCollections } from '../stores/useCollections.js'
+import { useConversations } from '../stores/useConversations.js'
+import { useAlert } from '../composables/useAlert.js'
+import { MESSAGE_TYPES } from '../models/Conversation.js'
+import { exampleToResponse, compareResponses } from '../utils/exampleUtils.js'
+
+/**
+ * Controller for ExampleViewerDialog component
+ * Shows a saved response example read-only, edits it, and compares it with
+ * the latest response of the request's conversation
+ */
+export class ExampleViewerController extends BaseController {
+  constructor(collectionId, requestId, exampleId) {
+    super('ExampleViewerController')
+
+    // Store parameters
+    this.collectionId = collectionId
+    this.requestId = requestId
+    this.exampleId = exampleId
+
+    // Get stores
+    this.collectionsStore = useCollections()
+    this.conversationsStore = useConversations()
+    this.alert = useAlert()
+
+    // Initialize state
+    this.init()
+  }
+
+  /**
+   * Initialize controller state
+   */
+  init() {
+    super.init()
+
+    this.createState({
+      // 'view', 'compare' or 'edit'
+      mode: 'view',
+
+      // Edit form
+      form: {
+        name: '',
+        code: 200,
+        status: '',
+        headers: '',
+        body: ''
+      }
+    })
+  }
+
+  /**
+   * Get the example being shown
+   */
+  getExample() {
+    return this.collectionsStore.getExample(this.collectionId, this.requestId, this.exampleId)
+  }
+
+  /**
+   * Get the request the example belongs to
+   */
+  getRequest() {
+    return this.collectionsStore.getRequest(this.collectionId, this.requestId)
+  }
+
+  /**
+   * Get dialog title
+   */
+  getTitle() {
+    const example = this.getExample()
+    const request = this.getRequest()
+    return `Example: ${request?.name || 'Request'} / ${example?.name || 'Example'}`
+  }
+
+  /**
+   * Response message for ResponseBubble
+   */
+  getExampleMessage() {
+    const example = this.getExample()
+    if (!example) return null
+
+    return {
+      id: example.id,
+      type: MESSAGE_TYPES.RESPONSE,
+      data: exampleToResponse(example),
+      timestamp: null
+    }
+  }
+
+  /**
+   * Latest response message in the request's conversation
+   */
+  getLiveResponse() {
+    const conversation = this.conversationsStore.getConversationByRequest(this.requestId, this.collectionId)
+    const messages = conversation?.messages || []
+    return [...messages].reverse().find(m => m.type === MESSAGE_TYPES.RESPONSE && !m.data?.cancelled) || null
+  }
+
+  /**
+   * Differences between the example and the latest response
+   * @returns {Object|null} - From compareResponses(), null without a live response
+   */
+  getComparison() {
+    const example = this.getExample()
+    const live = this.getLiveResponse()
+    if (!example || !live) return null
+
+    return compareResponses(exampleToResponse(example), live.data || {})
+  }
+
+  /**
+   * Switch between view, compare and edit
+   */
+  setMode(mode) {
+    if (mode === 'edit') {
+      const example = this.getExample()
+      if (!example) return
+
+      this.state.form = {
+        name: example.name || '',
+        code: Number(example.code) || 200,
+        status: example.status || '',
+        headers: (example.header || []).map(h => `${h.key}: ${h.value || ''}`).join('\n'),
+        body: example.body || ''
+      }
+    }
+    this.state.mode = mode
+  }
+
+  /**
+   * Save the edit form to the example
+   * Headers are edited as "Name: value" lines.
+   */
+  save() {
+    const { form } = this.state
+    if (!form.name.trim()) {
+      this.emit('error', { message: 'Example name is required' })
+      return false
+    }
+
+    const header = form.headers
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.includes(':'))
+      .map(line => {
+        const index = line.indexOf(':')
+        return { key: line.slice(0, index).trim(), value: line.slice(index + 1).trim() }
+      })
+      .filter(h => h.key)
+
+    const updated = this.collectionsStore.updateExample(this.collectionId, this.requestId, this.exampleId, {
+      name: form.name.trim(),
+      code: Number(form.code) || 200,
+      status: form.status.trim(),
+      header,
+      body: form.body
+    })
+    if (!updated) {
+      this.emit('error', { message: 'Example not found' })
+      return false
+    }
+
+    this.logger.info('Updated example:', updated.name)
+    this.state.mode = 'view'
+    return true
+  }
+
+  /**
+   * Delete the example after confirmation
+   * @returns {Promise<boolean>} - True when deleted
+   */
+  async delete() {
+    const example = this.getExample()
+    if (!example) return false
+
+    const confirmed = await this.alert.confirmDelete(
+      `Are you sure you want to delete the example "${example.name}"?`,
+      'Delete Example'
+    )
+    if (!confirmed) return false
+
+    const deleted = this.collectionsStore.deleteExample(this.collectionId, this.requestId, this.exampleId)
+    if (deleted) {
+      this.logger.info('Deleted example:', example.name)
+      this.emit('deleted', { exampleId: this.exampleId })
+    }
+    return deleted
+  }
+}
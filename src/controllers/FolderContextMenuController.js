@@ -47,6 +47,19 @@ export class FolderContextMenuController extends BaseContextMenuController {
       {
         type: 'separator'
       },
+      {
+        action: 'run',
+        label: 'Run',
+        icon: '▶️'
+      },
+      {
+        action: 'settings',
+        label: 'Scripts & Settings',
+        icon: '⚙️'
+      },
+      {
+        type: 'separator'
+      },
       {
         action: 'rename',
         label: 'Rename',
@@ -84,6 +97,10 @@ export class FolderContextMenuController extends BaseContextMenuController {
         return await this.addRequestToFolder(folder)
       case 'new-folder':
         return await this.addFolderToFolder(folder)
+      case 'run':
+        return await this.openRunner(folder)
+      case 'settings':
+        return await this.openSettings(folder)
       case 'rename':
         return await this.renameFolder(folder)
       case 'duplicate':
@@ -127,6 +144,32 @@ export class FolderContextMenuController extends BaseContextMenuController {
     return { action: 'new-folder', dialogRequested: true }
   }
 
+  /**
+   * Open the collection runner for the requests in this folder
+   */
+  async openRunner(folder) {
+    this.emit('showRunnerDialog', {
+      collectionId: this.currentCollection.info.id,
+      folderId: folder.id
+    })
+
+    this.logger.info('Requested runner for folder:', folder.name)
+    return { action: 'run', dialogRequested: true }
+  }
+
+  /**
+   * Open the folder settings dialog (scripts run for every request inside it)
+   */
+  async openSettings(folder) {
+    this.emit('showSettingsDialog', {
+      collectionId: this.currentCollection.info.id,
+      folderId: folder.id
+    })
+
+    this.logger.info('Requested settings dialog for folder:', folder.name)
+    return { action: 'settings', dialogRequested: true }
+  }
+
   /**
    * Rename the folder
    */
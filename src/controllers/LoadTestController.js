@@ -0,0 +1,229 @@
+import { BaseController } from './BaseController.js'
+import { useCollections } from '../stores/useCollections.js'
+import { useEnvironments } from '../stores/useEnvironments.js'
+import { useVariableScopes } from '../stores/useVariableScopes.js'
+import requestExecutionService from '../services/RequestExecutionService.js'
+import oauth2Service from '../services/OAuth2Service.js'
+import { collectRunItems } from '../core/runner/CollectionRunner.js'
+import { LoadTestRunner, LoadStats } from '../core/runner/LoadTestRunner.js'
+import { ScriptSandbox } from '../core/scripting/ScriptSandbox.js'
+import { loadSettings } from '../utils/settingsUtils.js'
+
+// How often live statistics are recomputed while a test runs
+const REFRESH_INTERVAL = 500
+
+/**
+ * Controller for LoadTestDialog component
+ * Sends a saved request from several virtual users at once and reports
+ * throughput, errors by status and latency percentiles as it goes
+ */
+export class LoadTestController extends BaseController {
+  constructor(collectionId, requestId) {
+    super('LoadTestController')
+
+    // Store parameters
+    this.collectionId = collectionId
+    this.requestId = requestId
+
+    // Get stores
+    this.collectionsStore = useCollections()
+    this.environmentsStore = useEnvironments()
+    this.variableScopes = useVariableScopes()
+
+    // Abort controller for the test in progress
+    this.abortController = null
+
+    // Running statistics of the current test (kept out of the reactive state, updated on every sample)
+    this.liveStats = null
+    this.startTime = 0
+    this.refreshTimer = null
+
+    // Initialize state
+    this.init()
+  }
+
+  /**
+   * Initialize controller state
+   */
+  init() {
+    super.init()
+
+    this.createState({
+      // 'config' or 'results'
+      view: 'config',
+
+      // Test options
+      virtualUsers: 10,
+      // 'duration' or 'iterations'
+      mode: 'duration',
+      duration: 30,
+      iterations: 100,
+      rampUp: 0,
+      runTests: false,
+      environmentId: this.environmentsStore.activeEnvironmentId.value || '',
+
+      // Progress and results
+      isRunning: false,
+      elapsed: 0,
+      stats: null,
+      timeline: [],
+      cancelled: false
+    })
+  }
+
+  /**
+   * Get the request entry to send
+   */
+  getEntry() {
+    const collection = this.collectionsStore.getCollection(this.collectionId)
+    return collectRunItems(collection).find(entry => entry.id === this.requestId) || null
+  }
+
+  /**
+   * Get a display title for the dialog
+   */
+  getTitle() {
+    const request = this.collectionsStore.getRequest(this.collectionId, this.requestId)
+    return `Load Test: ${request?.name || 'Unknown Request'}`
+  }
+
+  /**
+   * Environments the test can use (globals always apply and are not listed)
+   */
+  getEnvironments() {
+    return (this.environmentsStore.environments.value || []).filter(env => !env.isGlobal)
+  }
+
+  /**
+   * Create a runner pinned to the chosen collection and environment
+   */
+  createRunner() {
+    const environmentId = this.state.environmentId || null
+    const scopes = this.variableScopes.createScopeContext({
+      collectionId: this.collectionId,
+      environmentId
+    })
+    const environmentStore = this.environmentsStore.getEnvironmentView(environmentId)
+
+    return new LoadTestRunner({
+      requestExecutor: requestExecutionService,
+      createSandbox: () => ScriptSandbox.fromSettings(loadSettings(), {
+        environmentStore,
+        variableScopes: scopes,
+        logger: this.logger
+      }),
+      interpolate: (text, localVariables) => scopes.interpolateString(text, localVariables),
+      authorize: (request, { interpolate }) => oauth2Service.authorizeRequest(request, {
+        collectionId: this.collectionId,
+        interpolate
+      }),
+      logger: this.logger
+    })
+  }
+
+  /**
+   * Publish the statistics so far
+   */
+  refreshStats() {
+    const elapsed = performance.now() - this.startTime
+    this.state.elapsed = elapsed
+    this.state.stats = this.liveStats.summarize(elapsed)
+    this.state.timeline = this.liveStats.timeline(elapsed)
+  }
+
+  /**
+   * Run the load test
+   */
+  async start() {
+    const entry = this.getEntry()
+    if (!entry || this.state.isRunning) {
+      return { success: false, error: 'Request not found' }
+    }
+
+    return this.executeAsync(async () => {
+      const abortController = new AbortController()
+      this.abortController = abortController
+      this.liveStats = new LoadStats()
+      this.startTime = performance.now()
+
+      Object.assign(this.state, {
+        view: 'results',
+        isRunning: true,
+        elapsed: 0,
+        stats: null,
+        timeline: [],
+        cancelled: false
+      })
+
+      this.refreshTimer = setInterval(() => this.refreshStats(), REFRESH_INTERVAL)
+
+      try {
+        const byDuration = this.state.mode === 'duration'
+        const result = await this.createRunner().run({
+          collection: this.collectionsStore.getCollection(this.collectionId),
+          entry,
+          virtualUsers: Math.max(1, Math.floor(Number(this.state.virtualUsers)) || 1),
+          duration: byDuration ? Math.max(1, Number(this.state.duration) || 1) * 1000 : 0,
+          iterations: byDuration ? 0 : Math.max(1, Math.floor(Number(this.state.iterations)) || 1),
+          rampUp: Math.max(0, Number(this.state.rampUp) || 0) * 1000,
+          runTests: this.state.runTests,
+          signal: abortController.signal,
+          stats: this.liveStats
+        })
+
+        Object.assign(this.state, {
+          elapsed: result.elapsed,
+          stats: result.stats,
+          timeline: result.timeline,
+          cancelled: result.cancelled
+        })
+        this.emit('loadTestFinished', result)
+        return result
+      } finally {
+        clearInterval(this.refreshTimer)
+        this.refreshTimer = null
+        this.state.isRunning = false
+        if (this.abortController === abortController) {
+          this.abortController = null
+        }
+      }
+    }, 'Load test failed')
+  }
+
+  /**
+   * Stop the test in progress
+   */
+  stop() {
+    if (this.abortController) {
+      this.logger.info('Stopping load test')
+      this.abortController.abort()
+    }
+  }
+
+  /**
+   * Go back to the test configuration
+   */
+  showConfig() {
+    if (this.state.isRunning) return
+    this.state.view = 'config'
+  }
+
+  /**
+   * Status codes and counts, most frequent first
+   */
+  getStatusBreakdown() {
+    const counts = this.state.stats?.statusCounts || {}
+    return Object.entries(counts)
+      .map(([status, count]) => ({ status, count }))
+      .sort((a, b) => b.count - a.count)
+  }
+
+  /**
+   * Stop any test before the dialog is destroyed
+   */
+  dispose() {
+    this.stop()
+    clearInterval(this.refreshTimer)
+    super.dispose()
+  }
+}
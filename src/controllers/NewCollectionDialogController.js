@@ -361,9 +361,6 @@ export class NewCollectionDialogController extends BaseDialogController {
     if (summary.byType.certificate) {
       warningMessages.push(`SSL certificate configuration not supported`)
     }
-    if (summary.byType.responses) {
-      warningMessages.push(`Saved responses imported for reference`)
-    }
 
     const message = warningMessages.length > 0
       ? `Collection imported with ${summary.total} notice(s):\n\n• ${warningMessages.join('\n• ')}`
@@ -0,0 +1,169 @@
+import { BaseController } from './BaseController.js'
+import { useVariableScopes } from '../stores/useVariableScopes.js'
+import oauth2Service, { getDefaultRedirectUri } from '../services/OAuth2Service.js'
+import { GRANT_TYPES, resolveOAuth2Config, isTokenExpired } from '../core/auth/oauth2.js'
+
+// Settings each grant type uses, in display order
+const GRANT_FIELDS = {
+  [GRANT_TYPES.AUTHORIZATION_CODE_PKCE]: ['authUrl', 'accessTokenUrl', 'redirect_uri', 'clientId', 'clientSecret', 'scope', 'state', 'challengeAlgorithm'],
+  [GRANT_TYPES.AUTHORIZATION_CODE]: ['authUrl', 'accessTokenUrl', 'redirect_uri', 'clientId', 'clientSecret', 'scope', 'state'],
+  [GRANT_TYPES.IMPLICIT]: ['authUrl', 'redirect_uri', 'clientId', 'scope', 'state'],
+  [GRANT_TYPES.PASSWORD]: ['accessTokenUrl', 'username', 'password', 'clientId', 'clientSecret', 'scope'],
+  [GRANT_TYPES.CLIENT_CREDENTIALS]: ['accessTokenUrl', 'clientId', 'clientSecret', 'scope']
+}
+
+/**
+ * Controller for OAuth2Editor component
+ * Edits oauth2 settings and gets, refreshes and clears the stored token
+ */
+export class OAuth2EditorController extends BaseController {
+  constructor() {
+    super('OAuth2EditorController')
+
+    this.variableScopes = useVariableScopes()
+    this.oauth2Service = oauth2Service
+
+    this.init()
+  }
+
+  /**
+   * Initialize controller state
+   */
+  init() {
+    super.init()
+
+    this.createState({
+      // Token request in progress
+      busy: false,
+
+      // Last token request error
+      error: null
+    })
+  }
+
+  /**
+   * Get available grant types
+   */
+  getGrantTypes() {
+    return [
+      { value: GRANT_TYPES.AUTHORIZATION_CODE_PKCE, label: 'Authorization Code (With PKCE)' },
+      { value: GRANT_TYPES.AUTHORIZATION_CODE, label: 'Authorization Code' },
+      { value: GRANT_TYPES.IMPLICIT, label: 'Implicit' },
+      { value: GRANT_TYPES.PASSWORD, label: 'Password Credentials' },
+      { value: GRANT_TYPES.CLIENT_CREDENTIALS, label: 'Client Credentials' }
+    ]
+  }
+
+  getClientAuthenticationOptions() {
+    return [
+      { value: 'header', label: 'Basic Auth header' },
+      { value: 'body', label: 'Client credentials in body' }
+    ]
+  }
+
+  getAddTokenToOptions() {
+    return [
+      { value: 'header', label: 'Header' },
+      { value: 'queryParams', label: 'Query Params' }
+    ]
+  }
+
+  /**
+   * Check if a setting is used by the grant type
+   */
+  hasField(grantType, field) {
+    return (GRANT_FIELDS[grantType] || GRANT_FIELDS[GRANT_TYPES.AUTHORIZATION_CODE_PKCE]).includes(field)
+  }
+
+  /**
+   * Redirect URI used when the setting is empty
+   */
+  getDefaultRedirectUri() {
+    return getDefaultRedirectUri()
+  }
+
+  /**
+   * Resolve {{variables}} with the collection's scopes
+   */
+  resolveConfig(config, collectionId) {
+    return resolveOAuth2Config(config, (text) =>
+      this.variableScopes.interpolateString(text, { collectionId }))
+  }
+
+  /**
+   * Stored token for the settings
+   */
+  getToken(config, collectionId) {
+    return this.oauth2Service.getToken(collectionId, this.resolveConfig(config, collectionId))
+  }
+
+  /**
+   * Describe the stored token
+   * @returns {Object|null} - { name, expired, expiresText, canRefresh, preview }
+   */
+  getTokenStatus(config, collectionId, now = Date.now()) {
+    const token = this.getToken(config, collectionId)
+    if (!token) return null
+
+    const expired = isTokenExpired(token, now, 0)
+    let expiresText = 'No expiry'
+    if (token.expiresAt) {
+      expiresText = expired
+        ? `Expired ${new Date(token.expiresAt).toLocaleString()}`
+        : `Expires ${new Date(token.expiresAt).toLocaleString()}`
+    }
+
+    return {
+      name: token.name || 'Token',
+      expired,
+      expiresText,
+      canRefresh: !!token.refreshToken,
+      preview: token.accessToken.length > 24 ? `${token.accessToken.substring(0, 24)}...` : token.accessToken
+    }
+  }
+
+  /**
+   * Get a new token with the configured grant
+   */
+  async getNewToken(config, collectionId) {
+    return this.runTokenRequest(() => this.oauth2Service.getNewToken(config, {
+      collectionId,
+      interpolate: (text) => this.variableScopes.interpolateString(text, { collectionId })
+    }), 'Failed to get access token')
+  }
+
+  /**
+   * Refresh the stored token with its refresh token
+   */
+  async refreshToken(config, collectionId) {
+    const resolved = this.resolveConfig(config, collectionId)
+    const token = this.oauth2Service.getToken(collectionId, resolved)
+    if (!token?.refreshToken) return { success: false }
+
+    return this.runTokenRequest(
+      () => this.oauth2Service.refreshToken(collectionId, resolved, token),
+      'Failed to refresh access token'
+    )
+  }
+
+  /**
+   * Forget the stored token
+   */
+  clearToken(config, collectionId) {
+    this.oauth2Service.deleteToken(collectionId, this.resolveConfig(config, collectionId))
+    this.state.error = null
+  }
+
+  async runTokenRequest(operation, errorMessage) {
+    this.state.busy = true
+    this.state.error = null
+
+    const result = await this.executeAsync(operation, errorMessage)
+    if (!result.success) {
+      this.state.error = result.error.message
+    }
+
+    this.state.busy = false
+    return result
+  }
+}
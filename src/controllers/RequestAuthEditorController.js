@@ -1,4 +1,21 @@
 import { BaseController } from './BaseController.js'
+import { createOAuth2Config } from '../core/auth/oauth2.js'
+import { createAwsV4Config } from '../core/auth/awsv4.js'
+import { createDigestConfig } from '../core/auth/digest.js'
+import { createHawkConfig } from '../core/auth/hawk.js'
+import { createNtlmConfig } from '../core/auth/ntlm.js'
+
+// Auth types edited as a flat list of settings (Postman block keys)
+const SETTINGS_TYPES = {
+  awsv4: createAwsV4Config,
+  digest: createDigestConfig,
+  hawk: createHawkConfig,
+  ntlm: createNtlmConfig
+}
+
+const createSettings = (auth = {}) => Object.fromEntries(
+  Object.entries(SETTINGS_TYPES).map(([type, create]) => [type, create(auth[type] || {})])
+)
 
 /**
  * Controller for RequestAuthEditor component
@@ -33,6 +50,12 @@ export class RequestAuthEditorController extends BaseController {
       apiKeyValue: '',
       apiKeyLocation: 'header',
 
+      // OAuth 2.0 config (Postman oauth2 block)
+      oauth2Config: createOAuth2Config(),
+
+      // AWS Signature, Digest, Hawk and NTLM configs, by type
+      settings: createSettings(),
+
       // Full auth value (the model value)
       authValue: {
         type: 'none',
@@ -45,14 +68,21 @@ export class RequestAuthEditorController extends BaseController {
 
   /**
    * Get available auth types
+   * @param {Object} options - { inheritable }: false for collections, which have no parent
    */
-  getAuthTypes() {
+  getAuthTypes({ inheritable = true } = {}) {
     return [
+      { value: 'inherit', label: 'Inherit auth from parent', description: 'Auth of the nearest folder or the collection' },
       { value: 'none', label: 'No Auth', description: 'No authentication' },
       { value: 'bearer', label: 'Bearer Token', description: 'JWT, OAuth access tokens' },
       { value: 'basic', label: 'Basic Auth', description: 'Username and password' },
-      { value: 'apikey', label: 'API Key', description: 'Custom header or query param' }
-    ]
+      { value: 'apikey', label: 'API Key', description: 'Custom header or query param' },
+      { value: 'oauth2', label: 'OAuth 2.0', description: 'Access tokens from an authorization server' },
+      { value: 'awsv4', label: 'AWS Signature', description: 'Signature Version 4 for AWS APIs' },
+      { value: 'digest', label: 'Digest Auth', description: 'Challenge-response with a hashed password' },
+      { value: 'hawk', label: 'Hawk Authentication', description: 'Request MAC with a shared key' },
+      { value: 'ntlm', label: 'NTLM Authentication', description: 'Windows authentication (relay or CLI)' }
+    ].filter(type => inheritable || type.value !== 'inherit')
   }
 
   /**
@@ -94,6 +124,12 @@ export class RequestAuthEditorController extends BaseController {
       this.state.apiKeyLocation = modelValue.apikey.in || 'header'
     }
 
+    if (modelValue.oauth2) {
+      this.state.oauth2Config = createOAuth2Config(modelValue.oauth2)
+    }
+
+    this.state.settings = createSettings(modelValue)
+
     this.logger.debug('Initialized from model:', modelValue)
   }
 
@@ -108,6 +144,8 @@ export class RequestAuthEditorController extends BaseController {
     this.state.apiKeyName = 'X-API-Key'
     this.state.apiKeyValue = ''
     this.state.apiKeyLocation = 'header'
+    this.state.oauth2Config = createOAuth2Config()
+    this.state.settings = createSettings()
     this.state.authValue = {
       type: 'none',
       bearer: { token: '' },
@@ -131,6 +169,14 @@ export class RequestAuthEditorController extends BaseController {
    */
   changeAuthType(type) {
     this.state.currentAuthType = type
+    if (type === 'oauth2' && !this.state.authValue.oauth2) {
+      this.updateAuth({ type, oauth2: this.state.oauth2Config })
+      return
+    }
+    if (SETTINGS_TYPES[type] && !this.state.authValue[type]) {
+      this.updateAuth({ type, [type]: this.state.settings[type] })
+      return
+    }
     this.updateAuth({ type })
   }
 
@@ -212,6 +258,75 @@ export class RequestAuthEditorController extends BaseController {
     })
   }
 
+  /**
+   * Update OAuth 2.0 settings
+   */
+  updateOAuth2(config) {
+    this.state.oauth2Config = config
+    this.updateAuth({ oauth2: config })
+  }
+
+  /**
+   * Get the settings fields of an AWS Signature, Digest, Hawk or NTLM auth type
+   * @returns {Array} - [{ key, label, input: 'text'|'password'|'select'|'checkbox', placeholder, options }]
+   */
+  getSettingsFields(type) {
+    switch (type) {
+      case 'awsv4':
+        return [
+          { key: 'accessKey', label: 'Access Key', input: 'text', placeholder: 'AKIA...' },
+          { key: 'secretKey', label: 'Secret Key', input: 'password', placeholder: 'Secret access key' },
+          { key: 'sessionToken', label: 'Session Token', input: 'text', placeholder: 'Optional, for temporary credentials' },
+          { key: 'region', label: 'Region', input: 'text', placeholder: 'us-east-1' },
+          { key: 'service', label: 'Service', input: 'text', placeholder: 'execute-api, s3, ...' }
+        ]
+      case 'digest':
+        return [
+          { key: 'username', label: 'Username', input: 'text', placeholder: 'Username' },
+          { key: 'password', label: 'Password', input: 'password', placeholder: 'Password' },
+          { key: 'realm', label: 'Realm', input: 'text', placeholder: 'From the server challenge when empty' },
+          { key: 'nonce', label: 'Nonce', input: 'text', placeholder: 'From the server challenge when empty' },
+          {
+            key: 'algorithm',
+            label: 'Algorithm',
+            input: 'select',
+            options: ['MD5', 'MD5-sess', 'SHA-256', 'SHA-256-sess']
+          },
+          { key: 'qop', label: 'qop', input: 'text', placeholder: 'e.g. auth' },
+          { key: 'opaque', label: 'Opaque', input: 'text', placeholder: 'From the server challenge when empty' },
+          { key: 'disableRetryRequest', label: 'Don\'t answer the server challenge', input: 'checkbox' }
+        ]
+      case 'hawk':
+        return [
+          { key: 'authId', label: 'Hawk Auth ID', input: 'text', placeholder: 'Auth ID' },
+          { key: 'authKey', label: 'Hawk Auth Key', input: 'password', placeholder: 'Auth key' },
+          { key: 'algorithm', label: 'Algorithm', input: 'select', options: ['sha256', 'sha1'] },
+          { key: 'extraData', label: 'ext', input: 'text', placeholder: 'Optional application data' },
+          { key: 'app', label: 'app', input: 'text', placeholder: 'Optional application ID' },
+          { key: 'delegation', label: 'dlg', input: 'text', placeholder: 'Optional delegated-by application ID' },
+          { key: 'includePayloadHash', label: 'Include payload hash', input: 'checkbox' }
+        ]
+      case 'ntlm':
+        return [
+          { key: 'username', label: 'Username', input: 'text', placeholder: 'Username' },
+          { key: 'password', label: 'Password', input: 'password', placeholder: 'Password' },
+          { key: 'domain', label: 'Domain', input: 'text', placeholder: 'Optional' },
+          { key: 'workstation', label: 'Workstation', input: 'text', placeholder: 'Optional' }
+        ]
+      default:
+        return []
+    }
+  }
+
+  /**
+   * Update an AWS Signature, Digest, Hawk or NTLM setting
+   */
+  updateSettingsField(type, field, value) {
+    const settings = { ...this.state.settings[type], [field]: value }
+    this.state.settings = { ...this.state.settings, [type]: settings }
+    this.updateAuth({ [type]: settings })
+  }
+
   /**
    * Check if current auth is configured (non-empty)
    */
@@ -226,6 +341,15 @@ export class RequestAuthEditorController extends BaseController {
         return !!this.state.basicUsername
       case 'apikey':
         return !!this.state.apiKeyName && !!this.state.apiKeyValue
+      case 'oauth2':
+        return !!(this.state.oauth2Config.accessTokenUrl || this.state.oauth2Config.authUrl)
+      case 'awsv4':
+        return !!this.state.settings.awsv4.accessKey && !!this.state.settings.awsv4.secretKey
+      case 'digest':
+      case 'ntlm':
+        return !!this.state.settings[type].username
+      case 'hawk':
+        return !!this.state.settings.hawk.authId && !!this.state.settings.hawk.authKey
       default:
         return false
     }
@@ -239,6 +363,8 @@ export class RequestAuthEditorController extends BaseController {
     switch (type) {
       case 'none':
         return null
+      case 'inherit':
+        return 'Inherited'
       case 'bearer':
         return this.state.bearerToken
           ? `Bearer ${this.state.bearerToken.substring(0, 20)}...`
@@ -251,6 +377,22 @@ export class RequestAuthEditorController extends BaseController {
         return this.state.apiKeyName && this.state.apiKeyValue
           ? `${this.state.apiKeyName} (${this.state.apiKeyLocation})`
           : null
+      case 'oauth2':
+        return this.state.oauth2Config.tokenName
+          ? `OAuth 2.0 (${this.state.oauth2Config.tokenName})`
+          : 'OAuth 2.0'
+      case 'awsv4':
+        return this.state.settings.awsv4.accessKey
+          ? `AWS (${this.state.settings.awsv4.service || 'execute-api'}, ${this.state.settings.awsv4.region || 'us-east-1'})`
+          : null
+      case 'digest':
+        return this.state.settings.digest.username ? `Digest (${this.state.settings.digest.username})` : null
+      case 'ntlm':
+        return this.state.settings.ntlm.username
+          ? `NTLM (${[this.state.settings.ntlm.domain, this.state.settings.ntlm.username].filter(Boolean).join('\\')})`
+          : null
+      case 'hawk':
+        return this.state.settings.hawk.authId ? `Hawk (${this.state.settings.hawk.authId})` : null
       default:
         return null
     }
@@ -271,6 +413,21 @@ export class RequestAuthEditorController extends BaseController {
           return `?${this.state.apiKeyName || 'api_key'}=<value>`
         }
         return `-H '${this.state.apiKeyName || 'X-API-Key'}: <value>'`
+      case 'oauth2':
+        if (this.state.oauth2Config.addTokenTo === 'queryParams') {
+          return '?access_token=<access token>'
+        }
+        return `-H 'Authorization: ${this.state.oauth2Config.headerPrefix || 'Bearer'} <access token>'`
+      case 'awsv4':
+        return `--aws-sigv4 'aws:amz:${this.state.settings.awsv4.region || 'us-east-1'}:${this.state.settings.awsv4.service || 'execute-api'}' -u '<access key>:<secret key>'`
+      case 'digest':
+        return '--digest -u \'<username>:<password>\''
+      case 'ntlm':
+        return this.state.settings.ntlm.domain
+          ? `--ntlm -u '${this.state.settings.ntlm.domain}\\<username>:<password>'`
+          : '--ntlm -u \'<username>:<password>\''
+      case 'hawk':
+        return '-H \'Authorization: Hawk id="...", ts="...", nonce="...", mac="..."\' (computed per send)'
       default:
         return null
     }
@@ -43,6 +43,11 @@ export class RequestContextMenuController extends BaseContextMenuController {
         label: 'Duplicate',
         icon: '📋'
       },
+      {
+        action: 'loadTest',
+        label: 'Load Test',
+        icon: '📈'
+      },
       {
         type: 'separator'
       },
@@ -89,6 +94,10 @@ export class RequestContextMenuController extends BaseContextMenuController {
         await this.duplicateRequest(collectionId, request.id)
         break
 
+      case 'loadTest':
+        await this.openLoadTest(collectionId, request)
+        break
+
       case 'move':
         await this.moveRequest(collectionId, request.id)
         break
@@ -146,6 +155,17 @@ export class RequestContextMenuController extends BaseContextMenuController {
     }
   }
 
+  /**
+   * Open the load test dialog for this request
+   */
+  async openLoadTest(collectionId, request) {
+    this.emit('showLoadTestDialog', {
+      collectionId,
+      requestId: request.id
+    })
+    this.logger.info('Requested load test for request:', request.name)
+  }
+
   /**
    * Move request to another collection
    */
@@ -7,8 +7,8 @@ import { useCollections } from '../stores/useCollections.js'
 import { useEnvironments } from '../stores/useEnvironments.js'
 import { useTabs } from '../stores/useTabs.js'
 import { useVariableInterpolation } from '../composables/useVariableInterpolation.js'
-import { HttpClientFactory } from '../core/http/HttpClient.js'
-import '../core/http/FetchHttpClient.js' // Register FetchHttpClient
+import { createAuthState } from '../models/types.js'
+import requestExecutionService from '../services/RequestExecutionService.js'
 
 /**
  * Controller for RequestTabs component
@@ -26,8 +26,11 @@ export class RequestTabsController extends BaseController {
     // Composables
     this.variableInterpolation = useVariableInterpolation()
 
-    // HTTP client
-    this.httpClient = HttpClientFactory.create('fetch')
+    // Shared send path (settings + per-request overrides)
+    this.requestExecutor = requestExecutionService
+
+    // Abort controller for the send in progress (see cancelRequest)
+    this.abortController = null
 
     // Initialize state
     this.init()
@@ -55,12 +58,7 @@ export class RequestTabsController extends BaseController {
       },
 
       // Auth configuration
-      currentAuth: {
-        type: 'none',
-        bearer: { token: '' },
-        basic: { username: '', password: '' },
-        apikey: { key: 'X-API-Key', value: '', in: 'header' }
-      },
+      currentAuth: createAuthState(),
 
       // Response data
       responseData: null,
@@ -219,21 +217,7 @@ export class RequestTabsController extends BaseController {
       }
 
       // Extract auth
-      if (request.auth && request.auth.type) {
-        this.state.currentAuth = {
-          type: request.auth.type || 'none',
-          bearer: request.auth.bearer || { token: '' },
-          basic: request.auth.basic || { username: '', password: '' },
-          apikey: request.auth.apikey || { key: 'X-API-Key', value: '', in: 'header' }
-        }
-      } else {
-        this.state.currentAuth = {
-          type: 'none',
-          bearer: { token: '' },
-          basic: { username: '', password: '' },
-          apikey: { key: 'X-API-Key', value: '', in: 'header' }
-        }
-      }
+      this.state.currentAuth = createAuthState(request.auth)
     } else if (currentRequest) {
       // Handle legacy format where request data might be directly on currentRequest
       this.logger.warn('Request has unexpected structure, attempting fallback', currentRequest)
@@ -248,12 +232,7 @@ export class RequestTabsController extends BaseController {
         urlEncoded: [],
         binary: null
       }
-      this.state.currentAuth = {
-        type: 'none',
-        bearer: { token: '' },
-        basic: { username: '', password: '' },
-        apikey: { key: 'X-API-Key', value: '', in: 'header' }
-      }
+      this.state.currentAuth = createAuthState()
     } else {
       // New request defaults
       this.state.currentUrl = ''
@@ -267,12 +246,7 @@ export class RequestTabsController extends BaseController {
         urlEncoded: [],
         binary: null
       }
-      this.state.currentAuth = {
-        type: 'none',
-        bearer: { token: '' },
-        basic: { username: '', password: '' },
-        apikey: { key: 'X-API-Key', value: '', in: 'header' }
-      }
+      this.state.currentAuth = createAuthState()
     }
   }
 
@@ -570,6 +544,9 @@ export class RequestTabsController extends BaseController {
       interpolatedBody = this.state.currentBody.binary
     }
 
+    const abortController = new AbortController()
+    this.abortController = abortController
+
     const result = await this.executeAsync(async () => {
       // Log request details
       this.logger.debug('Sending HTTP request:', {
@@ -580,14 +557,21 @@ export class RequestTabsController extends BaseController {
         bodyType: this.state.currentBody.mode
       })
 
-      // Send the actual HTTP request
-      return await this.httpClient.send({
+      // Send the actual HTTP request through the shared execution service
+      const currentRequest = this.getComputed('currentRequest')
+      return await this.requestExecutor.send({
         method: this.state.currentMethod,
         url: interpolatedUrl,
         params: interpolatedParams,
         headers: interpolatedHeaders,
         body: interpolatedBody,
-        bodyType: this.state.currentBody.mode
+        bodyType: this.state.currentBody.mode,
+        signal: abortController.signal
+      }, {
+        protocolProfileBehavior: {
+          ...(currentRequest?.request?.protocolProfileBehavior || {}),
+          ...(currentRequest?.protocolProfileBehavior || {})
+        }
       })
     }, 'HTTP request failed')
 
@@ -621,6 +605,16 @@ export class RequestTabsController extends BaseController {
     }
 
     this.state.isLoading = false
+    this.abortController = null
+  }
+
+  /**
+   * Cancel the request in progress
+   */
+  cancelRequest() {
+    if (!this.state.isLoading || !this.abortController) return
+    this.logger.info('Cancelling request')
+    this.abortController.abort()
   }
 
   /**
@@ -0,0 +1,126 @@
+/**
+ * ChatController Tests
+ *
+ * Tests sends from the composer with a fake executor in place of the network,
+ * and cancelling them.
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { ChatController } from '../ChatController.js'
+import { ScriptSandbox } from '../../core/scripting/ScriptSandbox.js'
+import { PostmanScriptRunner } from '../../core/scripting/PostmanScriptRunner.js'
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+function createController() {
+  const controller = new ChatController()
+  controller.conversationsStore.createNewConversation()
+  const sent = []
+  controller.requestExecutor = {
+    send: vi.fn(async (config) => {
+      sent.push(config)
+      return { status: 200, statusText: 'OK', headers: {}, body: '{}', time: 1, size: 2, success: true }
+    })
+  }
+  return { controller, sent }
+}
+
+describe('ChatController.sendRequest', () => {
+  it('runs the composer scripts around the send and adds their results', async () => {
+    const { controller, sent } = createController()
+    vi.spyOn(controller, 'createScriptSandbox').mockImplementation(() => new PostmanScriptRunner({ logger: silentLogger }))
+    controller.state.script.preRequest = "pm.request.headers.add({ key: 'X-Script', value: '1' })"
+    controller.state.script.postRequest = "pm.test('is ok', () => pm.response.to.have.status(200))"
+    controller.state.curlInput = 'curl https://api.example.com/users'
+
+    await controller.sendRequest()
+
+    expect(sent[0].headers).toContainEqual(expect.objectContaining({ key: 'X-Script', value: '1' }))
+    const messages = controller.conversationsStore.activeMessages.value
+    expect(messages.map(message => message.type)).toEqual(['request', 'response', 'script_results'])
+    expect(messages[2].data.tests).toMatchObject([{ name: 'is ok', passed: true }])
+  })
+})
+
+describe('ChatController.runCurlCommands', () => {
+  it('sends pasted commands without the scripts of the open request', async () => {
+    const { controller, sent } = createController()
+    const createScriptSandbox = vi.spyOn(controller, 'createScriptSandbox')
+    controller.state.script.preRequest = "pm.request.headers.add({ key: 'X-Script', value: '1' })"
+    controller.state.script.postRequest = "pm.test('runs', () => {})"
+    controller.state.curlInput = [
+      'curl https://api.example.com/users',
+      'curl -X POST https://api.example.com/users -d name=ada'
+    ].join('\n')
+
+    expect(await controller.runCurlCommands()).toBe(2)
+    expect(sent.map(config => `${config.method} ${config.url}`)).toEqual([
+      'GET https://api.example.com/users',
+      'POST https://api.example.com/users'
+    ])
+    expect(sent.flatMap(config => config.headers).map(header => header.key)).not.toContain('X-Script')
+    expect(createScriptSandbox).not.toHaveBeenCalled()
+    expect(controller.conversationsStore.activeMessages.value.map(message => message.type))
+      .toEqual(['request', 'response', 'request', 'response'])
+    expect(controller.state.isLoading).toBe(false)
+  })
+})
+
+describe('ChatController.cancelRequest', () => {
+  const lastResponse = (controller) => controller.conversationsStore.activeMessages.value.at(-1)
+
+  it('cancels the HTTP request and skips the test scripts', async () => {
+    const { controller } = createController()
+    // Ends like HttpClient.send when the signal is aborted
+    controller.requestExecutor.send = vi.fn((config) => new Promise(resolve => {
+      config.signal.addEventListener('abort', () => resolve({
+        success: false, cancelled: true, error: 'Request cancelled', status: 0, statusText: 'Cancelled', time: 5, size: 0
+      }))
+    }))
+    const createScriptSandbox = vi.spyOn(controller, 'createScriptSandbox')
+    controller.state.script.postRequest = "pm.test('runs', () => {})"
+    controller.state.curlInput = 'curl https://api.example.com/slow'
+
+    const sending = controller.sendRequest()
+    await vi.waitFor(() => expect(controller.requestExecutor.send).toHaveBeenCalled())
+    expect(controller.state.isLoading).toBe(true)
+    controller.cancelRequest()
+    await sending
+
+    expect(lastResponse(controller)).toMatchObject({ type: 'response', data: { cancelled: true, statusText: 'Cancelled' } })
+    expect(createScriptSandbox).not.toHaveBeenCalled()
+    expect(controller.state.isLoading).toBe(false)
+    expect(controller.state.requestError).toBeNull()
+    expect(controller.abortController).toBeNull()
+  })
+
+  it('stops a running pre-request script and does not send', async () => {
+    const { controller } = createController()
+    const worker = { terminated: false, postMessage() {}, terminate() { worker.terminated = true } }
+    vi.spyOn(controller, 'createScriptSandbox').mockReturnValue(new ScriptSandbox({ logger: silentLogger, createWorker: () => worker }))
+    const recordScriptResult = vi.spyOn(controller, 'recordScriptResult')
+    controller.state.script.preRequest = 'while (true) {}'
+    controller.state.curlInput = 'curl https://api.example.com/users'
+
+    const sending = controller.sendRequest()
+    await vi.waitFor(() => expect(controller.createScriptSandbox).toHaveBeenCalled())
+    controller.cancelRequest()
+    await sending
+
+    expect(worker.terminated).toBe(true)
+    expect(controller.requestExecutor.send).not.toHaveBeenCalled()
+    expect(recordScriptResult).not.toHaveBeenCalled()
+    expect(controller.conversationsStore.activeMessages.value.map(message => message.type)).toEqual(['request', 'response'])
+    expect(lastResponse(controller).data).toMatchObject({ cancelled: true, error: 'Request cancelled' })
+    expect(controller.state.isLoading).toBe(false)
+  })
+
+  it('does nothing when no send is in progress', () => {
+    const { controller } = createController()
+
+    controller.cancelRequest()
+
+    expect(controller.state.isLoading).toBe(false)
+    expect(controller.conversationsStore.activeMessages.value).toEqual([])
+  })
+})
@@ -85,23 +85,41 @@ export class CertificatesSettingsController extends BaseController {
   }
 
   /**
-   * Import certificate file
+   * Import a certificate, private key or CA file into a certificate slot
+   * @param {File} file - Selected file
+   * @param {string} certId - Certificate ID
+   * @param {string} slot - 'cert' (PEM/DER/PFX), 'key' or 'ca'
    */
-  async importCertificate(file, certId) {
+  async importCertificate(file, certId, slot = 'cert') {
     try {
-      // In a real app, this would read and parse the certificate file
       const cert = this.state.certificates.find(c => c.id === certId)
       if (!cert) {
         throw new Error('Certificate not found')
       }
 
-      // Simulate file reading
-      const fileData = await this.readCertificateFile(file)
+      const fileData = await this.readCertificateFile(file, slot)
+
+      if (slot === 'cert' && (fileData.format === 'pfx' || fileData.format === 'p12')) {
+        // PFX/P12 bundles carry both certificate and key
+        cert.pfx = { content: fileData.content, encoding: 'base64' }
+        cert.cert = null
+        cert.key = null
+      } else if (slot === 'cert') {
+        cert.cert = fileData
+        cert.pfx = null
+        // A PEM file may bundle the private key with the certificate
+        if (fileData.format === 'pem' && fileData.content.includes('PRIVATE KEY') && !cert.key) {
+          cert.key = fileData
+        }
+      } else if (slot === 'key') {
+        cert.key = fileData
+      } else if (slot === 'ca') {
+        cert.ca = fileData
+      }
 
-      cert.cert = fileData
-      cert.fileName = file.name
+      cert.fileNames = { ...(cert.fileNames || {}), [slot]: file.name }
 
-      this.logger.info('Imported certificate file:', file.name)
+      this.logger.info(`Imported ${slot} file:`, file.name)
       this.emit('certificatesChanged', this.state.certificates)
 
       return { success: true, message: 'Certificate imported successfully' }
@@ -113,28 +131,44 @@ export class CertificatesSettingsController extends BaseController {
   }
 
   /**
-   * Read certificate file (simulated)
+   * Read a certificate file into the Certificate model's { content, format, encoding } shape
+   * PEM text is kept as-is, DER certificates are wrapped as PEM, PFX/P12 stay base64
    */
-  async readCertificateFile(file) {
-    return new Promise((resolve, reject) => {
+  async readCertificateFile(file, slot = 'cert') {
+    const buffer = await new Promise((resolve, reject) => {
       const reader = new FileReader()
+      reader.onload = (e) => resolve(e.target.result)
+      reader.onerror = () => reject(new Error('Failed to read certificate file'))
+      reader.readAsArrayBuffer(file)
+    })
 
-      reader.onload = (e) => {
-        // In a real app, you'd validate the certificate format here
-        resolve(e.target.result)
-      }
+    const bytes = new Uint8Array(buffer)
+    const text = new TextDecoder().decode(bytes)
 
-      reader.onerror = () => {
-        reject(new Error('Failed to read certificate file'))
-      }
+    if (text.includes('-----BEGIN')) {
+      return { content: text, format: 'pem', encoding: 'utf8' }
+    }
 
-      // Read as base64 for binary files (.p12, .pfx) or text for .pem
-      if (file.name.endsWith('.pem')) {
-        reader.readAsText(file)
-      } else {
-        reader.readAsDataURL(file)
-      }
-    })
+    let binary = ''
+    bytes.forEach(byte => { binary += String.fromCharCode(byte) })
+    const base64 = btoa(binary)
+    const extension = file.name.split('.').pop().toLowerCase()
+
+    if (extension === 'pfx' || extension === 'p12') {
+      return { content: base64, format: extension, encoding: 'base64' }
+    }
+
+    if (slot === 'key') {
+      throw new Error('Private keys must be PEM encoded')
+    }
+
+    // DER certificate: TLS libraries expect PEM
+    const lines = base64.match(/.{1,64}/g).join('\n')
+    return {
+      content: `-----BEGIN CERTIFICATE-----\n${lines}\n-----END CERTIFICATE-----\n`,
+      format: 'pem',
+      encoding: 'utf8'
+    }
   }
 
   /**
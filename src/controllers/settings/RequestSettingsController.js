@@ -1,5 +1,6 @@
 import { BaseController } from '../BaseController.js'
 import { RequestSettings } from '../../models/Settings.js'
+import { RelayHttpClient } from '../../core/http/RelayHttpClient.js'
 
 /**
  * Controller for Request Settings tab
@@ -10,7 +11,9 @@ export class RequestSettingsController extends BaseController {
 
     this.createState({
       settings: null,
-      errors: {}
+      errors: {},
+      checkingRelay: false,
+      relayStatus: null
     })
   }
 
@@ -46,9 +49,40 @@ export class RequestSettingsController extends BaseController {
       this.setError('maxRedirects', 'Max redirects must be between 0 and 50')
     }
 
+    if (this.state.settings.scriptTimeout < 100 || this.state.settings.scriptTimeout > 300000) {
+      this.setError('scriptTimeout', 'Script timeout must be between 100 ms and 300 seconds')
+    }
+
+    if (this.state.settings.httpClient === 'relay' && !/^https?:\/\/.+/.test(this.state.settings.relayUrl || '')) {
+      this.setError('relayUrl', 'Relay URL must start with http:// or https://')
+    }
+
     return Object.keys(this.state.errors).length === 0
   }
 
+  /**
+   * Check that the local relay is reachable
+   */
+  async checkRelay() {
+    this.state.checkingRelay = true
+    this.state.relayStatus = null
+
+    try {
+      const client = new RelayHttpClient({ relayUrl: this.state.settings.relayUrl })
+      const health = await client.checkHealth()
+      this.state.relayStatus = health.ok
+        ? { success: true, message: `Relay is running (v${health.version})` }
+        : { success: false, message: health.error || 'Relay did not respond correctly' }
+    } catch (error) {
+      this.logger.error('Relay check failed:', error)
+      this.state.relayStatus = { success: false, message: error.message }
+    } finally {
+      this.state.checkingRelay = false
+    }
+
+    return this.state.relayStatus
+  }
+
   /**
    * Set validation error
    */
@@ -0,0 +1,84 @@
+/**
+ * AWS Signature v4 Tests
+ *
+ * Signatures are checked against the AWS Signature Version 4 test suite.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { signAwsV4, toAmzDate } from '../awsv4.js'
+import { buildSendConfig } from '../../../services/RequestExecutionService.js'
+
+const credentials = {
+  accessKey: 'AKIDEXAMPLE',
+  secretKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+  region: 'us-east-1',
+  service: 'service'
+}
+const now = new Date('2015-08-30T12:36:00Z')
+
+const headerValue = (headers, key) => headers.find(h => h.key === key)?.value
+
+describe('signAwsV4', () => {
+  it('should format the signing date', () => {
+    expect(toAmzDate(now)).toBe('20150830T123600Z')
+  })
+
+  it('should sign a plain GET (get-vanilla)', async () => {
+    const headers = await signAwsV4({ method: 'GET', url: 'https://example.amazonaws.com/', headers: [] }, credentials, now)
+
+    expect(headerValue(headers, 'X-Amz-Date')).toBe('20150830T123600Z')
+    expect(headerValue(headers, 'Authorization')).toBe(
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+      'SignedHeaders=host;x-amz-date, ' +
+      'Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+    )
+  })
+
+  it('should sign the final URL with sorted query parameters (get-vanilla-query-order-key-case)', async () => {
+    const headers = await signAwsV4({
+      method: 'GET',
+      url: 'https://example.amazonaws.com/',
+      fullUrl: 'https://example.amazonaws.com/?Param2=value2&Param1=value1',
+      headers: []
+    }, credentials, now)
+
+    expect(headerValue(headers, 'Authorization')).toContain(
+      'Signature=b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500'
+    )
+  })
+
+  it('should add session token and S3 payload headers', async () => {
+    const headers = await signAwsV4({
+      method: 'PUT',
+      url: 'https://bucket.s3.amazonaws.com/key',
+      headers: [{ key: 'Authorization', value: 'Bearer old', enabled: true }],
+      body: 'hello',
+      bodyType: 'raw'
+    }, { ...credentials, service: 's3', sessionToken: 'session' }, now)
+
+    expect(headerValue(headers, 'X-Amz-Security-Token')).toBe('session')
+    expect(headerValue(headers, 'X-Amz-Content-Sha256'))
+      .toBe('2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824')
+    expect(headers.filter(h => h.key === 'Authorization')).toHaveLength(1)
+    expect(headerValue(headers, 'Authorization'))
+      .toContain('SignedHeaders=host;x-amz-content-sha256;x-amz-date;x-amz-security-token,')
+  })
+
+  it('should require credentials', async () => {
+    await expect(signAwsV4({ method: 'GET', url: 'https://example.com/' }, { region: 'us-east-1' }))
+      .rejects.toThrow('access key and secret key')
+  })
+})
+
+describe('buildSendConfig with awsv4 auth', () => {
+  it('should pass interpolated credentials for the client to sign', () => {
+    const config = buildSendConfig({
+      method: 'GET',
+      url: { raw: 'https://example.amazonaws.com/' },
+      auth: { type: 'awsv4', awsv4: { ...credentials, secretKey: '{{secret}}' } }
+    }, (text) => text.replace('{{secret}}', credentials.secretKey))
+
+    expect(config.awsv4).toEqual({ ...credentials, sessionToken: '' })
+    expect(config.headers).toEqual([])
+  })
+})
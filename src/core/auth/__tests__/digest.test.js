@@ -0,0 +1,80 @@
+/**
+ * Digest Auth Tests
+ *
+ * Responses are checked against the RFC 2617 example.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { md5, toHex } from '../md.js'
+import { createDigestConfig, parseDigestChallenge, buildDigestAuthorization } from '../digest.js'
+import { HttpClient } from '../../http/HttpClient.js'
+
+const challengeHeader = 'Digest realm="testrealm@host.com", qop="auth,auth-int", ' +
+  'nonce="dcd98b7102dd2f0e8b11d0f600bfb0c093", opaque="5ccc069c403ebaf9f0171e9517f40e41"'
+
+const credentials = createDigestConfig({
+  username: 'Mufasa',
+  password: 'Circle Of Life',
+  nonceCount: '00000001',
+  clientNonce: '0a4f113b'
+})
+
+describe('Digest auth', () => {
+  it('should hash with MD5', () => {
+    expect(toHex(md5(''))).toBe('d41d8cd98f00b204e9800998ecf8427e')
+    expect(toHex(md5('The quick brown fox jumps over the lazy dog'))).toBe('9e107d9d372bb6826bd81d3542a419d6')
+  })
+
+  it('should read the challenge', () => {
+    expect(parseDigestChallenge(challengeHeader)).toEqual({
+      realm: 'testrealm@host.com',
+      nonce: 'dcd98b7102dd2f0e8b11d0f600bfb0c093',
+      qop: 'auth,auth-int',
+      opaque: '5ccc069c403ebaf9f0171e9517f40e41',
+      algorithm: 'MD5'
+    })
+    expect(parseDigestChallenge('Basic realm="x"')).toBeNull()
+  })
+
+  it('should compute the RFC 2617 response', async () => {
+    const header = await buildDigestAuthorization(
+      { ...credentials, ...parseDigestChallenge(challengeHeader) },
+      { method: 'GET', url: 'http://www.nowhere.org/dir/index.html' }
+    )
+
+    expect(header).toContain('uri="/dir/index.html"')
+    expect(header).toContain('qop=auth, nc=00000001, cnonce="0a4f113b"')
+    expect(header).toContain('response="6629fae49393a05397450978507c4ef1"')
+    expect(header).toContain('opaque="5ccc069c403ebaf9f0171e9517f40e41"')
+  })
+
+  it('should answer a 401 challenge and send again', async () => {
+    class FakeClient extends HttpClient {
+      constructor() {
+        super()
+        this.sent = []
+      }
+
+      async execute(config) {
+        const authorization = config.headersObj.Authorization
+        this.sent.push(authorization)
+        return authorization
+          ? { success: true, status: 200, headers: {}, body: 'ok' }
+          : { success: false, status: 401, headers: { 'WWW-Authenticate': challengeHeader }, body: '' }
+      }
+    }
+
+    const client = new FakeClient()
+    const response = await client.send({
+      method: 'GET',
+      url: 'http://www.nowhere.org/dir/index.html',
+      headers: [],
+      digest: credentials
+    })
+
+    expect(response.status).toBe(200)
+    expect(client.sent).toHaveLength(2)
+    expect(client.sent[0]).toBeUndefined()
+    expect(client.sent[1]).toContain('response="6629fae49393a05397450978507c4ef1"')
+  })
+})
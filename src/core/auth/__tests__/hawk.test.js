@@ -0,0 +1,48 @@
+/**
+ * Hawk Auth Tests
+ *
+ * Headers are checked against the examples in the Hawk specification.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { createHawkConfig, buildHawkHeader } from '../hawk.js'
+
+const credentials = createHawkConfig({
+  authId: 'dh37fgj492je',
+  authKey: 'werxhqb98rpaxn39848xrunpaw3489ruxnpa98w4rxn',
+  algorithm: 'sha256',
+  timestamp: '1353832234',
+  nonce: 'j4h3g2',
+  extraData: 'some-app-ext-data'
+})
+
+describe('buildHawkHeader', () => {
+  it('should compute the MAC of a GET', async () => {
+    const header = await buildHawkHeader(credentials, {
+      method: 'GET',
+      url: 'http://example.com:8000/resource/1?b=1&a=2'
+    })
+
+    expect(header).toBe(
+      'Hawk id="dh37fgj492je", ts="1353832234", nonce="j4h3g2", ext="some-app-ext-data", ' +
+      'mac="6R4rV5iE+NPoym+WwjeHzjAGXUtLNIxmo1vpMofpLAE="'
+    )
+  })
+
+  it('should include the payload hash when enabled', async () => {
+    const header = await buildHawkHeader({ ...credentials, includePayloadHash: true }, {
+      method: 'POST',
+      url: 'http://example.com:8000/resource/1?b=1&a=2',
+      payload: 'Thank you for flying Hawk',
+      contentType: 'text/plain'
+    })
+
+    expect(header).toContain('hash="Yi9LfIIFRtBEPt74PVmbTF/xVAwPn7ub15ePICfgnuY="')
+    expect(header).toContain('mac="aSe1DERmZuRl3pI36/9BdZmnErTw3sNzOOAUlfeKjVw="')
+  })
+
+  it('should require an auth ID and key', async () => {
+    await expect(buildHawkHeader(createHawkConfig(), { url: 'http://example.com/' }))
+      .rejects.toThrow('auth ID and auth key')
+  })
+})
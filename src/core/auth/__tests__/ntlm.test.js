@@ -0,0 +1,62 @@
+/**
+ * NTLM Auth Tests
+ *
+ * Hashes and responses are checked against the MS-NLMP NTLMv2 examples (4.2.4).
+ */
+
+import { describe, it, expect } from 'vitest'
+import { md4, toHex } from '../md.js'
+import { createNegotiateMessage, parseChallengeMessage, createAuthenticateMessage } from '../ntlm.js'
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+// Security buffer of a type 3 message: LM response, NT response, domain, user, workstation
+const readField = (message, index) => {
+  const view = new DataView(message.buffer)
+  const position = 12 + index * 8
+  const length = view.getUint16(position, true)
+  const offset = view.getUint32(position + 4, true)
+  return message.slice(offset, offset + length)
+}
+
+const challengeHeader = () => {
+  const message = new Uint8Array(48)
+  const view = new DataView(message.buffer)
+  message.set([0x4e, 0x54, 0x4c, 0x4d, 0x53, 0x53, 0x50, 0x00])
+  view.setUint32(8, 2, true)
+  view.setUint32(20, 0xe2888215, true)
+  message.set([0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef], 24)
+  view.setUint32(44, 48, true)
+  return `NTLM ${btoa(String.fromCharCode(...message))}`
+}
+
+describe('NTLM auth', () => {
+  it('should hash with MD4', () => {
+    expect(toHex(md4(''))).toBe('31d6cfe0d16ae931b73c59d7e0c089c0')
+    expect(toHex(md4('abc'))).toBe('a448017aaf21d8525fc10ae87aa6729d')
+  })
+
+  it('should create a negotiate message', () => {
+    const message = fromBase64(createNegotiateMessage())
+    expect(new TextDecoder().decode(message.slice(0, 7))).toBe('NTLMSSP')
+    expect(message[8]).toBe(1)
+  })
+
+  it('should read the server challenge', () => {
+    const challenge = parseChallengeMessage(`Negotiate, ${challengeHeader()}`)
+    expect(toHex(challenge.challenge)).toBe('0123456789abcdef')
+    expect(parseChallengeMessage('Basic realm="x"')).toBeNull()
+  })
+
+  it('should compute the NTLMv2 responses', () => {
+    const message = fromBase64(createAuthenticateMessage(
+      parseChallengeMessage(challengeHeader()),
+      { username: 'User', password: 'Password', domain: 'Domain', workstation: 'COMPUTER' },
+      { clientNonce: new Uint8Array(8).fill(0xaa), now: new Date(0) }
+    ))
+
+    expect(toHex(readField(message, 0))).toBe('86c35097ac9cec102554764a57cccc19aaaaaaaaaaaaaaaa')
+    expect(new TextDecoder('utf-16le').decode(readField(message, 3))).toBe('User')
+    expect(new TextDecoder('utf-16le').decode(readField(message, 2))).toBe('Domain')
+  })
+})
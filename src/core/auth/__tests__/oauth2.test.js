@@ -0,0 +1,186 @@
+/**
+ * OAuth 2.0 Tests
+ *
+ * Tests the protocol helpers and OAuth2Service token handling before sends.
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  GRANT_TYPES,
+  createOAuth2Config,
+  createCodeChallenge,
+  buildAuthorizationUrl,
+  buildTokenRequest,
+  parseTokenResponse,
+  parseCallbackUrl,
+  isTokenExpired
+} from '../oauth2.js'
+import { OAuth2Service } from '../../../services/OAuth2Service.js'
+
+const bodyOf = (request) => Object.fromEntries(request.body.map(field => [field.key, field.value]))
+
+describe('oauth2 helpers', () => {
+  it('should create the PKCE S256 challenge', async () => {
+    // RFC 7636 appendix B
+    const challenge = await createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')
+    expect(challenge).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM')
+  })
+
+  it('should build the authorization URL', () => {
+    const url = new URL(buildAuthorizationUrl(createOAuth2Config({
+      authUrl: 'https://auth.example.com/authorize?audience=api',
+      clientId: 'app',
+      scope: 'read write',
+      redirect_uri: 'http://localhost/oauth2/callback.html'
+    }), { state: 'xyz', codeChallenge: 'abc' }))
+
+    expect(url.searchParams.get('audience')).toBe('api')
+    expect(url.searchParams.get('response_type')).toBe('code')
+    expect(url.searchParams.get('scope')).toBe('read write')
+    expect(url.searchParams.get('state')).toBe('xyz')
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256')
+  })
+
+  it('should send client credentials as basic auth', () => {
+    const request = buildTokenRequest(createOAuth2Config({
+      accessTokenUrl: 'https://auth.example.com/token',
+      clientId: 'app',
+      clientSecret: 's3cret',
+      scope: 'read'
+    }), { type: 'client_credentials' })
+
+    expect(request.method).toBe('POST')
+    expect(request.bodyType).toBe('urlencoded')
+    expect(request.headers.find(h => h.key === 'Authorization').value).toBe(`Basic ${btoa('app:s3cret')}`)
+    expect(bodyOf(request)).toEqual({ grant_type: 'client_credentials', scope: 'read' })
+  })
+
+  it('should send the code verifier and public client id in the code exchange', () => {
+    const request = buildTokenRequest(createOAuth2Config({
+      accessTokenUrl: 'https://auth.example.com/token',
+      clientId: 'app',
+      redirect_uri: 'http://localhost/cb'
+    }), { type: 'authorization_code', code: 'c0de', codeVerifier: 'verifier' })
+
+    expect(bodyOf(request)).toEqual({
+      grant_type: 'authorization_code',
+      code: 'c0de',
+      redirect_uri: 'http://localhost/cb',
+      code_verifier: 'verifier',
+      client_id: 'app'
+    })
+  })
+
+  it('should use the refresh token URL when set', () => {
+    const request = buildTokenRequest(createOAuth2Config({
+      accessTokenUrl: 'https://auth.example.com/token',
+      refreshTokenUrl: 'https://auth.example.com/refresh'
+    }), { type: 'refresh_token', refreshToken: 'r1' })
+
+    expect(request.url).toBe('https://auth.example.com/refresh')
+    expect(bodyOf(request).refresh_token).toBe('r1')
+  })
+
+  it('should parse JSON and form-encoded token responses', () => {
+    const token = parseTokenResponse({ access_token: 'a1', expires_in: 60, refresh_token: 'r1' }, 1000)
+    expect(token).toMatchObject({ accessToken: 'a1', tokenType: 'Bearer', refreshToken: 'r1', expiresAt: 61000 })
+
+    expect(parseTokenResponse('access_token=a2&token_type=mac').tokenType).toBe('mac')
+    expect(() => parseTokenResponse({ error: 'invalid_client', error_description: 'Bad secret' }))
+      .toThrow('invalid_client: Bad secret')
+  })
+
+  it('should read code and implicit callbacks', () => {
+    expect(parseCallbackUrl('http://localhost/cb?code=c0de&state=xyz')).toMatchObject({ code: 'c0de', state: 'xyz' })
+
+    const implicit = parseCallbackUrl('http://localhost/cb#access_token=a1&state=xyz&expires_in=60')
+    expect(implicit.state).toBe('xyz')
+    expect(implicit.token.accessToken).toBe('a1')
+  })
+
+  it('should treat tokens close to expiry as expired', () => {
+    expect(isTokenExpired({ expiresAt: 100000 }, 80000)).toBe(true)
+    expect(isTokenExpired({ expiresAt: 100000 }, 10000)).toBe(false)
+    expect(isTokenExpired({ expiresAt: null }, 10000)).toBe(false)
+  })
+})
+
+describe('OAuth2Service.authorizeRequest', () => {
+  const createService = (responses) => {
+    const sent = []
+    const service = new OAuth2Service({
+      requestExecutor: {
+        send: async (config) => {
+          sent.push(config)
+          return { status: 200, body: responses.shift() }
+        }
+      }
+    })
+    return { service, sent }
+  }
+
+  const request = (oauth2) => ({
+    method: 'GET',
+    url: { raw: 'https://api.example.com' },
+    auth: {
+      type: 'oauth2',
+      oauth2: createOAuth2Config({
+        grant_type: GRANT_TYPES.CLIENT_CREDENTIALS,
+        accessTokenUrl: '{{authHost}}/token',
+        clientId: 'app',
+        clientSecret: 's3cret',
+        ...oauth2
+      })
+    }
+  })
+
+  const interpolate = (text) => text.replace('{{authHost}}', 'https://auth.example.com')
+
+  it('should fetch one client credentials token for concurrent sends', async () => {
+    const { service, sent } = createService([{ access_token: 'a1', expires_in: 3600 }])
+
+    const [first, second] = await Promise.all([
+      service.authorizeRequest(request(), { collectionId: 'c1', interpolate }),
+      service.authorizeRequest(request(), { collectionId: 'c1', interpolate })
+    ])
+
+    expect(sent).toHaveLength(1)
+    expect(sent[0].url).toBe('https://auth.example.com/token')
+    expect(first.auth.oauth2.accessToken).toBe('a1')
+    expect(second.auth.oauth2.accessToken).toBe('a1')
+  })
+
+  it('should refresh an expired token and keep its refresh token', async () => {
+    const { service, sent } = createService([{ access_token: 'a2', expires_in: 3600 }])
+    const config = createOAuth2Config(request().auth.oauth2)
+    const resolved = { ...config, accessTokenUrl: 'https://auth.example.com/token' }
+    service.saveToken('c1', resolved, { accessToken: 'a1', refreshToken: 'r1', expiresAt: Date.now() - 1000 })
+
+    const authorized = await service.authorizeRequest(request(), { collectionId: 'c1', interpolate })
+
+    expect(bodyOf(sent[0])).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'r1' })
+    expect(authorized.auth.oauth2.accessToken).toBe('a2')
+    expect(service.getToken('c1', resolved).refreshToken).toBe('r1')
+  })
+
+  it('should ask to sign in again when an authorization code token cannot be refreshed', async () => {
+    const { service, sent } = createService([{ error: 'invalid_grant' }])
+    const oauth2 = { grant_type: GRANT_TYPES.AUTHORIZATION_CODE_PKCE }
+    const resolved = { ...createOAuth2Config(request(oauth2).auth.oauth2), accessTokenUrl: 'https://auth.example.com/token' }
+    service.saveToken('c1', resolved, { accessToken: 'a1', refreshToken: 'r1', expiresAt: Date.now() - 1000 })
+
+    await expect(service.authorizeRequest(request(oauth2), { collectionId: 'c1', interpolate }))
+      .rejects.toThrow('No access token. Use "Get New Access Token"')
+    expect(bodyOf(sent[0])).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'r1' })
+  })
+
+  it('should require a token for authorization code grants', async () => {
+    const { service, sent } = createService([])
+
+    await expect(service.authorizeRequest(
+      request({ grant_type: GRANT_TYPES.AUTHORIZATION_CODE_PKCE }),
+      { collectionId: 'c1', interpolate }
+    )).rejects.toThrow('No access token')
+    expect(sent).toHaveLength(0)
+  })
+})
@@ -0,0 +1,171 @@
+/**
+ * AWS Signature Version 4
+ *
+ * Signs requests for AWS APIs (API Gateway, S3 and other services) with
+ * WebCrypto. Signing happens on the final request, after variables are
+ * resolved and query parameters are added to the URL, so the signature
+ * covers exactly what is sent.
+ *
+ * Settings use Postman's awsv4 auth block keys (accessKey, secretKey,
+ * sessionToken, region, service).
+ */
+
+import { getRequestPayload } from './payload.js'
+
+const ALGORITHM = 'AWS4-HMAC-SHA256'
+
+// Payload hash S3 accepts for bodies that cannot be reproduced (multipart)
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD'
+
+// Headers the signature adds; values the user set for them are replaced
+const SIGNATURE_HEADERS = ['authorization', 'x-amz-date', 'x-amz-security-token', 'x-amz-content-sha256']
+
+/**
+ * Settings for a new awsv4 auth block
+ */
+export function createAwsV4Config(overrides = {}) {
+  return {
+    accessKey: '',
+    secretKey: '',
+    sessionToken: '',
+    region: 'us-east-1',
+    service: 'execute-api',
+    ...overrides
+  }
+}
+
+const encoder = new TextEncoder()
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('')
+
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? encoder.encode(data) : data
+  return toHex(await crypto.subtle.digest('SHA-256', bytes))
+}
+
+async function hmac(key, data) {
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    typeof key === 'string' ? encoder.encode(key) : key,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  return crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data))
+}
+
+/**
+ * Percent-encode everything but RFC 3986 unreserved characters
+ */
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, char =>
+    `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+function decodeSafely(text) {
+  try {
+    return decodeURIComponent(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Canonical path: S3 encodes segments once, every other service twice
+ */
+function canonicalUri(pathname, service) {
+  const path = pathname
+    .split('/')
+    .map(segment => {
+      const encoded = encodeRfc3986(decodeSafely(segment))
+      return service === 's3' ? encoded : encodeRfc3986(encoded)
+    })
+    .join('/')
+  return path || '/'
+}
+
+function canonicalQuery(searchParams) {
+  return Array.from(searchParams)
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA < keyB ? -1 : keyA > keyB ? 1 : valueA < valueB ? -1 : valueA > valueB ? 1 : 0)
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&')
+}
+
+/**
+ * Format a date as YYYYMMDDTHHMMSSZ
+ */
+export function toAmzDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Sign a request
+ * @param {Object} config - HttpClient.send config with fullUrl (URL including query parameters)
+ * @param {Object} credentials - { accessKey, secretKey, sessionToken, region, service }
+ * @param {Date} now - Signing time
+ * @returns {Promise<Array>} - Request headers with the signature headers added
+ */
+export async function signAwsV4(config, credentials, now = new Date()) {
+  const { accessKey, secretKey, sessionToken } = credentials
+  const region = credentials.region || 'us-east-1'
+  const service = credentials.service || 'execute-api'
+  if (!accessKey || !secretKey) {
+    throw new Error('AWS Signature requires an access key and secret key')
+  }
+
+  const url = new URL(config.fullUrl || config.url)
+  const amzDate = toAmzDate(now)
+  const dateStamp = amzDate.slice(0, 8)
+
+  const payload = await getRequestPayload(config)
+  const payloadHash = payload === null && service === 's3' ? UNSIGNED_PAYLOAD : await sha256Hex(payload ?? '')
+
+  const headers = (config.headers || []).filter(h =>
+    !(h.key && SIGNATURE_HEADERS.includes(h.key.toLowerCase())))
+  const added = [{ key: 'X-Amz-Date', value: amzDate, enabled: true }]
+  if (sessionToken) added.push({ key: 'X-Amz-Security-Token', value: sessionToken, enabled: true })
+  if (service === 's3') added.push({ key: 'X-Amz-Content-Sha256', value: payloadHash, enabled: true })
+
+  // Host is set by the client from the URL; every other header sent is signed
+  const signed = new Map([['host', url.host]])
+  for (const header of [...headers, ...added]) {
+    if (!header.enabled || !header.key) continue
+    const name = header.key.trim().toLowerCase()
+    const value = String(header.value ?? '').trim().replace(/\s+/g, ' ')
+    signed.set(name, signed.has(name) && name !== 'host' ? `${signed.get(name)},${value}` : value)
+  }
+  const names = Array.from(signed.keys()).sort()
+  const signedHeaders = names.join(';')
+
+  const canonicalRequest = [
+    (config.method || 'GET').toUpperCase(),
+    canonicalUri(url.pathname, service),
+    canonicalQuery(url.searchParams),
+    names.map(name => `${name}:${signed.get(name)}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n')
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`
+  const stringToSign = [ALGORITHM, amzDate, scope, await sha256Hex(canonicalRequest)].join('\n')
+
+  const dateKey = await hmac(`AWS4${secretKey}`, dateStamp)
+  const regionKey = await hmac(dateKey, region)
+  const serviceKey = await hmac(regionKey, service)
+  const signingKey = await hmac(serviceKey, 'aws4_request')
+  const signature = toHex(await hmac(signingKey, stringToSign))
+
+  return [
+    ...headers,
+    ...added,
+    {
+      key: 'Authorization',
+      value: `${ALGORITHM} Credential=${accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      enabled: true
+    }
+  ]
+}
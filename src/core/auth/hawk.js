@@ -0,0 +1,112 @@
+/**
+ * Hawk Authentication
+ *
+ * Builds the Hawk Authorization header: a MAC over the method, URL, host,
+ * timestamp and nonce (and optionally the payload) keyed with the shared
+ * secret. Like AWS signatures it is computed on the final request.
+ *
+ * Settings use Postman's hawk auth block keys (authId, authKey, algorithm,
+ * user, nonce, extraData, app, delegation, timestamp, includePayloadHash).
+ */
+
+/**
+ * Settings for a new hawk auth block
+ */
+export function createHawkConfig(overrides = {}) {
+  return {
+    authId: '',
+    authKey: '',
+    algorithm: 'sha256',
+    user: '',
+    nonce: '',
+    extraData: '',
+    app: '',
+    delegation: '',
+    timestamp: '',
+    includePayloadHash: false,
+    ...overrides
+  }
+}
+
+const encoder = new TextEncoder()
+
+const HASH_NAMES = { sha1: 'SHA-1', sha256: 'SHA-256' }
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+
+const escapeValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+
+function hashName(algorithm) {
+  const name = HASH_NAMES[(algorithm || 'sha256').toLowerCase()]
+  if (!name) throw new Error(`Unsupported Hawk algorithm: ${algorithm}`)
+  return name
+}
+
+/**
+ * Hash of the payload for the hash attribute
+ * @param {string} payload - Body as sent
+ * @param {string} contentType - Content-Type header (parameters are ignored)
+ * @param {string} algorithm - 'sha256' or 'sha1'
+ */
+export async function hashHawkPayload(payload, contentType, algorithm) {
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase()
+  const normalized = `hawk.1.payload\n${mime}\n${payload || ''}\n`
+  return toBase64(await crypto.subtle.digest(hashName(algorithm), encoder.encode(normalized)))
+}
+
+/**
+ * Compute the Authorization header for a request
+ * @param {Object} config - Hawk settings
+ * @param {Object} request - { method, url, payload, contentType } (url including the query string)
+ * @param {Date} now - Used when the settings have no timestamp
+ * @returns {Promise<string>}
+ */
+export async function buildHawkHeader(config, { method = 'GET', url, payload = null, contentType = '' }, now = new Date()) {
+  if (!config.authId || !config.authKey) {
+    throw new Error('Hawk authentication requires an auth ID and auth key')
+  }
+
+  const parsed = new URL(url)
+  const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80')
+  const ts = config.timestamp || String(Math.floor(now.getTime() / 1000))
+  const nonce = config.nonce || Math.random().toString(36).slice(2, 8)
+  const hash = config.includePayloadHash && payload !== null
+    ? await hashHawkPayload(payload, contentType, config.algorithm)
+    : ''
+  const ext = config.extraData || ''
+
+  let normalized = [
+    'hawk.1.header',
+    ts,
+    nonce,
+    method.toUpperCase(),
+    `${parsed.pathname}${parsed.search}`,
+    parsed.hostname.toLowerCase(),
+    port,
+    hash,
+    ext.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+  ].join('\n') + '\n'
+  if (config.app) {
+    normalized += `${config.app}\n${config.delegation || ''}\n`
+  }
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(config.authKey),
+    { name: 'HMAC', hash: hashName(config.algorithm) },
+    false,
+    ['sign']
+  )
+  const mac = toBase64(await crypto.subtle.sign('HMAC', key, encoder.encode(normalized)))
+
+  const attributes = [`id="${escapeValue(config.authId)}"`, `ts="${ts}"`, `nonce="${escapeValue(nonce)}"`]
+  if (hash) attributes.push(`hash="${hash}"`)
+  if (ext) attributes.push(`ext="${escapeValue(ext)}"`)
+  attributes.push(`mac="${mac}"`)
+  if (config.app) {
+    attributes.push(`app="${escapeValue(config.app)}"`)
+    if (config.delegation) attributes.push(`dlg="${escapeValue(config.delegation)}"`)
+  }
+
+  return `Hawk ${attributes.join(', ')}`
+}
@@ -0,0 +1,159 @@
+/**
+ * MD4 and MD5
+ *
+ * WebCrypto has neither, and Node's OpenSSL 3 refuses MD4, but Digest auth
+ * (MD5) and NTLM (MD4, HMAC-MD5) still need them. Small pure implementations
+ * that work the same in the browser and in Node.
+ */
+
+const encoder = new TextEncoder()
+
+const toBytes = (data) => typeof data === 'string' ? encoder.encode(data) : data
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n))
+
+/**
+ * Pad a message to 64-byte blocks and read it as little-endian words
+ */
+function toWords(bytes) {
+  const length = ((bytes.length + 8) >>> 6) + 1
+  const words = new Uint32Array(length * 16)
+  for (let i = 0; i < bytes.length; i++) {
+    words[i >> 2] |= bytes[i] << ((i % 4) * 8)
+  }
+  words[bytes.length >> 2] |= 0x80 << ((bytes.length % 4) * 8)
+  const bits = bytes.length * 8
+  words[length * 16 - 2] = bits >>> 0
+  words[length * 16 - 1] = Math.floor(bits / 0x100000000)
+  return words
+}
+
+function wordsToBytes(words) {
+  const bytes = new Uint8Array(words.length * 4)
+  words.forEach((word, i) => {
+    for (let j = 0; j < 4; j++) bytes[i * 4 + j] = (word >>> (j * 8)) & 0xff
+  })
+  return bytes
+}
+
+/**
+ * MD4 digest
+ * @param {string|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function md4(data) {
+  const x = toWords(toBytes(data))
+  let [a, b, c, d] = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]
+
+  const f = (x, y, z) => (x & y) | (~x & z)
+  const g = (x, y, z) => (x & y) | (x & z) | (y & z)
+  const h = (x, y, z) => x ^ y ^ z
+
+  for (let i = 0; i < x.length; i += 16) {
+    const [aa, bb, cc, dd] = [a, b, c, d]
+
+    for (const k of [0, 4, 8, 12]) {
+      a = rotl(a + f(b, c, d) + x[i + k], 3)
+      d = rotl(d + f(a, b, c) + x[i + k + 1], 7)
+      c = rotl(c + f(d, a, b) + x[i + k + 2], 11)
+      b = rotl(b + f(c, d, a) + x[i + k + 3], 19)
+    }
+    for (const k of [0, 1, 2, 3]) {
+      a = rotl(a + g(b, c, d) + x[i + k] + 0x5a827999, 3)
+      d = rotl(d + g(a, b, c) + x[i + k + 4] + 0x5a827999, 5)
+      c = rotl(c + g(d, a, b) + x[i + k + 8] + 0x5a827999, 9)
+      b = rotl(b + g(c, d, a) + x[i + k + 12] + 0x5a827999, 13)
+    }
+    for (const k of [0, 2, 1, 3]) {
+      a = rotl(a + h(b, c, d) + x[i + k] + 0x6ed9eba1, 3)
+      d = rotl(d + h(a, b, c) + x[i + k + 8] + 0x6ed9eba1, 9)
+      c = rotl(c + h(d, a, b) + x[i + k + 4] + 0x6ed9eba1, 11)
+      b = rotl(b + h(c, d, a) + x[i + k + 12] + 0x6ed9eba1, 15)
+    }
+
+    a = (a + aa) >>> 0
+    b = (b + bb) >>> 0
+    c = (c + cc) >>> 0
+    d = (d + dd) >>> 0
+  }
+
+  return wordsToBytes([a, b, c, d])
+}
+
+// MD5 per-round shift amounts and sine-derived constants
+const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21]
+const K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0)
+
+/**
+ * MD5 digest
+ * @param {string|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function md5(data) {
+  const x = toWords(toBytes(data))
+  let [a0, b0, c0, d0] = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]
+
+  for (let i = 0; i < x.length; i += 16) {
+    let [a, b, c, d] = [a0, b0, c0, d0]
+
+    for (let j = 0; j < 64; j++) {
+      const round = j >> 4
+      let f
+      let index
+      if (round === 0) {
+        f = (b & c) | (~b & d)
+        index = j
+      } else if (round === 1) {
+        f = (d & b) | (~d & c)
+        index = (5 * j + 1) % 16
+      } else if (round === 2) {
+        f = b ^ c ^ d
+        index = (3 * j + 5) % 16
+      } else {
+        f = c ^ (b | ~d)
+        index = (7 * j) % 16
+      }
+
+      const rotated = rotl((a + f + K[j] + x[i + index]) | 0, S[round * 4 + (j % 4)])
+      a = d
+      d = c
+      c = b
+      b = (b + rotated) | 0
+    }
+
+    a0 = (a0 + a) >>> 0
+    b0 = (b0 + b) >>> 0
+    c0 = (c0 + c) >>> 0
+    d0 = (d0 + d) >>> 0
+  }
+
+  return wordsToBytes([a0, b0, c0, d0])
+}
+
+/**
+ * HMAC-MD5
+ * @param {string|Uint8Array} key
+ * @param {string|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function hmacMd5(key, data) {
+  let keyBytes = toBytes(key)
+  if (keyBytes.length > 64) keyBytes = md5(keyBytes)
+
+  const inner = new Uint8Array(64 + toBytes(data).length)
+  const outer = new Uint8Array(64 + 16)
+  for (let i = 0; i < 64; i++) {
+    inner[i] = (keyBytes[i] || 0) ^ 0x36
+    outer[i] = (keyBytes[i] || 0) ^ 0x5c
+  }
+  inner.set(toBytes(data), 64)
+  outer.set(md5(inner), 64)
+  return md5(outer)
+}
+
+/**
+ * Lowercase hex of a digest
+ */
+export function toHex(bytes) {
+  return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
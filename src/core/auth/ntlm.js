@@ -0,0 +1,158 @@
+/**
+ * NTLM Authentication
+ *
+ * Builds the messages of the NTLM handshake: negotiate (type 1), reading the
+ * server's challenge (type 2), and the NTLMv2 authenticate message (type 3).
+ * The handshake must happen on one kept-alive connection, which browsers do
+ * not allow, so only the Node transport (CLI and local relay) performs it;
+ * see performRequest() in core/http/node/transport.js.
+ *
+ * Settings use Postman's ntlm auth block keys (username, password, domain,
+ * workstation, disableRetryRequest).
+ */
+
+import { md4, hmacMd5 } from './md.js'
+
+const SIGNATURE = [0x4e, 0x54, 0x4c, 0x4d, 0x53, 0x53, 0x50, 0x00] // "NTLMSSP\0"
+
+// Unicode, OEM, request target, NTLM, always sign, extended session security, 128-bit, 56-bit
+const NEGOTIATE_FLAGS = 0x00000001 | 0x00000002 | 0x00000004 | 0x00000200 | 0x00008000 | 0x00080000 | 0x20000000 | 0x80000000
+
+/**
+ * Settings for a new ntlm auth block
+ */
+export function createNtlmConfig(overrides = {}) {
+  return {
+    username: '',
+    password: '',
+    domain: '',
+    workstation: '',
+    disableRetryRequest: false,
+    ...overrides
+  }
+}
+
+const utf16le = (text) => {
+  const bytes = new Uint8Array(text.length * 2)
+  for (let i = 0; i < text.length; i++) {
+    bytes[i * 2] = text.charCodeAt(i) & 0xff
+    bytes[i * 2 + 1] = text.charCodeAt(i) >> 8
+  }
+  return bytes
+}
+
+const concat = (...parts) => {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    result.set(part, offset)
+    offset += part.length
+  }
+  return result
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes))
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+/**
+ * Time in 100ns intervals since 1601, little-endian (Windows FILETIME)
+ */
+function fileTime(date) {
+  const bytes = new Uint8Array(8)
+  let value = (BigInt(date.getTime()) + 11644473600000n) * 10000n
+  for (let i = 0; i < 8; i++) {
+    bytes[i] = Number(value & 0xffn)
+    value >>= 8n
+  }
+  return bytes
+}
+
+/**
+ * Negotiate message (type 1), base64
+ */
+export function createNegotiateMessage() {
+  const message = new Uint8Array(32)
+  const view = new DataView(message.buffer)
+  message.set(SIGNATURE, 0)
+  view.setUint32(8, 1, true)
+  view.setUint32(12, NEGOTIATE_FLAGS >>> 0, true)
+  // Empty domain and workstation buffers point past the header
+  view.setUint32(20, 32, true)
+  view.setUint32(28, 32, true)
+  return toBase64(message)
+}
+
+/**
+ * Read the challenge message (type 2) from a WWW-Authenticate header
+ * @param {string} header - WWW-Authenticate value ("NTLM <base64>", possibly among other schemes)
+ * @returns {Object|null} - { flags, challenge, targetInfo }, or null when there is no NTLM challenge
+ */
+export function parseChallengeMessage(header) {
+  const match = /NTLM\s+([A-Za-z0-9+/=]+)/i.exec(header || '')
+  if (!match) return null
+
+  const message = fromBase64(match[1])
+  const view = new DataView(message.buffer)
+  if (message.length < 32 || view.getUint32(8, true) !== 2) {
+    throw new Error('Invalid NTLM challenge')
+  }
+
+  const targetInfoLength = message.length >= 48 ? view.getUint16(40, true) : 0
+  const targetInfoOffset = message.length >= 48 ? view.getUint32(44, true) : 0
+
+  return {
+    flags: view.getUint32(20, true),
+    challenge: message.slice(24, 32),
+    targetInfo: message.slice(targetInfoOffset, targetInfoOffset + targetInfoLength)
+  }
+}
+
+/**
+ * Authenticate message (type 3) with NTLMv2 responses, base64
+ * @param {Object} challenge - From parseChallengeMessage()
+ * @param {Object} config - { username, password, domain, workstation }
+ * @param {Object} options - { clientNonce, now } for reproducible messages
+ */
+export function createAuthenticateMessage(challenge, config, {
+  clientNonce = crypto.getRandomValues(new Uint8Array(8)),
+  now = new Date()
+} = {}) {
+  const domain = config.domain || ''
+  const username = config.username || ''
+
+  const ntHash = md4(utf16le(config.password || ''))
+  const ntlmV2Hash = hmacMd5(ntHash, utf16le(username.toUpperCase() + domain))
+
+  const blob = concat(
+    new Uint8Array([1, 1, 0, 0, 0, 0, 0, 0]),
+    fileTime(now),
+    clientNonce,
+    new Uint8Array(4),
+    challenge.targetInfo,
+    new Uint8Array(4)
+  )
+  const ntResponse = concat(hmacMd5(ntlmV2Hash, concat(challenge.challenge, blob)), blob)
+  const lmResponse = concat(hmacMd5(ntlmV2Hash, concat(challenge.challenge, clientNonce)), clientNonce)
+
+  const fields = [lmResponse, ntResponse, utf16le(domain), utf16le(username), utf16le(config.workstation || '')]
+  const header = new Uint8Array(64)
+  const view = new DataView(header.buffer)
+  header.set(SIGNATURE, 0)
+  view.setUint32(8, 3, true)
+
+  // Security buffers: length, max length, offset
+  let offset = header.length
+  fields.forEach((field, index) => {
+    const position = 12 + index * 8
+    view.setUint16(position, field.length, true)
+    view.setUint16(position + 2, field.length, true)
+    view.setUint32(position + 4, offset, true)
+    offset += field.length
+  })
+  // Empty session key
+  view.setUint32(56, offset, true)
+  view.setUint32(60, (challenge.flags & NEGOTIATE_FLAGS) >>> 0, true)
+
+  return toBase64(concat(header, ...fields))
+}
@@ -0,0 +1,235 @@
+/**
+ * OAuth 2.0
+ *
+ * Protocol helpers for the grant types Postman supports: building the
+ * authorization URL (with PKCE), the token endpoint request for each grant,
+ * and reading token responses and redirect callbacks.
+ *
+ * Settings use Postman's oauth2 auth block keys (grant_type, authUrl,
+ * accessTokenUrl, clientId, clientSecret, scope, redirect_uri, ...), so
+ * imported collections work unchanged. Nothing here sends requests or
+ * stores tokens; see services/OAuth2Service.js.
+ */
+
+export const GRANT_TYPES = {
+  AUTHORIZATION_CODE: 'authorization_code',
+  AUTHORIZATION_CODE_PKCE: 'authorization_code_with_pkce',
+  IMPLICIT: 'implicit',
+  PASSWORD: 'password_credentials',
+  CLIENT_CREDENTIALS: 'client_credentials'
+}
+
+// Grants that need the user to sign in through the authorization URL
+export const INTERACTIVE_GRANTS = [
+  GRANT_TYPES.AUTHORIZATION_CODE,
+  GRANT_TYPES.AUTHORIZATION_CODE_PKCE,
+  GRANT_TYPES.IMPLICIT
+]
+
+// Tokens this close to expiry are refreshed before sending
+export const EXPIRY_MARGIN = 30 * 1000
+
+/**
+ * Settings for a new oauth2 auth block
+ */
+export function createOAuth2Config(overrides = {}) {
+  return {
+    grant_type: GRANT_TYPES.AUTHORIZATION_CODE_PKCE,
+    authUrl: '',
+    accessTokenUrl: '',
+    refreshTokenUrl: '',
+    clientId: '',
+    clientSecret: '',
+    scope: '',
+    state: '',
+    redirect_uri: '',
+    username: '',
+    password: '',
+    challengeAlgorithm: 'S256',
+    client_authentication: 'header',
+    addTokenTo: 'header',
+    headerPrefix: 'Bearer',
+    tokenName: '',
+    ...overrides
+  }
+}
+
+/**
+ * Resolve {{variables}} in every string setting
+ */
+export function resolveOAuth2Config(config = {}, interpolate = (text) => text) {
+  return Object.fromEntries(Object.entries(createOAuth2Config(config)).map(([key, value]) =>
+    [key, typeof value === 'string' ? interpolate(value) : value]))
+}
+
+/**
+ * Key a token is stored under: tokens are shared by every request with the
+ * same token endpoint, client and scope
+ * @param {Object} config - Resolved settings
+ */
+export function getTokenKey(config) {
+  const endpoint = config.grant_type === GRANT_TYPES.IMPLICIT ? config.authUrl : config.accessTokenUrl
+  return [config.grant_type, endpoint, config.clientId, config.scope].join('|')
+}
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '')
+
+/**
+ * Random string for state and PKCE code verifiers (43 URL-safe characters)
+ */
+export function generateRandomString(byteLength = 32) {
+  return base64Url(crypto.getRandomValues(new Uint8Array(byteLength)))
+}
+
+/**
+ * PKCE code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @param {string} method - 'S256' or 'plain'
+ * @returns {Promise<string>}
+ */
+export async function createCodeChallenge(verifier, method = 'S256') {
+  if (method === 'plain') return verifier
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+  return base64Url(new Uint8Array(digest))
+}
+
+/**
+ * URL the user signs in at
+ * @param {Object} config - Resolved settings
+ * @param {Object} options - { state, codeChallenge }
+ * @returns {string}
+ */
+export function buildAuthorizationUrl(config, { state, codeChallenge } = {}) {
+  const url = new URL(config.authUrl)
+  const params = url.searchParams
+
+  params.set('response_type', config.grant_type === GRANT_TYPES.IMPLICIT ? 'token' : 'code')
+  params.set('client_id', config.clientId)
+  if (config.redirect_uri) params.set('redirect_uri', config.redirect_uri)
+  if (config.scope) params.set('scope', config.scope)
+  if (state) params.set('state', state)
+  if (codeChallenge) {
+    params.set('code_challenge', codeChallenge)
+    params.set('code_challenge_method', config.challengeAlgorithm === 'plain' ? 'plain' : 'S256')
+  }
+
+  return url.toString()
+}
+
+/**
+ * Read the result of an authorization redirect
+ * The code flow answers in the query string, the implicit flow in the fragment.
+ * @param {string} url - Redirect URL the browser landed on
+ * @returns {Object} - { code, state, error, errorDescription, token }
+ */
+export function parseCallbackUrl(url) {
+  const parsed = new URL(url)
+  const fragment = new URLSearchParams(parsed.hash.replace(/^#/, ''))
+  const params = fragment.has('access_token') || fragment.has('error') ? fragment : parsed.searchParams
+
+  return {
+    code: params.get('code'),
+    state: params.get('state'),
+    error: params.get('error'),
+    errorDescription: params.get('error_description'),
+    token: params.has('access_token') ? parseTokenResponse(Object.fromEntries(params)) : null
+  }
+}
+
+/**
+ * Token endpoint request for a grant
+ * @param {Object} config - Resolved settings
+ * @param {Object} grant - { type: 'client_credentials'|'password'|'authorization_code'|'refresh_token', code, codeVerifier, refreshToken }
+ * @returns {Object} - HttpClient.send config
+ */
+export function buildTokenRequest(config, grant) {
+  const fields = [['grant_type', grant.type]]
+
+  switch (grant.type) {
+    case 'password':
+      fields.push(['username', config.username], ['password', config.password])
+      break
+    case 'authorization_code':
+      fields.push(['code', grant.code])
+      if (config.redirect_uri) fields.push(['redirect_uri', config.redirect_uri])
+      if (grant.codeVerifier) fields.push(['code_verifier', grant.codeVerifier])
+      break
+    case 'refresh_token':
+      fields.push(['refresh_token', grant.refreshToken])
+      break
+  }
+  if (config.scope && grant.type !== 'authorization_code') {
+    fields.push(['scope', config.scope])
+  }
+
+  const headers = [{ key: 'Accept', value: 'application/json', enabled: true }]
+  // Confidential clients authenticate with basic auth; public clients (no secret) send their id in the body
+  if (config.client_authentication !== 'body' && config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`
+    headers.push({ key: 'Authorization', value: `Basic ${btoa(credentials)}`, enabled: true })
+  } else {
+    fields.push(['client_id', config.clientId])
+    if (config.clientSecret) fields.push(['client_secret', config.clientSecret])
+  }
+
+  const url = grant.type === 'refresh_token' && config.refreshTokenUrl
+    ? config.refreshTokenUrl
+    : config.accessTokenUrl
+
+  return {
+    method: 'POST',
+    url,
+    params: [],
+    headers,
+    body: fields.map(([key, value]) => ({ key, value: value ?? '', enabled: true })),
+    bodyType: 'urlencoded'
+  }
+}
+
+/**
+ * Read a token endpoint response
+ * Accepts JSON (parsed or as text) and form-encoded bodies, which some providers return.
+ * @param {Object|string} body - Response body
+ * @param {number} now - Time the token was received (ms)
+ * @returns {Object} - { accessToken, tokenType, refreshToken, idToken, scope, expiresAt, obtainedAt }
+ * @throws {Error} - With the provider's error description
+ */
+export function parseTokenResponse(body, now = Date.now()) {
+  let data = body
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body)
+    } catch {
+      data = Object.fromEntries(new URLSearchParams(body))
+    }
+  }
+  data = data || {}
+
+  if (data.error) {
+    throw new Error(data.error_description ? `${data.error}: ${data.error_description}` : data.error)
+  }
+  if (!data.access_token) {
+    throw new Error('Token response has no access_token')
+  }
+
+  const expiresIn = Number(data.expires_in)
+  return {
+    accessToken: data.access_token,
+    tokenType: data.token_type || 'Bearer',
+    refreshToken: data.refresh_token || null,
+    idToken: data.id_token || null,
+    scope: data.scope || null,
+    expiresAt: expiresIn > 0 ? now + expiresIn * 1000 : null,
+    obtainedAt: now
+  }
+}
+
+/**
+ * Whether a token has expired or is about to
+ */
+export function isTokenExpired(token, now = Date.now(), margin = EXPIRY_MARGIN) {
+  return !!token?.expiresAt && token.expiresAt - margin <= now
+}
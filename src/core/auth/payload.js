@@ -0,0 +1,80 @@
+/**
+ * Request payloads for signatures
+ *
+ * AWS Signature, Hawk and Digest (auth-int) hash the body, so they need the
+ * bytes the HTTP clients will send, serialized the same way they do.
+ */
+
+const urlencodedBody = (body) => {
+  if (Array.isArray(body)) {
+    const params = new URLSearchParams()
+    body.forEach(item => {
+      if (item.key && item.enabled !== false) params.append(item.key, item.value || '')
+    })
+    return params.toString()
+  }
+  return typeof body === 'object' ? new URLSearchParams(body).toString() : body
+}
+
+const looksLikeJson = (text) => {
+  try {
+    JSON.parse(text)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Body of a send config as the HTTP clients send it
+ * @param {Object} config - HttpClient.send config
+ * @returns {Promise<string|Uint8Array|null>} - null when the payload cannot be reproduced
+ */
+export async function getRequestPayload(config) {
+  const method = (config.method || 'GET').toUpperCase()
+  const body = config.body
+  if (!body || method === 'GET' || method === 'HEAD') return ''
+
+  switch (config.bodyType) {
+    case 'formdata':
+    case 'form-data':
+      // The multipart boundary is picked by the client
+      return null
+    case 'urlencoded':
+    case 'x-www-form-urlencoded':
+      return urlencodedBody(body)
+    case 'graphql':
+      return JSON.stringify(body)
+  }
+
+  if (typeof body === 'string') return body
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return new Uint8Array(await body.arrayBuffer())
+  if (body instanceof ArrayBuffer) return new Uint8Array(body)
+  if (ArrayBuffer.isView(body)) return new Uint8Array(body.buffer, body.byteOffset, body.byteLength)
+  return null
+}
+
+/**
+ * Content-Type the request will be sent with
+ * Mirrors the defaults the HTTP clients add when no header is set.
+ * @param {Object} config - HttpClient.send config
+ * @returns {string}
+ */
+export function getRequestContentType(config) {
+  const header = (config.headers || []).find(h => h.enabled && h.key?.toLowerCase() === 'content-type')
+  if (header) return header.value || ''
+
+  switch (config.bodyType) {
+    case 'urlencoded':
+    case 'x-www-form-urlencoded':
+      return 'application/x-www-form-urlencoded'
+    case 'graphql':
+      return 'application/json'
+    case 'binary':
+      return 'application/octet-stream'
+    case 'raw':
+      return typeof config.body === 'string' && looksLikeJson(config.body) ? 'application/json' : ''
+    default:
+      return ''
+  }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { generateCode, getCodeGenerators, registerCodeGenerator } from '../index.js'
+
+const requests = {
+  json: {
+    method: 'POST',
+    url: { raw: 'https://api.example.com/users', query: [{ key: 'page', value: '2' }] },
+    header: [{ key: 'Accept', value: 'application/json' }, { key: 'X-Off', value: 'x', enabled: false }],
+    auth: { type: 'basic', basic: { username: 'ada', password: "it's" } },
+    body: { mode: 'raw', raw: '{"name":"Ada","admin":true,"team":null}' }
+  },
+  form: {
+    method: 'PUT',
+    url: 'http://localhost:3000/profile',
+    header: [],
+    auth: { type: 'bearer', bearer: { token: '{{token}}' } },
+    body: { mode: 'urlencoded', urlencoded: [{ key: 'name', value: 'Ada Lovelace' }, { key: 'tag', value: 'a&b' }] }
+  },
+  multipart: {
+    method: 'POST',
+    url: 'https://api.example.com/upload',
+    header: [{ key: 'Content-Type', value: 'multipart/form-data' }],
+    body: {
+      mode: 'formdata',
+      formdata: [{ key: 'title', value: 'Report' }, { key: 'file', type: 'file', src: '/tmp/report.pdf' }]
+    }
+  }
+}
+
+describe('code generators', () => {
+  const ids = getCodeGenerators().map(generator => generator.id)
+
+  it('has a generator for each target', () => {
+    expect(ids).toEqual([
+      'curl', 'fetch', 'axios', 'node-http', 'python-requests', 'go', 'java',
+      'csharp', 'php', 'ruby', 'httpie', 'wget', 'powershell'
+    ])
+  })
+
+  for (const id of ids) {
+    it(`writes ${id}`, () => {
+      const code = Object.fromEntries(Object.entries(requests).map(([name, request]) => {
+        const { code, warnings } = generateCode(request, id)
+        return [name, warnings.length > 0 ? `${code}\n\n# ${warnings.join('\n# ')}` : code]
+      }))
+
+      expect(code).toMatchSnapshot()
+    })
+  }
+})
+
+describe('generateCode', () => {
+  it('resolves variables when asked', () => {
+    const { code } = generateCode(requests.form, 'httpie', { interpolate: (text) => text.replace('{{token}}', 's3cret') })
+
+    expect(code).toContain("'Authorization:Bearer s3cret'")
+  })
+
+  it('reports auth it cannot write', () => {
+    const request = { method: 'GET', url: 'https://example.com', auth: { type: 'digest', digest: { username: 'u' } } }
+
+    expect(generateCode(request, 'curl').warnings).toEqual([])
+    expect(generateCode(request, 'python-requests').warnings).toEqual(['Digest auth is computed when sending and is not included.'])
+  })
+
+  it('takes registered generators', () => {
+    registerCodeGenerator('method-only', { label: 'Method', language: 'plaintext', generate: (prepared) => prepared.method })
+
+    expect(generateCode({ method: 'patch', url: 'https://example.com' }, 'method-only').code).toBe('PATCH')
+    expect(() => generateCode({}, 'missing')).toThrow('Unknown code generator: missing')
+  })
+})
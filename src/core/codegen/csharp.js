@@ -0,0 +1,89 @@
+/**
+ * C# Code Generator
+ *
+ * HttpClient with an HttpRequestMessage, as top-level statements. Content
+ * headers belong to the content in .NET, so they are set there.
+ */
+
+// Methods HttpMethod has a property for
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'TRACE']
+
+/**
+ * C# string literal; JSON string escapes are valid in C#
+ */
+function csString(text) {
+  return JSON.stringify(text)
+}
+
+export const csharpHttpClient = {
+  label: 'C# - HttpClient',
+  language: 'csharp',
+  generate(prepared, { warn }) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const usings = new Set()
+    const httpMethod = METHODS.includes(method)
+      ? `HttpMethod.${method[0]}${method.slice(1).toLowerCase()}`
+      : `new HttpMethod(${csString(method)})`
+    const lines = [
+      'var client = new HttpClient();',
+      `var request = new HttpRequestMessage(${httpMethod}, ${csString(url)});`
+    ]
+
+    const contentHeaders = headers.filter(header => header.key.toLowerCase().startsWith('content-'))
+    for (const header of headers) {
+      if (contentHeaders.includes(header)) continue
+      lines.push(`request.Headers.Add(${csString(header.key)}, ${csString(header.value)});`)
+    }
+    if (basicAuth) {
+      usings.add('System.Net.Http.Headers').add('System.Text')
+      const credentials = csString(`${basicAuth.username}:${basicAuth.password}`)
+      lines.push(`request.Headers.Authorization = new AuthenticationHeaderValue("Basic", Convert.ToBase64String(Encoding.UTF8.GetBytes(${credentials})));`)
+    }
+
+    if (body?.mode === 'raw') {
+      lines.push(`request.Content = new StringContent(${csString(body.text)});`)
+    } else if (body?.mode === 'urlencoded') {
+      lines.push(
+        'request.Content = new FormUrlEncodedContent(new[]',
+        '{',
+        body.fields.map(field => `    new KeyValuePair<string, string>(${csString(field.key)}, ${csString(field.value)})`).join(',\n'),
+        '});'
+      )
+    } else if (body?.mode === 'formdata') {
+      lines.push('var content = new MultipartFormDataContent();')
+      for (const field of body.fields) {
+        lines.push(field.file
+          ? `content.Add(new StreamContent(File.OpenRead(${csString(field.value)})), ${csString(field.key)}, Path.GetFileName(${csString(field.value)}));`
+          : `content.Add(new StringContent(${csString(field.value)}), ${csString(field.key)});`)
+      }
+      lines.push('request.Content = content;')
+    } else if (body?.mode === 'file') {
+      lines.push(`request.Content = new StreamContent(File.OpenRead(${csString(body.path)}));`)
+    }
+
+    for (const header of contentHeaders) {
+      if (!body) {
+        warn(`${header.key} describes a body and the request has none; it is not included.`)
+      } else if (header.key.toLowerCase() === 'content-type') {
+        usings.add('System.Net.Http.Headers')
+        lines.push(`request.Content.Headers.ContentType = MediaTypeHeaderValue.Parse(${csString(header.value)});`)
+      } else {
+        lines.push(`request.Content.Headers.Add(${csString(header.key)}, ${csString(header.value)});`)
+      }
+    }
+
+    lines.push(
+      '',
+      'var response = await client.SendAsync(request);',
+      'Console.WriteLine((int)response.StatusCode);',
+      'Console.WriteLine(await response.Content.ReadAsStringAsync());'
+    )
+
+    const header = [...usings].sort().map(name => `using ${name};`)
+    return [...header, ...(header.length > 0 ? [''] : []), ...lines].join('\n')
+  }
+}
+
+export default {
+  csharpHttpClient
+}
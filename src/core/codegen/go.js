@@ -0,0 +1,95 @@
+/**
+ * Go Code Generator
+ *
+ * net/http from the standard library, with mime/multipart for form data.
+ */
+
+/**
+ * Go string literal: a raw string when possible, reads best for JSON
+ */
+function goString(text, raw = false) {
+  if (raw && !/[`\r]/.test(text)) return `\`${text}\``
+  return JSON.stringify(text)
+}
+
+/**
+ * Statements checking the err of the line before
+ */
+const CHECK = ['\tif err != nil {', '\t\tpanic(err)', '\t}']
+
+export const goNetHttp = {
+  label: 'Go - net/http',
+  language: 'go',
+  generate(prepared) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const imports = new Set(['fmt', 'io', 'net/http'])
+    const lines = [`\turl := ${goString(url)}`]
+    let payload = 'nil'
+    let formContentType = false
+
+    if (body?.mode === 'raw' || body?.mode === 'urlencoded') {
+      imports.add('strings')
+      lines.push(`\tpayload := strings.NewReader(${goString(body.text, body.mode === 'raw')})`)
+      payload = 'payload'
+    } else if (body?.mode === 'file') {
+      imports.add('os')
+      lines.push(`\tpayload, err := os.Open(${goString(body.path)})`, ...CHECK, '\tdefer payload.Close()')
+      payload = 'payload'
+    } else if (body?.mode === 'formdata') {
+      imports.add('bytes').add('mime/multipart')
+      lines.push('', '\tpayload := &bytes.Buffer{}', '\twriter := multipart.NewWriter(payload)')
+      body.fields.forEach((field, index) => {
+        if (!field.file) {
+          lines.push(`\twriter.WriteField(${goString(field.key)}, ${goString(field.value)})`)
+          return
+        }
+        imports.add('os').add('path/filepath')
+        const file = `file${index + 1}`
+        lines.push(
+          `\t${file}, err := os.Open(${goString(field.value)})`, ...CHECK,
+          `\tdefer ${file}.Close()`,
+          `\tpart${index + 1}, err := writer.CreateFormFile(${goString(field.key)}, filepath.Base(${goString(field.value)}))`, ...CHECK,
+          `\tio.Copy(part${index + 1}, ${file})`
+        )
+      })
+      lines.push('\twriter.Close()')
+      payload = 'payload'
+      formContentType = true
+    }
+
+    lines.push('', `\treq, err := http.NewRequest(${goString(method)}, url, ${payload})`, ...CHECK)
+    for (const header of headers) {
+      lines.push(`\treq.Header.Add(${goString(header.key)}, ${goString(header.value)})`)
+    }
+    if (formContentType) lines.push('\treq.Header.Set("Content-Type", writer.FormDataContentType())')
+    if (basicAuth) {
+      lines.push(`\treq.SetBasicAuth(${goString(basicAuth.username)}, ${goString(basicAuth.password)})`)
+    }
+
+    lines.push(
+      '',
+      '\tres, err := http.DefaultClient.Do(req)', ...CHECK,
+      '\tdefer res.Body.Close()',
+      '',
+      '\tbody, err := io.ReadAll(res.Body)', ...CHECK,
+      '\tfmt.Println(res.Status)',
+      '\tfmt.Println(string(body))'
+    )
+
+    return [
+      'package main',
+      '',
+      'import (',
+      ...[...imports].sort().map(name => `\t"${name}"`),
+      ')',
+      '',
+      'func main() {',
+      ...lines,
+      '}'
+    ].join('\n')
+  }
+}
+
+export default {
+  goNetHttp
+}
@@ -0,0 +1,95 @@
+/**
+ * Code Generators
+ *
+ * Write a request as code for other tools and languages. Generators register
+ * under an id with a label, the highlight.js language of their output and a
+ * generate(prepared, context) function taking the request from prepareRequest().
+ * context.warn(text) reports what the code leaves out; context.request is the
+ * request as given, for generators that work from the model itself (cURL).
+ * Auth computed per send (Digest, NTLM...) is left out and reported unless the
+ * generator lists its type in `auth`.
+ *
+ * The built-in generators are registered by this module; others can be added
+ * with registerCodeGenerator().
+ */
+
+import { prepareRequest, mapStrings, COMPUTED_AUTH } from './prepare.js'
+import { curl, httpie, wget, powershell } from './shell.js'
+import { fetch, axios, nodeHttp } from './javascript.js'
+import { pythonRequests } from './python.js'
+import { goNetHttp } from './go.js'
+import { javaHttpClient } from './java.js'
+import { csharpHttpClient } from './csharp.js'
+import { phpCurl } from './php.js'
+import { rubyNetHttp } from './ruby.js'
+
+const generators = new Map()
+
+/**
+ * Register a code generator
+ * @param {string} id - Generator id, e.g. 'python-requests'
+ * @param {{label: string, language: string, generate: Function, auth?: string[]}} generator - language is a highlight.js language
+ */
+export function registerCodeGenerator(id, generator) {
+  if (typeof generator?.generate !== 'function') {
+    throw new Error(`Code generator ${id} has no generate()`)
+  }
+  generators.set(id, { id, ...generator })
+}
+
+/**
+ * The registered generators, in registration order
+ * @returns {Array<{id: string, label: string, language: string}>}
+ */
+export function getCodeGenerators() {
+  return [...generators.values()].map(({ id, label, language }) => ({ id, label, language }))
+}
+
+/**
+ * Generate code for a request
+ * @param {object} request - Postman request; inherited auth should already be resolved
+ * @param {string} id - Generator id
+ * @param {object} options - Options
+ * @param {Function} options.interpolate - Resolves {{variables}}; when left out they stay in the code
+ * @returns {{code: string, warnings: string[]}} warnings list what the code leaves out
+ */
+export function generateCode(request, id, options = {}) {
+  const generator = generators.get(id)
+  if (!generator) {
+    throw new Error(`Unknown code generator: ${id}`)
+  }
+
+  const source = options.interpolate ? mapStrings(request || {}, options.interpolate) : (request || {})
+  const prepared = prepareRequest(source)
+  const warnings = [...prepared.warnings]
+  const authType = prepared.computedAuth?.type
+  if (authType && !generator.auth?.includes(authType)) {
+    warnings.push(`${COMPUTED_AUTH[authType]} auth is computed when sending and is not included.`)
+  }
+
+  const code = generator.generate(prepared, {
+    request: source,
+    warn: (text) => warnings.push(text)
+  })
+  return { code, warnings }
+}
+
+registerCodeGenerator('curl', curl)
+registerCodeGenerator('fetch', fetch)
+registerCodeGenerator('axios', axios)
+registerCodeGenerator('node-http', nodeHttp)
+registerCodeGenerator('python-requests', pythonRequests)
+registerCodeGenerator('go', goNetHttp)
+registerCodeGenerator('java', javaHttpClient)
+registerCodeGenerator('csharp', csharpHttpClient)
+registerCodeGenerator('php', phpCurl)
+registerCodeGenerator('ruby', rubyNetHttp)
+registerCodeGenerator('httpie', httpie)
+registerCodeGenerator('wget', wget)
+registerCodeGenerator('powershell', powershell)
+
+export default {
+  registerCodeGenerator,
+  getCodeGenerators,
+  generateCode
+}
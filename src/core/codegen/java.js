@@ -0,0 +1,70 @@
+/**
+ * Java Code Generator
+ *
+ * java.net.http.HttpClient, in Java 11 and later.
+ */
+
+// Headers HttpClient sets itself and refuses from the caller
+const RESTRICTED_HEADERS = ['connection', 'content-length', 'expect', 'host', 'upgrade']
+
+/**
+ * Java string literal; JSON string escapes are valid in Java
+ */
+function javaString(text) {
+  return JSON.stringify(text)
+}
+
+export const javaHttpClient = {
+  label: 'Java - HttpClient',
+  language: 'java',
+  generate(prepared, { warn }) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const imports = new Set(['java.net.URI', 'java.net.http.HttpClient', 'java.net.http.HttpRequest', 'java.net.http.HttpResponse'])
+    const builder = [`.uri(URI.create(${javaString(url)}))`]
+
+    for (const header of headers) {
+      if (RESTRICTED_HEADERS.includes(header.key.toLowerCase())) {
+        warn(`Java HttpClient sets the ${header.key} header itself; it is not included.`)
+        continue
+      }
+      builder.push(`.header(${javaString(header.key)}, ${javaString(header.value)})`)
+    }
+    if (basicAuth) {
+      imports.add('java.nio.charset.StandardCharsets').add('java.util.Base64')
+      const credentials = javaString(`${basicAuth.username}:${basicAuth.password}`)
+      builder.push(`.header("Authorization", "Basic " + Base64.getEncoder().encodeToString(${credentials}.getBytes(StandardCharsets.UTF_8)))`)
+    }
+
+    let publisher = 'HttpRequest.BodyPublishers.noBody()'
+    if (body?.mode === 'raw' || body?.mode === 'urlencoded') {
+      publisher = `HttpRequest.BodyPublishers.ofString(${javaString(body.text)})`
+    } else if (body?.mode === 'file') {
+      imports.add('java.nio.file.Path')
+      publisher = `HttpRequest.BodyPublishers.ofFile(Path.of(${javaString(body.path)}))`
+    } else if (body?.mode === 'formdata') {
+      warn('Java HttpClient has no multipart encoder; the form data body is not included.')
+    }
+    builder.push(`.method(${javaString(method)}, ${publisher})`, '.build();')
+
+    return [
+      ...[...imports].sort().map(name => `import ${name};`),
+      '',
+      'public class Main {',
+      '    public static void main(String[] args) throws Exception {',
+      '        HttpClient client = HttpClient.newHttpClient();',
+      '',
+      '        HttpRequest request = HttpRequest.newBuilder()',
+      ...builder.map(line => `            ${line}`),
+      '',
+      '        HttpResponse<String> response = client.send(request, HttpResponse.BodyHandlers.ofString());',
+      '        System.out.println(response.statusCode());',
+      '        System.out.println(response.body());',
+      '    }',
+      '}'
+    ].join('\n')
+  }
+}
+
+export default {
+  javaHttpClient
+}
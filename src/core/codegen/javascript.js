@@ -0,0 +1,208 @@
+/**
+ * JavaScript Code Generators
+ *
+ * fetch for browsers and Node 18+, axios, and Node's https module.
+ */
+
+/**
+ * JavaScript string literal
+ */
+function jsString(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`
+}
+
+/**
+ * Indent every line but the first, for values nested in an object literal
+ */
+function indent(text, prefix) {
+  return text.replace(/\n/g, `\n${prefix}`)
+}
+
+/**
+ * Object literal of key/value pairs at the given indentation
+ */
+function objectLiteral(pairs, prefix) {
+  if (pairs.length === 0) return '{}'
+  const lines = pairs.map(({ key, value }) => `${prefix}  ${jsString(key)}: ${value}`)
+  return `{\n${lines.join(',\n')}\n${prefix}}`
+}
+
+/**
+ * Headers as an object literal, with basic auth written by the given expression
+ */
+function headersLiteral(headers, basicAuthValue, prefix) {
+  const pairs = headers.map(header => ({ key: header.key, value: jsString(header.value) }))
+  if (basicAuthValue) pairs.push({ key: 'Authorization', value: basicAuthValue })
+  return objectLiteral(pairs, prefix)
+}
+
+/**
+ * URLSearchParams for form fields; an array of pairs keeps repeated keys
+ */
+function searchParams(fields, prefix) {
+  const repeated = new Set(fields.map(field => field.key)).size < fields.length
+  if (!repeated) {
+    return `new URLSearchParams(${objectLiteral(fields.map(field => ({ key: field.key, value: jsString(field.value) })), prefix)})`
+  }
+  const pairs = fields.map(field => `${prefix}  [${jsString(field.key)}, ${jsString(field.value)}]`)
+  return `new URLSearchParams([\n${pairs.join(',\n')}\n${prefix}])`
+}
+
+/**
+ * Raw body expression: JSON.stringify() of the parsed value for JSON
+ */
+function rawBody(body, prefix) {
+  if (body.json === undefined) return jsString(body.text)
+  return `JSON.stringify(${indent(JSON.stringify(body.json, null, 2), prefix)})`
+}
+
+/**
+ * Statements building a FormData, with files read as the given expression
+ */
+function formDataLines(fields, fileValue) {
+  return [
+    'const form = new FormData();',
+    ...fields.map(field => field.file
+      ? `form.append(${jsString(field.key)}, ${fileValue(field.value)});`
+      : `form.append(${jsString(field.key)}, ${jsString(field.value)});`)
+  ]
+}
+
+export const fetch = {
+  label: 'JavaScript - fetch',
+  language: 'javascript',
+  generate(prepared) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const lines = []
+    const options = [`  method: ${jsString(method)}`]
+
+    const basicAuthValue = basicAuth && `'Basic ' + btoa(${jsString(`${basicAuth.username}:${basicAuth.password}`)})`
+    if (headers.length > 0 || basicAuth) {
+      options.push(`  headers: ${headersLiteral(headers, basicAuthValue, '  ')}`)
+    }
+
+    if (body?.mode === 'raw') {
+      options.push(`  body: ${rawBody(body, '  ')}`)
+    } else if (body?.mode === 'urlencoded') {
+      options.push(`  body: ${searchParams(body.fields, '  ')}`)
+    } else if (body?.mode === 'formdata') {
+      // In a browser, files come from an <input type="file">
+      lines.push(...formDataLines(body.fields, path => `fileInput.files[0], ${jsString(path.split(/[\\/]/).pop())}`), '')
+      options.push('  body: form')
+    } else if (body?.mode === 'file') {
+      options.push(`  body: fileInput.files[0] // ${body.path}`)
+    }
+
+    lines.push(
+      `const response = await fetch(${jsString(url)}, {`,
+      options.join(',\n'),
+      '});',
+      '',
+      'console.log(response.status);',
+      'console.log(await response.text());'
+    )
+    return lines.join('\n')
+  }
+}
+
+export const axios = {
+  label: 'JavaScript - axios',
+  language: 'javascript',
+  generate(prepared) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const imports = ["import axios from 'axios';"]
+    const lines = []
+    const config = [`  method: ${jsString(method.toLowerCase())}`, `  url: ${jsString(url)}`]
+
+    if (headers.length > 0) {
+      config.push(`  headers: ${headersLiteral(headers, null, '  ')}`)
+    }
+    if (basicAuth) {
+      config.push(`  auth: {\n    username: ${jsString(basicAuth.username)},\n    password: ${jsString(basicAuth.password)}\n  }`)
+    }
+
+    if (body?.mode === 'raw') {
+      config.push(`  data: ${body.json === undefined ? jsString(body.text) : indent(JSON.stringify(body.json, null, 2), '  ')}`)
+    } else if (body?.mode === 'urlencoded') {
+      config.push(`  data: ${searchParams(body.fields, '  ')}`)
+    } else if (body?.mode === 'formdata') {
+      if (body.fields.some(field => field.file)) imports.push("import fs from 'fs';")
+      lines.push(...formDataLines(body.fields, path => `await fs.openAsBlob(${jsString(path)}), ${jsString(path.split(/[\\/]/).pop())}`), '')
+      config.push('  data: form')
+    } else if (body?.mode === 'file') {
+      imports.push("import fs from 'fs';")
+      config.push(`  data: fs.createReadStream(${jsString(body.path)})`)
+    }
+
+    return [
+      ...imports,
+      '',
+      ...lines,
+      'const response = await axios({',
+      config.join(',\n'),
+      '});',
+      '',
+      'console.log(response.status);',
+      'console.log(response.data);'
+    ].join('\n')
+  }
+}
+
+export const nodeHttp = {
+  label: 'Node.js - http',
+  language: 'javascript',
+  generate(prepared, { warn }) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const protocol = url.startsWith('http://') ? 'http' : 'https'
+    const requires = [`const ${protocol} = require('${protocol}');`]
+    const options = [`  method: ${jsString(method)}`]
+
+    if (headers.length > 0) {
+      options.push(`  headers: ${headersLiteral(headers, null, '  ')}`)
+    }
+    if (basicAuth) {
+      options.push(`  auth: ${jsString(`${basicAuth.username}:${basicAuth.password}`)}`)
+    }
+
+    let send = ['req.end();']
+    if (body?.mode === 'raw') {
+      send = [`req.write(${rawBody(body, '')});`, 'req.end();']
+    } else if (body?.mode === 'urlencoded') {
+      send = [`req.write(${jsString(body.text)});`, 'req.end();']
+    } else if (body?.mode === 'file') {
+      requires.push("const fs = require('fs');")
+      send = [`fs.createReadStream(${jsString(body.path)}).pipe(req);`]
+    } else if (body?.mode === 'formdata') {
+      warn('Node.js http has no multipart encoder; the form data body is not included.')
+    }
+
+    return [
+      ...requires,
+      '',
+      'const options = {',
+      options.join(',\n'),
+      '};',
+      '',
+      `const req = ${protocol}.request(${jsString(url)}, options, (res) => {`,
+      "  let data = '';",
+      "  res.on('data', (chunk) => { data += chunk; });",
+      "  res.on('end', () => {",
+      '    console.log(res.statusCode);',
+      '    console.log(data);',
+      '  });',
+      '});',
+      '',
+      "req.on('error', (error) => {",
+      '  console.error(error);',
+      '});',
+      '',
+      ...send
+    ].join('\n')
+  }
+}
+
+export default {
+  fetch,
+  axios,
+  nodeHttp
+}
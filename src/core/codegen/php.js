@@ -0,0 +1,71 @@
+/**
+ * PHP Code Generator
+ *
+ * The curl extension, with the options in one curl_setopt_array() call.
+ */
+
+/**
+ * PHP single-quoted string, where only \ and ' are escaped
+ */
+function phpString(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+export const phpCurl = {
+  label: 'PHP - cURL',
+  language: 'php',
+  generate(prepared) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const options = [
+      `CURLOPT_URL => ${phpString(url)}`,
+      'CURLOPT_RETURNTRANSFER => true',
+      `CURLOPT_CUSTOMREQUEST => ${phpString(method)}`
+    ]
+    if (method === 'HEAD') options.push('CURLOPT_NOBODY => true')
+
+    if (headers.length > 0) {
+      const lines = headers.map(header => `        ${phpString(`${header.key}: ${header.value}`)},`)
+      options.push(`CURLOPT_HTTPHEADER => [\n${lines.join('\n')}\n    ]`)
+    }
+    if (basicAuth) {
+      options.push(`CURLOPT_USERPWD => ${phpString(`${basicAuth.username}:${basicAuth.password}`)}`)
+    }
+
+    if (body?.mode === 'raw' || body?.mode === 'urlencoded') {
+      options.push(`CURLOPT_POSTFIELDS => ${phpString(body.text)}`)
+    } else if (body?.mode === 'formdata') {
+      // An array is sent as multipart/form-data
+      const lines = body.fields.map(field => field.file
+        ? `        ${phpString(field.key)} => new CURLFile(${phpString(field.value)}),`
+        : `        ${phpString(field.key)} => ${phpString(field.value)},`)
+      options.push(`CURLOPT_POSTFIELDS => [\n${lines.join('\n')}\n    ]`)
+    } else if (body?.mode === 'file') {
+      options.push(`CURLOPT_POSTFIELDS => file_get_contents(${phpString(body.path)})`)
+    }
+
+    return [
+      '<?php',
+      '',
+      '$curl = curl_init();',
+      '',
+      'curl_setopt_array($curl, [',
+      ...options.map(option => `    ${option},`),
+      ']);',
+      '',
+      '$response = curl_exec($curl);',
+      '$status = curl_getinfo($curl, CURLINFO_RESPONSE_CODE);',
+      '$error = curl_error($curl);',
+      'curl_close($curl);',
+      '',
+      'if ($error) {',
+      '    echo $error;',
+      '} else {',
+      '    echo $status, "\\n", $response;',
+      '}'
+    ].join('\n')
+  }
+}
+
+export default {
+  phpCurl
+}
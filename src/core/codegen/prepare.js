@@ -0,0 +1,182 @@
+/**
+ * Code Generation Input
+ *
+ * Reduces a Postman request to what goes on the wire, so each generator only
+ * has to write it in its language: the full URL, the headers with auth added,
+ * and the body in one of a few shapes. Content-Type is added the way the app's
+ * HTTP client adds it when sending.
+ */
+
+import { getUrlString } from '../../utils/curlGenerator.js'
+
+// Auth the HTTP client computes per send; generators that cannot write it leave it out
+export const COMPUTED_AUTH = {
+  awsv4: 'AWS Signature',
+  digest: 'Digest',
+  hawk: 'Hawk',
+  ntlm: 'NTLM'
+}
+
+/**
+ * Apply a function to every string of a value, e.g. to interpolate a request
+ * @param {*} value - Request or part of it
+ * @param {Function} map - (text) => text
+ * @returns {*} A copy with mapped strings
+ */
+export function mapStrings(value, map) {
+  if (typeof value === 'string') return map(value)
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, map))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, map)]))
+  }
+  return value
+}
+
+/**
+ * Find a header by name, ignoring case
+ * @param {Array<{key: string, value: string}>} headers
+ * @param {string} name
+ * @returns {{key: string, value: string}|undefined}
+ */
+export function findHeader(headers, name) {
+  return headers.find(header => header.key.toLowerCase() === name.toLowerCase())
+}
+
+/**
+ * Parse a raw body as JSON when it is an object or array
+ * @param {string} text - Raw body
+ * @returns {*} The parsed value, or undefined
+ */
+export function parseJsonBody(text) {
+  if (!/^\s*[[{]/.test(text || '')) return undefined
+  try {
+    return JSON.parse(text)
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Encode fields as application/x-www-form-urlencoded
+ * @param {Array<{key: string, value: string}>} fields
+ * @returns {string}
+ */
+export function encodeForm(fields) {
+  return fields.map(({ key, value }) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&')
+}
+
+/**
+ * Prepare a request for the code generators
+ * @param {object} request - Postman request ({ method, url, header, body, auth })
+ * @returns {{method: string, url: string, headers: Array<{key: string, value: string}>, basicAuth: {username: string, password: string}|null, computedAuth: object|null, body: object|null, warnings: string[]}}
+ *   body is { mode: 'raw', text, json? }, { mode: 'urlencoded', fields, text },
+ *   { mode: 'formdata', fields: [{ key, value, file }] } or { mode: 'file', path };
+ *   computedAuth is auth of a COMPUTED_AUTH type
+ */
+export function prepareRequest(request) {
+  const warnings = []
+  const auth = request.auth?.type && request.auth.type !== 'none' && request.auth.type !== 'inherit'
+    ? request.auth
+    : null
+
+  let url = getUrlString(request.url, auth)
+  const headers = (request.header || request.headers || [])
+    .filter(header => header.enabled !== false && header.key)
+    // Auth takes precedence over an Authorization header, as when sending
+    .filter(header => !auth || header.key.toLowerCase() !== 'authorization')
+    .map(header => ({ key: header.key, value: header.value || '' }))
+
+  let basicAuth = null
+  const computedAuth = COMPUTED_AUTH[auth?.type] ? auth : null
+  if (auth?.type === 'basic') {
+    basicAuth = { username: auth.basic?.username || '', password: auth.basic?.password || '' }
+  } else if (auth?.type === 'bearer' && auth.bearer?.token) {
+    headers.push({ key: 'Authorization', value: `Bearer ${auth.bearer.token}` })
+  } else if (auth?.type === 'apikey' && auth.apikey?.value && auth.apikey.in !== 'query') {
+    headers.push({ key: auth.apikey.key || 'X-API-Key', value: auth.apikey.value })
+  } else if (auth?.type === 'oauth2') {
+    const { accessToken, addTokenTo, headerPrefix } = auth.oauth2 || {}
+    if (!accessToken) {
+      warnings.push('OAuth 2.0 has no access token yet; send the request once to get one.')
+    } else if (addTokenTo === 'queryParams') {
+      url += `${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(accessToken)}`
+    } else {
+      const prefix = headerPrefix ?? 'Bearer'
+      headers.push({ key: 'Authorization', value: prefix ? `${prefix} ${accessToken}` : accessToken })
+    }
+  }
+
+  const body = prepareBody(request.body, headers)
+  return { method: (request.method || 'GET').toUpperCase(), url, headers, basicAuth, computedAuth, body, warnings }
+}
+
+/**
+ * Body in a shape generators share, adding or removing Content-Type as the HTTP client would
+ */
+function prepareBody(body, headers) {
+  const setContentType = (value) => {
+    if (!findHeader(headers, 'Content-Type')) headers.push({ key: 'Content-Type', value })
+  }
+  const fieldsOf = (items) => (items || [])
+    .filter(item => item.enabled !== false && !item.disabled && item.key)
+
+  switch (body?.mode) {
+    case 'raw': {
+      if (!body.raw) return null
+      const json = parseJsonBody(body.raw)
+      if (json !== undefined) setContentType('application/json')
+      return { mode: 'raw', text: body.raw, json }
+    }
+
+    case 'graphql': {
+      if (!body.graphql?.query) return null
+      const variables = parseJsonBody(body.graphql.variables) ?? {}
+      const json = { query: body.graphql.query, variables }
+      setContentType('application/json')
+      return { mode: 'raw', text: JSON.stringify(json), json }
+    }
+
+    case 'urlencoded':
+    case 'x-www-form-urlencoded': {
+      const fields = fieldsOf(body.urlencoded || body.urlEncoded)
+        .map(field => ({ key: field.key, value: field.value || '' }))
+      if (fields.length === 0) return null
+      setContentType('application/x-www-form-urlencoded')
+      return { mode: 'urlencoded', fields, text: encodeForm(fields) }
+    }
+
+    case 'formdata':
+    case 'form-data': {
+      const fields = fieldsOf(body.formdata || body.formData).map(field => ({
+        key: field.key,
+        value: field.type === 'file' ? (field.src ?? field.value ?? '') : (field.value || ''),
+        file: field.type === 'file'
+      }))
+      if (fields.length === 0) return null
+      // The multipart boundary is chosen by the client
+      const index = headers.indexOf(findHeader(headers, 'Content-Type'))
+      if (index !== -1) headers.splice(index, 1)
+      return { mode: 'formdata', fields }
+    }
+
+    case 'binary':
+    case 'file': {
+      const path = body.binary || body.file?.src || body.file
+      if (typeof path !== 'string' || !path) return null
+      setContentType('application/octet-stream')
+      return { mode: 'file', path }
+    }
+
+    default:
+      return null
+  }
+}
+
+export default {
+  COMPUTED_AUTH,
+  prepareRequest,
+  mapStrings,
+  findHeader,
+  parseJsonBody,
+  encodeForm
+}
@@ -0,0 +1,97 @@
+/**
+ * Python Code Generator
+ *
+ * The requests library, with JSON bodies written as Python values for json=.
+ */
+
+// Methods with a function of their own in requests
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']
+
+/**
+ * Python string literal; JSON string escapes are valid in Python
+ */
+function pyString(text) {
+  return JSON.stringify(text)
+}
+
+/**
+ * Python literal of a JSON value
+ */
+function pyValue(value, prefix = '') {
+  if (value === null) return 'None'
+  if (value === true) return 'True'
+  if (value === false) return 'False'
+  if (typeof value === 'string') return pyString(value)
+  if (typeof value !== 'object') return String(value)
+
+  const inner = `${prefix}    `
+  const items = Array.isArray(value)
+    ? value.map(item => `${inner}${pyValue(item, inner)}`)
+    : Object.entries(value).map(([key, item]) => `${inner}${pyString(key)}: ${pyValue(item, inner)}`)
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}']
+  return items.length === 0 ? `${open}${close}` : `${open}\n${items.join(',\n')}\n${prefix}${close}`
+}
+
+/**
+ * Dict of key/value pairs, or a list of tuples when keys repeat
+ */
+function pyPairs(pairs) {
+  if (new Set(pairs.map(([key]) => key)).size < pairs.length) {
+    return `[\n${pairs.map(([key, value]) => `    (${pyString(key)}, ${value})`).join(',\n')}\n]`
+  }
+  return `{\n${pairs.map(([key, value]) => `    ${pyString(key)}: ${value}`).join(',\n')}\n}`
+}
+
+export const pythonRequests = {
+  label: 'Python - requests',
+  language: 'python',
+  generate(prepared) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const lines = ['import requests', '', `url = ${pyString(url)}`]
+    const args = ['url']
+
+    if (headers.length > 0) {
+      lines.push('', `headers = ${pyPairs(headers.map(header => [header.key, pyString(header.value)]))}`)
+      args.push('headers=headers')
+    }
+
+    if (body?.mode === 'raw' && body.json !== undefined) {
+      lines.push('', `payload = ${pyValue(body.json)}`)
+      args.push('json=payload')
+    } else if (body?.mode === 'raw') {
+      lines.push('', `payload = ${pyString(body.text)}`)
+      args.push('data=payload')
+    } else if (body?.mode === 'urlencoded') {
+      lines.push('', `payload = ${pyPairs(body.fields.map(field => [field.key, pyString(field.value)]))}`)
+      args.push('data=payload')
+    } else if (body?.mode === 'formdata') {
+      const values = body.fields.filter(field => !field.file)
+      const files = body.fields.filter(field => field.file)
+      if (values.length > 0) {
+        lines.push('', `payload = ${pyPairs(values.map(field => [field.key, pyString(field.value)]))}`)
+        args.push('data=payload')
+      }
+      if (files.length > 0) {
+        lines.push('', `files = ${pyPairs(files.map(field => [field.key, `open(${pyString(field.value)}, "rb")`]))}`)
+        args.push('files=files')
+      }
+    } else if (body?.mode === 'file') {
+      lines.push('', `payload = open(${pyString(body.path)}, "rb")`)
+      args.push('data=payload')
+    }
+
+    if (basicAuth) {
+      args.push(`auth=(${pyString(basicAuth.username)}, ${pyString(basicAuth.password)})`)
+    }
+
+    const call = METHODS.includes(method)
+      ? `requests.${method.toLowerCase()}(${args.join(', ')})`
+      : `requests.request(${pyString(method)}, ${args.join(', ')})`
+    lines.push('', `response = ${call}`, '', 'print(response.status_code)', 'print(response.text)')
+    return lines.join('\n')
+  }
+}
+
+export default {
+  pythonRequests
+}
@@ -0,0 +1,74 @@
+/**
+ * Ruby Code Generator
+ *
+ * net/http from the standard library.
+ */
+
+// Methods with a request class of their own in Net::HTTP
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'TRACE']
+
+/**
+ * Ruby single-quoted string, where only \ and ' are escaped
+ */
+function rbString(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+/**
+ * Array of [key, value] pairs, for encode_www_form and set_form
+ */
+function rbPairs(pairs) {
+  return `[\n${pairs.map(([key, value]) => `  [${rbString(key)}, ${value}]`).join(',\n')}\n]`
+}
+
+export const rubyNetHttp = {
+  label: 'Ruby - net/http',
+  language: 'ruby',
+  generate(prepared) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const hasBody = Boolean(body)
+    const lines = [
+      "require 'net/http'",
+      "require 'uri'",
+      '',
+      `uri = URI(${rbString(url)})`,
+      '',
+      METHODS.includes(method)
+        ? `request = Net::HTTP::${method[0]}${method.slice(1).toLowerCase()}.new(uri)`
+        : `request = Net::HTTPGenericRequest.new(${rbString(method)}, ${hasBody}, true, uri)`
+    ]
+
+    for (const header of headers) {
+      lines.push(`request[${rbString(header.key)}] = ${rbString(header.value)}`)
+    }
+    if (basicAuth) {
+      lines.push(`request.basic_auth(${rbString(basicAuth.username)}, ${rbString(basicAuth.password)})`)
+    }
+
+    if (body?.mode === 'raw') {
+      lines.push(`request.body = ${rbString(body.text)}`)
+    } else if (body?.mode === 'urlencoded') {
+      lines.push(`request.body = URI.encode_www_form(${rbPairs(body.fields.map(field => [field.key, rbString(field.value)]))})`)
+    } else if (body?.mode === 'formdata') {
+      const pairs = body.fields.map(field => [field.key, field.file ? `File.open(${rbString(field.value)})` : rbString(field.value)])
+      lines.push(`request.set_form(${rbPairs(pairs)}, 'multipart/form-data')`)
+    } else if (body?.mode === 'file') {
+      lines.push(`request.body = File.binread(${rbString(body.path)})`)
+    }
+
+    lines.push(
+      '',
+      "response = Net::HTTP.start(uri.hostname, uri.port, use_ssl: uri.scheme == 'https') do |http|",
+      '  http.request(request)',
+      'end',
+      '',
+      'puts response.code',
+      'puts response.body'
+    )
+    return lines.join('\n')
+  }
+}
+
+export default {
+  rubyNetHttp
+}
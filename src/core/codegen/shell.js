@@ -0,0 +1,167 @@
+/**
+ * Shell Code Generators
+ *
+ * cURL, HTTPie, wget and PowerShell's Invoke-RestMethod. cURL comes from
+ * requestToCurl() so it matches the Copy as cURL output.
+ */
+
+import { requestToCurl } from '../../utils/curlGenerator.js'
+import { findHeader } from './prepare.js'
+
+/**
+ * Quote for a POSIX shell
+ */
+function shellQuote(text) {
+  return /^[\w@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, "'\\''")}'`
+}
+
+/**
+ * Quote for PowerShell, where a single-quoted string is taken as is
+ */
+function powershellQuote(text) {
+  return `'${text.replace(/'/g, "''")}'`
+}
+
+/**
+ * Join arguments as one command continued over several lines
+ */
+function command(parts) {
+  return parts.join(' \\\n  ')
+}
+
+export const curl = {
+  label: 'cURL',
+  language: 'bash',
+  auth: ['awsv4', 'digest', 'ntlm'],
+  generate(prepared, { request }) {
+    return requestToCurl(request, { includeCurlPrefix: true, multiline: true })
+  }
+}
+
+export const httpie = {
+  label: 'HTTPie',
+  language: 'bash',
+  auth: ['digest'],
+  generate(prepared, { request }) {
+    const { method, url, headers, basicAuth, body } = prepared
+    // Flags go before the URL: HTTPie reads request items as one list after it
+    const flags = []
+    if (basicAuth) {
+      flags.push(`-a ${shellQuote(`${basicAuth.username}:${basicAuth.password}`)}`)
+    } else if (prepared.computedAuth?.type === 'digest') {
+      const { username = '', password = '' } = request.auth.digest || {}
+      flags.push('-A digest', `-a ${shellQuote(`${username}:${password}`)}`)
+    }
+    if (body?.mode === 'urlencoded') flags.push('--form')
+    if (body?.mode === 'formdata') flags.push('--multipart')
+
+    const parts = [['http', ...flags, method, shellQuote(url)].join(' ')]
+    for (const header of headers) {
+      parts.push(shellQuote(`${header.key}:${header.value}`))
+    }
+
+    if (body?.mode === 'raw') {
+      parts.push(`--raw ${shellQuote(body.text)}`)
+    } else if (body?.mode === 'urlencoded' || body?.mode === 'formdata') {
+      for (const field of body.fields) {
+        parts.push(shellQuote(`${field.key}${field.file ? '@' : '='}${field.value}`))
+      }
+    }
+
+    const code = command(parts)
+    return body?.mode === 'file' ? `${code} \\\n  < ${shellQuote(body.path)}` : code
+  }
+}
+
+export const wget = {
+  label: 'wget',
+  language: 'bash',
+  generate(prepared, { warn }) {
+    const { method, url, headers, basicAuth, body } = prepared
+    const parts = ['wget --quiet', `--method=${method}`]
+
+    if (basicAuth) {
+      parts.push('--auth-no-challenge', `--user=${shellQuote(basicAuth.username)}`, `--password=${shellQuote(basicAuth.password)}`)
+    }
+    for (const header of headers) {
+      parts.push(`--header=${shellQuote(`${header.key}: ${header.value}`)}`)
+    }
+
+    if (body?.mode === 'raw' || body?.mode === 'urlencoded') {
+      parts.push(`--body-data=${shellQuote(body.text)}`)
+    } else if (body?.mode === 'file') {
+      parts.push(`--body-file=${shellQuote(body.path)}`)
+    } else if (body?.mode === 'formdata') {
+      warn('wget cannot send multipart form data; the body is not included.')
+    }
+
+    parts.push('--output-document=-', shellQuote(url))
+    return command(parts)
+  }
+}
+
+// Methods Invoke-RestMethod takes as -Method; others need -CustomMethod
+const POWERSHELL_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'TRACE', 'OPTIONS', 'MERGE', 'PATCH']
+
+export const powershell = {
+  label: 'PowerShell',
+  language: 'powershell',
+  generate(prepared) {
+    const { method, url, basicAuth, body } = prepared
+    const lines = []
+    const contentType = findHeader(prepared.headers, 'Content-Type')
+    const headers = prepared.headers.filter(header => header !== contentType)
+
+    if (basicAuth) {
+      const credentials = powershellQuote(`${basicAuth.username}:${basicAuth.password}`)
+      lines.push(`$credentials = [Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes(${credentials}))`)
+    }
+    if (headers.length > 0 || basicAuth) {
+      lines.push('$headers = @{')
+      for (const header of headers) {
+        lines.push(`    ${powershellQuote(header.key)} = ${powershellQuote(header.value)}`)
+      }
+      if (basicAuth) lines.push('    \'Authorization\' = "Basic $credentials"')
+      lines.push('}')
+    }
+
+    if (body?.mode === 'raw') {
+      lines.push(`$body = ${powershellQuote(body.text)}`)
+    } else if (body?.mode === 'urlencoded') {
+      lines.push('$body = @{')
+      for (const field of body.fields) {
+        lines.push(`    ${powershellQuote(field.key)} = ${powershellQuote(field.value)}`)
+      }
+      lines.push('}')
+    } else if (body?.mode === 'formdata') {
+      lines.push('$form = @{')
+      for (const field of body.fields) {
+        const value = field.file ? `Get-Item -Path ${powershellQuote(field.value)}` : powershellQuote(field.value)
+        lines.push(`    ${powershellQuote(field.key)} = ${value}`)
+      }
+      lines.push('}')
+    }
+
+    const args = [`-Uri ${powershellQuote(url)}`]
+    args.push(POWERSHELL_METHODS.includes(method)
+      ? `-Method ${method[0]}${method.slice(1).toLowerCase()}`
+      : `-CustomMethod ${powershellQuote(method)}`)
+    if (lines.some(line => line.startsWith('$headers'))) args.push('-Headers $headers')
+    if (contentType) args.push(`-ContentType ${powershellQuote(contentType.value)}`)
+    if (body?.mode === 'raw' || body?.mode === 'urlencoded') args.push('-Body $body')
+    if (body?.mode === 'formdata') args.push('-Form $form')
+    if (body?.mode === 'file') args.push(`-InFile ${powershellQuote(body.path)}`)
+
+    if (lines.length > 0) lines.push('')
+    lines.push(`$response = Invoke-RestMethod ${args.join(' ')}`)
+    lines.push('$response | ConvertTo-Json -Depth 10')
+    return lines.join('\n')
+  }
+}
+
+export default {
+  curl,
+  httpie,
+  wget,
+  powershell
+}
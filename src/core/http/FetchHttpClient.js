@@ -9,6 +9,8 @@ import { Logger } from '../logger.js'
  * - Proxy: Cannot be configured directly (requires browser settings or extension)
  * - Certificates: Cannot be configured directly (handled by browser)
  * - CORS: Subject to browser CORS policy
+ * - Redirects: followed or not (redirect: 'manual'), but maxRedirects is
+ *   fixed by the browser and unfollowed redirects are opaque (no status/Location)
  */
 export class FetchHttpClient extends HttpClient {
   constructor(options = {}) {
@@ -32,6 +34,10 @@ export class FetchHttpClient extends HttpClient {
     const controller = new AbortController()
     const timeoutId = setTimeout(() => controller.abort(), this.options.timeout)
 
+    // Caller cancellation aborts the same fetch (the caller's signal may outlive it)
+    const onAbort = () => controller.abort()
+    config.signal?.addEventListener('abort', onAbort, { once: true })
+
     try {
       // Build fetch options
       const fetchOptions = {
@@ -39,7 +45,8 @@ export class FetchHttpClient extends HttpClient {
         headers: config.headersObj,
         signal: controller.signal,
         credentials: 'include', // Include cookies
-        mode: 'cors' // Enable CORS
+        mode: 'cors', // Enable CORS
+        redirect: this.options.followRedirects === false ? 'manual' : 'follow'
       }
 
       // Add body if not GET/HEAD
@@ -53,6 +60,19 @@ export class FetchHttpClient extends HttpClient {
       // Clear timeout
       clearTimeout(timeoutId)
 
+      // Redirect not followed: the browser hides status and Location
+      if (response.type === 'opaqueredirect') {
+        return new HttpResponse({
+          success: false,
+          status: 0,
+          statusText: 'Redirect not followed',
+          headers: {},
+          body: null,
+          size: 0,
+          error: 'Redirect not followed - browsers hide the redirect status and Location header, use the Local relay HTTP client to inspect it'
+        })
+      }
+
       // Parse response
       const responseData = await this.parseResponse(response)
 
@@ -74,7 +94,9 @@ export class FetchHttpClient extends HttpClient {
       clearTimeout(timeoutId)
 
       // Handle different error types
-      if (error.name === 'AbortError') {
+      if (error.name === 'AbortError' && config.signal?.aborted) {
+        throw new Error('Request cancelled')
+      } else if (error.name === 'AbortError') {
         throw new Error(`Request timeout after ${this.options.timeout}ms`)
       } else if (error.message.includes('Failed to fetch')) {
         // CORS or network error
@@ -82,6 +104,8 @@ export class FetchHttpClient extends HttpClient {
       } else {
         throw error
       }
+    } finally {
+      config.signal?.removeEventListener('abort', onAbort)
     }
   }
 
@@ -170,25 +194,7 @@ export class FetchHttpClient extends HttpClient {
       // Always try to get the text first
       bodyText = await response.text()
 
-      if (contentType.includes('application/json')) {
-        try {
-          body = JSON.parse(bodyText)
-        } catch (e) {
-          // Invalid JSON, return as text
-          body = bodyText
-        }
-      } else if (contentType.includes('text/html') || contentType.includes('text/plain')) {
-        body = bodyText
-      } else if (contentType.includes('text/xml') || contentType.includes('application/xml')) {
-        body = bodyText // Could parse XML if needed
-      } else if (contentType.includes('image/')) {
-        // For images, we'd need to handle differently
-        // Could convert to base64 or blob URL
-        body = `[Binary image data - ${bodyText.length} bytes]`
-      } else {
-        // Default to text
-        body = bodyText
-      }
+      body = this.parseBodyText(bodyText, contentType)
     } catch (error) {
       this.logger.error('Error parsing response:', error)
       body = null
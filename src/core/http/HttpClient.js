@@ -1,3 +1,8 @@
+import { signAwsV4 } from '../auth/awsv4.js'
+import { buildHawkHeader } from '../auth/hawk.js'
+import { parseDigestChallenge, buildDigestAuthorization } from '../auth/digest.js'
+import { getRequestPayload, getRequestContentType } from '../auth/payload.js'
+
 /**
  * Abstract HttpClient class
  * Defines the interface for all HTTP client implementations
@@ -22,6 +27,9 @@ export class HttpClient {
       request: [],
       response: []
     }
+
+    // NTLM needs a connection held across the handshake; see RelayHttpClient
+    this.supportsNtlm = false
   }
 
   /**
@@ -124,6 +132,80 @@ export class HttpClient {
     return headersObj
   }
 
+  /**
+   * Replace the Authorization header
+   * @param {Array} headers - Headers array [{key, value, enabled}]
+   * @param {string} value - Authorization value
+   * @returns {Array} - New headers array
+   */
+  withAuthorization(headers = [], value) {
+    return [
+      ...headers.filter(h => h.key?.toLowerCase() !== 'authorization'),
+      { key: 'Authorization', value, enabled: true }
+    ]
+  }
+
+  /**
+   * Read a response header regardless of case
+   */
+  getHeader(headers = {}, name) {
+    return Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1] || ''
+  }
+
+  /**
+   * Hawk Authorization header for the final request
+   */
+  async buildHawkAuthorization(config) {
+    const payload = config.hawk.includePayloadHash ? await getRequestPayload(config) : null
+    return buildHawkHeader(config.hawk, {
+      method: config.method,
+      url: config.fullUrl,
+      payload: typeof payload === 'string' ? payload : null,
+      contentType: getRequestContentType(config)
+    })
+  }
+
+  /**
+   * Digest Authorization header for the final request
+   * @param {Object} config - Request configuration
+   * @param {Object} digest - Digest settings with realm and nonce
+   */
+  async buildDigestAuthorization(config, digest) {
+    const payload = /auth-int/.test(digest.qop || '') ? await getRequestPayload(config) : ''
+    return buildDigestAuthorization(digest, {
+      method: config.method,
+      url: config.fullUrl,
+      body: typeof payload === 'string' ? payload : ''
+    })
+  }
+
+  /**
+   * Parse a response body according to its content type
+   * @param {string} bodyText - Raw body text
+   * @param {string} contentType - Content-Type header value
+   * @returns {any} - Parsed JSON, text, or a placeholder for binary data
+   */
+  parseBodyText(bodyText, contentType = '') {
+    if (contentType.includes('application/json')) {
+      try {
+        return JSON.parse(bodyText)
+      } catch (e) {
+        // Invalid JSON, return as text
+        return bodyText
+      }
+    } else if (contentType.includes('text/html') || contentType.includes('text/plain')) {
+      return bodyText
+    } else if (contentType.includes('text/xml') || contentType.includes('application/xml')) {
+      return bodyText // Could parse XML if needed
+    } else if (contentType.includes('image/')) {
+      // For images, we'd need to handle differently
+      // Could convert to base64 or blob URL
+      return `[Binary image data - ${bodyText.length} bytes]`
+    }
+    // Default to text
+    return bodyText
+  }
+
   /**
    * Execute HTTP request - MUST BE IMPLEMENTED BY SUBCLASSES
    * @param {Object} config - Request configuration
@@ -133,6 +215,7 @@ export class HttpClient {
    * @param {Array} config.headers - Request headers
    * @param {any} config.body - Request body
    * @param {string} config.bodyType - Body type (raw, form-data, etc.)
+   * @param {AbortSignal} config.signal - Optional signal to cancel the request
    * @returns {Promise<HttpResponse>} - Response object
    */
   async execute(config) {
@@ -149,17 +232,52 @@ export class HttpClient {
     const startTime = performance.now()
 
     try {
+      if (config.signal?.aborted) {
+        throw new Error('Request cancelled')
+      }
+
       // Apply request interceptors
       const modifiedConfig = await this.applyRequestInterceptors(config)
 
       // Build full URL with params
       modifiedConfig.fullUrl = this.buildUrl(modifiedConfig.url, modifiedConfig.params)
 
+      // AWS Signature v4 and Hawk sign the final URL, headers and body
+      if (modifiedConfig.awsv4) {
+        modifiedConfig.headers = await signAwsV4(modifiedConfig, modifiedConfig.awsv4)
+      }
+      if (modifiedConfig.hawk) {
+        modifiedConfig.headers = this.withAuthorization(modifiedConfig.headers, await this.buildHawkAuthorization(modifiedConfig))
+      }
+      if (modifiedConfig.ntlm && !this.supportsNtlm) {
+        throw new Error('NTLM authentication needs the local relay (Settings → Request → HTTP client)')
+      }
+      // Digest with a known realm and nonce needs no challenge first
+      if (modifiedConfig.digest?.nonce) {
+        modifiedConfig.headers = this.withAuthorization(
+          modifiedConfig.headers,
+          await this.buildDigestAuthorization(modifiedConfig, modifiedConfig.digest)
+        )
+      }
+
       // Build headers object
       modifiedConfig.headersObj = this.buildHeaders(modifiedConfig.headers)
 
       // Execute the request (implemented by subclass)
-      const response = await this.execute(modifiedConfig)
+      let response = await this.execute(modifiedConfig)
+
+      // Digest auth answers the server's challenge and sends again
+      const challenge = modifiedConfig.digest && response.status === 401 && !modifiedConfig.digest.disableRetryRequest
+        ? parseDigestChallenge(this.getHeader(response.headers, 'www-authenticate'))
+        : null
+      if (challenge) {
+        modifiedConfig.headers = this.withAuthorization(
+          modifiedConfig.headers,
+          await this.buildDigestAuthorization(modifiedConfig, { ...modifiedConfig.digest, ...challenge })
+        )
+        modifiedConfig.headersObj = this.buildHeaders(modifiedConfig.headers)
+        response = await this.execute(modifiedConfig)
+      }
 
       // Add timing information
       response.time = performance.now() - startTime
@@ -169,6 +287,21 @@ export class HttpClient {
 
       return finalResponse
     } catch (error) {
+      // Cancelled by the caller - not a network error
+      if (config.signal?.aborted) {
+        return this.applyResponseInterceptors({
+          success: false,
+          cancelled: true,
+          error: 'Request cancelled',
+          status: 0,
+          statusText: 'Cancelled',
+          time: performance.now() - startTime,
+          headers: {},
+          body: null,
+          size: 0
+        })
+      }
+
       // Create error response
       const errorResponse = {
         success: false,
@@ -240,4 +373,42 @@ export class HttpClientFactory {
     }
     return new ClientClass(options)
   }
+
+  /**
+   * Create a client configured from application settings
+   * Picks the client named by settings.request.httpClient and applies
+   * timeout, redirect, SSL and keep-alive options, the proxy and enabled
+   * client certificates.
+   * @param {Object} settings - Settings model or its JSON form
+   * @param {Object} overrides - Client options taking precedence over settings
+   * @returns {HttpClient} - Client instance
+   */
+  static createFromSettings(settings = {}, overrides = {}) {
+    const requestSettings = settings.request || {}
+    const options = {
+      timeout: requestSettings.timeout,
+      followRedirects: requestSettings.followRedirects,
+      maxRedirects: requestSettings.maxRedirects,
+      validateSSL: requestSettings.validateSSL,
+      keepAlive: requestSettings.keepAlive,
+      relayUrl: requestSettings.relayUrl,
+      ...overrides
+    }
+
+    // Drop unset values so the client defaults apply
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key])
+
+    const client = this.create(requestSettings.httpClient || 'fetch', options)
+
+    if (settings.proxy?.enabled) {
+      client.setProxy(settings.proxy)
+    }
+
+    const certificates = settings.certificates || []
+    certificates
+      .filter(cert => cert.enabled)
+      .forEach(cert => client.addCertificate(cert))
+
+    return client
+  }
 }
\ No newline at end of file
@@ -0,0 +1,252 @@
+import { HttpClient, HttpResponse } from './HttpClient.js'
+import { Logger } from '../logger.js'
+
+/**
+ * Default address of the local relay (see relay/server.js)
+ */
+export const DEFAULT_RELAY_URL = 'http://localhost:9997'
+
+/**
+ * Local relay based HTTP Client
+ * Sends each request as a JSON envelope to the ToastMan relay, a small Node
+ * server started with `npm run relay`, which performs the real request.
+ *
+ * Unlike FetchHttpClient this honours:
+ * - Proxy: protocol, authentication and include/exclude lists
+ * - Certificates: PEM/PFX client certificates, passphrases and extra CAs
+ * - SSL verification (RequestSettings.validateSSL)
+ * - CORS: not subject to browser CORS policy
+ * - NTLM: the handshake runs on one connection held by the relay
+ */
+export class RelayHttpClient extends HttpClient {
+  constructor(options = {}) {
+    super({
+      validateSSL: true,
+      keepAlive: true,
+      ...options,
+      relayUrl: (options.relayUrl || DEFAULT_RELAY_URL).replace(/\/+$/, '')
+    })
+
+    // Initialize logger
+    this.logger = new Logger({ prefix: 'RelayHttpClient', level: 'debug' })
+
+    // The Node transport performs the NTLM handshake
+    this.supportsNtlm = true
+
+    if (typeof fetch !== 'function') {
+      throw new Error('RelayHttpClient requires the Fetch API')
+    }
+  }
+
+  /**
+   * Execute HTTP request through the local relay
+   * @param {Object} config - Request configuration
+   * @returns {Promise<HttpResponse>} - Response object
+   */
+  async execute(config) {
+    const envelope = {
+      request: {
+        method: config.method,
+        url: config.fullUrl,
+        headers: config.headersObj,
+        body: ['GET', 'HEAD'].includes(config.method.toUpperCase())
+          ? null
+          : await this.serializeBody(config.body, config.bodyType, config.headersObj)
+      },
+      options: {
+        timeout: this.options.timeout,
+        followRedirects: this.options.followRedirects,
+        maxRedirects: this.options.maxRedirects,
+        validateSSL: this.options.validateSSL,
+        keepAlive: this.options.keepAlive,
+        ntlm: config.ntlm || null
+      },
+      proxy: this.proxy,
+      certificates: this.certificates
+    }
+
+    // The relay enforces the request timeout; this one only guards a hung relay
+    // (no timeout, no guard: a slow upstream is not a hung relay)
+    const controller = new AbortController()
+    const timeoutId = this.options.timeout > 0
+      ? setTimeout(() => controller.abort(), this.options.timeout + 5000)
+      : null
+
+    // Dropping the relay connection makes the relay abort the upstream request
+    // (the caller's signal may outlive this send, so its listener is removed after)
+    const onAbort = () => controller.abort()
+    config.signal?.addEventListener('abort', onAbort, { once: true })
+
+    let relayResponse
+    let result
+    try {
+      try {
+        relayResponse = await fetch(`${this.options.relayUrl}/relay`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(envelope),
+          signal: controller.signal
+        })
+      } catch (error) {
+        if (error.name === 'AbortError' && config.signal?.aborted) {
+          throw new Error('Request cancelled')
+        }
+        if (error.name === 'AbortError') {
+          throw new Error(`Request timeout after ${this.options.timeout}ms`)
+        }
+        throw new Error(`Local relay unreachable at ${this.options.relayUrl} - start it with "npm run relay"`)
+      }
+      clearTimeout(timeoutId)
+
+      result = await relayResponse.json().catch(() => ({}))
+    } finally {
+      clearTimeout(timeoutId)
+      config.signal?.removeEventListener('abort', onAbort)
+    }
+
+    if (config.signal?.aborted) {
+      throw new Error('Request cancelled')
+    }
+    if (!relayResponse.ok) {
+      throw new Error(result.error || `Relay error: ${relayResponse.status} ${relayResponse.statusText}`)
+    }
+
+    const bodyText = result.bodyEncoding === 'base64' ? atob(result.body || '') : (result.body || '')
+    const contentType = Object.entries(result.headers || {})
+      .find(([key]) => key.toLowerCase() === 'content-type')?.[1] || ''
+    const ok = result.status >= 200 && result.status < 300
+
+    return new HttpResponse({
+      success: ok,
+      status: result.status,
+      statusText: result.statusText,
+      headers: result.headers || {},
+      body: this.parseBodyText(bodyText, contentType),
+      size: result.size || 0,
+      error: ok ? null : `${result.status} ${result.statusText}`
+    })
+  }
+
+  /**
+   * Serialize the request body into the relay envelope format
+   * @param {any} body - Raw body data
+   * @param {string} bodyType - Body type (raw, form-data, etc.)
+   * @param {Object} headers - Request headers (may be modified)
+   * @returns {Promise<Object|null>} - { mode: 'text'|'base64'|'multipart', ... }
+   */
+  async serializeBody(body, bodyType, headers) {
+    if (!body) return null
+
+    switch (bodyType) {
+      case 'raw':
+        if (this.isJSON(body) && !this.hasHeader(headers, 'Content-Type')) {
+          headers['Content-Type'] = 'application/json'
+        }
+        return { mode: 'text', text: String(body) }
+
+      case 'formdata':
+      case 'form-data': {
+        const items = Array.isArray(body)
+          ? body.filter(item => item.key && item.enabled !== false)
+          : Object.entries(body).map(([key, value]) => ({ key, value }))
+
+        const parts = []
+        for (const item of items) {
+          if (item.value instanceof Blob) {
+            parts.push({
+              name: item.key,
+              filename: item.value.name || 'blob',
+              contentType: item.value.type || 'application/octet-stream',
+              value: await this.blobToBase64(item.value),
+              encoding: 'base64'
+            })
+          } else {
+            parts.push({ name: item.key, value: String(item.value ?? ''), encoding: 'utf8' })
+          }
+        }
+        return { mode: 'multipart', parts }
+      }
+
+      case 'urlencoded':
+      case 'x-www-form-urlencoded': {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded'
+        if (Array.isArray(body)) {
+          const params = new URLSearchParams()
+          body.forEach(item => {
+            if (item.key && item.enabled !== false) {
+              params.append(item.key, item.value || '')
+            }
+          })
+          return { mode: 'text', text: params.toString() }
+        }
+        if (typeof body === 'object') {
+          return { mode: 'text', text: new URLSearchParams(body).toString() }
+        }
+        return { mode: 'text', text: String(body) }
+      }
+
+      case 'binary':
+        headers['Content-Type'] = headers['Content-Type'] || 'application/octet-stream'
+        if (body instanceof Blob) {
+          return { mode: 'base64', data: await this.blobToBase64(body) }
+        }
+        return { mode: 'text', text: String(body) }
+
+      case 'graphql':
+        headers['Content-Type'] = 'application/json'
+        return { mode: 'text', text: JSON.stringify(body) }
+
+      default:
+        return { mode: 'text', text: typeof body === 'string' ? body : JSON.stringify(body) }
+    }
+  }
+
+  /**
+   * Read a Blob/File as base64
+   * @param {Blob} blob - Blob to read
+   * @returns {Promise<string>} - Base64 content
+   */
+  async blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    let binary = ''
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i])
+    }
+    return btoa(binary)
+  }
+
+  /**
+   * Case-insensitive header presence check
+   */
+  hasHeader(headers, name) {
+    return Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase())
+  }
+
+  /**
+   * Check if string is valid JSON
+   * @param {string} str - String to check
+   * @returns {boolean} - True if valid JSON
+   */
+  isJSON(str) {
+    try {
+      JSON.parse(str)
+      return true
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * Check that the relay is running
+   * @returns {Promise<{ok: boolean, version?: string, error?: string}>}
+   */
+  async checkHealth() {
+    try {
+      const response = await fetch(`${this.options.relayUrl}/health`)
+      const data = await response.json()
+      return { ok: response.ok && data.ok === true, version: data.version }
+    } catch (error) {
+      return { ok: false, error: `Local relay unreachable at ${this.options.relayUrl}` }
+    }
+  }
+}
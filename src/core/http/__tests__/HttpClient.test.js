@@ -0,0 +1,96 @@
+/**
+ * HttpClient Tests
+ *
+ * Tests how send() reports requests cancelled by the caller, and that clients
+ * let go of the caller's signal once a request is done.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { HttpClient } from '../HttpClient.js'
+import { FetchHttpClient } from '../FetchHttpClient.js'
+import { RelayHttpClient } from '../RelayHttpClient.js'
+
+/**
+ * Client whose requests only end when aborted, as fetch does
+ */
+class PendingHttpClient extends HttpClient {
+  constructor() {
+    super()
+    this.executed = 0
+  }
+
+  execute(config) {
+    this.executed++
+    return new Promise((resolve, reject) => {
+      config.signal.addEventListener('abort', () => {
+        reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }))
+      })
+    })
+  }
+}
+
+const config = (signal) => ({ method: 'GET', url: 'https://example.com', params: [], headers: [], signal })
+
+describe('HttpClient.send', () => {
+  it('reports a request aborted mid-send as cancelled, not as a network error', async () => {
+    const client = new PendingHttpClient()
+    const seen = []
+    client.addResponseInterceptor((response) => {
+      seen.push(response)
+      return response
+    })
+    const controller = new AbortController()
+
+    const sending = client.send(config(controller.signal))
+    await new Promise(resolve => setTimeout(resolve, 0))
+    controller.abort()
+    const response = await sending
+
+    expect(response).toMatchObject({
+      success: false,
+      cancelled: true,
+      error: 'Request cancelled',
+      status: 0,
+      statusText: 'Cancelled',
+      body: null
+    })
+    expect(seen).toEqual([response])
+  })
+
+  it('does not send a request that was cancelled before it started', async () => {
+    const client = new PendingHttpClient()
+
+    const response = await client.send(config(AbortSignal.abort()))
+
+    expect(response.cancelled).toBe(true)
+    expect(client.executed).toBe(0)
+  })
+})
+
+describe('abort listeners', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  // A signal that counts the listeners still attached to it
+  const countedSignal = () => {
+    const signal = new AbortController().signal
+    const add = signal.addEventListener.bind(signal)
+    const remove = signal.removeEventListener.bind(signal)
+    signal.listeners = 0
+    signal.addEventListener = (...args) => { signal.listeners++; add(...args) }
+    signal.removeEventListener = (...args) => { signal.listeners--; remove(...args) }
+    return signal
+  }
+
+  it('are removed when a request finishes, so a signal can be shared by many sends', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ status: 200, statusText: 'OK', headers: {}, body: 'ok' }))))
+    const signal = countedSignal()
+
+    for (const client of [new FetchHttpClient({ timeout: 1000 }), new RelayHttpClient({ timeout: 1000 })]) {
+      for (let i = 0; i < 3; i++) {
+        expect((await client.send(config(signal))).status).toBe(200)
+      }
+    }
+
+    expect(signal.listeners).toBe(0)
+  })
+})
@@ -0,0 +1,132 @@
+// @vitest-environment node
+/**
+ * Local relay Tests
+ *
+ * Tests who may call the relay server, that it drops requests the app gives up on,
+ * and the client's guard against a hung relay.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest'
+import http from 'node:http'
+import { createRelayServer } from '../../../../relay/server.js'
+import { RelayHttpClient } from '../RelayHttpClient.js'
+
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(server))
+})
+
+const request = (port, path, headers = {}) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port, path, headers }, (res) => {
+    res.resume()
+    res.on('end', () => resolve(res))
+  }).on('error', reject)
+})
+
+describe('relay server', () => {
+  let relay
+
+  beforeAll(async () => {
+    relay = await listen(createRelayServer())
+  })
+
+  afterAll(() => relay.close())
+
+  it('answers the app origin', async () => {
+    const res = await request(relay.address().port, '/health', { Origin: 'https://toastman.guinetik.com' })
+
+    expect(res.statusCode).toBe(200)
+    expect(res.headers['access-control-allow-origin']).toBe('https://toastman.guinetik.com')
+  })
+
+  it('refuses other local pages and callers without an origin', async () => {
+    const port = relay.address().port
+
+    expect((await request(port, '/health', { Origin: 'http://localhost:3000' })).statusCode).toBe(403)
+    expect((await request(port, '/health')).statusCode).toBe(403)
+  })
+})
+
+describe('relay cancellation', () => {
+  let relay
+  let upstream
+  const upstreamRequests = []
+
+  beforeAll(async () => {
+    relay = await listen(createRelayServer())
+    // Never answers, so only an abort ends its requests
+    upstream = await listen(http.createServer((req) => upstreamRequests.push(req)))
+  })
+
+  afterAll(() => {
+    relay.close()
+    upstream.close()
+  })
+
+  it('aborts the upstream request when the app closes the connection', async () => {
+    const envelope = JSON.stringify({
+      request: { method: 'GET', url: `http://127.0.0.1:${upstream.address().port}/slow`, headers: {} }
+    })
+    const client = http.request({
+      host: '127.0.0.1',
+      port: relay.address().port,
+      path: '/relay',
+      method: 'POST',
+      headers: { Origin: 'https://toastman.guinetik.com', 'Content-Type': 'application/json' }
+    })
+    client.on('error', () => {})
+    client.end(envelope)
+
+    await vi.waitFor(() => expect(upstreamRequests).toHaveLength(1))
+    const upstreamClosed = new Promise(resolve => upstreamRequests[0].socket.on('close', resolve))
+    client.destroy()
+
+    await upstreamClosed
+    expect(upstreamRequests[0].url).toBe('/slow')
+  })
+})
+
+describe('RelayHttpClient', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+  })
+
+  const relayResponse = { status: 200, statusText: 'OK', headers: {}, body: 'done', bodyEncoding: 'utf8' }
+
+  // A relay that answers after the given time, or fails when aborted first
+  const stubRelay = (delay) => {
+    const fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve(new Response(JSON.stringify(relayResponse))), delay)
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer)
+        reject(Object.assign(new Error('aborted'), { name: 'AbortError' }))
+      })
+    }))
+    vi.stubGlobal('fetch', fetch)
+    return fetch
+  }
+
+  const config = { method: 'GET', fullUrl: 'https://example.com', headersObj: {} }
+
+  it('waits for slow requests when there is no timeout', async () => {
+    vi.useFakeTimers()
+    stubRelay(60000)
+
+    for (const timeout of [0, undefined]) {
+      const execution = new RelayHttpClient({ timeout }).execute(config)
+      await vi.advanceTimersByTimeAsync(60000)
+
+      expect((await execution).body).toBe('done')
+    }
+  })
+
+  it('gives up on a relay that outlives the timeout', async () => {
+    vi.useFakeTimers()
+    stubRelay(60000)
+
+    const execution = new RelayHttpClient({ timeout: 1000 }).execute(config)
+    const failure = expect(execution).rejects.toThrow('Request timeout after 1000ms')
+    await vi.advanceTimersByTimeAsync(6000)
+    await failure
+  })
+})
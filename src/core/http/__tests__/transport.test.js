@@ -0,0 +1,110 @@
+// @vitest-environment node
+/**
+ * Node transport Tests
+ *
+ * Tests the request engine used by the local relay against throwaway local servers.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import http from 'node:http'
+import { performRequest, resolveProxy } from '../node/transport.js'
+
+const listen = (handler) => new Promise(resolve => {
+  const server = http.createServer(handler)
+  server.listen(0, '127.0.0.1', () => resolve(server))
+})
+
+describe('node transport', () => {
+  let target
+  let proxy
+  let proxiedUrls = []
+  let baseUrl
+
+  beforeAll(async () => {
+    target = await listen((req, res) => {
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/hello' })
+        res.end()
+        return
+      }
+      const chunks = []
+      req.on('data', c => chunks.push(c))
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ method: req.method, url: req.url, body: Buffer.concat(chunks).toString() }))
+      })
+    })
+    baseUrl = `http://127.0.0.1:${target.address().port}`
+
+    // Minimal forward proxy for absolute-URL HTTP requests
+    proxy = await listen((req, res) => {
+      proxiedUrls.push(req.url)
+      const upstream = http.request(req.url, { method: req.method, headers: req.headers }, upstreamRes => {
+        res.writeHead(upstreamRes.statusCode, upstreamRes.headers)
+        upstreamRes.pipe(res)
+      })
+      req.pipe(upstream)
+    })
+  })
+
+  afterAll(() => {
+    target.close()
+    proxy.close()
+  })
+
+  it('should perform a direct request with a body', async () => {
+    const response = await performRequest({
+      method: 'POST',
+      url: `${baseUrl}/echo`,
+      headers: { 'Content-Type': 'text/plain' },
+      body: Buffer.from('ping')
+    }, { keepAlive: false })
+
+    expect(response.status).toBe(200)
+    expect(JSON.parse(response.body.toString())).toEqual({ method: 'POST', url: '/echo', body: 'ping' })
+    expect(response.redirects).toBe(0)
+  })
+
+  it('should follow redirects unless disabled', async () => {
+    const followed = await performRequest({ method: 'GET', url: `${baseUrl}/redirect` }, { keepAlive: false })
+    expect(followed.status).toBe(200)
+    expect(followed.url).toBe(`${baseUrl}/hello`)
+
+    const manual = await performRequest(
+      { method: 'GET', url: `${baseUrl}/redirect` },
+      { followRedirects: false, keepAlive: false }
+    )
+    expect(manual.status).toBe(302)
+    expect(manual.headers.location).toBe('/hello')
+  })
+
+  it('should release the caller\'s abort signal once the request is done', async () => {
+    const signal = new AbortController().signal
+    let listeners = 0
+    const add = signal.addEventListener.bind(signal)
+    const remove = signal.removeEventListener.bind(signal)
+    signal.addEventListener = (...args) => { listeners++; add(...args) }
+    signal.removeEventListener = (...args) => { listeners--; remove(...args) }
+
+    await performRequest({ method: 'GET', url: `${baseUrl}/redirect` }, { keepAlive: false, signal })
+    await performRequest({ method: 'GET', url: `${baseUrl}/hello` }, { keepAlive: false, signal })
+
+    expect(listeners).toBe(0)
+  })
+
+  it('should route requests through an HTTP proxy', async () => {
+    proxiedUrls = []
+    const response = await performRequest({ method: 'GET', url: `${baseUrl}/via-proxy` }, {
+      keepAlive: false,
+      proxy: { enabled: true, protocol: 'http', host: '127.0.0.1', port: proxy.address().port }
+    })
+
+    expect(response.status).toBe(200)
+    expect(proxiedUrls).toEqual([`${baseUrl}/via-proxy`])
+  })
+
+  it('should skip the proxy for excluded hosts', () => {
+    const config = { enabled: true, protocol: 'http', host: 'proxy.local', port: 8080, excludeList: ['127.0.0.1'] }
+    expect(resolveProxy(config, new URL(`${baseUrl}/`))).toBeNull()
+  })
+})
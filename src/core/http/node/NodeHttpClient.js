@@ -0,0 +1,64 @@
+import { HttpResponse } from '../HttpClient.js'
+import { RelayHttpClient } from '../RelayHttpClient.js'
+import { Logger } from '../../logger.js'
+import { performRequest, decodeRequestBody } from './transport.js'
+
+/**
+ * Node HTTP Client
+ * Performs requests in-process with the same transport the local relay uses,
+ * so headless runs honour the proxy, certificate and SSL options without a
+ * relay in between. Bodies are serialized exactly as for the relay.
+ *
+ * Node-only: never import this module from browser code.
+ */
+export class NodeHttpClient extends RelayHttpClient {
+  constructor(options = {}) {
+    super(options)
+
+    // Initialize logger
+    this.logger = new Logger({ prefix: 'NodeHttpClient', level: 'debug' })
+  }
+
+  /**
+   * Execute HTTP request with the Node transport
+   * @param {Object} config - Request configuration
+   * @returns {Promise<HttpResponse>} - Response object
+   */
+  async execute(config) {
+    const headers = { ...config.headersObj }
+    const serialized = ['GET', 'HEAD'].includes(config.method.toUpperCase())
+      ? null
+      : await this.serializeBody(config.body, config.bodyType, headers)
+
+    const response = await performRequest(
+      { method: config.method, url: config.fullUrl, headers, body: decodeRequestBody(serialized, headers) },
+      {
+        timeout: this.options.timeout,
+        followRedirects: this.options.followRedirects !== false,
+        maxRedirects: this.options.maxRedirects,
+        validateSSL: this.options.validateSSL !== false,
+        keepAlive: this.options.keepAlive !== false,
+        proxy: this.proxy,
+        certificates: this.certificates,
+        ntlm: config.ntlm || null,
+        signal: config.signal
+      }
+    )
+
+    if (config.signal?.aborted) {
+      throw new Error('Request cancelled')
+    }
+
+    const ok = response.status >= 200 && response.status < 300
+
+    return new HttpResponse({
+      success: ok,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      body: this.parseBodyText(response.body.toString('utf8'), response.headers['content-type'] || ''),
+      size: response.size,
+      error: ok ? null : `${response.status} ${response.statusText}`
+    })
+  }
+}
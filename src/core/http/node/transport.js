@@ -0,0 +1,646 @@
+/**
+ * Node HTTP Transport
+ *
+ * Performs outgoing HTTP(S) requests with the Node standard library so that
+ * settings the browser cannot honour (proxies, client certificates, SSL
+ * verification) are applied. Used by the local relay server and the CLI.
+ *
+ * Node-only: never import this module from browser code.
+ */
+
+import http from 'node:http'
+import https from 'node:https'
+import net from 'node:net'
+import tls from 'node:tls'
+import zlib from 'node:zlib'
+import { randomBytes } from 'node:crypto'
+import { Proxy } from '../../../models/Proxy.js'
+import { Certificate } from '../../../models/Certificate.js'
+import { createNegotiateMessage, parseChallengeMessage, createAuthenticateMessage } from '../../auth/ntlm.js'
+
+// Shared keep-alive agents; TLS options are part of the agent pool key
+const keepAliveAgents = {
+  'http:': new http.Agent({ keepAlive: true }),
+  'https:': new https.Agent({ keepAlive: true })
+}
+
+/**
+ * Resolve the proxy to use for a target URL
+ * @param {Object|null} proxyConfig - Proxy model data
+ * @param {URL} target - Target URL
+ * @returns {Proxy|null} - Proxy instance or null for a direct connection
+ */
+export function resolveProxy(proxyConfig, target) {
+  if (!proxyConfig || !proxyConfig.enabled) return null
+
+  let proxy = proxyConfig instanceof Proxy ? proxyConfig : new Proxy(proxyConfig)
+
+  if (proxy.useSystemProxy) {
+    const envUrl = target.protocol === 'https:'
+      ? (process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy)
+      : (process.env.HTTP_PROXY || process.env.http_proxy)
+    if (!envUrl) return null
+
+    const noProxy = (process.env.NO_PROXY || process.env.no_proxy || '')
+      .split(',')
+      .map(h => h.trim())
+      .filter(Boolean)
+      .map(h => (h.startsWith('.') ? `*${h}` : h))
+
+    const systemProxy = Proxy.fromUrl(envUrl)
+    systemProxy.excludeList = noProxy
+    proxy = systemProxy
+  }
+
+  return proxy.shouldUseProxy(target.hostname) ? proxy : null
+}
+
+/**
+ * Build TLS options from the certificates matching a host
+ * @param {string} hostname - Target hostname
+ * @param {Array} certificates - Certificate model data
+ * @param {boolean} validateSSL - Whether to verify the server certificate
+ * @returns {Object} - Options for tls.connect / https.request
+ */
+export function buildTlsOptions(hostname, certificates = [], validateSSL = true) {
+  const options = { rejectUnauthorized: validateSSL }
+  const ca = []
+
+  for (const data of certificates) {
+    if (!data || data.enabled === false) continue
+
+    let certificate
+    try {
+      certificate = data instanceof Certificate ? data : new Certificate(data)
+    } catch (error) {
+      throw new Error(`Certificate "${data.name || data.host}" is incomplete: ${error.message}`)
+    }
+
+    if (!certificate.matchesHost(hostname)) continue
+
+    const certOptions = certificate.getClientOptions()
+
+    if (certOptions.pfx) options.pfx = certOptions.pfx
+    if (certOptions.cert) options.cert = certOptions.cert
+    if (certOptions.key) options.key = certOptions.key
+    if (certOptions.passphrase) options.passphrase = certOptions.passphrase
+    if (certOptions.ca) ca.push(certOptions.ca)
+    if (certOptions.rejectUnauthorized === false) options.rejectUnauthorized = false
+  }
+
+  if (ca.length > 0) {
+    // Extra CAs are trusted in addition to the system store
+    options.ca = [...tls.rootCertificates, ...ca]
+  }
+
+  return options
+}
+
+/**
+ * Read from a socket until the end of an HTTP header block
+ * @param {net.Socket} socket - Socket to read from
+ * @returns {Promise<string>} - Raw header block
+ */
+function readHeaderBlock(socket) {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0)
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk])
+      const end = buffer.indexOf('\r\n\r\n')
+      if (end !== -1) {
+        cleanup()
+        resolve(buffer.subarray(0, end).toString('latin1'))
+      }
+    }
+    const onError = (error) => {
+      cleanup()
+      reject(error)
+    }
+    const onClose = () => {
+      cleanup()
+      reject(new Error('Proxy closed the connection'))
+    }
+    const cleanup = () => {
+      socket.off('data', onData)
+      socket.off('error', onError)
+      socket.off('close', onClose)
+    }
+
+    socket.on('data', onData)
+    socket.on('error', onError)
+    socket.on('close', onClose)
+  })
+}
+
+/**
+ * Read an exact number of bytes from a socket
+ * @param {net.Socket} socket - Socket to read from
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>}
+ */
+function readBytes(socket, length) {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0)
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk])
+      if (buffer.length >= length) {
+        cleanup()
+        if (buffer.length > length) {
+          socket.unshift(buffer.subarray(length))
+        }
+        resolve(buffer.subarray(0, length))
+      }
+    }
+    const onError = (error) => {
+      cleanup()
+      reject(error)
+    }
+    const onClose = () => {
+      cleanup()
+      reject(new Error('SOCKS proxy closed the connection'))
+    }
+    const cleanup = () => {
+      socket.off('data', onData)
+      socket.off('error', onError)
+      socket.off('close', onClose)
+    }
+
+    socket.on('data', onData)
+    socket.on('error', onError)
+    socket.on('close', onClose)
+  })
+}
+
+/**
+ * Open a raw connection to the proxy server itself
+ */
+function connectToProxy(proxy) {
+  return new Promise((resolve, reject) => {
+    const onConnect = () => resolve(socket)
+    const socket = proxy.protocol === 'https'
+      ? tls.connect({ host: proxy.host, port: proxy.port, servername: proxy.host }, onConnect)
+      : net.connect({ host: proxy.host, port: proxy.port }, onConnect)
+    socket.once('error', reject)
+  })
+}
+
+/**
+ * Get the Proxy-Authorization header value for an HTTP proxy
+ */
+function getProxyAuthorization(proxy) {
+  const auth = proxy.getClientConfig()?.auth
+  if (!auth) return null
+  if (typeof auth !== 'string') {
+    throw new Error('NTLM proxy authentication is not supported by the local relay')
+  }
+  return auth
+}
+
+/**
+ * Establish a CONNECT tunnel through an HTTP(S) proxy
+ */
+async function tunnelViaHttpProxy(proxy, host, port) {
+  const socket = await connectToProxy(proxy)
+  const authorization = getProxyAuthorization(proxy)
+
+  let connectRequest = `CONNECT ${host}:${port} HTTP/1.1\r\nHost: ${host}:${port}\r\n`
+  if (authorization) {
+    connectRequest += `Proxy-Authorization: ${authorization}\r\n`
+  }
+  socket.write(`${connectRequest}\r\n`)
+
+  const headerBlock = await readHeaderBlock(socket)
+  const statusLine = headerBlock.split('\r\n')[0]
+  const statusCode = parseInt(statusLine.split(' ')[1], 10)
+
+  if (statusCode !== 200) {
+    socket.destroy()
+    throw new Error(`Proxy refused tunnel to ${host}:${port}: ${statusLine}`)
+  }
+
+  return socket
+}
+
+/**
+ * Establish a tunnel through a SOCKS4a proxy
+ */
+async function tunnelViaSocks4(proxy, host, port) {
+  const socket = await connectToProxy(proxy)
+  const userId = Buffer.from(proxy.auth?.username || '')
+  const portBuffer = Buffer.alloc(2)
+  portBuffer.writeUInt16BE(port)
+
+  // SOCKS4a: IP 0.0.0.1 signals that the hostname follows the user id
+  socket.write(Buffer.concat([
+    Buffer.from([0x04, 0x01]),
+    portBuffer,
+    Buffer.from([0x00, 0x00, 0x00, 0x01]),
+    userId,
+    Buffer.from([0x00]),
+    Buffer.from(host),
+    Buffer.from([0x00])
+  ]))
+
+  const reply = await readBytes(socket, 8)
+  if (reply[1] !== 0x5a) {
+    socket.destroy()
+    throw new Error(`SOCKS4 proxy rejected connection to ${host}:${port} (code ${reply[1]})`)
+  }
+
+  return socket
+}
+
+/**
+ * Establish a tunnel through a SOCKS5 proxy
+ */
+async function tunnelViaSocks5(proxy, host, port) {
+  const socket = await connectToProxy(proxy)
+  const username = proxy.auth?.username || ''
+  const password = proxy.auth?.password || ''
+  const useAuth = proxy.auth && proxy.auth.type !== 'none' && username
+
+  socket.write(Buffer.from(useAuth ? [0x05, 0x02, 0x00, 0x02] : [0x05, 0x01, 0x00]))
+  const [, method] = await readBytes(socket, 2)
+
+  if (method === 0x02) {
+    const user = Buffer.from(username)
+    const pass = Buffer.from(password)
+    socket.write(Buffer.concat([
+      Buffer.from([0x01, user.length]), user,
+      Buffer.from([pass.length]), pass
+    ]))
+    const [, status] = await readBytes(socket, 2)
+    if (status !== 0x00) {
+      socket.destroy()
+      throw new Error('SOCKS5 proxy authentication failed')
+    }
+  } else if (method !== 0x00) {
+    socket.destroy()
+    throw new Error('SOCKS5 proxy does not support the requested authentication method')
+  }
+
+  const hostBuffer = Buffer.from(host)
+  const portBuffer = Buffer.alloc(2)
+  portBuffer.writeUInt16BE(port)
+  socket.write(Buffer.concat([
+    Buffer.from([0x05, 0x01, 0x00, 0x03, hostBuffer.length]),
+    hostBuffer,
+    portBuffer
+  ]))
+
+  const head = await readBytes(socket, 4)
+  if (head[1] !== 0x00) {
+    socket.destroy()
+    throw new Error(`SOCKS5 proxy rejected connection to ${host}:${port} (code ${head[1]})`)
+  }
+
+  // Skip the bound address in the reply
+  const addressType = head[3]
+  if (addressType === 0x01) {
+    await readBytes(socket, 4 + 2)
+  } else if (addressType === 0x04) {
+    await readBytes(socket, 16 + 2)
+  } else {
+    const [length] = await readBytes(socket, 1)
+    await readBytes(socket, length + 2)
+  }
+
+  return socket
+}
+
+/**
+ * Open a tunnel to host:port through the given proxy
+ */
+function openTunnel(proxy, host, port) {
+  switch (proxy.protocol) {
+    case 'socks4':
+      return tunnelViaSocks4(proxy, host, port)
+    case 'socks5':
+      return tunnelViaSocks5(proxy, host, port)
+    default:
+      return tunnelViaHttpProxy(proxy, host, port)
+  }
+}
+
+/**
+ * Build Node request options for a single hop
+ */
+async function buildRequestOptions(target, method, headers, options) {
+  const isHttps = target.protocol === 'https:'
+  const port = parseInt(target.port, 10) || (isHttps ? 443 : 80)
+  const tlsOptions = isHttps
+    ? buildTlsOptions(target.hostname, options.certificates, options.validateSSL !== false)
+    : {}
+  const proxy = resolveProxy(options.proxy, target)
+
+  const requestOptions = {
+    method,
+    headers: { ...headers },
+    ...tlsOptions
+  }
+
+  if (!proxy) {
+    return {
+      transport: isHttps ? https : http,
+      requestOptions: {
+        ...requestOptions,
+        hostname: target.hostname,
+        port,
+        path: `${target.pathname}${target.search}`,
+        servername: isHttps ? target.hostname : undefined,
+        agent: options.agent || (options.keepAlive ? keepAliveAgents[target.protocol] : false)
+      }
+    }
+  }
+
+  const isHttpProxy = proxy.protocol === 'http' || proxy.protocol === 'https'
+
+  if (isHttpProxy && !isHttps && !proxy.tunneling) {
+    // Plain HTTP through an HTTP proxy: send the absolute URL to the proxy
+    const authorization = getProxyAuthorization(proxy)
+    if (authorization) {
+      requestOptions.headers['Proxy-Authorization'] = authorization
+    }
+    requestOptions.headers.Host = target.host
+
+    return {
+      transport: proxy.protocol === 'https' ? https : http,
+      requestOptions: {
+        ...requestOptions,
+        hostname: proxy.host,
+        port: proxy.port,
+        path: target.href,
+        agent: false
+      }
+    }
+  }
+
+  const tunnel = await openTunnel(proxy, target.hostname, port)
+  const socket = isHttps
+    ? tls.connect({ ...tlsOptions, socket: tunnel, servername: target.hostname })
+    : tunnel
+
+  return {
+    transport: isHttps ? https : http,
+    requestOptions: {
+      ...requestOptions,
+      hostname: target.hostname,
+      port,
+      path: `${target.pathname}${target.search}`,
+      agent: false,
+      createConnection: () => socket
+    }
+  }
+}
+
+/**
+ * Decompress a response body according to its content-encoding
+ */
+function decodeBody(buffer, encoding = '') {
+  switch (encoding.toLowerCase().trim()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(buffer)
+    case 'deflate':
+      return zlib.inflateSync(buffer)
+    case 'br':
+      return zlib.brotliDecompressSync(buffer)
+    default:
+      return buffer
+  }
+}
+
+/**
+ * Flatten Node's incoming headers into a plain object
+ */
+function flattenHeaders(rawHeaders) {
+  const headers = {}
+  for (const [key, value] of Object.entries(rawHeaders)) {
+    headers[key] = Array.isArray(value) ? value.join(', ') : value
+  }
+  return headers
+}
+
+/**
+ * Build a multipart/form-data payload from envelope parts
+ * Replaces any Content-Type header with one carrying the boundary.
+ * @param {Array} parts - [{ name, value, filename, contentType, encoding: 'utf8'|'base64' }]
+ * @param {Object} headers - Request headers (modified)
+ * @returns {Buffer}
+ */
+export function buildMultipartBody(parts, headers) {
+  const boundary = `----ToastManBoundary${randomBytes(12).toString('hex')}`
+  const chunks = []
+
+  for (const part of parts) {
+    let disposition = `Content-Disposition: form-data; name="${part.name.replace(/"/g, '%22')}"`
+    if (part.filename) {
+      disposition += `; filename="${part.filename.replace(/"/g, '%22')}"`
+    }
+    let head = `--${boundary}\r\n${disposition}\r\n`
+    if (part.contentType) {
+      head += `Content-Type: ${part.contentType}\r\n`
+    }
+    chunks.push(Buffer.from(`${head}\r\n`))
+    chunks.push(Buffer.from(part.value || '', part.encoding === 'base64' ? 'base64' : 'utf8'))
+    chunks.push(Buffer.from('\r\n'))
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`))
+
+  for (const key of Object.keys(headers)) {
+    if (key.toLowerCase() === 'content-type') delete headers[key]
+  }
+  headers['Content-Type'] = `multipart/form-data; boundary=${boundary}`
+
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Decode a serialized request body (see RelayHttpClient.serializeBody) into bytes
+ * @param {Object|null} body - { mode: 'text'|'base64'|'multipart', ... }
+ * @param {Object} headers - Request headers (modified for multipart)
+ * @returns {Buffer|null}
+ */
+export function decodeRequestBody(body, headers) {
+  if (!body) return null
+
+  switch (body.mode) {
+    case 'text':
+      return Buffer.from(body.text || '', 'utf8')
+    case 'base64':
+      return Buffer.from(body.data || '', 'base64')
+    case 'multipart':
+      return buildMultipartBody(body.parts || [], headers)
+    default:
+      throw new Error(`Unsupported body mode: ${body.mode}`)
+  }
+}
+
+/**
+ * Perform a single request/response exchange
+ */
+async function performHop(target, method, headers, body, options) {
+  const { transport, requestOptions } = await buildRequestOptions(target, method, headers, options)
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(requestOptions, (res) => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('error', reject)
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks)
+        let decoded = raw
+        try {
+          decoded = decodeBody(raw, res.headers['content-encoding'])
+        } catch {
+          // Leave undecodable bodies as received
+        }
+        resolve({
+          status: res.statusCode,
+          statusText: res.statusMessage || '',
+          headers: flattenHeaders(res.headers),
+          body: decoded,
+          size: raw.length
+        })
+      })
+    })
+
+    req.on('error', reject)
+
+    if (options.signal) {
+      const onAbort = () => req.destroy(new Error('Request aborted'))
+      if (options.signal.aborted) {
+        onAbort()
+      } else {
+        // The signal is shared by every hop of the request
+        options.signal.addEventListener('abort', onAbort, { once: true })
+        req.on('close', () => options.signal.removeEventListener('abort', onAbort))
+      }
+    }
+
+    if (body !== null && body !== undefined) {
+      req.write(body)
+    }
+    req.end()
+  })
+}
+
+/**
+ * Perform an HTTP request, following redirects when enabled
+ *
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Absolute URL including query string
+ * @param {Object} request.headers - Header map
+ * @param {Buffer|string|null} request.body - Request body
+ * @param {Object} options
+ * @param {number} options.timeout - Overall timeout in ms
+ * @param {boolean} options.followRedirects - Follow 3xx responses (default true)
+ * @param {number} options.maxRedirects - Maximum redirects to follow
+ * @param {boolean} options.validateSSL - Verify server certificates
+ * @param {boolean} options.keepAlive - Reuse connections
+ * @param {Object|null} options.proxy - Proxy model data
+ * @param {Array} options.certificates - Certificate model data
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {Object|null} options.ntlm - NTLM credentials ({ username, password, domain, workstation })
+ * @returns {Promise<{status, statusText, headers, body: Buffer, size, url, redirects}>}
+ */
+export async function performRequest(request, options = {}) {
+  const timeout = options.timeout || 30000
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), timeout)
+  // The caller's signal may outlive this request, so its listener is removed when done
+  const onAbort = () => controller.abort()
+  options.signal?.addEventListener('abort', onAbort, { once: true })
+
+  let method = (request.method || 'GET').toUpperCase()
+  let headers = { ...(request.headers || {}) }
+  let body = request.body ?? null
+  let target = new URL(request.url)
+  let redirects = 0
+  let ntlmAgent = null
+
+  try {
+    if (options.ntlm) {
+      ntlmAgent = await negotiateNtlm(target, method, headers, { ...options, signal: controller.signal })
+      if (ntlmAgent.authorization) {
+        headers = { ...headers, Authorization: ntlmAgent.authorization }
+      }
+    }
+
+    while (true) {
+      const response = await performHop(target, method, headers, body, {
+        ...options,
+        agent: ntlmAgent?.agent,
+        signal: controller.signal
+      })
+      const location = response.headers.location
+
+      const isRedirect = response.status >= 300 && response.status < 400 && location
+      if (!isRedirect || options.followRedirects === false) {
+        return { ...response, url: target.href, redirects }
+      }
+
+      if (redirects >= (options.maxRedirects ?? 10)) {
+        throw new Error(`Maximum redirects (${options.maxRedirects}) exceeded`)
+      }
+
+      redirects++
+      const nextTarget = new URL(location, target)
+
+      // 303, and 301/302 after a POST, switch to GET without a body (browser behaviour)
+      if (response.status === 303 || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+        method = method === 'HEAD' ? 'HEAD' : 'GET'
+        body = null
+        headers = Object.fromEntries(
+          Object.entries(headers).filter(([key]) => !/^content-(type|length)$/i.test(key))
+        )
+      }
+
+      // Never leak credentials to another origin
+      if (nextTarget.origin !== target.origin) {
+        headers = Object.fromEntries(
+          Object.entries(headers).filter(([key]) => !/^(authorization|cookie)$/i.test(key))
+        )
+      }
+
+      target = nextTarget
+    }
+  } catch (error) {
+    if (controller.signal.aborted && !options.signal?.aborted) {
+      throw new Error(`Request timeout after ${timeout}ms`)
+    }
+    throw error
+  } finally {
+    clearTimeout(timeoutId)
+    options.signal?.removeEventListener('abort', onAbort)
+    ntlmAgent?.agent.destroy()
+  }
+}
+
+/**
+ * Run the NTLM negotiate/challenge exchange
+ * NTLM authenticates the connection, so the exchange and the request itself
+ * share one kept-alive socket. Servers that send no NTLM challenge get the
+ * request without NTLM.
+ * @returns {Promise<{agent, authorization}>} - Agent holding the socket, and the Authorization header to send on it
+ */
+async function negotiateNtlm(target, method, headers, options) {
+  if (resolveProxy(options.proxy, target)) {
+    throw new Error('NTLM authentication does not work through a proxy')
+  }
+
+  const agent = new (target.protocol === 'https:' ? https : http).Agent({ keepAlive: true, maxSockets: 1 })
+  const negotiate = await performHop(target, method, {
+    ...headers,
+    Authorization: `NTLM ${createNegotiateMessage()}`
+  }, null, { ...options, agent })
+
+  const challenge = negotiate.status === 401 ? parseChallengeMessage(negotiate.headers['www-authenticate']) : null
+  return {
+    agent,
+    authorization: challenge ? `NTLM ${createAuthenticateMessage(challenge, options.ntlm)}` : null
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * MockServer
+ *
+ * Answers requests from the saved responses (examples) of a collection, so
+ * clients can be built against a collection before its backend exists.
+ *
+ * A request under the mock base URL is matched against every example by
+ * method and path. Path segments written as :name or {{variable}} in the
+ * example's request match any value. When several examples match, the one
+ * whose query parameters and headers agree most with the request wins; ties
+ * go to the first in collection order. As in Postman, clients can pick an
+ * example with the x-mock-response-name or x-mock-response-code header.
+ *
+ * The matching is plain data in, plain data out: the app serves it in-process
+ * from RequestExecutionService, and node/startMockServer.js serves it over
+ * HTTP for CI.
+ */
+
+import { HttpResponse } from '../http/HttpClient.js'
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  500: 'Internal Server Error'
+}
+
+/**
+ * Split a URL into path segments and query parameters
+ * The host is dropped: scheme://host, or a leading {{variable}} standing in
+ * for one (e.g. {{baseUrl}}/users).
+ * @param {string} url - Absolute URL, path, or Postman raw URL
+ * @returns {Object} - { segments, query: [{ key, value }] }
+ */
+export function parseMockUrl(url = '') {
+  let rest = url.trim().replace(/#.*$/, '')
+  rest = rest.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?]*/i, '')
+  rest = rest.replace(/^\{\{[^}]+\}\}/, '')
+  if (rest && !rest.startsWith('/') && !rest.startsWith('?')) {
+    // Host without a scheme (e.g. api.example.com/users)
+    rest = rest.replace(/^[^/?]*/, '')
+  }
+
+  const [path, search = ''] = rest.split('?')
+  const segments = path.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment)
+    } catch (e) {
+      return segment
+    }
+  })
+  const query = [...new URLSearchParams(search)].map(([key, value]) => ({ key, value }))
+
+  return { segments, query }
+}
+
+/**
+ * Whether an example path segment matches anything
+ */
+const isWildcard = (segment) => segment.startsWith(':') || /^\{\{[^}]+\}\}$/.test(segment)
+
+/**
+ * Flatten the examples of a collection into mock routes
+ * Each example is matched with its originalRequest, or the request it was saved under.
+ * @param {Object} collection - Collection with items carrying response arrays
+ * @returns {Array} - [{ id, name, requestName, method, segments, query, headers, response }]
+ */
+export function collectMockExamples(collection) {
+  const examples = []
+
+  const walk = (items) => {
+    (items || []).forEach(item => {
+      if (Array.isArray(item.item)) {
+        walk(item.item)
+        return
+      }
+
+      (item.response || []).forEach(response => {
+        const request = response.originalRequest || item.request || {}
+        const url = typeof request.url === 'string' ? request.url : request.url?.raw || ''
+        const { segments, query } = parseMockUrl(url)
+        const urlQuery = typeof request.url === 'object' && Array.isArray(request.url.query)
+          ? request.url.query.filter(q => q.enabled !== false && q.key).map(q => ({ key: q.key, value: q.value || '' }))
+          : query
+
+        examples.push({
+          id: response.id,
+          name: response.name || 'Example',
+          requestName: item.name,
+          method: (request.method || item.request?.method || 'GET').toUpperCase(),
+          segments,
+          query: urlQuery,
+          headers: (request.header || [])
+            .filter(h => h.enabled !== false && h.disabled !== true && h.key)
+            .map(h => ({ key: h.key.toLowerCase(), value: h.value || '' })),
+          response
+        })
+      })
+    })
+  }
+
+  walk(collection?.item)
+  return examples
+}
+
+/**
+ * Score how well an example path matches the request path
+ * @returns {number} - -1 when it does not match, else the number of literal segments
+ */
+function scorePath(exampleSegments, segments) {
+  if (exampleSegments.length !== segments.length) return -1
+
+  let score = 0
+  for (let i = 0; i < segments.length; i++) {
+    if (isWildcard(exampleSegments[i])) continue
+    if (exampleSegments[i] !== segments[i]) return -1
+    score++
+  }
+  return score
+}
+
+/**
+ * Score agreement on query parameters or headers: +1 per pair that matches,
+ * -1 per pair the request sends with another value or leaves out
+ */
+function scorePairs(expected, actual) {
+  return expected.reduce((score, { key, value }) => {
+    const sent = actual.find(pair => pair.key === key)
+    return score + (sent && (sent.value === value || /^\{\{[^}]+\}\}$/.test(value)) ? 1 : -1)
+  }, 0)
+}
+
+/**
+ * Find the example that best answers a request
+ * @param {Array} examples - From collectMockExamples()
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path and query relative to the mock base URL
+ * @param {Object} request.headers - Header map (any case)
+ * @returns {Object|null} - Matching example
+ */
+export function matchMockExample(examples, { method = 'GET', path = '/', headers = {} }) {
+  const { segments, query } = parseMockUrl(path)
+  const headerPairs = Object.entries(headers).map(([key, value]) => ({ key: key.toLowerCase(), value: String(value) }))
+  const header = (name) => headerPairs.find(pair => pair.key === name)?.value
+
+  let candidates = examples
+    .filter(example => example.method === method.toUpperCase())
+    .map(example => ({ example, pathScore: scorePath(example.segments, segments) }))
+    .filter(candidate => candidate.pathScore >= 0)
+
+  const wantedName = header('x-mock-response-name')
+  const wantedCode = header('x-mock-response-code')
+  if (wantedName) {
+    candidates = candidates.filter(({ example }) => example.name === wantedName)
+  }
+  if (wantedCode) {
+    candidates = candidates.filter(({ example }) => String(example.response.code) === wantedCode)
+  }
+
+  let best = null
+  let bestScore = -Infinity
+  candidates.forEach(({ example, pathScore }) => {
+    // Literal path segments outweigh any number of query or header matches
+    const score = pathScore * 1000 + scorePairs(example.query, query) + scorePairs(example.headers, headerPairs)
+    if (score > bestScore) {
+      best = example
+      bestScore = score
+    }
+  })
+
+  return best
+}
+
+/**
+ * Build the response an example describes
+ * @param {Object} response - Saved response ({ code, status, header, body })
+ * @returns {Object} - { status, statusText, headers, body } with body as text
+ */
+export function createMockResponse(response) {
+  const status = Number(response.code) || 200
+  const headers = Object.fromEntries((response.header || [])
+    .filter(h => h.key && h.disabled !== true)
+    .map(h => [h.key, h.value || '']))
+
+  const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type')
+  if (!hasContentType && response._postman_previewlanguage === 'json') {
+    headers['Content-Type'] = 'application/json'
+  }
+
+  return {
+    status,
+    statusText: response.status || STATUS_TEXT[status] || '',
+    headers,
+    body: response.body || ''
+  }
+}
+
+/**
+ * Response for requests no example matches
+ */
+export function createNotFoundResponse(method, path) {
+  return {
+    status: 404,
+    statusText: 'Not Found',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      error: {
+        name: 'mockRequestNotFoundError',
+        message: `No example matches ${method.toUpperCase()} ${path}`
+      }
+    })
+  }
+}
+
+export class MockServer {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - URL prefix the mock answers (the app only; the Node server answers every path)
+   * @param {Object} options.collection - Collection whose examples are served
+   * @param {Object} options.logger - Logger
+   */
+  constructor({ baseUrl = '', collection = null, logger = console } = {}) {
+    this.baseUrl = baseUrl.trim().replace(/\/+$/, '')
+    this.name = collection?.info?.name || 'Mock'
+    this.examples = collectMockExamples(collection)
+    this.logger = logger
+  }
+
+  /**
+   * Whether a URL is under the mock base URL
+   */
+  handles(url = '') {
+    if (!this.baseUrl || !url.startsWith(this.baseUrl)) return false
+    const next = url.charAt(this.baseUrl.length)
+    return next === '' || next === '/' || next === '?' || next === '#'
+  }
+
+  /**
+   * Answer a request
+   * @param {Object} request - { method, path, headers }, path relative to the base URL
+   * @returns {Object} - { status, statusText, headers, body, example }
+   */
+  respond({ method = 'GET', path = '/', headers = {} }) {
+    const example = matchMockExample(this.examples, { method, path, headers })
+    if (!example) {
+      this.logger.info(`Mock ${this.name}: no example for ${method} ${path}`)
+      return { ...createNotFoundResponse(method, path), example: null }
+    }
+
+    this.logger.info(`Mock ${this.name}: ${method} ${path} -> "${example.requestName} / ${example.name}"`)
+    return { ...createMockResponse(example.response), example }
+  }
+
+  /**
+   * Answer an HttpClient.send config as the configured client would
+   * @param {Object} config - { method, url, params, headers }
+   * @param {HttpClient} client - Used to build the URL and headers and to parse the body
+   * @returns {HttpResponse}
+   */
+  send(config, client) {
+    const startTime = performance.now()
+    const url = client.buildUrl(config.url, config.params)
+    const response = this.respond({
+      method: config.method || 'GET',
+      path: url.slice(this.baseUrl.length) || '/',
+      headers: client.buildHeaders(config.headers)
+    })
+    const contentType = Object.entries(response.headers).find(([key]) => key.toLowerCase() === 'content-type')?.[1] || ''
+
+    return new HttpResponse({
+      success: response.status < 400,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(Object.entries(response.headers).map(([key, value]) => [key.toLowerCase(), value])),
+      body: client.parseBodyText(response.body, contentType),
+      size: new TextEncoder().encode(response.body).length,
+      time: performance.now() - startTime,
+      error: response.status < 400 ? null : `${response.status} ${response.statusText}`
+    })
+  }
+}
+
+export default MockServer
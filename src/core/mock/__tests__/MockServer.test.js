@@ -0,0 +1,86 @@
+/**
+ * MockServer Tests
+ *
+ * Tests matching requests to saved examples by method, path, query and
+ * headers, and answering HttpClient.send configs.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { MockServer, parseMockUrl, collectMockExamples, matchMockExample } from '../MockServer.js'
+import { HttpClient } from '../../http/HttpClient.js'
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+const example = (name, url, code, body, extra = {}) => ({
+  id: name,
+  name,
+  code,
+  header: [{ key: 'Content-Type', value: 'application/json' }],
+  body,
+  originalRequest: { method: 'GET', url: { raw: url }, header: [], ...extra }
+})
+
+const collection = {
+  info: { name: 'Users' },
+  item: [{
+    name: 'Users',
+    item: [{
+      name: 'Get user',
+      request: { method: 'GET', url: { raw: '{{baseUrl}}/users/:id' } },
+      response: [
+        example('Any user', '{{baseUrl}}/users/:id', 200, '{"id":"any"}'),
+        example('User 1', '{{baseUrl}}/users/1', 200, '{"id":1}'),
+        example('Admin', '{{baseUrl}}/users/:id', 200, '{"admin":true}', { header: [{ key: 'X-Role', value: 'admin' }] }),
+        example('Gone', '{{baseUrl}}/users/:id', 410, '{}')
+      ]
+    }]
+  }, {
+    name: 'Search',
+    request: { method: 'GET', url: { raw: 'https://api.example.com/search' } },
+    response: [
+      example('Page 2', 'https://api.example.com/search?page=2', 200, '{"page":2}')
+    ]
+  }]
+}
+
+const examples = collectMockExamples(collection)
+const match = (path, headers = {}, method = 'GET') => matchMockExample(examples, { method, path, headers })?.name
+
+describe('MockServer', () => {
+
+  it('should drop hosts and variables standing in for them', () => {
+    expect(parseMockUrl('{{baseUrl}}/users/:id?full=1')).toEqual({ segments: ['users', ':id'], query: [{ key: 'full', value: '1' }] })
+    expect(parseMockUrl('https://api.example.com:8443/a%20b/')).toEqual({ segments: ['a b'], query: [] })
+    expect(parseMockUrl('api.example.com/users')).toEqual({ segments: ['users'], query: [] })
+  })
+
+  it('should prefer literal path segments, then matching query and headers', () => {
+    expect(match('/users/1')).toBe('User 1')
+    expect(match('/users/42')).toBe('Any user')
+    expect(match('/users/42', { 'x-role': 'admin' })).toBe('Admin')
+    expect(match('/search')).toBe('Page 2')
+    expect(match('/users/1', {}, 'DELETE')).toBeUndefined()
+    expect(match('/users')).toBeUndefined()
+  })
+
+  it('should pick examples by x-mock-response-name or x-mock-response-code', () => {
+    expect(match('/users/1', { 'X-Mock-Response-Code': '410' })).toBe('Gone')
+    expect(match('/users/1', { 'x-mock-response-name': 'Admin' })).toBe('Admin')
+  })
+
+  it('should answer send configs under its base URL', async () => {
+    const server = new MockServer({ baseUrl: 'https://mock.test/users-api/', collection, logger: silentLogger })
+    const client = new HttpClient()
+
+    expect(server.handles('https://mock.test/users-api/users/1')).toBe(true)
+    expect(server.handles('https://mock.test/users-api-v2/users/1')).toBe(false)
+
+    const found = server.send({ method: 'GET', url: 'https://mock.test/users-api/users/1', params: [], headers: [] }, client)
+    expect(found).toMatchObject({ success: true, status: 200, statusText: 'OK', body: { id: 1 } })
+    expect(found.headers['content-type']).toBe('application/json')
+
+    const missing = server.send({ method: 'GET', url: 'https://mock.test/users-api/nope', params: [], headers: [] }, client)
+    expect(missing.status).toBe(404)
+    expect(missing.body.error.name).toBe('mockRequestNotFoundError')
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * Node mock server
+ *
+ * Serves a MockServer over HTTP, for CI jobs or frontends developed outside
+ * the app. Every path is answered, relative to the server root. Responses
+ * allow any origin so browser apps on another port can call it.
+ */
+
+import { createServer } from 'node:http'
+
+// Example headers that describe the original transfer, not the body we send
+const HOP_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive']
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+  'Access-Control-Expose-Headers': '*'
+}
+
+/**
+ * Start serving a mock
+ * @param {MockServer} mockServer - Mock to serve
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {string} options.host - Interface to bind
+ * @param {Function} options.onRequest - Called with ({ method, path, status, example }) per request
+ * @returns {Promise<http.Server>} - Listening server
+ */
+export function startMockServer(mockServer, { port = 3000, host = '127.0.0.1', onRequest = () => {} } = {}) {
+  const server = createServer((req, res) => {
+    // The body is not used for matching; drain it so the connection can be reused
+    req.resume()
+    req.on('end', () => {
+      const method = req.method || 'GET'
+      const path = req.url || '/'
+
+      // Answer CORS preflights unless the collection has its own OPTIONS example
+      const response = mockServer.respond({ method, path, headers: req.headers })
+      if (method === 'OPTIONS' && !response.example) {
+        res.writeHead(204, {
+          ...CORS_HEADERS,
+          'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*'
+        })
+        res.end()
+        onRequest({ method, path, status: 204, example: null })
+        return
+      }
+
+      const headers = { ...CORS_HEADERS }
+      Object.entries(response.headers).forEach(([key, value]) => {
+        if (!HOP_HEADERS.includes(key.toLowerCase())) headers[key] = value
+      })
+
+      res.writeHead(response.status, response.statusText || undefined, headers)
+      res.end(method === 'HEAD' ? undefined : response.body)
+      onRequest({ method, path, status: response.status, example: response.example })
+    })
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => {
+      server.off('error', reject)
+      resolve(server)
+    })
+  })
+}
+
+export default startMockServer
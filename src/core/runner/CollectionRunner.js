@@ -0,0 +1,360 @@
+/**
+ * CollectionRunner
+ *
+ * Runs the requests of a collection or folder in order, for a number of
+ * iterations, the way Postman's Collection Runner does. runRequest() is the
+ * one send pipeline, also used for sends from the composer and load tests:
+ *
+ *   pre-request chain -> interpolation + auth -> send -> test chain
+ *
+ * The runner has no UI or store dependencies. The host provides how to send
+ * (requestExecutor), where scripts run (createSandbox), how variables are
+ * resolved (interpolate) and how tokens are obtained (authorize), so the
+ * same runner backs the app and headless runs.
+ */
+
+import { PostmanScriptRunner } from '../scripting/PostmanScriptRunner.js'
+import { buildSendConfig, resolveRequestAuth } from '../../services/RequestExecutionService.js'
+import { createUrl } from '../../models/types.js'
+
+/**
+ * Flatten a collection (or one of its folders) into runnable requests in tree order
+ * @param {Object} collection - Postman collection
+ * @param {string} folderId - Only run this folder (optional)
+ * @returns {Array} - Array of { id, name, path, method, item, folders }
+ */
+export function collectRunItems(collection, folderId = null) {
+  const entries = []
+
+  const walk = (items, folders) => {
+    (items || []).forEach(item => {
+      if (Array.isArray(item.item)) {
+        walk(item.item, [...folders, item])
+      } else if (item.request) {
+        entries.push({
+          id: item.id,
+          name: item.name || 'Untitled Request',
+          path: folders.map(f => f.name).join(' / '),
+          method: item.request.method || 'GET',
+          item,
+          folders
+        })
+      }
+    })
+  }
+
+  if (!folderId) {
+    walk(collection?.item, [])
+    return entries
+  }
+
+  // Find the folder, keeping its ancestors so their scripts still run
+  const findFolder = (items, ancestors) => {
+    for (const item of items || []) {
+      if (!Array.isArray(item.item)) continue
+      if (item.id === folderId) return { folder: item, ancestors }
+      const found = findFolder(item.item, [...ancestors, item])
+      if (found) return found
+    }
+    return null
+  }
+
+  const found = findFolder(collection?.item, [])
+  if (found) {
+    walk(found.folder.item, [...found.ancestors, found.folder])
+  }
+  return entries
+}
+
+/**
+ * Totals for a finished (or cancelled) run
+ * @param {Array} iterations - Array of { iteration, results }
+ * @returns {Object} - { requests, failedRequests, tests, passed, failed, errors, duration }
+ */
+export function summarizeRun(iterations) {
+  const results = iterations.flatMap(it => it.results)
+  const tests = results.flatMap(r => r.tests)
+
+  return {
+    requests: results.length,
+    failedRequests: results.filter(r => r.error || r.tests.some(t => !t.passed)).length,
+    tests: tests.length,
+    passed: tests.filter(t => t.passed).length,
+    failed: tests.filter(t => !t.passed).length,
+    errors: results.filter(r => r.error).length,
+    duration: results.reduce((total, r) => total + (r.time || 0), 0)
+  }
+}
+
+/**
+ * Wait for ms, resolving early when the signal aborts
+ */
+export function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (!ms || signal?.aborted) {
+      resolve()
+      return
+    }
+    const timer = setTimeout(done, ms)
+    function done() {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', done)
+      resolve()
+    }
+    signal?.addEventListener('abort', done)
+  })
+}
+
+export class CollectionRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.requestExecutor - { send(config, { protocolProfileBehavior }) }
+   * @param {Function} options.createSandbox - () => object with executeChain(), e.g. a ScriptSandbox
+   * @param {Function} options.interpolate - (text, localVariables) => string
+   * @param {Function} options.setData - (row) => void, makes a data file row the data scope
+   * @param {Function} options.authorize - async (request, { collection, interpolate }) => request, e.g. OAuth2Service.authorizeRequest
+   * @param {Object} options.logger - Logger instance
+   */
+  constructor(options = {}) {
+    this.requestExecutor = options.requestExecutor
+    this.createSandbox = options.createSandbox
+    this.interpolate = options.interpolate || ((text) => text)
+    this.setData = options.setData || (() => {})
+    this.authorize = options.authorize || (async (request) => request)
+    this.logger = options.logger || console
+  }
+
+  /**
+   * Run the given requests
+   *
+   * @param {Object} options
+   * @param {Object} options.collection - Collection the requests belong to (for collection scripts)
+   * @param {Array} options.items - Entries from collectRunItems(), in run order
+   * @param {number} options.iterations - Number of times to run the whole list (defaults to one per data row)
+   * @param {Array} options.data - Data file rows; iteration n uses row n, repeating the last row when there are more iterations
+   * @param {number} options.delay - Pause between requests in ms
+   * @param {AbortSignal} options.signal - Stops the run
+   * @param {Function} options.onEvent - Progress callback: iterationStart, requestStart, requestComplete
+   * @returns {Promise<Object>} - { startedAt, finishedAt, iterations, summary, cancelled }
+   */
+  async run({ collection, items = [], iterations, data = [], delay = 0, signal, onEvent = () => {} }) {
+    const startedAt = new Date().toISOString()
+    const iterationCount = Math.max(1, Math.floor(iterations ?? data.length) || 1)
+    const runIterations = []
+
+    for (let iteration = 0; iteration < iterationCount && !signal?.aborted; iteration++) {
+      const row = data.length > 0 ? data[Math.min(iteration, data.length - 1)] : null
+      this.setData(row)
+
+      const current = { iteration, data: row, results: [] }
+      runIterations.push(current)
+      onEvent({ type: 'iterationStart', iteration, iterationCount, data: row })
+
+      for (let index = 0; index < items.length && !signal?.aborted; index++) {
+        if (index > 0 || iteration > 0) {
+          await sleep(delay, signal)
+          if (signal?.aborted) break
+        }
+
+        const entry = items[index]
+        onEvent({ type: 'requestStart', iteration, index, entry })
+
+        const result = await this.runRequest(entry, {
+          collection,
+          info: { iteration, iterationCount },
+          signal
+        })
+        current.results.push(result)
+
+        onEvent({ type: 'requestComplete', iteration, index, result })
+      }
+    }
+
+    return {
+      collectionName: collection?.info?.name || collection?.name || 'Collection',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      iterations: runIterations,
+      summary: summarizeRun(runIterations),
+      cancelled: !!signal?.aborted
+    }
+  }
+
+  /**
+   * Run one request with its script chains
+   * This is the send pipeline for every host, the composer included. Never
+   * rejects; failures are reported as result.error.
+   *
+   * @param {Object} entry - Entry from collectRunItems()
+   * @param {Object} context
+   * @param {Object} context.collection - Collection the request belongs to (for collection scripts and auth)
+   * @param {Object} context.info - { iteration, iterationCount } for pm.info
+   * @param {AbortSignal} context.signal - Cancels the send and its scripts
+   * @param {Array<string>} context.phases - Script phases to run (default both)
+   * @param {Function} context.onScriptResult - (scriptResult, phase) => void, after each chain that was not cancelled
+   * @param {Function} context.onResponse - (response, sent) => void, with the response, or with one standing in
+   *   for a send that was cancelled, not authorized or failed (sent is false)
+   * @returns {Promise<Object>} - Per-request result
+   */
+  async runRequest(entry, { collection, info = {}, signal, phases = ['prerequest', 'test'], onScriptResult = () => {}, onResponse = () => {} }) {
+    const { item, folders } = entry
+    const localVariables = {}
+    const interpolate = (text) => this.interpolate(text, localVariables)
+    let request = JSON.parse(JSON.stringify(item.request))
+    if (typeof request.url === 'string') {
+      request.url = createUrl(request.url)
+    }
+
+    const result = {
+      id: entry.id,
+      name: entry.name,
+      path: entry.path,
+      iteration: info.iteration,
+      method: request.method || 'GET',
+      url: '',
+      status: 0,
+      statusText: '',
+      time: 0,
+      size: 0,
+      requestHeaders: {},
+      responseHeaders: {},
+      tests: [],
+      consoleLogs: [],
+      error: null
+    }
+
+    const scriptsFor = (listen) => !phases.includes(listen) ? [] : PostmanScriptRunner.buildScriptChain({
+      collection,
+      folders,
+      requestName: entry.name,
+      requestScript: PostmanScriptRunner.getEventScript(item.event, listen)
+    }, listen)
+
+    const sendRequest = (scriptRequest) => this.requestExecutor.send({
+      ...buildSendConfig(scriptRequest, interpolate),
+      signal
+    })
+
+    let responded = false
+    const respond = (response, sent = false) => {
+      responded = true
+      onResponse(response, sent)
+    }
+    const failedResponse = (statusText, error, extra = {}) => ({
+      status: 0, statusText, error, success: false, time: 0, size: 0, ...extra
+    })
+
+    const runScripts = async (scripts, phase, response) => {
+      const scriptResult = await this.createSandbox().executeChain({
+        scripts,
+        phase,
+        response,
+        request,
+        requestName: entry.name,
+        variables: localVariables,
+        info,
+        sendRequest,
+        signal
+      })
+      if (signal?.aborted) return scriptResult
+
+      result.tests.push(...scriptResult.tests.map(test => ({ ...test, phase })))
+      result.consoleLogs.push(...scriptResult.consoleLogs)
+      onScriptResult(scriptResult, phase)
+      return scriptResult
+    }
+
+    try {
+      const prerequest = scriptsFor('prerequest')
+      const scriptResult = prerequest.length > 0 && !signal?.aborted ? await runScripts(prerequest, 'prerequest') : null
+
+      if (signal?.aborted) {
+        result.error = 'Run cancelled'
+        respond(failedResponse('Cancelled', 'Request cancelled', { cancelled: true }))
+        return result
+      }
+      if (scriptResult?.error) {
+        result.error = `Pre-request script failed: ${scriptResult.error.message}`
+        return result
+      }
+      if (scriptResult) {
+        request = this.applyScriptRequest(request, scriptResult.request)
+      }
+
+      // Auth set to inherit (or missing) comes from the nearest folder or the collection
+      request = resolveRequestAuth(request, { collection, folders })
+
+      try {
+        request = await this.authorize(request, { collection, interpolate })
+      } catch (error) {
+        result.error = `Authorization failed: ${error.message}`
+        respond(failedResponse('Authorization failed', error.message))
+        return result
+      }
+
+      const config = buildSendConfig(request, interpolate)
+      result.method = config.method || result.method
+      result.url = config.url
+      result.requestHeaders = Object.fromEntries(
+        (config.headers || []).filter(h => h.enabled !== false && h.key).map(h => [h.key, h.value])
+      )
+
+      const response = await this.requestExecutor.send({ ...config, signal }, {
+        protocolProfileBehavior: item.protocolProfileBehavior
+      })
+      respond(response, true)
+
+      result.status = response.status || 0
+      result.statusText = response.statusText || ''
+      result.time = response.time || 0
+      result.size = response.size || 0
+      result.responseHeaders = response.headers || {}
+
+      if (response.cancelled) {
+        result.error = 'Run cancelled'
+        return result
+      }
+      // An HTTP error status is still a response for the tests to check
+      if (response.error && !response.status) {
+        result.error = response.error
+      }
+
+      const tests = scriptsFor('test')
+      if (tests.length > 0 && !signal?.aborted) {
+        const scriptResult = await runScripts(tests, 'test', {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers || {},
+          body: response.body,
+          time: response.time
+        })
+        if (scriptResult.error && !result.error) {
+          result.error = `Test script failed: ${scriptResult.error.message}`
+        }
+      }
+    } catch (error) {
+      this.logger.error('Run request failed:', entry.name, error)
+      result.error = error.message || 'Request failed'
+      if (!responded) respond(failedResponse('Error', result.error))
+    }
+
+    return result
+  }
+
+  /**
+   * Apply the request as changed by pre-request scripts
+   * Only replaces the URL object when the script changed it.
+   */
+  applyScriptRequest(request, updated) {
+    const rawUrl = request.url?.raw || ''
+    return {
+      ...request,
+      method: updated.method,
+      url: updated.url === rawUrl ? request.url : createUrl(updated.url),
+      header: updated.header,
+      body: updated.body || request.body
+    }
+  }
+}
+
+export default CollectionRunner
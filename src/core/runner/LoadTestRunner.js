@@ -0,0 +1,274 @@
+/**
+ * LoadTestRunner
+ *
+ * Sends one request repeatedly from a number of concurrent virtual users to
+ * sanity-check an endpoint under load. Each virtual user sends, waits for the
+ * response and sends again, until the duration is over or the shared
+ * iteration count is used up. With a ramp-up, users start evenly spread over
+ * that time instead of all at once.
+ *
+ * Requests go through CollectionRunner.runRequest(), so they are built, sent
+ * and timed exactly like runs (pre-request scripts included). Test scripts
+ * only run when asked, as per-response assertions.
+ *
+ * Samples are not kept: LoadStats folds each one into running totals and a
+ * latency histogram as it completes, so memory stays bounded however long the
+ * test runs, and hosts can summarize it at any time (e.g. for a live chart).
+ */
+
+import { CollectionRunner, sleep } from './CollectionRunner.js'
+
+/**
+ * Whether a sample counts as an error: no response, or a 4xx/5xx status
+ */
+export function isErrorSample(sample) {
+  return !sample.status || sample.status >= 400
+}
+
+// Latency histogram bins grow by 1%, so percentiles are within 1% of the exact value
+const BIN_GROWTH = 1.01
+
+/**
+ * Histogram of response times
+ * Bins are spaced logarithmically and remember the sum of their values, so a
+ * bin holding one distinct time reports it exactly.
+ */
+class LatencyHistogram {
+  constructor() {
+    this.bins = new Map()
+    this.count = 0
+    this.sum = 0
+    this.min = Infinity
+    this.max = 0
+  }
+
+  add(time) {
+    const key = time < 1 ? 0 : 1 + Math.floor(Math.log(time) / Math.log(BIN_GROWTH))
+    const bin = this.bins.get(key) || { count: 0, sum: 0 }
+    bin.count++
+    bin.sum += time
+    this.bins.set(key, bin)
+
+    this.count++
+    this.sum += time
+    this.min = Math.min(this.min, time)
+    this.max = Math.max(this.max, time)
+  }
+
+  merge(other) {
+    other.bins.forEach((bin, key) => {
+      const own = this.bins.get(key) || { count: 0, sum: 0 }
+      this.bins.set(key, { count: own.count + bin.count, sum: own.sum + bin.sum })
+    })
+    this.count += other.count
+    this.sum += other.sum
+    this.min = Math.min(this.min, other.min)
+    this.max = Math.max(this.max, other.max)
+  }
+
+  /**
+   * Nearest-rank percentile, as the mean of the bin it falls in
+   */
+  percentile(p) {
+    if (this.count === 0) return 0
+    const rank = Math.min(this.count, Math.max(1, Math.ceil((p / 100) * this.count)))
+    let seen = 0
+    for (const key of [...this.bins.keys()].sort((a, b) => a - b)) {
+      const bin = this.bins.get(key)
+      seen += bin.count
+      if (seen >= rank) return bin.sum / bin.count
+    }
+    return this.max
+  }
+}
+
+const emptyBucket = () => ({ requests: 0, errors: 0, latency: new LatencyHistogram() })
+
+/**
+ * Running statistics of a load test
+ * Latency only counts samples that got a response.
+ */
+export class LoadStats {
+  /**
+   * @param {number} interval - Timeline bucket size in ms
+   */
+  constructor(interval = 1000) {
+    this.interval = interval
+    this.requests = 0
+    this.errors = 0
+    this.statusCounts = {}
+    this.assertions = { passed: 0, failed: 0 }
+    this.latency = new LatencyHistogram()
+    // Timeline buckets by index, for samples that completed in that interval
+    this.buckets = []
+  }
+
+  /**
+   * Add a completed sample
+   * @param {Object} sample - Sample from LoadTestRunner.run()
+   */
+  add(sample) {
+    const error = isErrorSample(sample)
+    const key = sample.status ? String(sample.status) : 'error'
+    this.statusCounts[key] = (this.statusCounts[key] || 0) + 1
+    this.requests++
+    if (error) this.errors++
+    this.assertions.passed += sample.passed
+    this.assertions.failed += sample.failed
+
+    const index = Math.max(0, Math.floor((sample.at + sample.time) / this.interval))
+    for (let i = this.buckets.length; i <= index; i++) {
+      this.buckets.push(emptyBucket())
+    }
+    const bucket = this.buckets[index]
+    bucket.requests++
+    if (error) bucket.errors++
+
+    if (sample.status > 0) {
+      this.latency.add(sample.time)
+      bucket.latency.add(sample.time)
+    }
+  }
+
+  /**
+   * Aggregate the samples so far
+   * @param {number} elapsed - Time the test has been running, in ms
+   * @returns {Object} - { requests, errors, errorRate, throughput, statusCounts, latency, assertions }
+   */
+  summarize(elapsed) {
+    const { requests, errors, latency } = this
+    return {
+      requests,
+      errors,
+      errorRate: requests > 0 ? errors / requests : 0,
+      throughput: elapsed > 0 ? requests / (elapsed / 1000) : 0,
+      statusCounts: { ...this.statusCounts },
+      latency: {
+        min: latency.count > 0 ? latency.min : 0,
+        mean: latency.count > 0 ? latency.sum / latency.count : 0,
+        p50: latency.percentile(50),
+        p90: latency.percentile(90),
+        p99: latency.percentile(99),
+        max: latency.max
+      },
+      assertions: { ...this.assertions }
+    }
+  }
+
+  /**
+   * Samples grouped by the interval in which they completed
+   * Samples completing after `elapsed` count in the last interval.
+   * @param {number} elapsed - Time the test has been running, in ms
+   * @returns {Array} - [{ start, requests, errors, p50, p90 }], one per interval so far
+   */
+  timeline(elapsed) {
+    const count = Math.max(1, Math.ceil(elapsed / this.interval))
+    const timeline = []
+
+    for (let index = 0; index < count; index++) {
+      let bucket = this.buckets[index] || emptyBucket()
+      if (index === count - 1 && this.buckets.length > count) {
+        bucket = this.buckets.slice(index).reduce((merged, b) => {
+          merged.requests += b.requests
+          merged.errors += b.errors
+          merged.latency.merge(b.latency)
+          return merged
+        }, emptyBucket())
+      }
+
+      timeline.push({
+        start: index * this.interval,
+        requests: bucket.requests,
+        errors: bucket.errors,
+        p50: bucket.latency.percentile(50),
+        p90: bucket.latency.percentile(90)
+      })
+    }
+    return timeline
+  }
+}
+
+export class LoadTestRunner {
+  /**
+   * Same options as CollectionRunner (requestExecutor, createSandbox, interpolate, logger)
+   * @param {Object} options
+   */
+  constructor(options = {}) {
+    this.runner = new CollectionRunner(options)
+    this.logger = options.logger || console
+  }
+
+  /**
+   * Run the load test
+   *
+   * @param {Object} options
+   * @param {Object} options.collection - Collection the request belongs to (for collection scripts)
+   * @param {Object} options.entry - Entry from collectRunItems() for the request
+   * @param {number} options.virtualUsers - Concurrent users
+   * @param {number} options.duration - Run for this many ms (takes precedence over iterations)
+   * @param {number} options.iterations - Total requests to send, shared by all users
+   * @param {number} options.rampUp - Spread user start times over this many ms
+   * @param {boolean} options.runTests - Run test scripts on every response
+   * @param {AbortSignal} options.signal - Stops the test
+   * @param {Function} options.onSample - Called with each sample as it completes
+   * @param {LoadStats} options.stats - Collects the samples (a new one by default); pass one to read it while running
+   * @returns {Promise<Object>} - { startedAt, finishedAt, elapsed, stats, timeline, cancelled }
+   */
+  async run({ collection, entry, virtualUsers = 1, duration = 0, iterations = 0, rampUp = 0, runTests = false, signal, onSample = () => {}, stats = new LoadStats() }) {
+    const users = Math.max(1, Math.floor(virtualUsers) || 1)
+    const total = duration > 0 ? Infinity : Math.max(1, Math.floor(iterations) || 1)
+    const phases = runTests ? ['prerequest', 'test'] : ['prerequest']
+
+    const startedAt = new Date().toISOString()
+    const start = performance.now()
+    const deadline = duration > 0 ? start + duration : Infinity
+    const isDone = () => signal?.aborted || performance.now() >= deadline || issued >= total
+    let issued = 0
+
+    const virtualUser = async (vu) => {
+      await sleep((rampUp * vu) / users, signal)
+
+      while (!isDone()) {
+        const iteration = issued++
+        const at = performance.now() - start
+        const result = await this.runner.runRequest(entry, {
+          collection,
+          info: { iteration, iterationCount: Number.isFinite(total) ? total : 0 },
+          signal,
+          phases
+        })
+        if (signal?.aborted) break
+
+        const failed = result.tests.filter(t => !t.passed).length
+        const sample = {
+          vu,
+          iteration,
+          at,
+          time: result.time,
+          status: result.status,
+          error: result.error,
+          passed: result.tests.length - failed,
+          failed
+        }
+        stats.add(sample)
+        onSample(sample)
+      }
+    }
+
+    await Promise.all(Array.from({ length: users }, (_, vu) => virtualUser(vu)))
+
+    const elapsed = performance.now() - start
+    this.logger.info(`Load test finished: ${stats.requests} requests from ${users} users in ${Math.round(elapsed)}ms`)
+
+    return {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      elapsed,
+      stats: stats.summarize(elapsed),
+      timeline: stats.timeline(elapsed),
+      cancelled: !!signal?.aborted
+    }
+  }
+}
+
+export default LoadTestRunner
@@ -0,0 +1,128 @@
+/**
+ * CollectionRunner Tests
+ *
+ * Tests run order, iterations and per-request results with a fake executor
+ * and scripts run in-thread by PostmanScriptRunner.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { CollectionRunner, collectRunItems } from '../CollectionRunner.js'
+import { PostmanScriptRunner } from '../../scripting/PostmanScriptRunner.js'
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+const request = (id, name, url, test = '') => ({
+  id,
+  name,
+  request: { method: 'GET', url: { raw: url }, header: [] },
+  event: test ? [PostmanScriptRunner.createEventFromScript(test, 'test')] : []
+})
+
+const collection = {
+  info: { id: 'col-1', name: 'API' },
+  event: [],
+  item: [
+    request('r1', 'List', '{{baseUrl}}/items', `
+      pm.test('iteration ' + pm.info.iteration, () => pm.expect(pm.response.code).to.equal(200))
+    `),
+    {
+      id: 'f1',
+      name: 'Admin',
+      item: [
+        request('r2', 'Delete', '{{baseUrl}}/admin', `
+          pm.test('is forbidden', () => pm.expect(pm.response.code).to.equal(403))
+        `)
+      ]
+    }
+  ]
+}
+
+function createRunner(sent) {
+  return new CollectionRunner({
+    logger: silentLogger,
+    requestExecutor: {
+      async send(config) {
+        sent.push(config.url)
+        return { status: 200, statusText: 'OK', headers: {}, body: '{}', time: 5, size: 2 }
+      }
+    },
+    createSandbox: () => new PostmanScriptRunner({ logger: silentLogger }),
+    interpolate: (text) => text.replace('{{baseUrl}}', 'https://api.example.com')
+  })
+}
+
+describe('CollectionRunner', () => {
+
+  it('should flatten requests in tree order and keep folder ancestors', () => {
+    expect(collectRunItems(collection).map(e => [e.name, e.path])).toEqual([['List', ''], ['Delete', 'Admin']])
+
+    const folderRun = collectRunItems(collection, 'f1')
+    expect(folderRun).toHaveLength(1)
+    expect(folderRun[0].folders.map(f => f.id)).toEqual(['f1'])
+  })
+
+  it('should run every request per iteration and summarize the results', async () => {
+    const sent = []
+    const run = await createRunner(sent).run({
+      collection,
+      items: collectRunItems(collection),
+      iterations: 2
+    })
+
+    expect(sent).toEqual([
+      'https://api.example.com/items',
+      'https://api.example.com/admin',
+      'https://api.example.com/items',
+      'https://api.example.com/admin'
+    ])
+    expect(run.iterations.map(it => it.results[0].tests[0].name)).toEqual(['iteration 0', 'iteration 1'])
+    expect(run.summary).toMatchObject({ requests: 4, failedRequests: 2, tests: 4, passed: 2, failed: 2, errors: 0 })
+    expect(run.cancelled).toBe(false)
+  })
+
+  it('should use one data row per iteration for variables and pm.iterationData', async () => {
+    const sent = []
+    let row = {}
+    const runner = new CollectionRunner({
+      logger: silentLogger,
+      requestExecutor: {
+        async send(config) {
+          sent.push(config.url)
+          return { status: 200, statusText: 'OK', headers: {}, body: '{}', time: 1, size: 2 }
+        }
+      },
+      createSandbox: () => new PostmanScriptRunner({ logger: silentLogger, scopes: { data: row } }),
+      interpolate: (text) => text.replace(/\{\{(\w+)\}\}/g, (match, key) => row[key] ?? match),
+      setData: (data) => { row = data || {} }
+    })
+
+    const item = request('r1', 'Get user', 'https://api.example.com/users/{{id}}', `
+      pm.test('user ' + pm.iterationData.get('id'), () => {})
+    `)
+    const run = await runner.run({
+      collection: { info: { name: 'Data' }, item: [item] },
+      items: collectRunItems({ item: [item] }),
+      data: [{ id: '7' }, { id: '9' }]
+    })
+
+    expect(sent).toEqual(['https://api.example.com/users/7', 'https://api.example.com/users/9'])
+    expect(run.iterations.map(it => it.results[0].tests[0].name)).toEqual(['user 7', 'user 9'])
+    expect(run.iterations[1].data).toEqual({ id: '9' })
+  })
+
+  it('should stop when the signal aborts', async () => {
+    const controller = new AbortController()
+    const run = await createRunner([]).run({
+      collection,
+      items: collectRunItems(collection),
+      iterations: 3,
+      signal: controller.signal,
+      onEvent: (event) => {
+        if (event.type === 'requestComplete') controller.abort()
+      }
+    })
+
+    expect(run.summary.requests).toBe(1)
+    expect(run.cancelled).toBe(true)
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * LoadTestRunner Tests
+ *
+ * Tests latency percentiles, status breakdowns and virtual users sharing
+ * an iteration count, with a fake executor.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { LoadTestRunner, LoadStats } from '../LoadTestRunner.js'
+import { collectRunItems } from '../CollectionRunner.js'
+import { PostmanScriptRunner } from '../../scripting/PostmanScriptRunner.js'
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+const collection = {
+  info: { id: 'col-1', name: 'API' },
+  event: [],
+  item: [{
+    id: 'r1',
+    name: 'Health',
+    request: { method: 'GET', url: { raw: 'https://api.example.com/health' }, header: [] },
+    event: [PostmanScriptRunner.createEventFromScript(`
+      pm.test('is ok', () => pm.expect(pm.response.code).to.equal(200))
+    `, 'test')]
+  }]
+}
+
+const sample = (status, time, at = 0) => ({ vu: 0, iteration: 0, at, time, status, error: null, passed: 0, failed: 0 })
+
+describe('LoadTestRunner', () => {
+
+  it('should compute nearest-rank percentiles', () => {
+    const latency = (times) => {
+      const stats = new LoadStats()
+      times.forEach(time => stats.add(sample(200, time)))
+      return stats.summarize(1000).latency
+    }
+
+    expect(latency(Array.from({ length: 100 }, (_, i) => 100 - i))).toMatchObject({ p50: 50, p90: 90, p99: 99 })
+    expect(latency([7]).p99).toBe(7)
+    expect(latency([])).toEqual({ min: 0, mean: 0, p50: 0, p90: 0, p99: 0, max: 0 })
+  })
+
+  it('should count errors by status and leave failed sends out of latency', () => {
+    const stats = new LoadStats()
+    for (const s of [sample(200, 10), sample(200, 20), sample(200, 30), sample(503, 40), sample(0, 5000)]) {
+      stats.add(s)
+    }
+    const summary = stats.summarize(2000)
+
+    expect(summary).toMatchObject({ requests: 5, errors: 2, errorRate: 0.4, throughput: 2.5 })
+    expect(summary.statusCounts).toEqual({ 200: 3, 503: 1, error: 1 })
+    expect(summary.latency).toMatchObject({ min: 10, max: 40, p50: 20, mean: 25 })
+  })
+
+  it('should bucket samples by the second they completed in', () => {
+    const stats = new LoadStats()
+    for (const s of [sample(200, 100, 0), sample(500, 100, 950), sample(200, 300, 1100), sample(200, 10, 2600)]) {
+      stats.add(s)
+    }
+
+    // The last sample completed after the elapsed time read, so it counts in the last second
+    expect(stats.timeline(2500).map(b => [b.start, b.requests, b.errors])).toEqual([[0, 1, 0], [1000, 2, 1], [2000, 1, 0]])
+  })
+
+  it('should keep percentiles within 1% without keeping samples', () => {
+    const stats = new LoadStats()
+    for (let i = 0; i < 100000; i++) {
+      stats.add(sample(200, (i % 1000) + 1 + i / 1e6))
+    }
+
+    const { latency } = stats.summarize(1000)
+    for (const [p, exact] of [['p50', 500], ['p90', 900], ['p99', 990]]) {
+      expect(Math.abs(latency[p] - exact) / exact).toBeLessThan(0.01)
+    }
+    expect(latency).toMatchObject({ min: 1, max: 1000.099999 })
+    expect(stats.latency.bins.size).toBeLessThan(1000)
+  })
+
+  it('should share the iteration count between virtual users and run tests per response', async () => {
+    let sent = 0
+    const samples = []
+    const runner = new LoadTestRunner({
+      logger: silentLogger,
+      requestExecutor: {
+        async send() {
+          sent++
+          return { status: sent % 5 === 0 ? 500 : 200, statusText: '', headers: {}, body: '', time: 3, size: 0 }
+        }
+      },
+      createSandbox: () => new PostmanScriptRunner({ logger: silentLogger }),
+      interpolate: (text) => text
+    })
+
+    const result = await runner.run({
+      collection,
+      entry: collectRunItems(collection)[0],
+      virtualUsers: 4,
+      iterations: 10,
+      runTests: true,
+      onSample: (s) => samples.push(s)
+    })
+
+    expect(sent).toBe(10)
+    expect(new Set(samples.map(s => s.vu)).size).toBe(4)
+    expect(result.samples).toBeUndefined()
+    expect(result.stats.statusCounts).toEqual({ 200: 8, 500: 2 })
+    expect(result.stats.assertions).toEqual({ passed: 8, failed: 2 })
+  })
+})
@@ -0,0 +1,75 @@
+/**
+ * Conversation Report Tests
+ *
+ * Tests rebuilding sends from conversation messages for one request,
+ * a data file batch and a whole session.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { buildConversationRun, REPORT_SCOPES } from '../conversationReport.js'
+import {
+  createRequestMessage,
+  createResponseMessage,
+  createScriptResultsMessage,
+  createConsoleLogMessage,
+  createDataRowMessage,
+  createDataSummaryMessage
+} from '../../../models/Conversation.js'
+
+const send = (status, tests) => [
+  createRequestMessage({ method: 'GET', url: { raw: 'https://api.example.com/users/{{id}}' }, header: [{ key: 'Accept', value: 'application/json' }] }),
+  createResponseMessage({ status, statusText: status === 200 ? 'OK' : 'Not Found', headers: { 'content-type': 'application/json' }, time: 40, size: 12 }),
+  createConsoleLogMessage([{ type: 'log', args: ['checked'] }]),
+  createScriptResultsMessage({ tests, phase: 'test' })
+]
+
+const passing = [{ name: 'is ok', passed: true, duration: 1 }]
+const failing = [{ name: 'is ok', passed: false, duration: 1, error: { message: 'expected 404 to equal 200', expected: 200, actual: 404 } }]
+
+const messages = [
+  ...send(200, passing),
+  createDataRowMessage(0, 2, { id: '1' }),
+  ...send(200, passing),
+  createDataRowMessage(1, 2, { id: '2' }),
+  ...send(404, failing),
+  createDataSummaryMessage({ fileName: 'users.csv', rows: [] })
+]
+
+describe('buildConversationRun', () => {
+
+  it('should report every send in the session, one iteration per data row', () => {
+    const run = buildConversationRun(messages, { name: 'Users' })
+
+    expect(run.collectionName).toBe('Users')
+    expect(run.iterations.map(it => [it.data, it.results.length])).toEqual([[null, 1], [{ id: '1' }, 1], [{ id: '2' }, 1]])
+    expect(run.summary).toMatchObject({ requests: 3, tests: 3, passed: 2, failed: 1, errors: 0 })
+
+    const result = run.iterations[2].results[0]
+    expect(result).toMatchObject({
+      method: 'GET',
+      url: 'https://api.example.com/users/{{id}}',
+      status: 404,
+      time: 40,
+      requestHeaders: { Accept: 'application/json' },
+      responseHeaders: { 'content-type': 'application/json' }
+    })
+    expect(result.tests[0]).toMatchObject({ phase: 'test', error: { expected: 200, actual: 404 } })
+    expect(result.consoleLogs[0].args).toEqual(['checked'])
+  })
+
+  it('should report only the send a message belongs to', () => {
+    const scriptMessage = messages[3]
+    const run = buildConversationRun(messages, { scope: REPORT_SCOPES.REQUEST, messageId: scriptMessage.id })
+
+    expect(run.summary.requests).toBe(1)
+    expect(run.iterations[0].results[0].id).toBe(messages[0].id)
+  })
+
+  it('should report a data batch from its summary', () => {
+    const summary = messages[messages.length - 1]
+    const run = buildConversationRun(messages, { scope: REPORT_SCOPES.BATCH, messageId: summary.id })
+
+    expect(run.iterations.map(it => it.data)).toEqual([{ id: '1' }, { id: '2' }])
+    expect(run.summary).toMatchObject({ requests: 2, failed: 1 })
+  })
+})
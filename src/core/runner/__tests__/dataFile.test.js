@@ -0,0 +1,33 @@
+/**
+ * Data File Tests
+ *
+ * Tests CSV and JSON parsing for data-driven sends and runs.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { parseCsv, parseDataFile, createDataFile, detectDataFormat } from '../dataFile.js'
+
+describe('data files', () => {
+
+  it('should parse CSV rows keyed by the header, with quoted fields', () => {
+    const csv = 'name,email,note\r\n"Doe, Jane",jane@example.com,"said ""hi"""\n\nBob,bob@example.com,\n'
+
+    expect(parseCsv(csv)).toEqual([
+      { name: 'Doe, Jane', email: 'jane@example.com', note: 'said "hi"' },
+      { name: 'Bob', email: 'bob@example.com', note: '' }
+    ])
+  })
+
+  it('should parse JSON arrays of objects and reject other shapes', () => {
+    expect(parseDataFile({ name: 'users.json', content: '[{"id": 1}, {"id": 2}]' })).toEqual([{ id: 1 }, { id: 2 }])
+    expect(() => parseDataFile({ name: 'users.json', content: '{"id": 1}' })).toThrow('array of objects')
+    expect(() => parseDataFile({ name: 'users.json', content: '[1, 2]' })).toThrow('must be an object')
+  })
+
+  it('should detect the format and refuse files without rows', () => {
+    expect(detectDataFormat('rows.txt', ' [{"a":1}]')).toBe('json')
+    expect(detectDataFormat('rows.txt', 'a,b')).toBe('csv')
+    expect(createDataFile('users.csv', 'id\n1\n2')).toMatchObject({ format: 'csv', rowCount: 2 })
+    expect(() => createDataFile('users.csv', 'id\n')).toThrow('no rows')
+  })
+})
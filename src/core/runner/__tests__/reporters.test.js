@@ -0,0 +1,99 @@
+/**
+ * Reporters Tests
+ *
+ * Tests the JSON, JUnit and HTML reports built from a finished run.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { createJsonReport, createJUnitReport, createHtmlReport, createReport } from '../reporters.js'
+import { summarizeRun } from '../CollectionRunner.js'
+
+const result = (overrides) => ({
+  id: 'r1',
+  name: 'List',
+  path: '',
+  iteration: 0,
+  method: 'GET',
+  url: 'https://api.example.com/items',
+  status: 200,
+  statusText: 'OK',
+  time: 120,
+  size: 2,
+  tests: [],
+  consoleLogs: [],
+  error: null,
+  ...overrides
+})
+
+const iterations = [{
+  iteration: 0,
+  data: null,
+  results: [
+    result({
+      tests: [
+        { name: 'is ok', passed: true, error: null, duration: 1, phase: 'test' },
+        { name: 'has <items>', passed: false, error: { message: 'expected 1 to equal 2', expected: 2, actual: 1 }, duration: 2, phase: 'test' }
+      ]
+    }),
+    result({ id: 'r2', name: 'Delete', path: 'Admin', status: 0, statusText: 'Network Error', error: 'connect ECONNREFUSED' })
+  ]
+}]
+
+const run = {
+  collectionName: 'API & Co',
+  startedAt: '2024-01-01T00:00:00.000Z',
+  finishedAt: '2024-01-01T00:00:01.000Z',
+  iterations,
+  summary: summarizeRun(iterations),
+  cancelled: false
+}
+
+describe('reporters', () => {
+
+  it('should build a JSON report with per-test results', () => {
+    const report = createJsonReport(run)
+
+    expect(report.collection).toBe('API & Co')
+    expect(report.summary).toMatchObject({ requests: 2, tests: 2, failed: 1, errors: 1 })
+    expect(report.iterations[0].results[0].tests[1]).toEqual({
+      name: 'has <items>',
+      passed: false,
+      duration: 2,
+      error: { message: 'expected 1 to equal 2', expected: 2, actual: 1 },
+      phase: 'test'
+    })
+    expect(report.iterations[0].results[1].error).toBe('connect ECONNREFUSED')
+  })
+
+  it('should build escaped JUnit XML with failures and errors', () => {
+    const xml = createJUnitReport(run)
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/)
+    expect(xml).toContain('<testsuites name="API &amp; Co" tests="3" failures="1" errors="1" time="0.240">')
+    expect(xml).toContain('<testsuite name="List" id="r1-0" tests="2" failures="1" errors="0" time="0.120">')
+    expect(xml).toContain('<testcase name="is ok" classname="List" time="0.001"/>')
+    expect(xml).toContain('<failure type="AssertionFailure" message="expected 1 to equal 2">expected 1 to equal 2\nExpected: 2\nActual: 1</failure>')
+    expect(xml).toContain('<testcase name="has &lt;items&gt;"')
+    expect(xml).toContain('<testsuite name="Admin / Delete" id="r2-0" tests="1" failures="0" errors="1"')
+    expect(xml).toContain('<error message="connect ECONNREFUSED">')
+  })
+
+  it('should build a self-contained HTML report', () => {
+    const html = createHtmlReport(run)
+
+    expect(html).toMatch(/^<!DOCTYPE html>/)
+    expect(html).not.toContain('<script')
+    expect(html).toContain('<title>API &amp; Co - Test Report</title>')
+    expect(html).toContain('has &lt;items&gt; — expected 1 to equal 2')
+    expect(html).toContain('Expected: 2<br>Actual: 1')
+    expect(html).toContain('<div class="error">connect ECONNREFUSED</div>')
+  })
+
+  it('should name report files after the run', () => {
+    const report = createReport(run, 'junit')
+
+    expect(report.filename).toBe('API_Co-report-2024-01-01T00-00-01.xml')
+    expect(report.mimeType).toBe('application/xml')
+    expect(() => createReport(run, 'pdf')).toThrow('Unknown report format: pdf')
+  })
+})
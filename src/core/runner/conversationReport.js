@@ -0,0 +1,175 @@
+/**
+ * Conversation Reports
+ *
+ * Rebuilds sends from conversation messages into the run shape the reporters
+ * take, so a single request, a data file batch or a whole session can be
+ * exported like a collection run.
+ *
+ * A send is a request message followed by its script, console and response
+ * messages, up to the next request. Each data row starts an iteration; sends
+ * outside a data batch share an iteration with the sends next to them.
+ */
+
+import { MESSAGE_TYPES } from '../../models/Conversation.js'
+import { summarizeRun } from './CollectionRunner.js'
+
+/**
+ * Report scopes
+ */
+export const REPORT_SCOPES = {
+  REQUEST: 'request',
+  BATCH: 'batch',
+  SESSION: 'session'
+}
+
+const SEND_BOUNDARIES = [MESSAGE_TYPES.REQUEST, MESSAGE_TYPES.DATA_ROW, MESSAGE_TYPES.DATA_SUMMARY]
+
+/**
+ * Pick the messages a report covers
+ * @param {Array} messages - Conversation messages in order
+ * @param {string} scope - REPORT_SCOPES value
+ * @param {string} messageId - For 'request', any message of the send; for 'batch', the data summary
+ * @returns {Array}
+ */
+export function selectReportMessages(messages, scope, messageId) {
+  if (scope === REPORT_SCOPES.SESSION) return messages
+
+  const index = messages.findIndex(m => m.id === messageId)
+  if (index === -1) return []
+
+  if (scope === REPORT_SCOPES.REQUEST) {
+    let start = index
+    while (start >= 0 && messages[start].type !== MESSAGE_TYPES.REQUEST) start--
+    if (start < 0) return []
+
+    let end = start + 1
+    while (end < messages.length && !SEND_BOUNDARIES.includes(messages[end].type)) end++
+    return messages.slice(start, end)
+  }
+
+  if (scope === REPORT_SCOPES.BATCH) {
+    // From the first row of this batch up to its summary
+    let start = index
+    while (start > 0 && messages[start - 1].type !== MESSAGE_TYPES.DATA_SUMMARY) {
+      start--
+      if (messages[start].type === MESSAGE_TYPES.DATA_ROW && messages[start].data?.index === 0) break
+    }
+    return messages.slice(start, index + 1)
+  }
+
+  throw new Error(`Unknown report scope: ${scope}`)
+}
+
+/**
+ * Script errors are stored as { message } objects or, for sandbox failures, strings
+ */
+const scriptErrorMessage = (error) => (typeof error === 'string' ? error : error?.message || 'Script failed')
+
+const toHeaderMap = (headers) => Object.fromEntries(
+  (headers || []).filter(h => h.enabled !== false && h.key).map(h => [h.key, h.value])
+)
+
+/**
+ * Convert conversation messages into a run for the reporters
+ * @param {Array} messages - Conversation messages in order
+ * @param {Object} options
+ * @param {string} options.name - Report title (e.g. the conversation name)
+ * @param {string} options.scope - REPORT_SCOPES value (default: session)
+ * @param {string} options.messageId - See selectReportMessages()
+ * @returns {Object} - Same shape as CollectionRunner.run()
+ */
+export function buildConversationRun(messages = [], { name = 'Conversation', scope = REPORT_SCOPES.SESSION, messageId = null } = {}) {
+  const selected = selectReportMessages(messages, scope, messageId)
+  const iterations = []
+  let current = null
+  let result = null
+
+  const startIteration = (data) => {
+    current = { iteration: iterations.length, data, results: [] }
+    iterations.push(current)
+  }
+
+  selected.forEach(message => {
+    const data = message.data || {}
+
+    switch (message.type) {
+      case MESSAGE_TYPES.DATA_ROW:
+        startIteration(data.row || null)
+        result = null
+        break
+
+      case MESSAGE_TYPES.DATA_SUMMARY:
+        current = null
+        result = null
+        break
+
+      case MESSAGE_TYPES.REQUEST: {
+        if (!current) startIteration(null)
+        const request = data.request || {}
+        result = {
+          id: message.id,
+          name,
+          path: '',
+          iteration: current.iteration,
+          method: request.method || 'GET',
+          url: typeof request.url === 'string' ? request.url : request.url?.raw || '',
+          status: 0,
+          statusText: '',
+          time: 0,
+          size: 0,
+          requestHeaders: toHeaderMap(request.header),
+          responseHeaders: {},
+          tests: [],
+          consoleLogs: [],
+          error: null,
+          timestamp: message.timestamp
+        }
+        current.results.push(result)
+        break
+      }
+
+      case MESSAGE_TYPES.RESPONSE:
+        if (!result) break
+        Object.assign(result, {
+          status: data.status || 0,
+          statusText: data.statusText || '',
+          time: data.time || 0,
+          size: data.size || 0,
+          responseHeaders: data.headers || {}
+        })
+        if (data.cancelled) {
+          result.error = 'Request cancelled'
+        } else if (data.error && !data.status) {
+          result.error = data.error
+        }
+        break
+
+      case MESSAGE_TYPES.SCRIPT_RESULTS: {
+        if (!result) break
+        const phase = data.phase || 'test'
+        result.tests.push(...(data.tests || []).map(test => ({ ...test, phase })))
+        if (data.error && !result.error) {
+          const label = phase === 'prerequest' ? 'Pre-request script failed' : 'Test script failed'
+          result.error = `${label}: ${scriptErrorMessage(data.error)}`
+        }
+        break
+      }
+
+      case MESSAGE_TYPES.CONSOLE_LOG:
+        if (result) result.consoleLogs.push(...(data.logs || []))
+        break
+    }
+  })
+
+  const sends = iterations.flatMap(iteration => iteration.results)
+  const lastMessage = selected[selected.length - 1]
+
+  return {
+    collectionName: name,
+    startedAt: sends[0]?.timestamp || new Date().toISOString(),
+    finishedAt: lastMessage?.timestamp || new Date().toISOString(),
+    iterations: iterations.filter(iteration => iteration.results.length > 0),
+    summary: summarizeRun(iterations),
+    cancelled: selected.some(m => m.type === MESSAGE_TYPES.DATA_SUMMARY && m.data?.cancelled)
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Data Files
+ *
+ * Parses the CSV and JSON data files used for data-driven sends and runs,
+ * as in Postman's Collection Runner:
+ *
+ * - CSV: the first line holds the column names, every other line is a row.
+ *   Fields may be quoted ("a, b"), with "" for a literal quote.
+ * - JSON: an array of flat objects, one per row.
+ *
+ * Each row becomes the data scope for one iteration ({{column}} and
+ * pm.iterationData.get('column')).
+ */
+
+/**
+ * Work out the format of a data file from its name, then its content
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {'csv'|'json'}
+ */
+export function detectDataFormat(name = '', content = '') {
+  const extension = name.split('.').pop().toLowerCase()
+  if (extension === 'json') return 'json'
+  if (extension === 'csv') return 'csv'
+  return content.trim().startsWith('[') ? 'json' : 'csv'
+}
+
+/**
+ * Split CSV text into records of fields
+ * Handles quoted fields containing commas, quotes and line breaks.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function splitCsv(text) {
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV data file')
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  // Blank lines are not rows
+  return records.filter(r => r.length > 1 || r[0] !== '')
+}
+
+/**
+ * Parse CSV text into rows keyed by the header line
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseCsv(text) {
+  const [header, ...records] = splitCsv(text.replace(/^\uFEFF/, ''))
+  if (!header) return []
+
+  const columns = header.map(column => column.trim())
+  return records.map(record => {
+    const row = {}
+    columns.forEach((column, index) => {
+      if (column) row[column] = record[index] ?? ''
+    })
+    return row
+  })
+}
+
+/**
+ * Parse a JSON data file (an array of objects)
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseJsonData(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Invalid JSON data file: ${error.message}`)
+  }
+
+  if (!Array.isArray(data)) {
+    throw new Error('JSON data file must contain an array of objects')
+  }
+  if (data.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error('Every row of a JSON data file must be an object')
+  }
+  return data
+}
+
+/**
+ * Parse a stored data file into rows
+ * @param {Object} dataFile - { name, format, content }
+ * @returns {Array<Object>} - One object per row
+ * @throws {Error} - When the content cannot be parsed
+ */
+export function parseDataFile(dataFile) {
+  if (!dataFile?.content) return []
+
+  const format = dataFile.format || detectDataFormat(dataFile.name, dataFile.content)
+  return format === 'json' ? parseJsonData(dataFile.content) : parseCsv(dataFile.content)
+}
+
+/**
+ * Create the stored form of a data file, validating it first
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {Object} - { name, format, content, rowCount }
+ * @throws {Error} - When the content cannot be parsed or has no rows
+ */
+export function createDataFile(name, content) {
+  const format = detectDataFormat(name, content)
+  const rows = parseDataFile({ name, format, content })
+  if (rows.length === 0) {
+    throw new Error('Data file has no rows')
+  }
+  return { name, format, content, rowCount: rows.length }
+}
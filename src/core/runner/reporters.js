@@ -0,0 +1,311 @@
+/**
+ * Run Reporters
+ *
+ * Turn a finished run into report formats other tools read: a JSON document,
+ * JUnit XML for CI servers and a self-contained HTML page. They take the
+ * shape CollectionRunner.run() returns (conversation sends are converted to
+ * it by conversationReport.js) and do no I/O, so the CLI and the app share them.
+ */
+
+/**
+ * Escape text for XML and HTML attributes and content
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+}
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3)
+
+/**
+ * Display name for a result, including its folder path
+ */
+export function resultTitle(result) {
+  return result.path ? `${result.path} / ${result.name}` : result.name
+}
+
+/**
+ * Format an assertion's expected or actual value for display
+ */
+export function formatAssertionValue(value) {
+  if (value === undefined) return 'undefined'
+  if (typeof value === 'string') return `"${value}"`
+  try {
+    return JSON.stringify(value)
+  } catch {
+    return String(value)
+  }
+}
+
+const hasDiff = (error) => !!error && (error.expected !== undefined || error.actual !== undefined)
+
+/**
+ * Build the JSON report
+ * @param {Object} run - Result of CollectionRunner.run()
+ * @returns {Object} - { collection, startedAt, finishedAt, cancelled, summary, iterations }
+ */
+export function createJsonReport(run) {
+  return {
+    collection: run.collectionName,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    cancelled: run.cancelled,
+    summary: run.summary,
+    iterations: run.iterations.map(iteration => ({
+      iteration: iteration.iteration,
+      data: iteration.data ?? null,
+      results: iteration.results.map(result => ({
+        id: result.id,
+        name: result.name,
+        path: result.path,
+        method: result.method,
+        url: result.url,
+        status: result.status,
+        statusText: result.statusText,
+        time: Math.round(result.time),
+        size: result.size,
+        request: { method: result.method, url: result.url, headers: result.requestHeaders || {} },
+        response: {
+          status: result.status,
+          statusText: result.statusText,
+          time: Math.round(result.time),
+          size: result.size,
+          headers: result.responseHeaders || {}
+        },
+        error: result.error,
+        tests: result.tests.map(test => ({
+          name: test.name,
+          passed: test.passed,
+          duration: test.duration,
+          error: test.error
+            ? { message: test.error.message, expected: test.error.expected, actual: test.error.actual }
+            : null,
+          phase: test.phase
+        })),
+        console: (result.consoleLogs || []).map(log => ({ type: log.type, message: log.args.join(' ') }))
+      }))
+    }))
+  }
+}
+
+/**
+ * Text of a JUnit <failure>: the message, then expected and actual when known
+ */
+function failureText(error) {
+  const lines = [error?.message || 'Assertion failed']
+  if (hasDiff(error)) {
+    lines.push(`Expected: ${formatAssertionValue(error.expected)}`)
+    lines.push(`Actual: ${formatAssertionValue(error.actual)}`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Build a JUnit XML report
+ * One test suite per request and iteration, one test case per pm.test();
+ * request and script errors are reported as <error> cases.
+ * @param {Object} run - Result of CollectionRunner.run()
+ * @returns {string} - XML document
+ */
+export function createJUnitReport(run) {
+  const { summary } = run
+  const suites = run.iterations.flatMap(iteration => iteration.results.map(result => {
+    const title = resultTitle(result)
+    const failures = result.tests.filter(test => !test.passed).length
+    const cases = result.tests.map(test => {
+      const open = `    <testcase name="${escapeXml(test.name)}" classname="${escapeXml(title)}" time="${seconds(test.duration)}"`
+      if (test.passed) return `${open}/>`
+      return `${open}>\n      <failure type="AssertionFailure" message="${escapeXml(test.error?.message)}">${escapeXml(failureText(test.error))}</failure>\n    </testcase>`
+    })
+    if (result.error) {
+      cases.push(`    <testcase name="${escapeXml(title)}" classname="${escapeXml(title)}" time="${seconds(result.time)}">\n      <error message="${escapeXml(result.error)}">${escapeXml(result.error)}</error>\n    </testcase>`)
+    }
+
+    const attributes = [
+      `name="${escapeXml(title)}"`,
+      `id="${escapeXml(result.id)}-${iteration.iteration}"`,
+      `tests="${cases.length}"`,
+      `failures="${failures}"`,
+      `errors="${result.error ? 1 : 0}"`,
+      `time="${seconds(result.time)}"`
+    ].join(' ')
+    const systemOut = result.url
+      ? `\n    <system-out>${escapeXml(`${result.method} ${result.url} [${result.status} ${result.statusText}, ${result.size} bytes, ${Math.round(result.time)}ms]`)}</system-out>`
+      : ''
+    return `  <testsuite ${attributes}>\n${cases.join('\n')}${systemOut}\n  </testsuite>`
+  }))
+
+  const attributes = [
+    `name="${escapeXml(run.collectionName)}"`,
+    `tests="${summary.tests + summary.errors}"`,
+    `failures="${summary.failed}"`,
+    `errors="${summary.errors}"`,
+    `time="${seconds(summary.duration)}"`
+  ].join(' ')
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${attributes}>`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n')
+}
+
+const HTML_STYLES = `
+  body { margin: 0; padding: 32px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; color: #1f2937; background: #f9fafb; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  h2 { margin: 28px 0 12px; font-size: 16px; }
+  .meta { color: #6b7280; font-size: 13px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 20px 0; }
+  .card { min-width: 110px; padding: 12px 16px; background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; }
+  .card .value { font-size: 20px; font-weight: 600; }
+  .card .label { color: #6b7280; font-size: 12px; }
+  .card.failed .value { color: #dc2626; }
+  .card.passed .value { color: #16a34a; }
+  .chips { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
+  .chip { padding: 2px 8px; background: #eef2ff; border-radius: 10px; font-size: 12px; }
+  details { margin-bottom: 8px; background: #fff; border: 1px solid #e5e7eb; border-left: 4px solid #16a34a; border-radius: 6px; }
+  details.failed { border-left-color: #dc2626; }
+  summary { display: flex; gap: 10px; align-items: baseline; padding: 10px 14px; cursor: pointer; }
+  .method { font-weight: 700; font-size: 12px; }
+  .name { font-weight: 600; }
+  .url, .mono { font-family: Monaco, Menlo, 'Ubuntu Mono', monospace; font-size: 12px; word-break: break-all; }
+  .url { color: #6b7280; flex: 1; }
+  .status { font-size: 12px; white-space: nowrap; }
+  .body { padding: 0 14px 12px; }
+  .tests { list-style: none; margin: 0 0 10px; padding: 0; }
+  .tests li { padding: 3px 0; }
+  .pass { color: #16a34a; }
+  .fail { color: #dc2626; }
+  .diff { margin: 2px 0 0 20px; font-size: 12px; }
+  .duration { color: #9ca3af; font-size: 11px; }
+  .error { margin: 6px 0; padding: 8px 10px; background: #fef2f2; color: #b91c1c; border-radius: 4px; }
+  table { border-collapse: collapse; margin-bottom: 10px; font-size: 12px; }
+  th { padding: 2px 12px 2px 0; color: #6b7280; font-weight: 500; text-align: left; vertical-align: top; }
+  td { padding: 2px 0; }
+  .section-title { margin: 10px 0 4px; color: #6b7280; font-size: 11px; font-weight: 600; text-transform: uppercase; }
+  .console { margin: 0; padding: 8px 10px; background: #111827; color: #e5e7eb; border-radius: 4px; white-space: pre-wrap; }
+`
+
+function htmlHeaders(title, headers = {}) {
+  const entries = Object.entries(headers)
+  if (entries.length === 0) return ''
+  const rows = entries.map(([key, value]) => `<tr><th>${escapeXml(key)}</th><td class="mono">${escapeXml(value)}</td></tr>`)
+  return `<div class="section-title">${title}</div><table>${rows.join('')}</table>`
+}
+
+function htmlResult(result) {
+  const failed = !!result.error || result.tests.some(test => !test.passed)
+  const status = result.status
+    ? `${result.status} ${escapeXml(result.statusText)} · ${Math.round(result.time)}ms · ${result.size} B`
+    : 'No response'
+
+  const tests = result.tests.map(test => {
+    const diff = !test.passed && hasDiff(test.error)
+      ? `<div class="diff mono">Expected: ${escapeXml(formatAssertionValue(test.error.expected))}<br>Actual: ${escapeXml(formatAssertionValue(test.error.actual))}</div>`
+      : ''
+    const message = !test.passed && test.error?.message ? ` — ${escapeXml(test.error.message)}` : ''
+    const duration = test.duration !== undefined ? ` <span class="duration">${test.duration.toFixed(1)}ms</span>` : ''
+    return `<li><span class="${test.passed ? 'pass' : 'fail'}">${test.passed ? '✓' : '✗'}</span> ${escapeXml(test.name)}${message}${duration}${diff}</li>`
+  })
+
+  const logs = (result.consoleLogs || []).map(log => escapeXml(log.args.join(' ')))
+
+  return `
+    <details class="${failed ? 'failed' : 'passed'}"${failed ? ' open' : ''}>
+      <summary>
+        <span class="method">${escapeXml(result.method)}</span>
+        <span class="name">${escapeXml(resultTitle(result))}</span>
+        <span class="url">${escapeXml(result.url)}</span>
+        <span class="status">${status}</span>
+      </summary>
+      <div class="body">
+        ${result.error ? `<div class="error">${escapeXml(result.error)}</div>` : ''}
+        ${tests.length > 0 ? `<ul class="tests">${tests.join('')}</ul>` : ''}
+        ${htmlHeaders('Request headers', result.requestHeaders)}
+        ${htmlHeaders('Response headers', result.responseHeaders)}
+        ${logs.length > 0 ? `<div class="section-title">Console</div><pre class="console">${logs.join('\n')}</pre>` : ''}
+      </div>
+    </details>`
+}
+
+/**
+ * Build a self-contained HTML report (inline styles, no scripts)
+ * @param {Object} run - Result of CollectionRunner.run()
+ * @returns {string} - HTML document
+ */
+export function createHtmlReport(run) {
+  const { summary } = run
+  const card = (label, value, kind = '') => `<div class="card ${kind}"><div class="value">${value}</div><div class="label">${label}</div></div>`
+  const showIterations = run.iterations.length > 1 || run.iterations.some(iteration => iteration.data)
+
+  const sections = run.iterations.map(iteration => {
+    const heading = showIterations ? `<h2>Iteration ${iteration.iteration + 1}</h2>` : ''
+    const chips = iteration.data
+      ? `<div class="chips">${Object.entries(iteration.data).map(([key, value]) => `<span class="chip">${escapeXml(key)} = ${escapeXml(value)}</span>`).join('')}</div>`
+      : ''
+    return `${heading}${chips}${iteration.results.map(htmlResult).join('')}`
+  })
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(run.collectionName)} - Test Report</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeXml(run.collectionName)}</h1>
+  <div class="meta">${escapeXml(new Date(run.startedAt).toLocaleString())}${run.cancelled ? ' · cancelled' : ''} · ToastMan test report</div>
+  <div class="cards">
+    ${card('Requests', summary.requests)}
+    ${card('Tests', summary.tests)}
+    ${card('Passed', summary.passed, 'passed')}
+    ${card('Failed', summary.failed, summary.failed > 0 ? 'failed' : '')}
+    ${card('Errors', summary.errors, summary.errors > 0 ? 'failed' : '')}
+    ${card('Response time', `${Math.round(summary.duration)}ms`)}
+  </div>
+  ${sections.join('\n')}
+</body>
+</html>
+`
+}
+
+/**
+ * Report formats by id: file extension, MIME type and builder
+ */
+export const REPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: (run) => JSON.stringify(createJsonReport(run), null, 2) },
+  junit: { label: 'JUnit XML', extension: 'xml', mimeType: 'application/xml', build: createJUnitReport },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html', build: createHtmlReport }
+}
+
+/**
+ * Build a report file
+ * @param {Object} run - Result of CollectionRunner.run()
+ * @param {string} format - Key of REPORT_FORMATS
+ * @returns {{ content: string, filename: string, mimeType: string }}
+ */
+export function createReport(run, format) {
+  const reportFormat = REPORT_FORMATS[format]
+  if (!reportFormat) {
+    throw new Error(`Unknown report format: ${format}`)
+  }
+
+  const name = (run.collectionName || 'report').replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') || 'report'
+  const timestamp = new Date(run.finishedAt || Date.now()).toISOString().replace(/[:.]/g, '-').slice(0, 19)
+
+  return {
+    content: reportFormat.build(run),
+    filename: `${name}-report-${timestamp}.${reportFormat.extension}`,
+    mimeType: reportFormat.mimeType
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Environment Snapshot
+ *
+ * Scripts running in the worker cannot reach the environments store, so the
+ * active environment is copied in as plain data. SnapshotEnvironmentStore
+ * implements the subset of useEnvironments() that PostmanScriptRunner uses,
+ * which lets later scripts in a chain see variables set by earlier ones.
+ */
+
+/**
+ * Copy the active environment into a structured-cloneable object
+ * @param {Object} environmentStore - useEnvironments() store
+ * @returns {Object|null} - { id, name, values: [{ id, key, value, enabled }] }
+ */
+export function createEnvironmentSnapshot(environmentStore) {
+  const activeEnv = environmentStore?.activeEnvironment?.value
+  if (!activeEnv) return null
+
+  return {
+    id: activeEnv.id,
+    name: activeEnv.name,
+    values: (activeEnv.values || []).map(v => ({
+      id: v.id || v.key,
+      key: v.key,
+      value: v.value,
+      enabled: v.enabled !== false
+    }))
+  }
+}
+
+export class SnapshotEnvironmentStore {
+  constructor(snapshot = null) {
+    this.activeEnvironment = { value: snapshot }
+  }
+
+  resolveVariable(key) {
+    const variable = this.activeEnvironment.value?.values.find(v => v.key === key && v.enabled)
+    return variable?.value || null
+  }
+
+  getAvailableVariables() {
+    const env = this.activeEnvironment.value
+    if (!env) return []
+    return env.values.filter(v => v.enabled).map(v => ({ key: v.key, value: v.value }))
+  }
+
+  addVariable(environmentId, key, value) {
+    const env = this.activeEnvironment.value
+    if (!env) return null
+    const variable = { id: key, key, value, enabled: true }
+    env.values.push(variable)
+    return variable
+  }
+
+  updateVariable(environmentId, variableId, updates) {
+    const variable = this.activeEnvironment.value?.values.find(v => v.id === variableId)
+    if (variable) Object.assign(variable, updates)
+    return variable || null
+  }
+
+  deleteVariable(environmentId, variableId) {
+    const env = this.activeEnvironment.value
+    if (!env) return false
+    const index = env.values.findIndex(v => v.id === variableId)
+    if (index === -1) return false
+    env.values.splice(index, 1)
+    return true
+  }
+}
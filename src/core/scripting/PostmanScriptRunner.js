@@ -1,17 +1,43 @@
 /**
  * PostmanScriptRunner
  *
- * Executes Postman-compatible post-request scripts in a sandboxed environment.
+ * Executes Postman-compatible pre-request and post-request (test) scripts in a
+ * sandboxed environment.
  * Provides a lightweight `pm` API for common operations:
- * - pm.response - access response data
+ * - pm.request - access the request (mutable headers, url and body before sending)
+ * - pm.response - access response data (test phase)
  * - pm.environment - get/set environment variables
- * - pm.test() - run test assertions
+ * - pm.globals / pm.collectionVariables - get/set global and collection variables
+ * - pm.iterationData - read the current data file row
+ * - pm.variables - get/set variables local to this send; get() resolves through
+ *   every scope (local, data, environment, collection, global)
+ * - pm.test() - run test assertions (sync, async or done-callback style)
  * - pm.expect() - Chai-like assertions
+ * - pm.sendRequest() - send a request through the host's HTTP client
  *
  * Also captures console.log/warn/error output.
+ *
+ * Scripts may be asynchronous: top-level await, promises, timers and
+ * pm.sendRequest are tracked, and execute() resolves once all pending work
+ * has settled or the deadline has passed.
+ *
+ * Collection and folder scripts run around the request's own script in
+ * Postman order via executeChain().
  */
 
 import { createExpect, AssertionError } from './Assertions.js'
+import { resolveScopedVariable, interpolateScoped, listScopedVariables } from '../variables/scopes.js'
+
+// Default deadline for a script (or chain) including pending async work, in ms
+export const DEFAULT_SCRIPT_TIMEOUT = 5000
+
+// import() loads code from a URL, which would bypass the globals the script worker locks
+// (comments between the keyword and the parenthesis included)
+const DYNAMIC_IMPORT = /\bimport\s*(?:\/\*[\s\S]*?\*\/\s*|\/\/[^\n]*\n\s*)*\(/
+
+// Taken before the script worker locks the Function constructor, so scripts
+// cannot compile code from strings past the import() check
+const compileFunction = Function
 
 /**
  * ResponseAssertions - Chai BDD-style assertions for pm.response.to.have...
@@ -278,14 +304,267 @@ class HeaderList {
   }
 }
 
+/**
+ * RequestHeaderList - Mutable header list for pm.request.headers
+ * Operates on an array of { key, value, enabled } like Postman's PropertyList
+ */
+class RequestHeaderList {
+  constructor(headers) {
+    this._headers = headers
+  }
+
+  _find(name) {
+    return this._headers.find(h => h.enabled !== false && h.key?.toLowerCase() === String(name).toLowerCase())
+  }
+
+  get(name) {
+    return this._find(name)?.value
+  }
+
+  has(name) {
+    return !!this._find(name)
+  }
+
+  /**
+   * Add a header (duplicates allowed, as in Postman)
+   * Usage: pm.request.headers.add({ key: 'X-Sig', value: sig })
+   */
+  add(header) {
+    this._headers.push({ key: header.key, value: String(header.value ?? ''), enabled: true })
+  }
+
+  /**
+   * Add or replace a header
+   * Usage: pm.request.headers.upsert({ key: 'X-Sig', value: sig })
+   */
+  upsert(header) {
+    const existing = this._find(header.key)
+    if (existing) {
+      existing.value = String(header.value ?? '')
+    } else {
+      this.add(header)
+    }
+  }
+
+  remove(name) {
+    const lower = String(name).toLowerCase()
+    for (let i = this._headers.length - 1; i >= 0; i--) {
+      if (this._headers[i].key?.toLowerCase() === lower) {
+        this._headers.splice(i, 1)
+      }
+    }
+  }
+
+  all() {
+    return this._headers.filter(h => h.enabled !== false).map(({ key, value }) => ({ key, value }))
+  }
+
+  each(fn) {
+    this.all().forEach(fn)
+  }
+
+  toObject() {
+    const obj = {}
+    this.all().forEach(({ key, value }) => { obj[key] = value })
+    return obj
+  }
+}
+
+/**
+ * ScriptRequest - pm.request
+ * Wraps a draft copy of the request; pre-request scripts mutate the draft and
+ * the caller sends the result.
+ */
+class ScriptRequest {
+  constructor(request = {}) {
+    const rawUrl = typeof request.url === 'string' ? request.url : (request.url?.raw || '')
+
+    this._draft = {
+      method: request.method || 'GET',
+      url: rawUrl,
+      header: (request.header || request.headers || []).map(h => ({ ...h })),
+      body: request.body ? { ...request.body } : null
+    }
+
+    this.headers = new RequestHeaderList(this._draft.header)
+    this.id = request.id || null
+  }
+
+  get method() {
+    return this._draft.method
+  }
+
+  set method(value) {
+    this._draft.method = String(value).toUpperCase()
+  }
+
+  /**
+   * pm.request.url - string-like object (toString/update/query helpers)
+   * Assigning a string replaces the URL: pm.request.url = 'https://...'
+   */
+  get url() {
+    const draft = this._draft
+    const parse = () => {
+      try {
+        return new URL(draft.url)
+      } catch {
+        return null
+      }
+    }
+    return {
+      toString: () => draft.url,
+      update: (value) => { draft.url = String(value) },
+      getHost: () => parse()?.hostname || '',
+      getPath: () => parse()?.pathname || '',
+      query: {
+        get: (key) => parse()?.searchParams.get(key) ?? undefined,
+        has: (key) => !!parse()?.searchParams.has(key),
+        all: () => Array.from(parse()?.searchParams.entries() || []).map(([key, value]) => ({ key, value })),
+        add: ({ key, value }) => {
+          const separator = draft.url.includes('?') ? '&' : '?'
+          draft.url = `${draft.url}${separator}${encodeURIComponent(key)}=${encodeURIComponent(value ?? '')}`
+        },
+        upsert: ({ key, value }) => {
+          const url = parse()
+          if (!url) return
+          url.searchParams.set(key, value ?? '')
+          draft.url = url.toString()
+        },
+        remove: (key) => {
+          const url = parse()
+          if (!url) return
+          url.searchParams.delete(key)
+          draft.url = url.toString()
+        }
+      }
+    }
+  }
+
+  set url(value) {
+    this._draft.url = String(value)
+  }
+
+  /**
+   * pm.request.body - { mode, raw, ... } with update() for raw bodies
+   */
+  get body() {
+    const draft = this._draft
+    if (!draft.body) {
+      draft.body = { mode: 'raw', raw: '' }
+    }
+    const body = draft.body
+    if (!Object.prototype.hasOwnProperty.call(body, 'update')) {
+      Object.defineProperty(body, 'update', {
+        enumerable: false,
+        value: (value) => {
+          body.mode = 'raw'
+          body.raw = typeof value === 'string' ? value : JSON.stringify(value)
+        }
+      })
+      Object.defineProperty(body, 'toString', {
+        enumerable: false,
+        value: () => body.raw || ''
+      })
+    }
+    return body
+  }
+
+  set body(value) {
+    this._draft.body = typeof value === 'string' ? { mode: 'raw', raw: value } : { ...value }
+  }
+
+  /**
+   * Request data after script changes
+   */
+  toJSON() {
+    return {
+      method: this._draft.method,
+      url: this._draft.url,
+      header: this._draft.header,
+      body: this._draft.body ? { ...this._draft.body } : null
+    }
+  }
+}
+
+/**
+ * Normalize the argument of pm.sendRequest() into a Postman request
+ * Accepts a URL string or a request object whose url, header and body may use
+ * the shorthand forms Postman allows (string URL, header object, string body).
+ */
+export function normalizeSendRequest(req) {
+  const input = typeof req === 'string' ? { url: req } : (req || {})
+
+  const rawUrl = typeof input.url === 'string' ? input.url : (input.url?.raw || '')
+
+  let header = input.header || input.headers || []
+  if (!Array.isArray(header)) {
+    header = Object.entries(header).map(([key, value]) => ({ key, value: String(value) }))
+  }
+  header = header.map(h => ({ key: h.key, value: h.value ?? '', enabled: h.disabled !== true && h.enabled !== false }))
+
+  let body = input.body || null
+  if (typeof body === 'string') {
+    body = { mode: 'raw', raw: body }
+  } else if (body?.mode === 'raw' && typeof body.raw !== 'string') {
+    body = { ...body, raw: JSON.stringify(body.raw) }
+  }
+
+  return {
+    method: (input.method || 'GET').toUpperCase(),
+    url: { raw: rawUrl, query: [] },
+    header,
+    body,
+    auth: input.auth
+  }
+}
+
+/**
+ * Resolve {{variables}} in a normalized sendRequest request
+ */
+function interpolateSendRequest(request, interpolate) {
+  const interpolateItems = (items) => (items || []).map(item => ({
+    ...item,
+    key: interpolate(item.key || ''),
+    value: typeof item.value === 'string' ? interpolate(item.value) : item.value
+  }))
+
+  let body = request.body
+  if (body?.mode === 'raw') {
+    body = { ...body, raw: interpolate(body.raw || '') }
+  } else if (body?.mode === 'urlencoded') {
+    body = { ...body, urlencoded: interpolateItems(body.urlencoded) }
+  } else if (body?.mode === 'formdata') {
+    body = { ...body, formdata: interpolateItems(body.formdata) }
+  }
+
+  return {
+    ...request,
+    url: { ...request.url, raw: interpolate(request.url.raw) },
+    header: interpolateItems(request.header),
+    body
+  }
+}
+
+/**
+ * Thrown when a script writes more console output than the configured limit
+ */
+export class ScriptLimitError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ScriptLimitError'
+  }
+}
+
 /**
  * Script execution result
  */
 export class ScriptResult {
   constructor() {
-    this.tests = []              // Array of { name, passed, error, duration }
-    this.consoleLogs = []        // Array of { type, args, timestamp }
-    this.environmentChanges = [] // Array of { action, key, value, oldValue }
+    this.tests = []              // Array of { name, passed, error, duration, source? }
+    this.consoleLogs = []        // Array of { type, args, timestamp, source? }
+    this.environmentChanges = [] // Array of { action, key, value, oldValue, scope, source? }
+    this.request = null         // Request after pre-request script changes
+    this.phase = 'test'         // 'prerequest' or 'test'
     this.error = null           // Global script error if any
     this.duration = 0           // Total execution time in ms
   }
@@ -302,8 +581,8 @@ export class ScriptResult {
     })
   }
 
-  addEnvChange(action, key, value, oldValue = undefined) {
-    this.environmentChanges.push({ action, key, value, oldValue })
+  addEnvChange(action, key, value, oldValue = undefined, scope = 'environment') {
+    this.environmentChanges.push({ action, key, value, oldValue, scope })
   }
 
   _formatArg(arg) {
@@ -336,69 +615,177 @@ export class ScriptResult {
  * PostmanScriptRunner - Main script execution class
  */
 export class PostmanScriptRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.environmentStore - Store used by pm.environment
+   * @param {Object} options.logger - Logger instance
+   * @param {number} options.outputLimit - Bytes of captured console output, 0 = unlimited
+   * @param {number} options.timeout - Deadline for pending async work in ms
+   * @param {Function} options.sendRequest - async (request) => response, backs pm.sendRequest
+   * @param {Object} options.scopes - { data, collection, global } variable maps, updated in place
+   */
   constructor(options = {}) {
     this.environmentStore = options.environmentStore
     this.logger = options.logger || console
+    this.outputLimit = options.outputLimit || 0
+    this.timeout = options.timeout || DEFAULT_SCRIPT_TIMEOUT
+    this.sendRequest = options.sendRequest || null
+    this.scopes = {
+      data: options.scopes?.data || {},
+      collection: options.scopes?.collection || {},
+      global: options.scopes?.global || {}
+    }
   }
 
   /**
-   * Execute a post-request script
+   * Execute a pre-request or post-request script
    *
    * @param {Object} options
    * @param {string} options.script - The JavaScript code to execute
-   * @param {Object} options.response - The HTTP response object
-   * @param {Object} options.request - The original request object (optional)
+   * @param {string} options.phase - 'prerequest' or 'test' (default)
+   * @param {Object} options.response - The HTTP response object (test phase)
+   * @param {Object} options.request - The request object (optional for tests)
    * @param {string} options.requestName - Name of the request (optional)
-   * @returns {ScriptResult} - The execution result
+   * @param {Object} options.variables - Local variables for this send, mutated by pm.variables.set
+   * @param {Object} options.info - { iteration, iterationCount } for pm.info during runs
+   * @param {number} options.deadline - performance.now() time by which pending work must settle
+   * @returns {Promise<ScriptResult>} - The execution result (result.request holds the updated request)
    */
-  execute({ script, response, request, requestName }) {
+  async execute({ script, phase = 'test', response, request, requestName, variables = {}, info = {}, deadline }) {
     const result = new ScriptResult()
+    result.phase = phase
     const startTime = performance.now()
+    const endTime = deadline ?? startTime + this.timeout
+
+    const scriptRequest = new ScriptRequest(request || {})
 
     if (!script || typeof script !== 'string' || script.trim() === '') {
+      result.request = scriptRequest.toJSON()
       return result
     }
 
+    const guard = this._createOutputGuard()
+    const tasks = this._createTaskTracker()
+
+    // First error wins; later async failures are only logged
+    const reportError = (error) => {
+      this.logger.error('Script execution error:', error)
+      if (!result.error) {
+        result.error = {
+          message: error?.message || String(error),
+          stack: error?.stack,
+          name: error?.name || 'Error'
+        }
+      }
+    }
+
     // Create the pm object
-    const pm = this._createPmObject(response, request, requestName, result)
+    const pm = this._createPmObject(response, scriptRequest, requestName, result, variables, guard, tasks, reportError, { ...info, eventName: phase })
 
     // Create sandboxed console
-    const sandboxedConsole = this._createConsole(result)
+    const sandboxedConsole = this._createConsole(result, guard)
 
     // Create the expect function
     const expect = createExpect()
 
-    try {
-      // Execute the script in a sandboxed context
-      this._executeInSandbox(script, pm, sandboxedConsole, expect)
-    } catch (error) {
-      // Handle global script errors
-      result.error = {
-        message: error.message,
-        stack: error.stack,
-        name: error.name
-      }
-      this.logger.error('Script execution error:', error)
+    // Timers tracked as pending work
+    const timers = this._createTimers(tasks, reportError)
+
+    // Execute the script in a sandboxed context; the body runs as an async function
+    tasks.track(
+      Promise.resolve()
+        .then(() => this._executeInSandbox(script, pm, sandboxedConsole, expect, timers))
+        .catch(reportError)
+    )
+
+    const settled = await tasks.waitUntil(endTime)
+    if (!settled) {
+      tasks.cancel()
+      result.tests.filter(t => t.pending).forEach(test => {
+        test.passed = false
+        test.error = { message: 'Test did not complete before the script deadline' }
+        delete test.pending
+      })
+      reportError(Object.assign(
+        new Error(`Script did not finish within ${Math.round(endTime - startTime)}ms`),
+        { name: 'ScriptTimeoutError' }
+      ))
+    }
+
+    // A limit error the script caught itself still fails the script
+    if (guard.error && (!result.error || result.error.name !== guard.error.name)) {
+      result.error = { message: guard.error.message, stack: guard.error.stack, name: guard.error.name }
     }
 
     // Apply environment changes to the actual store
-    this._applyEnvironmentChanges(result.environmentChanges)
+    this.applyEnvironmentChanges(result.environmentChanges.filter(c => c.scope === 'environment'))
 
+    result.request = scriptRequest.toJSON()
     result.duration = performance.now() - startTime
     return result
   }
 
   /**
-   * Create the pm object with all Postman-like APIs
+   * Execute a chain of scripts for one phase in order (collection, folders, request)
+   * Each script sees the request as left by the previous one. A pre-request
+   * error stops the chain; test scripts keep running after an error so later
+   * levels still report their tests.
+   *
+   * @param {Object} options
+   * @param {Array} options.scripts - Array of { level, name, script } from buildScriptChain()
+   * @param {string} options.phase - 'prerequest' or 'test' (default)
+   * @param {Object} options.response - The HTTP response object (test phase)
+   * @param {Object} options.request - The request object
+   * @param {string} options.requestName - Name of the request (optional)
+   * @param {Object} options.variables - Local variables shared across the chain
+   * @param {Object} options.info - { iteration, iterationCount } for pm.info during runs
+   * @returns {Promise<ScriptResult>} - Combined result, entries tagged with source { level, name }
    */
-  _createPmObject(response, request, requestName, result) {
-    const self = this
+  async executeChain({ scripts = [], phase = 'test', response, request, requestName, variables = {}, info = {} }) {
+    const combined = new ScriptResult()
+    combined.phase = phase
+    combined.request = new ScriptRequest(request || {}).toJSON()
+
+    // The deadline covers the whole chain
+    const deadline = performance.now() + this.timeout
+
+    for (const entry of scripts) {
+      const source = { level: entry.level, name: entry.name }
+      const result = await this.execute({
+        script: entry.script,
+        phase,
+        response,
+        request: combined.request,
+        requestName,
+        variables,
+        info,
+        deadline
+      })
+
+      combined.tests.push(...result.tests.map(test => ({ ...test, source })))
+      combined.consoleLogs.push(...result.consoleLogs.map(log => ({ ...log, source })))
+      combined.environmentChanges.push(...result.environmentChanges.map(change => ({ ...change, source })))
+      combined.request = result.request
+      combined.duration += result.duration
+
+      if (result.error) {
+        combined.error = { ...result.error, source }
+        if (phase === 'prerequest') break
+      }
+    }
+
+    return combined
+  }
 
+  /**
+   * Create a Postman response object with BDD assertion chain support
+   * Used for pm.response and for pm.sendRequest() results
+   */
+  _createResponseObject(response) {
     // Parse response body
     let parsedJson = null
     let jsonParseError = null
 
-    // Create the response object with BDD assertion chain support
     const pmResponse = {
       code: response?.status || 0,
       status: response?.statusText || '',
@@ -448,7 +835,85 @@ export class PostmanScriptRunner {
       }
     })
 
+    return pmResponse
+  }
+
+  /**
+   * Create pm.globals or pm.collectionVariables
+   * Writes update the shared scope map right away, so later scripts in the
+   * chain see them, and are recorded for the host to persist.
+   */
+  _createScopeApi(scope, result) {
+    const values = this.scopes[scope]
+
+    const api = {
+      get(key) {
+        return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : undefined
+      },
+      set(key, value) {
+        const oldValue = api.get(key)
+        values[key] = String(value)
+        result.addEnvChange('set', key, value, oldValue, scope)
+      },
+      unset(key) {
+        if (!api.has(key)) return
+        const oldValue = values[key]
+        delete values[key]
+        result.addEnvChange('unset', key, undefined, oldValue, scope)
+      },
+      has(key) {
+        return Object.prototype.hasOwnProperty.call(values, key)
+      },
+      clear() {
+        Object.keys(values).forEach(key => api.unset(key))
+      },
+      replaceIn(text) {
+        return interpolateScoped(text, { [scope]: values })
+      },
+      toObject() {
+        return { ...values }
+      }
+    }
+
+    return api
+  }
+
+  /**
+   * Create pm.iterationData over the data row of this iteration
+   */
+  _createIterationDataApi() {
+    const values = this.scopes.data
+
+    return {
+      get(key) {
+        return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : undefined
+      },
+      has(key) {
+        return Object.prototype.hasOwnProperty.call(values, key)
+      },
+      replaceIn(text) {
+        return interpolateScoped(text, { data: values })
+      },
+      toObject() {
+        return { ...values }
+      },
+      toJSON() {
+        return { ...values }
+      }
+    }
+  }
+
+  /**
+   * Create the pm object with all Postman-like APIs
+   */
+  _createPmObject(response, request, requestName, result, variables, guard, tasks, reportError, info = {}) {
+    const self = this
+    const pmResponse = this._createResponseObject(response)
+
     const pm = {
+      // Request object (mutations are sent when run as a pre-request script)
+      request,
+
       // Response object with BDD assertions
       response: pmResponse,
 
@@ -483,100 +948,365 @@ export class PostmanScriptRunner {
         }
       },
 
-      // Test function
+      // Test function: fn may be synchronous, return a promise, or take a done callback
       test(name, fn) {
         const testStart = performance.now()
-        let passed = true
-        let error = null
 
-        try {
-          fn()
-        } catch (e) {
-          passed = false
+        guard.check()
+
+        result.addTest(name, true, null, 0)
+        const test = result.tests[result.tests.length - 1]
+        let settled = false
+
+        const settle = (e) => {
+          if (settled) return
+          settled = true
+          delete test.pending
+          test.passed = !e
+          test.duration = performance.now() - testStart
+          if (!e) return
           if (e instanceof AssertionError) {
-            error = {
+            test.error = {
               message: e.message,
               expected: e.expected,
               actual: e.actual
             }
           } else {
-            error = {
-              message: e.message,
-              stack: e.stack
+            test.error = {
+              message: e?.message || String(e),
+              stack: e?.stack
             }
           }
         }
 
-        const duration = performance.now() - testStart
-        result.addTest(name, passed, error, duration)
+        let outcome
+        try {
+          if (fn.length > 0) {
+            // Postman-style done callback: pending until done() is called
+            test.pending = true
+            const finish = tasks.start()
+            fn((e) => {
+              settle(e || null)
+              finish()
+            })
+            return
+          }
+          outcome = fn()
+        } catch (e) {
+          if (e instanceof ScriptLimitError) throw e
+          settle(e)
+          return
+        }
+
+        if (outcome && typeof outcome.then === 'function') {
+          test.pending = true
+          tasks.track(Promise.resolve(outcome).then(() => settle(null), (e) => settle(e)))
+        } else {
+          settle(null)
+        }
+      },
+
+      // Send a request through the host HTTP client; supports callback and await styles
+      sendRequest(req, callback) {
+        const run = (async () => {
+          let error = null
+          let res = null
+          try {
+            if (!self.sendRequest) {
+              throw new Error('pm.sendRequest is not available in this context')
+            }
+            const prepared = interpolateSendRequest(normalizeSendRequest(req), (text) => pm.variables.replaceIn(text))
+            const raw = await self.sendRequest(prepared)
+            if (raw && !raw.status && raw.error) {
+              throw new Error(raw.error)
+            }
+            res = self._createResponseObject(raw)
+          } catch (e) {
+            error = e
+          }
+
+          if (typeof callback === 'function') {
+            try {
+              callback(error, res)
+            } catch (e) {
+              reportError(e)
+            }
+            return res
+          }
+          if (error) throw error
+          return res
+        })()
+
+        tasks.track(run.catch(() => {}))
+        return run
       },
 
       // Expect function (Chai-like assertions)
       expect: createExpect(),
 
-      // Info object
+      // Info object; iteration is zero-based as in Postman
       info: {
         requestName: requestName || 'Unnamed Request',
-        iteration: 1,
-        iterationCount: 1,
-        requestId: request?.id || null
+        iteration: info.iteration ?? 0,
+        iterationCount: info.iterationCount ?? 1,
+        requestId: request?.id || null,
+        eventName: info.eventName
       },
 
-      // Variables API (alias for environment in our implementation)
+      // Global and collection variable APIs
+      globals: this._createScopeApi('global', result),
+      collectionVariables: this._createScopeApi('collection', result),
+
+      // Current data file row (read-only)
+      iterationData: this._createIterationDataApi(),
+
+      // Variables API: set() is local to this send, get() resolves through every scope
       variables: {
         get(key) {
-          return pm.environment.get(key)
+          return resolveDefined(key)?.value
         },
         set(key, value) {
-          pm.environment.set(key, value)
+          const oldValue = pm.variables.get(key)
+          variables[key] = String(value)
+          result.addEnvChange('set', key, value, oldValue, 'local')
+        },
+        unset(key) {
+          const oldValue = variables[key]
+          delete variables[key]
+          result.addEnvChange('unset', key, undefined, oldValue, 'local')
         },
         has(key) {
-          return pm.environment.has(key)
+          return resolveDefined(key) !== null
+        },
+        replaceIn(text) {
+          return interpolateScoped(text, scopeMaps())
+        },
+        toObject() {
+          const obj = {}
+          listScopedVariables(scopeMaps()).forEach(v => { obj[v.key] = v.value })
+          return obj
         }
       }
     }
 
+    // Scope maps in precedence order for pm.variables
+    const scopeMaps = () => ({
+      local: variables,
+      data: self.scopes.data,
+      environment: pm.environment.toObject(),
+      collection: self.scopes.collection,
+      global: self.scopes.global
+    })
+
+    // As in Postman, dynamic variables only resolve through replaceIn()
+    const resolveDefined = (key) => {
+      const resolved = resolveScopedVariable(key, scopeMaps())
+      return resolved?.scope === 'dynamic' ? null : resolved
+    }
+
     return pm
   }
 
+  /**
+   * Create the console output guard for one script
+   * This is not a heap limit: only createNodeWorker limits a script's heap.
+   * Once tripped every further check throws, so a script cannot swallow it.
+   */
+  _createOutputGuard() {
+    const limit = this.outputLimit
+    const guard = {
+      outputSize: 0,
+      error: null,
+      check(addedBytes = 0) {
+        if (!limit) return
+        if (guard.error) throw guard.error
+
+        guard.outputSize += addedBytes
+        if (guard.outputSize > limit) {
+          guard.error = new ScriptLimitError(`Script exceeded the console output limit of ${Math.round(limit / (1024 * 1024))} MB`)
+          throw guard.error
+        }
+      }
+    }
+    return guard
+  }
+
   /**
    * Create a sandboxed console object that captures output
    */
-  _createConsole(result) {
+  _createConsole(result, guard) {
+    const capture = (type, args) => {
+      result.addConsoleLog(type, args)
+      const entry = result.consoleLogs[result.consoleLogs.length - 1]
+      // Strings are UTF-16: two bytes per code unit
+      guard.check(entry.args.reduce((size, arg) => size + arg.length * 2, 0))
+    }
+
     return {
-      log: (...args) => result.addConsoleLog('log', args),
-      info: (...args) => result.addConsoleLog('info', args),
-      warn: (...args) => result.addConsoleLog('warn', args),
-      error: (...args) => result.addConsoleLog('error', args),
-      debug: (...args) => result.addConsoleLog('debug', args)
+      log: (...args) => capture('log', args),
+      info: (...args) => capture('info', args),
+      warn: (...args) => capture('warn', args),
+      error: (...args) => capture('error', args),
+      debug: (...args) => capture('debug', args)
+    }
+  }
+
+  /**
+   * Track pending async work (promises, timers, done callbacks)
+   */
+  _createTaskTracker() {
+    let pending = 0
+    let waiters = []
+    const cancellers = new Set()
+
+    const tracker = {
+      /**
+       * Mark one unit of work as started; returns its finish function
+       */
+      start() {
+        pending++
+        let finished = false
+        return () => {
+          if (finished) return
+          finished = true
+          pending--
+          if (pending === 0) {
+            waiters.forEach(resolve => resolve(true))
+            waiters = []
+          }
+        }
+      },
+
+      track(promise) {
+        const finish = tracker.start()
+        return Promise.resolve(promise).finally(finish)
+      },
+
+      /**
+       * Register cleanup run when the deadline passes (e.g. clearing timers)
+       */
+      onCancel(fn) {
+        cancellers.add(fn)
+        return () => cancellers.delete(fn)
+      },
+
+      cancel() {
+        cancellers.forEach(fn => fn())
+        cancellers.clear()
+      },
+
+      /**
+       * Resolve true once idle, or false when the deadline passes first
+       */
+      waitUntil(endTime) {
+        if (pending === 0) return Promise.resolve(true)
+        return new Promise(resolve => {
+          const timer = setTimeout(() => {
+            waiters = waiters.filter(w => w !== done)
+            resolve(false)
+          }, Math.max(0, endTime - performance.now()))
+          const done = () => {
+            clearTimeout(timer)
+            resolve(true)
+          }
+          waiters.push(done)
+        })
+      }
+    }
+
+    return tracker
+  }
+
+  /**
+   * Create setTimeout/setInterval for scripts, tracked as pending work
+   */
+  _createTimers(tasks, reportError) {
+    const active = new Map()
+
+    const run = (fn, args) => {
+      try {
+        if (typeof fn === 'function') fn(...args)
+      } catch (e) {
+        reportError(e)
+      }
+    }
+
+    const clear = (id) => {
+      const entry = active.get(id)
+      if (!entry) return
+      entry.clear(id)
+      active.delete(id)
+      entry.finish()
+    }
+
+    tasks.onCancel(() => [...active.keys()].forEach(clear))
+
+    return {
+      setTimeout(fn, delay = 0, ...args) {
+        const finish = tasks.start()
+        const id = setTimeout(() => {
+          active.delete(id)
+          run(fn, args)
+          finish()
+        }, delay)
+        active.set(id, { clear: clearTimeout, finish })
+        return id
+      },
+      clearTimeout: clear,
+      setInterval(fn, delay = 0, ...args) {
+        const finish = tasks.start()
+        const id = setInterval(() => run(fn, args), delay)
+        active.set(id, { clear: clearInterval, finish })
+        return id
+      },
+      clearInterval: clear
     }
   }
 
   /**
    * Execute script in a sandboxed context using Function constructor
+   * The body runs inside an async function so scripts can use top-level await.
+   * @returns {Promise} - Settles when the script body finishes
    */
-  _executeInSandbox(script, pm, console, expect) {
-    // Create a function with pm, console, and expect in scope
+  _executeInSandbox(script, pm, console, expect, timers) {
+    if (DYNAMIC_IMPORT.test(script)) {
+      throw Object.assign(new Error('import() is not allowed in scripts'), { name: 'ScriptSecurityError' })
+    }
+
+    // Create a function with pm, console, expect and timers in scope
     // This prevents access to window, document, etc.
-    const sandboxedFunction = new Function(
+    const sandboxedFunction = compileFunction(
       'pm',
       'console',
       'expect',
-      // Wrap in try-catch to provide better error messages
+      'setTimeout',
+      'clearTimeout',
+      'setInterval',
+      'clearInterval',
       `
         "use strict";
+        return (async () => {
         ${script}
+        })()
       `
     )
 
     // Execute with our sandboxed objects
-    sandboxedFunction(pm, console, expect)
+    return sandboxedFunction(
+      pm,
+      console,
+      expect,
+      timers.setTimeout,
+      timers.clearTimeout,
+      timers.setInterval,
+      timers.clearInterval
+    )
   }
 
   /**
    * Apply environment changes to the actual store
    */
-  _applyEnvironmentChanges(changes) {
+  applyEnvironmentChanges(changes) {
     if (!this.environmentStore) {
       if (changes.length > 0) {
         this.logger.warn('No environment store available - environment changes will not persist')
@@ -631,6 +1361,59 @@ export class PostmanScriptRunner {
     return ''
   }
 
+  /**
+   * Normalize a request into the plain shape scripts return in result.request
+   */
+  static toRequestJSON(request) {
+    return new ScriptRequest(request || {}).toJSON()
+  }
+
+  /**
+   * Get the script for a listen type ('prerequest' or 'test') from a Postman event array
+   */
+  static getEventScript(events, listen) {
+    if (!Array.isArray(events)) return ''
+    const event = events.find(e => e?.listen === listen)
+    return PostmanScriptRunner.extractScriptFromEvent(event)
+  }
+
+  /**
+   * Build the ordered script chain for a request: collection, then each
+   * ancestor folder (outermost first), then the request itself.
+   * Empty scripts are skipped.
+   *
+   * @param {Object} options
+   * @param {Object} options.collection - Collection the request belongs to (optional)
+   * @param {Array} options.folders - Ancestor folders, outermost first
+   * @param {string} options.requestName - Name of the request
+   * @param {string} options.requestScript - The request's own script for this phase
+   * @param {string} listen - 'prerequest' or 'test'
+   * @returns {Array} - Array of { level, name, script }
+   */
+  static buildScriptChain({ collection = null, folders = [], requestName = 'Request', requestScript = '' }, listen) {
+    const chain = []
+
+    if (collection) {
+      chain.push({
+        level: 'collection',
+        name: collection.info?.name || collection.name || 'Collection',
+        script: PostmanScriptRunner.getEventScript(collection.event, listen)
+      })
+    }
+
+    folders.forEach(folder => {
+      chain.push({
+        level: 'folder',
+        name: folder.name,
+        script: PostmanScriptRunner.getEventScript(folder.event, listen)
+      })
+    })
+
+    chain.push({ level: 'request', name: requestName, script: requestScript || '' })
+
+    return chain.filter(entry => entry.script.trim() !== '')
+  }
+
   /**
    * Convert script string to Postman event format
    */
@@ -0,0 +1,243 @@
+/**
+ * ScriptSandbox
+ *
+ * Main-thread side of script execution. Each chain runs in a fresh Web Worker
+ * (scriptWorker.js) that only sees the pm, console and expect surface, so
+ * scripts cannot touch window, localStorage or the app's state, and a hung
+ * script is terminated after the timeout instead of freezing the app.
+ *
+ * Scripts cannot reach the network either: the worker locks fetch and its
+ * kin, the runner rejects import(), and the worker refuses to compile code
+ * from strings (eval, Function), which could hide an import().
+ *
+ * There is no memory guard in the browser: browsers offer no way to limit or
+ * measure a worker's heap. Only worker factories that support it
+ * (createNodeWorker) limit the heap; console output is capped everywhere.
+ *
+ * Environment, global and collection changes made in the worker are applied
+ * to the real stores here, and send-local variables are copied back into the
+ * caller's object.
+ * pm.sendRequest() calls are forwarded from the worker to the sendRequest
+ * function passed to executeChain().
+ */
+
+import { PostmanScriptRunner, ScriptResult, DEFAULT_SCRIPT_TIMEOUT } from './PostmanScriptRunner.js'
+import { createEnvironmentSnapshot } from './EnvironmentSnapshot.js'
+
+const DEFAULT_MEMORY_LIMIT = 64 // MB, heap of workers whose factory can limit it
+
+// Console output a script may capture, in bytes
+const OUTPUT_LIMIT = 64 * 1024 * 1024
+
+// The worker enforces the deadline for async work itself; this extra time lets
+// it report before it is terminated. Only synchronous hangs hit the hard limit.
+const HARD_LIMIT_GRACE = 1000 // ms
+
+/**
+ * Create the browser script worker
+ * Browsers cannot limit a worker's heap, so the memory limit is not passed on.
+ */
+function createBrowserWorker() {
+  return new Worker(new URL('./scriptWorker.js', import.meta.url), { type: 'module' })
+}
+
+export class ScriptSandbox {
+  /**
+   * @param {Object} options
+   * @param {Object} options.environmentStore - useEnvironments() store
+   * @param {Object} options.variableScopes - useVariableScopes() store for data, collection and global variables
+   * @param {Object} options.logger - Logger instance
+   * @param {number} options.timeout - Maximum run time per chain in ms
+   * @param {number} options.memoryLimit - Heap limit per chain in MB, only where the worker factory enforces it (not in browsers)
+   * @param {Function} options.createWorker - Worker factory, called with { memoryLimit } (defaults to the browser worker)
+   */
+  constructor(options = {}) {
+    this.environmentStore = options.environmentStore
+    this.variableScopes = options.variableScopes || null
+    this.logger = options.logger || console
+    this.timeout = options.timeout || DEFAULT_SCRIPT_TIMEOUT
+    this.memoryLimit = options.memoryLimit || DEFAULT_MEMORY_LIMIT
+    this.createWorker = options.createWorker || null
+  }
+
+  /**
+   * Create a sandbox configured from the persisted request settings
+   */
+  static fromSettings(settings, options = {}) {
+    return new ScriptSandbox({
+      ...options,
+      timeout: settings?.request?.scriptTimeout
+    })
+  }
+
+  /**
+   * Whether Web Workers are available in this runtime
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined'
+  }
+
+  /**
+   * Execute a script chain in the worker
+   * Same options as PostmanScriptRunner.executeChain(), plus an abort signal.
+   *
+   * @param {Object} options
+   * @param {Array} options.scripts - Array of { level, name, script }
+   * @param {string} options.phase - 'prerequest' or 'test'
+   * @param {Object} options.response - The HTTP response object (test phase)
+   * @param {Object} options.request - The request object
+   * @param {string} options.requestName - Name of the request
+   * @param {Object} options.variables - Send-local variables, updated in place
+   * @param {Function} options.sendRequest - async (request) => response, backs pm.sendRequest
+   * @param {Object} options.info - { iteration, iterationCount } for pm.info during runs
+   * @param {AbortSignal} options.signal - Stops the worker when aborted
+   * @returns {Promise<ScriptResult>} - Never rejects; failures are reported as result.error
+   */
+  async executeChain({ scripts = [], phase = 'test', response, request, requestName, variables = {}, info = {}, sendRequest = null, signal }) {
+    const runOptions = {
+      scripts,
+      phase,
+      response: response ? JSON.parse(JSON.stringify(response)) : undefined,
+      request: JSON.parse(JSON.stringify(request || {})),
+      requestName,
+      variables: { ...variables },
+      info: { ...info },
+      environment: createEnvironmentSnapshot(this.environmentStore),
+      scopes: this.variableScopes?.getScriptScopes() || {},
+      outputLimit: OUTPUT_LIMIT,
+      timeout: this.timeout
+    }
+
+    if (!this.createWorker && !ScriptSandbox.isSupported()) {
+      this.logger.warn('Web Workers unavailable - running scripts on the main thread without isolation')
+      const result = await new PostmanScriptRunner({
+        environmentStore: this.environmentStore,
+        logger: this.logger,
+        outputLimit: OUTPUT_LIMIT,
+        timeout: this.timeout,
+        sendRequest,
+        scopes: runOptions.scopes
+      }).executeChain({ scripts, phase, response, request, requestName, variables, info })
+      this.variableScopes?.applyScriptChanges(result.environmentChanges)
+      return result
+    }
+
+    let message
+    try {
+      message = await this._runInWorker(runOptions, sendRequest, signal)
+    } catch (error) {
+      this.logger.error('Script sandbox error:', error)
+      return this._errorResult(phase, request, error)
+    }
+
+    const result = Object.assign(new ScriptResult(), message.result)
+
+    // Copy send-local variables back, including unsets
+    Object.keys(variables).forEach(key => delete variables[key])
+    Object.assign(variables, message.variables)
+
+    const runner = new PostmanScriptRunner({
+      environmentStore: this.environmentStore,
+      logger: this.logger
+    })
+    runner.applyEnvironmentChanges(result.environmentChanges.filter(c => c.scope === 'environment'))
+    this.variableScopes?.applyScriptChanges(result.environmentChanges)
+
+    return result
+  }
+
+  /**
+   * Post the run to a fresh worker and wait for its result
+   * Rejects on timeout, abort, or a worker crash (e.g. out of memory)
+   */
+  _runInWorker(runOptions, sendRequest, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this._namedError('ScriptCancelledError', 'Script cancelled'))
+        return
+      }
+
+      const worker = (this.createWorker || createBrowserWorker)({ memoryLimit: this.memoryLimit })
+      let timer = null
+
+      const finish = (callback, value) => {
+        clearTimeout(timer)
+        signal?.removeEventListener('abort', onAbort)
+        worker.terminate()
+        callback(value)
+      }
+
+      const onAbort = () => {
+        finish(reject, this._namedError('ScriptCancelledError', 'Script cancelled'))
+      }
+
+      timer = setTimeout(() => {
+        finish(reject, this._namedError('ScriptTimeoutError', `Script timed out after ${this.timeout}ms`))
+      }, this.timeout + HARD_LIMIT_GRACE)
+
+      signal?.addEventListener('abort', onAbort)
+
+      worker.onmessage = (event) => {
+        const data = event.data || {}
+        if (data.type === 'result') {
+          finish(resolve, data)
+        } else if (data.type === 'sendRequest') {
+          this._forwardSendRequest(worker, data, sendRequest)
+        }
+      }
+
+      worker.onerror = (event) => {
+        event.preventDefault?.()
+        finish(reject, this._namedError('ScriptError', event.message || 'Script worker crashed'))
+      }
+
+      worker.onmessageerror = () => {
+        finish(reject, this._namedError('ScriptError', 'Script result could not be read'))
+      }
+
+      worker.postMessage({ type: 'run', options: runOptions })
+    })
+  }
+
+  /**
+   * Run a pm.sendRequest() call for the worker and post the response back
+   */
+  async _forwardSendRequest(worker, { id, request }, sendRequest) {
+    let reply
+    try {
+      if (!sendRequest) {
+        throw new Error('pm.sendRequest is not available in this context')
+      }
+      const response = await sendRequest(request)
+      reply = { type: 'sendRequestResult', id, response: JSON.parse(JSON.stringify(response ?? null)) }
+    } catch (error) {
+      reply = { type: 'sendRequestResult', id, error: error.message || 'Request failed' }
+    }
+
+    // The worker may have finished or been terminated meanwhile
+    try {
+      worker.postMessage(reply)
+    } catch {
+      // Ignore
+    }
+  }
+
+  _namedError(name, message) {
+    const error = new Error(message)
+    error.name = name
+    return error
+  }
+
+  /**
+   * Build a failed result that leaves the request unchanged
+   */
+  _errorResult(phase, request, error) {
+    const result = new ScriptResult()
+    result.phase = phase
+    result.request = PostmanScriptRunner.toRequestJSON(request)
+    result.error = { name: error.name, message: error.message }
+    return result
+  }
+}
+
+export default ScriptSandbox
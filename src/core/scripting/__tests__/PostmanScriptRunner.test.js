@@ -0,0 +1,224 @@
+/**
+ * PostmanScriptRunner Tests
+ *
+ * Tests the pre-request phase: pm.request mutation and pm.variables.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { PostmanScriptRunner } from '../PostmanScriptRunner.js'
+import { SnapshotEnvironmentStore } from '../EnvironmentSnapshot.js'
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+const baseRequest = () => ({
+  method: 'POST',
+  url: { raw: 'https://api.example.com/items?page=1' },
+  header: [{ key: 'Accept', value: 'application/json', enabled: true }],
+  body: { mode: 'raw', raw: '{"a":1}' }
+})
+
+describe('PostmanScriptRunner prerequest phase', () => {
+
+  it('should let scripts mutate headers, url and body', async () => {
+    const runner = new PostmanScriptRunner({ logger: silentLogger })
+    const result = await runner.execute({
+      phase: 'prerequest',
+      request: baseRequest(),
+      script: `
+        pm.request.headers.upsert({ key: 'X-Signature', value: 'abc' })
+        pm.request.headers.remove('accept')
+        pm.request.url.query.upsert({ key: 'page', value: '2' })
+        pm.request.body.update({ a: 2 })
+      `
+    })
+
+    expect(result.error).toBeNull()
+    expect(result.phase).toBe('prerequest')
+    expect(result.request.header).toEqual([{ key: 'X-Signature', value: 'abc', enabled: true }])
+    expect(result.request.url).toBe('https://api.example.com/items?page=2')
+    expect(result.request.body.raw).toBe('{"a":2}')
+  })
+
+  it('should keep pm.variables local to the send', async () => {
+    const runner = new PostmanScriptRunner({ logger: silentLogger })
+    const variables = {}
+    const result = await runner.execute({
+      phase: 'prerequest',
+      request: baseRequest(),
+      variables,
+      script: `
+        pm.variables.set('ts', 123)
+        console.log(pm.variables.replaceIn('t={{ts}}'))
+      `
+    })
+
+    expect(variables).toEqual({ ts: '123' })
+    expect(result.environmentChanges[0]).toMatchObject({ action: 'set', key: 'ts', scope: 'local' })
+    expect(result.consoleLogs[0].args).toEqual(['t=123'])
+  })
+
+  it('should resolve pm.variables through every scope', async () => {
+    const scopes = {
+      data: { user: 'row-1' },
+      collection: { host: 'collection.example.com', user: 'collection-user' },
+      global: { host: 'global.example.com', token: 'global-token' }
+    }
+    const runner = new PostmanScriptRunner({
+      logger: silentLogger,
+      scopes,
+      environmentStore: new SnapshotEnvironmentStore({
+        id: 'env', name: 'Dev', values: [{ id: 'v1', key: 'token', value: 'env-token', enabled: true }]
+      })
+    })
+    const result = await runner.execute({
+      phase: 'prerequest',
+      request: baseRequest(),
+      variables: { user: 'local-user' },
+      script: `
+        console.log(pm.variables.replaceIn('{{user}} {{token}} {{host}}'))
+        pm.globals.set('seen', 1)
+        pm.collectionVariables.unset('host')
+        console.log(pm.variables.get('host'), pm.globals.get('seen'))
+      `
+    })
+
+    expect(result.consoleLogs.map(log => log.args)).toEqual([
+      ['local-user env-token collection.example.com'],
+      ['global.example.com', '1']
+    ])
+    expect(scopes.global.seen).toBe('1')
+    expect(result.environmentChanges.map(c => [c.action, c.key, c.scope])).toEqual([
+      ['set', 'seen', 'global'],
+      ['unset', 'host', 'collection']
+    ])
+  })
+
+  it('should report script errors', async () => {
+    const runner = new PostmanScriptRunner({ logger: silentLogger })
+    const result = await runner.execute({
+      phase: 'prerequest',
+      request: baseRequest(),
+      script: 'throw new Error("boom")'
+    })
+
+    expect(result.error.message).toBe('boom')
+  })
+})
+
+describe('PostmanScriptRunner script chain', () => {
+
+  const collection = {
+    info: { name: 'API' },
+    event: [{ listen: 'prerequest', script: { exec: ["pm.request.headers.upsert({ key: 'X-Level', value: 'collection' })"] } }]
+  }
+  const folders = [
+    { name: 'Users', event: [{ listen: 'prerequest', script: { exec: ["pm.request.headers.upsert({ key: 'X-Level', value: 'folder' })"] } }] },
+    { name: 'Empty' }
+  ]
+
+  it('should order scripts collection, folders, request and skip empty ones', () => {
+    const chain = PostmanScriptRunner.buildScriptChain({
+      collection,
+      folders,
+      requestName: 'Get user',
+      requestScript: "console.log(pm.request.headers.get('X-Level'))"
+    }, 'prerequest')
+
+    expect(chain.map(s => `${s.level}:${s.name}`)).toEqual(['collection:API', 'folder:Users', 'request:Get user'])
+  })
+
+  it('should pass the request along the chain and tag output with its source', async () => {
+    const runner = new PostmanScriptRunner({ logger: silentLogger })
+    const scripts = PostmanScriptRunner.buildScriptChain({
+      collection,
+      folders,
+      requestName: 'Get user',
+      requestScript: "console.log(pm.request.headers.get('X-Level'))"
+    }, 'prerequest')
+
+    const result = await runner.executeChain({ scripts, phase: 'prerequest', request: baseRequest() })
+
+    expect(result.error).toBeNull()
+    expect(result.request.header.find(h => h.key === 'X-Level').value).toBe('folder')
+    expect(result.consoleLogs[0]).toMatchObject({ args: ['folder'], source: { level: 'request', name: 'Get user' } })
+  })
+
+  it('should stop a pre-request chain on error but keep running test scripts', async () => {
+    const runner = new PostmanScriptRunner({ logger: silentLogger })
+    const scripts = [
+      { level: 'collection', name: 'API', script: 'throw new Error("collection failed")' },
+      { level: 'request', name: 'Get user', script: "pm.test('runs', () => {})" }
+    ]
+
+    const prerequest = await runner.executeChain({ scripts, phase: 'prerequest', request: baseRequest() })
+    expect(prerequest.error).toMatchObject({ message: 'collection failed', source: { level: 'collection' } })
+    expect(prerequest.tests).toHaveLength(0)
+
+    const tests = await runner.executeChain({ scripts, phase: 'test', request: baseRequest(), response: { status: 200 } })
+    expect(tests.tests).toHaveLength(1)
+    expect(tests.tests[0].source.level).toBe('request')
+  })
+})
+
+describe('PostmanScriptRunner async scripts', () => {
+
+  it('should send requests through the host and wait for callbacks', async () => {
+    const sent = []
+    const runner = new PostmanScriptRunner({
+      logger: silentLogger,
+      sendRequest: async (request) => {
+        sent.push(request)
+        return { status: 200, statusText: 'OK', headers: {}, body: '{"token":"t1"}', time: 5 }
+      }
+    })
+    const variables = { host: 'auth.example.com' }
+
+    const result = await runner.execute({
+      variables,
+      script: `
+        pm.sendRequest({ url: 'https://{{host}}/token', method: 'post', header: { 'X-A': '1' } }, (err, res) => {
+          pm.variables.set('token', res.json().token)
+        })
+        const res = await pm.sendRequest('https://{{host}}/ping')
+        pm.test('ping ok', () => pm.expect(res.code).to.equal(200))
+      `
+    })
+
+    expect(result.error).toBeNull()
+    expect(sent.map(r => `${r.method} ${r.url.raw}`)).toEqual(['POST https://auth.example.com/token', 'GET https://auth.example.com/ping'])
+    expect(sent[0].header).toEqual([{ key: 'X-A', value: '1', enabled: true }])
+    expect(variables.token).toBe('t1')
+    expect(result.tests[0]).toMatchObject({ name: 'ping ok', passed: true })
+  })
+
+  it('should wait for async tests, done callbacks and timers', async () => {
+    const runner = new PostmanScriptRunner({ logger: silentLogger })
+    const result = await runner.execute({
+      script: `
+        pm.test('async fails', async () => {
+          await new Promise(resolve => setTimeout(resolve, 5))
+          pm.expect(1).to.equal(2)
+        })
+        pm.test('done style', (done) => setTimeout(() => done(), 5))
+        setTimeout(() => console.log('later'), 10)
+      `
+    })
+
+    expect(result.tests.map(t => [t.name, t.passed])).toEqual([['async fails', false], ['done style', true]])
+    expect(result.consoleLogs[0].args).toEqual(['later'])
+  })
+
+  it('should stop waiting at the deadline and fail pending tests', async () => {
+    const runner = new PostmanScriptRunner({ logger: silentLogger, timeout: 30 })
+    const result = await runner.execute({
+      script: `
+        pm.test('never settles', () => new Promise(() => {}))
+        setInterval(() => {}, 5)
+      `
+    })
+
+    expect(result.error.name).toBe('ScriptTimeoutError')
+    expect(result.tests[0]).toMatchObject({ passed: false })
+    expect(result.tests[0].pending).toBeUndefined()
+  })
+})
@@ -0,0 +1,121 @@
+/**
+ * ScriptSandbox Tests
+ *
+ * Tests worker orchestration (timeouts, cancellation, result hand-back) with a fake worker,
+ * and the runner's console output guard.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ScriptSandbox } from '../ScriptSandbox.js'
+import { PostmanScriptRunner } from '../PostmanScriptRunner.js'
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+/**
+ * Fake worker that runs the chain in-thread, or never answers when hung
+ */
+function createFakeWorker({ hang = false } = {}) {
+  const worker = {
+    terminated: false,
+    terminate() { worker.terminated = true },
+    async postMessage({ options }) {
+      if (hang) return
+      const variables = { ...options.variables }
+      const result = await new PostmanScriptRunner({ logger: silentLogger }).executeChain({ ...options, variables })
+      worker.onmessage({
+        data: { type: 'result', result: JSON.parse(JSON.stringify(result)), variables }
+      })
+    }
+  }
+  return worker
+}
+
+describe('ScriptSandbox', () => {
+
+  it('should return the worker result and copy local variables back', async () => {
+    let worker
+    const sandbox = new ScriptSandbox({
+      logger: silentLogger,
+      createWorker: () => (worker = createFakeWorker())
+    })
+    const variables = { stale: 'x' }
+
+    const result = await sandbox.executeChain({
+      scripts: [{ level: 'request', name: 'Req', script: "pm.variables.unset('stale'); pm.variables.set('token', 'abc')" }],
+      phase: 'prerequest',
+      request: { method: 'GET', url: 'https://example.com' },
+      variables
+    })
+
+    expect(result.error).toBeNull()
+    expect(result.passed).toBe(0)
+    expect(variables).toEqual({ token: 'abc' })
+    expect(worker.terminated).toBe(true)
+  })
+
+  it('should terminate hung scripts and report a timeout error', async () => {
+    let worker
+    const sandbox = new ScriptSandbox({
+      logger: silentLogger,
+      timeout: 10,
+      createWorker: () => (worker = createFakeWorker({ hang: true }))
+    })
+
+    const result = await sandbox.executeChain({
+      scripts: [{ level: 'request', name: 'Req', script: 'while (true) {}' }],
+      request: { method: 'GET', url: 'https://example.com/a' }
+    })
+
+    expect(result.error).toMatchObject({ name: 'ScriptTimeoutError', message: 'Script timed out after 10ms' })
+    expect(result.request.url).toBe('https://example.com/a')
+    expect(worker.terminated).toBe(true)
+  })
+
+  it('should terminate the worker and report a cancellation when aborted mid-script', async () => {
+    let worker
+    const sandbox = new ScriptSandbox({
+      logger: silentLogger,
+      createWorker: () => (worker = createFakeWorker({ hang: true }))
+    })
+    const controller = new AbortController()
+    const variables = { token: 'abc' }
+
+    const execution = sandbox.executeChain({
+      scripts: [{ level: 'request', name: 'Req', script: "pm.variables.set('token', 'changed')" }],
+      request: { method: 'GET', url: 'https://example.com/a' },
+      variables,
+      signal: controller.signal
+    })
+    controller.abort()
+    const result = await execution
+
+    expect(result.error).toMatchObject({ name: 'ScriptCancelledError', message: 'Script cancelled' })
+    expect(variables).toEqual({ token: 'abc' })
+    expect(worker.terminated).toBe(true)
+  })
+
+  it('should not start a worker once the send is cancelled', async () => {
+    let started = false
+    const sandbox = new ScriptSandbox({
+      logger: silentLogger,
+      createWorker: () => { started = true; return createFakeWorker() }
+    })
+
+    const result = await sandbox.executeChain({
+      scripts: [{ level: 'request', name: 'Req', script: '' }],
+      signal: AbortSignal.abort()
+    })
+
+    expect(result.error).toMatchObject({ name: 'ScriptCancelledError' })
+    expect(started).toBe(false)
+  })
+
+  it('should stop scripts that exceed the console output limit even if they catch the error', async () => {
+    const runner = new PostmanScriptRunner({ logger: silentLogger, outputLimit: 1024 })
+    const result = await runner.execute({
+      script: "try { for (;;) console.log('x'.repeat(100)) } catch (e) {}"
+    })
+
+    expect(result.error).toMatchObject({ name: 'ScriptLimitError' })
+  })
+})
@@ -0,0 +1,52 @@
+// @vitest-environment node
+/**
+ * Script worker Tests
+ *
+ * Runs scripts in the real script worker (on a worker thread) to check that
+ * they cannot load or compile code past the locked globals.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ScriptSandbox } from '../ScriptSandbox.js'
+import { createNodeWorker } from '../node/createNodeWorker.js'
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+const run = (script) => new ScriptSandbox({ logger: silentLogger, createWorker: createNodeWorker }).executeChain({
+  scripts: [{ level: 'request', name: 'Req', script }],
+  request: { method: 'GET', url: 'https://example.com' }
+})
+
+describe('script worker', () => {
+  it('rejects import(), however it is written', async () => {
+    for (const script of [
+      "await import('data:text/javascript,export default 1')",
+      "const m = await import /* hidden */ ('data:text/javascript,export default 1')"
+    ]) {
+      expect((await run(script)).error).toMatchObject({ name: 'ScriptSecurityError', message: 'import() is not allowed in scripts' })
+    }
+  })
+
+  it('refuses to compile code from strings', async () => {
+    for (const script of [
+      "eval('1')",
+      "Function('return 1')()",
+      "(() => {}).constructor('return 1')()",
+      "(async () => {}).constructor('return 1')()",
+      "globalThis.setTimeout('1')"
+    ]) {
+      expect((await run(script)).error).toMatchObject({ name: 'EvalError', message: 'Code from strings is not allowed in scripts' })
+    }
+  })
+
+  it('still runs ordinary scripts', async () => {
+    const result = await run(`
+      await new Promise(resolve => setTimeout(resolve, 1))
+      pm.test('works', () => pm.expect([1, 2].map(n => n * 2)).to.eql([2, 4]))
+      pm.test('sees functions', () => pm.expect(() => {}).to.be.a('function'))
+    `)
+
+    expect(result.error).toBeNull()
+    expect(result.tests.map(test => test.passed)).toEqual([true, true])
+  })
+})
@@ -0,0 +1,48 @@
+/**
+ * Node Script Worker Factory
+ *
+ * Creates a worker_threads worker running the script worker, wrapped in the
+ * Web Worker interface ScriptSandbox drives (postMessage, terminate and the
+ * onmessage / onerror / onmessageerror handlers). Pass it to ScriptSandbox
+ * as createWorker to run scripts off the main thread in Node.
+ *
+ * Node-only: never import this module from browser code.
+ */
+
+import { Worker } from 'node:worker_threads'
+
+const WORKER_URL = new URL('./scriptWorkerThread.js', import.meta.url)
+
+/**
+ * @param {Object} options
+ * @param {number} options.memoryLimit - Heap limit for the worker in MB
+ * @returns {Object} - Web Worker-like wrapper
+ */
+export function createNodeWorker({ memoryLimit = 64 } = {}) {
+  const worker = new Worker(WORKER_URL, {
+    resourceLimits: { maxOldGenerationSizeMb: memoryLimit }
+  })
+  let terminated = false
+
+  const wrapper = {
+    onmessage: null,
+    onerror: null,
+    onmessageerror: null,
+    postMessage: (data) => worker.postMessage(data),
+    terminate: () => {
+      terminated = true
+      worker.terminate()
+    }
+  }
+
+  worker.on('message', (data) => wrapper.onmessage?.({ data }))
+  worker.on('messageerror', () => wrapper.onmessageerror?.())
+  worker.on('error', (error) => {
+    if (!terminated) wrapper.onerror?.({ message: error.message })
+  })
+  worker.on('exit', (code) => {
+    if (!terminated) wrapper.onerror?.({ message: `Script worker exited with code ${code}` })
+  })
+
+  return wrapper
+}
@@ -0,0 +1,27 @@
+/**
+ * Script Worker Thread
+ *
+ * Node entry for scriptWorker.js. Gives the worker_threads context the small
+ * Web Worker surface the script worker expects (self, postMessage and
+ * addEventListener('message')), then loads it.
+ *
+ * Node worker threads bound run time and memory but are not a security
+ * boundary the way a browser worker is. Only run collections you trust.
+ */
+
+import { parentPort } from 'node:worker_threads'
+
+globalThis.self = globalThis
+globalThis.postMessage = (data) => parentPort.postMessage(data)
+globalThis.addEventListener = (type, listener) => {
+  if (type === 'message') {
+    parentPort.on('message', (data) => listener({ data }))
+  }
+}
+
+await import('../scriptWorker.js')
+
+// Node globals scripts have no business with
+for (const name of ['process', 'Buffer', 'global']) {
+  Object.defineProperty(globalThis, name, { value: undefined, writable: false, configurable: false })
+}
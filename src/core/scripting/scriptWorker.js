@@ -0,0 +1,169 @@
+/**
+ * Script Worker
+ *
+ * Runs a chain of Postman scripts off the main thread for ScriptSandbox.
+ * Globals that reach the network, storage or other contexts are removed
+ * before any user code runs. import() cannot be removed from a module worker:
+ * the runner rejects scripts that use it, and code can no longer be compiled
+ * from strings here (eval, the Function constructors, string timers), so it
+ * cannot be hidden from that check.
+ *
+ * Protocol:
+ *   in:  { type: 'run', options: { scripts, phase, request, response, requestName, variables, info, environment, scopes, outputLimit, timeout } }
+ *   out: { type: 'sendRequest', id, request }       pm.sendRequest() for the host to send
+ *   in:  { type: 'sendRequestResult', id, response | error }
+ *   out: { type: 'result', result, variables }
+ */
+
+import { PostmanScriptRunner } from './PostmanScriptRunner.js'
+import { SnapshotEnvironmentStore } from './EnvironmentSnapshot.js'
+
+// Globals scripts must not reach. postMessage is captured first for our own replies.
+const BLOCKED_GLOBALS = [
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource',
+  'importScripts', 'indexedDB', 'caches', 'BroadcastChannel',
+  'Worker', 'SharedWorker', 'postMessage', 'close'
+]
+
+const post = self.postMessage.bind(self)
+
+/**
+ * Shadow blocked globals on the worker scope and its prototype chain
+ */
+function lockGlobals(scope) {
+  BLOCKED_GLOBALS.forEach(name => {
+    let target = Object.getPrototypeOf(scope)
+    while (target) {
+      if (Object.prototype.hasOwnProperty.call(target, name)) {
+        try {
+          delete target[name]
+        } catch {
+          // Non-configurable on this prototype, shadowed below
+        }
+      }
+      target = Object.getPrototypeOf(target)
+    }
+
+    try {
+      Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false })
+    } catch {
+      // Already locked
+    }
+  })
+}
+
+/**
+ * Refuse to compile code from strings: eval, the Function constructors (also
+ * reachable as fn.constructor) and timers given a string
+ * The runner compiles scripts with the Function it took before this runs.
+ */
+function lockCodeFromStrings(scope) {
+  const refuse = () => {
+    throw new EvalError('Code from strings is not allowed in scripts')
+  }
+
+  const constructors = [
+    Function,
+    (async function () {}).constructor,
+    (function* () {}).constructor,
+    (async function* () {}).constructor
+  ]
+  constructors.forEach(Constructor => {
+    const locked = new Proxy(Constructor, { apply: refuse, construct: refuse })
+    Object.defineProperty(Constructor.prototype, 'constructor', { value: locked, writable: false, configurable: false })
+    if (Constructor === Function) {
+      Object.defineProperty(scope, 'Function', { value: locked, writable: false, configurable: false })
+    }
+  })
+  Object.defineProperty(scope, 'eval', { value: refuse, writable: false, configurable: false })
+
+  for (const name of ['setTimeout', 'setInterval']) {
+    const timer = scope[name]
+    Object.defineProperty(scope, name, {
+      value: (handler, ...args) => typeof handler === 'function' ? timer(handler, ...args) : refuse(),
+      writable: false,
+      configurable: false
+    })
+  }
+}
+
+/**
+ * Convert a ScriptResult into plain, cloneable data
+ * Script values (e.g. pm.environment.set with an object) may not be cloneable
+ */
+function serializeResult(result) {
+  return JSON.parse(JSON.stringify({
+    tests: result.tests,
+    consoleLogs: result.consoleLogs,
+    environmentChanges: result.environmentChanges,
+    request: result.request,
+    phase: result.phase,
+    error: result.error,
+    duration: result.duration
+  }))
+}
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+
+// pm.sendRequest() calls waiting for the host
+const pendingRequests = new Map()
+let nextRequestId = 1
+
+function sendRequestViaHost(request) {
+  const id = nextRequestId++
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject })
+    post({ type: 'sendRequest', id, request })
+  })
+}
+
+function handleSendRequestResult({ id, response, error }) {
+  const pending = pendingRequests.get(id)
+  if (!pending) return
+  pendingRequests.delete(id)
+  if (error) {
+    pending.reject(new Error(error))
+  } else {
+    pending.resolve(response)
+  }
+}
+
+self.addEventListener('message', async (event) => {
+  const { type, options } = event.data || {}
+  if (type === 'sendRequestResult') {
+    handleSendRequestResult(event.data)
+    return
+  }
+  if (type !== 'run') return
+
+  const environmentStore = new SnapshotEnvironmentStore(options.environment)
+  const variables = { ...(options.variables || {}) }
+
+  const runner = new PostmanScriptRunner({
+    environmentStore,
+    logger: silentLogger,
+    outputLimit: options.outputLimit,
+    timeout: options.timeout,
+    sendRequest: sendRequestViaHost,
+    scopes: options.scopes
+  })
+
+  const result = await runner.executeChain({
+    scripts: options.scripts,
+    phase: options.phase,
+    response: options.response,
+    request: options.request,
+    requestName: options.requestName,
+    variables,
+    info: options.info
+  })
+
+  post({
+    type: 'result',
+    result: serializeResult(result),
+    variables
+  })
+})
+
+lockGlobals(self)
+lockCodeFromStrings(self)
@@ -169,6 +169,37 @@ if (pm.response.code === 200) {
 });`
   },
 
+  // ============================================
+  // Requests
+  // ============================================
+  {
+    name: 'Fetch token before request',
+    category: 'Requests',
+    description: 'Request a token with pm.sendRequest and store it (pre-request)',
+    code: `// Fetch an access token before the request is sent
+pm.sendRequest({
+    url: "{{auth_url}}/token",
+    method: "POST",
+    header: { "Content-Type": "application/json" },
+    body: { mode: "raw", raw: JSON.stringify({ client_id: "{{client_id}}" }) }
+}, function (err, res) {
+    if (err) {
+        console.error(err.message);
+        return;
+    }
+    pm.environment.set("access_token", res.json().access_token);
+});`
+  },
+  {
+    name: 'Await a request',
+    category: 'Requests',
+    description: 'Send a request with await and test its response',
+    code: `const res = await pm.sendRequest("{{base_url}}/health");
+pm.test("Health check is up", function () {
+    pm.expect(res.code).to.equal(200);
+});`
+  },
+
   // ============================================
   // Schema Validation
   // ============================================
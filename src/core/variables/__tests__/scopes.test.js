@@ -0,0 +1,60 @@
+/**
+ * Variable Scopes Tests
+ *
+ * Tests Postman scope precedence: local > data > environment > collection > global,
+ * with dynamic variables as the fallback.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { toVariableMap, resolveScopedVariable, interpolateScoped, listScopedVariables } from '../scopes.js'
+
+const scopes = {
+  local: { id: 'local-id' },
+  data: { id: 'data-id', row: '3' },
+  environment: { id: 'env-id', baseUrl: 'https://env.example.com' },
+  collection: { baseUrl: 'https://collection.example.com', version: 'v1' },
+  global: { version: 'v0', apiKey: 'global-key' }
+}
+
+describe('variable scopes', () => {
+
+  it('should resolve the narrowest scope first and report it', () => {
+    expect(resolveScopedVariable('id', scopes)).toEqual({ value: 'local-id', scope: 'local' })
+    expect(resolveScopedVariable('baseUrl', scopes)).toEqual({ value: 'https://env.example.com', scope: 'environment' })
+    expect(resolveScopedVariable('version', scopes)).toEqual({ value: 'v1', scope: 'collection' })
+    expect(resolveScopedVariable('apiKey', scopes)).toEqual({ value: 'global-key', scope: 'global' })
+    expect(resolveScopedVariable('missing', scopes)).toBeNull()
+  })
+
+  it('should interpolate across scopes and keep unresolved variables', () => {
+    expect(interpolateScoped('{{baseUrl}}/{{version}}/items/{{ id }}?k={{apiKey}}&x={{missing}}', scopes))
+      .toBe('https://env.example.com/v1/items/local-id?k=global-key&x={{missing}}')
+  })
+
+  it('should generate fresh dynamic values unless a scope defines the name', () => {
+    const text = interpolateScoped('{{$guid}} {{$guid}} {{$timestamp}} {{$unknown}}', {})
+    const [first, second, timestamp, unknown] = text.split(' ')
+
+    expect(first).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+    expect(second).not.toBe(first)
+    expect(Number(timestamp)).toBeGreaterThan(1600000000)
+    expect(unknown).toBe('{{$unknown}}')
+    expect(resolveScopedVariable('$randomEmail', {}).scope).toBe('dynamic')
+    expect(resolveScopedVariable('$guid', { local: { $guid: 'fixed' } })).toEqual({ value: 'fixed', scope: 'local' })
+  })
+
+  it('should skip disabled variables when building maps', () => {
+    expect(toVariableMap([
+      { key: 'a', value: '1', enabled: true },
+      { key: 'b', value: '2', enabled: false },
+      { key: 'c', value: '3', disabled: true },
+      { key: 'd', value: '' }
+    ])).toEqual({ a: '1', d: '' })
+  })
+
+  it('should list one entry per key with the winning scope', () => {
+    const listed = listScopedVariables(scopes)
+    expect(listed.find(v => v.key === 'version')).toEqual({ key: 'version', value: 'v1', scope: 'collection' })
+    expect(listed.filter(v => v.key === 'id')).toHaveLength(1)
+  })
+})
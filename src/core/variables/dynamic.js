@@ -0,0 +1,100 @@
+/**
+ * Dynamic Variables
+ *
+ * Postman's built-in {{$name}} variables. Each occurrence generates a fresh
+ * value when a request is interpolated, so two {{$guid}} in one request get
+ * different UUIDs. Only scope variables with the same name take precedence.
+ */
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken', 'Katherine', 'Tim', 'Frances', 'Guido']
+const LAST_NAMES = ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson', 'Johnson', 'Berners-Lee', 'Allen', 'van Rossum']
+const STREET_NAMES = ['Main', 'Oak', 'Pine', 'Maple', 'Cedar', 'Elm', 'Lake', 'Hill', 'Park', 'River']
+const STREET_SUFFIXES = ['Street', 'Avenue', 'Road', 'Lane', 'Boulevard', 'Drive']
+const CITIES = ['Springfield', 'Riverton', 'Fairview', 'Greenville', 'Madison', 'Georgetown', 'Franklin', 'Clinton']
+const COUNTRIES = [['United States', 'US'], ['Canada', 'CA'], ['Germany', 'DE'], ['France', 'FR'], ['Japan', 'JP'], ['Brazil', 'BR'], ['Australia', 'AU'], ['India', 'IN']]
+const COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'indigo', 'violet', 'teal', 'cyan', 'magenta', 'black', 'white']
+const WORDS = ['alpha', 'bravo', 'delta', 'echo', 'kilo', 'lima', 'nova', 'orbit', 'pixel', 'quartz', 'sierra', 'vector']
+const COMPANY_SUFFIXES = ['Inc', 'LLC', 'Group', 'Labs', 'Systems', 'Partners']
+const JOB_TITLES = ['Software Engineer', 'Product Manager', 'Data Analyst', 'Designer', 'Support Specialist', 'QA Engineer']
+const DOMAINS = ['example.com', 'example.org', 'example.net']
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyz0123456789'
+
+const randomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min
+const pick = (list) => list[randomInt(0, list.length - 1)]
+const hex = (length) => Array.from({ length }, () => randomInt(0, 15).toString(16)).join('')
+
+function uuid() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID()
+  }
+  // RFC 4122 version 4 layout
+  return `${hex(8)}-${hex(4)}-4${hex(3)}-${pick(['8', '9', 'a', 'b'])}${hex(3)}-${hex(12)}`
+}
+
+function userName() {
+  return `${pick(FIRST_NAMES)}.${pick(LAST_NAMES)}${randomInt(1, 99)}`.toLowerCase().replace(/[^a-z0-9.]/g, '')
+}
+
+/**
+ * Built-in dynamic variables keyed by name (including the leading $)
+ */
+export const DYNAMIC_VARIABLES = {
+  $guid: { description: 'A v4 UUID', generate: uuid },
+  $randomUUID: { description: 'A v4 UUID', generate: uuid },
+  $timestamp: { description: 'Current Unix timestamp in seconds', generate: () => String(Math.floor(Date.now() / 1000)) },
+  $isoTimestamp: { description: 'Current ISO 8601 timestamp (UTC)', generate: () => new Date().toISOString() },
+  $randomInt: { description: 'Random integer between 0 and 1000', generate: () => String(randomInt(0, 1000)) },
+  $randomBoolean: { description: 'Random true or false', generate: () => String(Math.random() < 0.5) },
+  $randomAlphaNumeric: { description: 'Random letter or digit', generate: () => pick(ALPHANUMERIC) },
+  $randomWord: { description: 'Random word', generate: () => pick(WORDS) },
+  $randomFirstName: { description: 'Random first name', generate: () => pick(FIRST_NAMES) },
+  $randomLastName: { description: 'Random last name', generate: () => pick(LAST_NAMES) },
+  $randomFullName: { description: 'Random first and last name', generate: () => `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}` },
+  $randomUserName: { description: 'Random username', generate: userName },
+  $randomEmail: { description: 'Random email address', generate: () => `${userName()}@${pick(DOMAINS)}` },
+  $randomPhoneNumber: { description: 'Random 10-digit phone number', generate: () => `${randomInt(200, 999)}-${randomInt(200, 999)}-${randomInt(1000, 9999)}` },
+  $randomStreetAddress: { description: 'Random street address', generate: () => `${randomInt(1, 9999)} ${pick(STREET_NAMES)} ${pick(STREET_SUFFIXES)}` },
+  $randomCity: { description: 'Random city name', generate: () => pick(CITIES) },
+  $randomCountry: { description: 'Random country', generate: () => pick(COUNTRIES)[0] },
+  $randomCountryCode: { description: 'Random two-letter country code', generate: () => pick(COUNTRIES)[1] },
+  $randomZipCode: { description: 'Random 5-digit ZIP code', generate: () => String(randomInt(10000, 99999)) },
+  $randomLatitude: { description: 'Random latitude', generate: () => (Math.random() * 180 - 90).toFixed(4) },
+  $randomLongitude: { description: 'Random longitude', generate: () => (Math.random() * 360 - 180).toFixed(4) },
+  $randomColor: { description: 'Random color name', generate: () => pick(COLORS) },
+  $randomHexColor: { description: 'Random hex color', generate: () => `#${hex(6)}` },
+  $randomCompanyName: { description: 'Random company name', generate: () => `${pick(LAST_NAMES)} ${pick(COMPANY_SUFFIXES)}` },
+  $randomJobTitle: { description: 'Random job title', generate: () => pick(JOB_TITLES) },
+  $randomIP: { description: 'Random IPv4 address', generate: () => Array.from({ length: 4 }, () => randomInt(0, 255)).join('.') },
+  $randomUrl: { description: 'Random URL', generate: () => `https://${pick(WORDS)}.${pick(DOMAINS)}` },
+  $randomPrice: { description: 'Random price between 0.00 and 1000.00', generate: () => (Math.random() * 1000).toFixed(2) }
+}
+
+/**
+ * Whether a variable name is a known dynamic variable
+ * @param {string} name - Variable name including the leading $
+ * @returns {boolean}
+ */
+export function isDynamicVariable(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(DYNAMIC_VARIABLES, name)
+}
+
+/**
+ * Generate a fresh value for a dynamic variable
+ * @param {string} name - Variable name including the leading $
+ * @returns {string|null} - null if the name is not a dynamic variable
+ */
+export function generateDynamicValue(name) {
+  return isDynamicVariable(name) ? DYNAMIC_VARIABLES[name].generate() : null
+}
+
+/**
+ * All dynamic variables with a sample value, for autocomplete
+ * @returns {Array<{ key: string, description: string, example: string }>}
+ */
+export function listDynamicVariables() {
+  return Object.entries(DYNAMIC_VARIABLES).map(([key, variable]) => ({
+    key,
+    description: variable.description,
+    example: variable.generate()
+  }))
+}
@@ -0,0 +1,113 @@
+/**
+ * Variable Scopes
+ *
+ * Postman resolves {{variables}} through a fixed hierarchy. The narrowest
+ * scope that defines a key wins:
+ *
+ *   local > data > environment > collection > global
+ *
+ * Names that no scope defines fall back to Postman's dynamic variables
+ * ({{$guid}}, {{$timestamp}}, ...), which generate a fresh value per use.
+ *
+ * These helpers are pure so the same rules apply in the UI, the request
+ * pipeline and the script worker.
+ */
+
+import { generateDynamicValue, isDynamicVariable } from './dynamic.js'
+
+/**
+ * Scope names, highest precedence first
+ */
+export const SCOPE_PRECEDENCE = ['local', 'data', 'environment', 'collection', 'global']
+
+/**
+ * Display labels for tooltips and change messages
+ */
+export const SCOPE_LABELS = {
+  local: 'Local',
+  data: 'Data',
+  environment: 'Environment',
+  collection: 'Collection',
+  global: 'Global',
+  dynamic: 'Dynamic'
+}
+
+const VARIABLE_PATTERN = /\{\{([^}]+)\}\}/g
+
+/**
+ * Convert a scope source into a plain key/value map
+ * Accepts an array of Postman variables ({ key, value, enabled | disabled })
+ * or an object that is already a map. Disabled variables are skipped.
+ * @param {Array|Object|null} source
+ * @returns {Object}
+ */
+export function toVariableMap(source) {
+  if (!source) return {}
+
+  if (Array.isArray(source)) {
+    const map = {}
+    source.forEach(variable => {
+      if (!variable?.key) return
+      if (variable.enabled === false || variable.disabled === true) return
+      map[variable.key] = variable.value
+    })
+    return map
+  }
+
+  return typeof source === 'object' ? { ...source } : {}
+}
+
+/**
+ * Find the value for a key using scope precedence
+ * Dynamic variables resolve last, with a newly generated value on every call.
+ * @param {string} key - Variable name
+ * @param {Object} scopes - { local, data, environment, collection, global } maps
+ * @returns {{ value: *, scope: string }|null} - scope is 'dynamic' for generated values
+ */
+export function resolveScopedVariable(key, scopes = {}) {
+  for (const scope of SCOPE_PRECEDENCE) {
+    const map = scopes[scope]
+    if (map && Object.prototype.hasOwnProperty.call(map, key) && map[key] !== undefined && map[key] !== null) {
+      return { value: map[key], scope }
+    }
+  }
+
+  if (isDynamicVariable(key)) {
+    return { value: generateDynamicValue(key), scope: 'dynamic' }
+  }
+  return null
+}
+
+/**
+ * Replace {{variables}} in text, leaving unresolved ones untouched
+ * @param {string} text
+ * @param {Object} scopes - Scope maps as for resolveScopedVariable()
+ * @returns {string}
+ */
+export function interpolateScoped(text, scopes = {}) {
+  if (!text || typeof text !== 'string') return text
+
+  return text.replace(VARIABLE_PATTERN, (match, key) => {
+    const resolved = resolveScopedVariable(key.trim(), scopes)
+    return resolved ? String(resolved.value) : match
+  })
+}
+
+/**
+ * Flatten all scopes into one list, one entry per key with the winning scope
+ * @param {Object} scopes - Scope maps as for resolveScopedVariable()
+ * @returns {Array<{ key: string, value: *, scope: string }>}
+ */
+export function listScopedVariables(scopes = {}) {
+  const seen = new Map()
+
+  SCOPE_PRECEDENCE.forEach(scope => {
+    Object.entries(scopes[scope] || {}).forEach(([key, value]) => {
+      if (!seen.has(key) && value !== undefined && value !== null) {
+        seen.set(key, { key, value, scope })
+      }
+    })
+  })
+
+  return Array.from(seen.values())
+}
@@ -3,8 +3,16 @@ import './style.css'
 import App from './App.vue'
 import { HttpClientFactory } from './core/http/HttpClient'
 import { FetchHttpClient } from './core/http/FetchHttpClient'
+import { RelayHttpClient } from './core/http/RelayHttpClient'
 import { initializeAnalytics } from './composables/useAnalytics.js'
+import requestExecutionService from './services/RequestExecutionService.js'
+import { useMockServers } from './stores/useMockServers.js'
+import oauth2Service from './services/OAuth2Service.js'
+import { useOAuth2Tokens } from './stores/useOAuth2Tokens.js'
 
 HttpClientFactory.register('fetch', FetchHttpClient)
+HttpClientFactory.register('relay', RelayHttpClient)
+requestExecutionService.setMockResolver((url) => useMockServers().findServer(url))
+oauth2Service.setTokenStore(useOAuth2Tokens())
 initializeAnalytics()
 createApp(App).mount('#app')
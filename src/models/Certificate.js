@@ -21,6 +21,7 @@ export class Certificate extends BaseModel {
     ca: { type: 'object', default: null },
     passphrase: { type: 'string', default: '' },
     pfx: { type: 'object', default: null },
+    fileNames: { type: 'object', default: () => ({}) },
     enabled: { type: 'boolean', default: true },
     verifyHost: { type: 'boolean', default: true },
     verifyExpiry: { type: 'boolean', default: true },
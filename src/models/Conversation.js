@@ -18,6 +18,8 @@ export const MESSAGE_TYPES = {
   SCRIPT_RESULTS: 'script_results',
   CONSOLE_LOG: 'console_log',
   ENV_CHANGE: 'env_change',
+  DATA_ROW: 'data_row',
+  DATA_SUMMARY: 'data_summary',
   AI_USER_QUERY: 'ai_user_query',
   AI_ASSISTANT_RESPONSE: 'ai_assistant_response'
 }
@@ -73,7 +75,8 @@ export function createResponseMessage(response) {
       time: response.time,
       size: response.size,
       error: response.error || null,
-      success: response.success !== false
+      success: response.success !== false,
+      cancelled: response.cancelled === true
     }
   })
 }
@@ -82,14 +85,16 @@ export function createResponseMessage(response) {
  * Create a validation error message
  * @param {Array} errors - Array of validation errors from cURL validator
  * @param {string} curlInput - The original cURL input that was validated
+ * @param {string} dialect - Shell the input was read as (a key of SHELL_DIALECTS)
  * @returns {object}
  */
-export function createValidationMessage(errors, curlInput = '') {
+export function createValidationMessage(errors, curlInput = '', dialect = 'posix') {
   return createConversationMessage({
     type: MESSAGE_TYPES.VALIDATION,
     data: {
       errors,
       curlInput,
+      dialect,
       errorCount: errors.filter(e => e.type === 'error').length,
       warningCount: errors.filter(e => e.type === 'warning').length
     }
@@ -107,7 +112,8 @@ export function createScriptResultsMessage(scriptResult) {
     data: {
       tests: scriptResult.tests || [],
       duration: scriptResult.duration || 0,
-      error: scriptResult.error || null
+      error: scriptResult.error || null,
+      phase: scriptResult.phase || 'test'
     }
   })
 }
@@ -115,13 +121,15 @@ export function createScriptResultsMessage(scriptResult) {
 /**
  * Create a console log message
  * @param {Array} logs - Array of console log entries { type, args, timestamp }
+ * @param {string} phase - Script phase that produced the logs ('prerequest' or 'test')
  * @returns {object}
  */
-export function createConsoleLogMessage(logs) {
+export function createConsoleLogMessage(logs, phase = 'test') {
   return createConversationMessage({
     type: MESSAGE_TYPES.CONSOLE_LOG,
     data: {
-      logs
+      logs,
+      phase
     }
   })
 }
@@ -144,6 +152,40 @@ export function createEnvChangeMessage(changes, environmentName = '', hasActiveE
   })
 }
 
+/**
+ * Create a data row message, which starts the group of messages for one data file row
+ * @param {number} index - Zero-based row index
+ * @param {number} total - Number of rows in the data file
+ * @param {object} row - The row's column values
+ * @returns {object}
+ */
+export function createDataRowMessage(index, total, row) {
+  return createConversationMessage({
+    type: MESSAGE_TYPES.DATA_ROW,
+    data: {
+      index,
+      total,
+      row
+    }
+  })
+}
+
+/**
+ * Create a data-driven send summary message
+ * @param {object} summary - { fileName, rows: [{ index, status, passed, failed, error }], cancelled }
+ * @returns {object}
+ */
+export function createDataSummaryMessage(summary) {
+  return createConversationMessage({
+    type: MESSAGE_TYPES.DATA_SUMMARY,
+    data: {
+      fileName: summary.fileName || '',
+      rows: summary.rows || [],
+      cancelled: !!summary.cancelled
+    }
+  })
+}
+
 /**
  * Create an AI user query message
  * @param {string} query - The user's natural language query
@@ -270,6 +312,8 @@ export default {
   createScriptResultsMessage,
   createConsoleLogMessage,
   createEnvChangeMessage,
+  createDataRowMessage,
+  createDataSummaryMessage,
   createAiUserMessage,
   createAiAssistantMessage,
   addMessageToConversation,
@@ -3,6 +3,13 @@ import { Proxy } from './Proxy.js'
 import { Certificate } from './Certificate.js'
 import { AiSettings } from './AiSettings.js'
 
+/**
+ * HTTP client implementations selectable in settings
+ * - fetch: browser Fetch API (no proxy/certificate support)
+ * - relay: local Node relay (npm run relay)
+ */
+export const HTTP_CLIENT_TYPES = ['fetch', 'relay']
+
 /**
  * Request settings configuration
  */
@@ -14,7 +21,10 @@ export class RequestSettings extends BaseModel {
     validateSSL: { type: 'boolean', default: true },
     encoding: { type: 'string', enum: ['auto', 'utf8', 'ascii', 'base64'], default: 'auto' },
     keepAlive: { type: 'boolean', default: true },
-    cookieJar: { type: 'boolean', default: true }
+    cookieJar: { type: 'boolean', default: true },
+    httpClient: { type: 'string', enum: HTTP_CLIENT_TYPES, default: 'fetch' },
+    relayUrl: { type: 'string', default: 'http://localhost:9997' },
+    scriptTimeout: { type: 'number', default: 5000, validator: (v) => v >= 100 && v <= 300000 }   // ms per script phase
   }
 }
 
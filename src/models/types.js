@@ -133,6 +133,21 @@ export function createRequestBody(mode = 'none') {
   return body
 }
 
+/**
+ * Auth settings as the request editors use them: the bearer, basic and API
+ * key fields are always present, other types' settings (e.g. oauth2) are kept.
+ * Requests without auth inherit it from their folder or collection, as in Postman.
+ */
+export function createAuthState(auth = null) {
+  return {
+    ...(auth || {}),
+    type: auth?.type || 'inherit',
+    bearer: auth?.bearer || { token: '' },
+    basic: auth?.basic || { username: '', password: '' },
+    apikey: auth?.apikey || { key: 'X-API-Key', value: '', in: 'header' }
+  }
+}
+
 /**
  * HTTP Request structure compatible with Postman
  */
@@ -171,6 +186,28 @@ export function createItem({
   }
 }
 
+/**
+ * Saved response (example) of a request, as in Postman's item.response[]
+ */
+export function createExample({
+  name = 'Example',
+  originalRequest = null,
+  code = 200,
+  status = '',
+  header = [],
+  body = ''
+} = {}) {
+  return {
+    id: generateId(),
+    name,
+    originalRequest,
+    code,
+    status,
+    header,
+    body
+  }
+}
+
 /**
  * Collection information
  */
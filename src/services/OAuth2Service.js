@@ -0,0 +1,359 @@
+/**
+ * OAuth 2.0 Service
+ *
+ * Gets, stores and refreshes OAuth 2.0 access tokens for requests using
+ * oauth2 auth. Tokens are kept per collection in a token store and shared by
+ * every request with the same token endpoint, client and scope.
+ *
+ * Before each send, authorizeRequest() puts a valid token on the request:
+ * an expiring token is refreshed with its refresh token, and client
+ * credentials and password grants fetch a new one on their own. The
+ * authorization code flows need the user to sign in, in a popup (or, when
+ * popups are blocked, by redirecting the whole page) that comes back to
+ * public/oauth2/callback.html.
+ */
+
+import requestExecutionService from './RequestExecutionService.js'
+import {
+  GRANT_TYPES,
+  INTERACTIVE_GRANTS,
+  resolveOAuth2Config,
+  getTokenKey,
+  generateRandomString,
+  createCodeChallenge,
+  buildAuthorizationUrl,
+  parseCallbackUrl,
+  buildTokenRequest,
+  parseTokenResponse,
+  isTokenExpired
+} from '../core/auth/oauth2.js'
+import { createLogger } from '../core/logger.js'
+
+// sessionStorage keys for the redirect flow
+const PENDING_KEY = 'toastman_oauth2_pending'
+const CALLBACK_KEY = 'toastman_oauth2_callback'
+
+// Message the callback page posts to the window that opened it
+export const CALLBACK_MESSAGE = 'toastman-oauth2-callback'
+
+// Interactive grants need the user to sign in before sending
+const NO_TOKEN_MESSAGE = 'No access token. Use "Get New Access Token" in the Auth tab.'
+
+/**
+ * Token store kept in memory (headless runs)
+ * @returns {Object} - { getToken, saveToken, deleteToken }
+ */
+export function createMemoryTokenStore() {
+  const tokens = new Map()
+  const id = (collectionId, key) => `${collectionId || ''}\n${key}`
+
+  return {
+    getToken: (collectionId, key) => tokens.get(id(collectionId, key)) || null,
+    saveToken: (collectionId, key, token) => {
+      tokens.set(id(collectionId, key), token)
+    },
+    deleteToken: (collectionId, key) => {
+      tokens.delete(id(collectionId, key))
+    }
+  }
+}
+
+/**
+ * Redirect URI of the app's callback page
+ */
+export function getDefaultRedirectUri() {
+  return typeof window === 'undefined' ? '' : `${window.location.origin}/oauth2/callback.html`
+}
+
+export class OAuth2Service {
+  /**
+   * @param {Object} options
+   * @param {Object} options.requestExecutor - { send(config) }, sends token endpoint requests
+   * @param {Object} options.tokenStore - { getToken, saveToken, deleteToken }
+   */
+  constructor({ requestExecutor = requestExecutionService, tokenStore = createMemoryTokenStore() } = {}) {
+    this.requestExecutor = requestExecutor
+    this.tokenStore = tokenStore
+    this.logger = createLogger('OAuth2Service')
+
+    // Token requests in flight, so concurrent sends (runner, load tests) share one
+    this.inFlight = new Map()
+  }
+
+  /**
+   * Keep tokens somewhere else (the app persists them per collection)
+   */
+  setTokenStore(tokenStore) {
+    this.tokenStore = tokenStore
+  }
+
+  /**
+   * Stored token for a request's settings
+   * @param {string} collectionId - Collection the request belongs to
+   * @param {Object} config - Resolved settings
+   */
+  getToken(collectionId, config) {
+    return this.tokenStore.getToken(collectionId, getTokenKey(config))
+  }
+
+  saveToken(collectionId, config, token) {
+    const stored = { ...token, name: config.tokenName || 'Token', grantType: config.grant_type }
+    this.tokenStore.saveToken(collectionId, getTokenKey(config), stored)
+    return stored
+  }
+
+  deleteToken(collectionId, config) {
+    this.tokenStore.deleteToken(collectionId, getTokenKey(config))
+  }
+
+  /**
+   * Call the token endpoint
+   * @param {Object} config - Resolved settings
+   * @param {Object} grant - See buildTokenRequest()
+   * @returns {Promise<Object>} - Token
+   */
+  async requestToken(config, grant) {
+    if (!config.accessTokenUrl) {
+      throw new Error('Access Token URL is required')
+    }
+
+    const response = await this.requestExecutor.send(buildTokenRequest(config, grant))
+    if (!response.status) {
+      throw new Error(response.error || 'Token request failed')
+    }
+
+    try {
+      return parseTokenResponse(response.body)
+    } catch (error) {
+      throw new Error(response.status >= 400 && error.message === 'Token response has no access_token'
+        ? `Token request failed with ${response.status} ${response.statusText || ''}`.trim()
+        : error.message)
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token
+   * Providers may leave the refresh token out of the answer; the old one is kept then.
+   */
+  async refreshToken(collectionId, config, token) {
+    const refreshed = await this.requestToken(config, { type: 'refresh_token', refreshToken: token.refreshToken })
+    this.logger.info('Refreshed OAuth 2.0 token:', config.tokenName || config.accessTokenUrl)
+    return this.saveToken(collectionId, config, {
+      ...refreshed,
+      refreshToken: refreshed.refreshToken || token.refreshToken
+    })
+  }
+
+  /**
+   * Get a new token with the configured grant
+   * @param {Object} settings - oauth2 auth block (unresolved)
+   * @param {Object} options - { collectionId, interpolate }
+   * @returns {Promise<Object|null>} - Token, or null when the page is redirecting to sign in
+   */
+  async getNewToken(settings, { collectionId = null, interpolate = (text) => text } = {}) {
+    const config = resolveOAuth2Config(settings, interpolate)
+    let token
+
+    switch (config.grant_type) {
+      case GRANT_TYPES.CLIENT_CREDENTIALS:
+        token = await this.requestToken(config, { type: 'client_credentials' })
+        break
+      case GRANT_TYPES.PASSWORD:
+        token = await this.requestToken(config, { type: 'password' })
+        break
+      default: {
+        const result = await this.authorizeInBrowser(config, collectionId)
+        if (!result) return null
+        // The code exchange repeats the redirect URI the code was issued for
+        token = await this.completeAuthorization({ ...config, redirect_uri: result.redirectUri }, result)
+      }
+    }
+
+    this.logger.info('Got new OAuth 2.0 token:', config.tokenName || getTokenKey(config))
+    return this.saveToken(collectionId, config, token)
+  }
+
+  /**
+   * Turn an authorization callback into a token
+   * @param {Object} config - Resolved settings
+   * @param {Object} result - From parseCallbackUrl(), with the codeVerifier used
+   */
+  async completeAuthorization(config, result) {
+    if (result.error) {
+      throw new Error(result.errorDescription ? `${result.error}: ${result.errorDescription}` : result.error)
+    }
+    if (config.grant_type === GRANT_TYPES.IMPLICIT) {
+      if (!result.token) throw new Error('Authorization response has no access_token')
+      return result.token
+    }
+    if (!result.code) {
+      throw new Error('Authorization response has no code')
+    }
+    return this.requestToken(config, {
+      type: 'authorization_code',
+      code: result.code,
+      codeVerifier: result.codeVerifier
+    })
+  }
+
+  /**
+   * Let the user sign in at the authorization URL
+   * Opens a popup and waits for it to reach the redirect URI. When the popup
+   * is blocked, the page itself goes to the authorization URL and
+   * completePendingAuthorization() finishes after it comes back.
+   * @returns {Promise<Object|null>} - Callback result with codeVerifier and redirectUri, or null when redirecting
+   */
+  async authorizeInBrowser(config, collectionId) {
+    if (!config.authUrl) {
+      throw new Error('Auth URL is required')
+    }
+
+    const redirectConfig = { ...config, redirect_uri: config.redirect_uri || getDefaultRedirectUri() }
+    const state = config.state || generateRandomString(16)
+    const codeVerifier = config.grant_type === GRANT_TYPES.AUTHORIZATION_CODE_PKCE
+      ? (config.code_verifier || generateRandomString())
+      : null
+    const codeChallenge = codeVerifier ? await createCodeChallenge(codeVerifier, config.challengeAlgorithm) : null
+    const url = buildAuthorizationUrl(redirectConfig, { state, codeChallenge })
+
+    const popup = window.open(url, 'toastman-oauth2', 'width=520,height=680')
+    if (!popup) {
+      this.logger.info('Popup blocked, redirecting to sign in')
+      sessionStorage.setItem(PENDING_KEY, JSON.stringify({ collectionId, config: redirectConfig, state, codeVerifier }))
+      window.location.assign(url)
+      return null
+    }
+
+    const result = parseCallbackUrl(await this.waitForCallback(popup, redirectConfig.redirect_uri))
+    if (!result.error && result.state !== state) {
+      throw new Error('Authorization response state does not match')
+    }
+    return { ...result, codeVerifier, redirectUri: redirectConfig.redirect_uri }
+  }
+
+  /**
+   * Wait for a sign-in popup to come back
+   * The app's callback page posts its URL; any other same-origin redirect URI is read from the popup.
+   * @returns {Promise<string>} - Callback URL
+   */
+  waitForCallback(popup, redirectUri) {
+    return new Promise((resolve, reject) => {
+      const finish = (error, url) => {
+        clearInterval(timer)
+        window.removeEventListener('message', onMessage)
+        if (!popup.closed) popup.close()
+        error ? reject(error) : resolve(url)
+      }
+
+      const onMessage = (event) => {
+        if (event.origin === window.location.origin && event.data?.type === CALLBACK_MESSAGE) {
+          finish(null, event.data.url)
+        }
+      }
+
+      const timer = setInterval(() => {
+        if (popup.closed) {
+          finish(new Error('Sign-in window was closed'))
+          return
+        }
+        try {
+          // Throws while the popup is on another origin
+          const href = popup.location.href
+          if (redirectUri && href.startsWith(redirectUri)) finish(null, href)
+        } catch {
+          // Not back yet
+        }
+      }, 250)
+
+      window.addEventListener('message', onMessage)
+    })
+  }
+
+  /**
+   * Finish a sign-in that redirected the page (popup blocked)
+   * Call once at startup.
+   * @returns {Promise<Object|null>} - Token, or null when no sign-in was pending
+   */
+  async completePendingAuthorization() {
+    if (typeof sessionStorage === 'undefined') return null
+
+    const pending = sessionStorage.getItem(PENDING_KEY)
+    const callbackUrl = sessionStorage.getItem(CALLBACK_KEY)
+    if (!pending || !callbackUrl) return null
+    sessionStorage.removeItem(PENDING_KEY)
+    sessionStorage.removeItem(CALLBACK_KEY)
+
+    const { collectionId, config, state, codeVerifier } = JSON.parse(pending)
+    const result = parseCallbackUrl(callbackUrl)
+    if (!result.error && result.state !== state) {
+      throw new Error('Authorization response state does not match')
+    }
+
+    const token = await this.completeAuthorization(config, { ...result, codeVerifier })
+    this.logger.info('Completed OAuth 2.0 sign-in after redirect')
+    return this.saveToken(collectionId, config, token)
+  }
+
+  /**
+   * Run a token request once for concurrent callers with the same key
+   */
+  shared(key, run) {
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(key, run().finally(() => this.inFlight.delete(key)))
+    }
+    return this.inFlight.get(key)
+  }
+
+  /**
+   * Put a valid access token on a request using oauth2 auth
+   * Expiring tokens are refreshed; client credentials and password grants
+   * fetch a token when there is none, interactive grants throw when the token
+   * expired and could not be refreshed. The token Postman stores in the auth
+   * block (accessToken) is the fallback.
+   * @param {Object} request - Postman request
+   * @param {Object} options - { collectionId, interpolate }
+   * @returns {Promise<Object>} - The request, with auth.oauth2.accessToken set
+   * @throws {Error} - When no token could be obtained
+   */
+  async authorizeRequest(request, { collectionId = null, interpolate = (text) => text } = {}) {
+    if (request?.auth?.type !== 'oauth2' || !request.auth.oauth2) return request
+
+    const config = resolveOAuth2Config(request.auth.oauth2, interpolate)
+    const interactive = INTERACTIVE_GRANTS.includes(config.grant_type)
+    const key = `${collectionId || ''}\n${getTokenKey(config)}`
+    let token = this.getToken(collectionId, config)
+
+    if (token && isTokenExpired(token)) {
+      const expired = token
+      token = null
+      if (expired.refreshToken) {
+        try {
+          token = await this.shared(key, () => this.refreshToken(collectionId, config, expired))
+        } catch (error) {
+          this.logger.warn('Token refresh failed:', error.message)
+        }
+      }
+      // Sending the expired token would only get a 401
+      if (!token && interactive) throw new Error(NO_TOKEN_MESSAGE)
+    }
+
+    if (!token && !interactive && config.accessTokenUrl) {
+      token = await this.shared(key, () => this.getNewToken(request.auth.oauth2, { collectionId, interpolate }))
+    }
+
+    const accessToken = token?.accessToken || config.accessToken
+    if (!accessToken) {
+      throw new Error(NO_TOKEN_MESSAGE)
+    }
+
+    return {
+      ...request,
+      auth: {
+        ...request.auth,
+        oauth2: { ...request.auth.oauth2, accessToken, tokenType: token?.tokenType || config.tokenType }
+      }
+    }
+  }
+}
+
+export default new OAuth2Service()
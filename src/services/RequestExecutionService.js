@@ -0,0 +1,254 @@
+/**
+ * Request Execution Service
+ *
+ * Single send path shared by every controller that executes HTTP requests.
+ * Reads the persisted RequestSettings on each send, applies per-request
+ * overrides from Postman's protocolProfileBehavior and configures a fresh
+ * client from HttpClientFactory. Requests to the base URL of an enabled
+ * mock server are answered from saved examples instead.
+ */
+
+import { HttpClientFactory } from '../core/http/HttpClient.js'
+import { loadSettings } from '../utils/settingsUtils.js'
+import { createLogger } from '../core/logger.js'
+import { createAwsV4Config } from '../core/auth/awsv4.js'
+import { createHawkConfig } from '../core/auth/hawk.js'
+import { createDigestConfig } from '../core/auth/digest.js'
+import { createNtlmConfig } from '../core/auth/ntlm.js'
+
+const logger = createLogger('RequestExecutionService')
+
+// Auth the HTTP client completes per send: signatures over the final
+// request (AWS, Hawk) and challenge-response handshakes (Digest, NTLM)
+const CLIENT_AUTH_TYPES = {
+  awsv4: createAwsV4Config,
+  hawk: createHawkConfig,
+  digest: createDigestConfig,
+  ntlm: createNtlmConfig
+}
+
+/**
+ * Map Postman protocolProfileBehavior keys to HttpClient options
+ * @param {Object} protocolProfileBehavior - Request/item protocolProfileBehavior
+ * @returns {Object} - Client option overrides (only keys that are set)
+ */
+export function protocolProfileToOptions(protocolProfileBehavior = {}) {
+  const behavior = protocolProfileBehavior || {}
+  const overrides = {}
+
+  if (typeof behavior.followRedirects === 'boolean') {
+    overrides.followRedirects = behavior.followRedirects
+  }
+  if (typeof behavior.maxRedirects === 'number' && behavior.maxRedirects >= 0) {
+    overrides.maxRedirects = behavior.maxRedirects
+  }
+  if (typeof behavior.strictSSL === 'boolean') {
+    overrides.validateSSL = behavior.strictSSL
+  }
+  if (typeof behavior.disableKeepAlive === 'boolean') {
+    overrides.keepAlive = !behavior.disableKeepAlive
+  }
+  // Not part of Postman's schema, used for per-request timeouts (e.g. curl --max-time)
+  if (typeof behavior.timeout === 'number' && behavior.timeout > 0) {
+    overrides.timeout = behavior.timeout
+  }
+
+  return overrides
+}
+
+/**
+ * Find the auth a request inherits: the nearest folder's, else the collection's
+ * Folders without auth (or set to inherit) pass their parent's on, as in Postman.
+ * @param {Object} context - { collection, folders } with ancestor folders outermost first
+ * @returns {Object|null} - { auth, level: 'folder'|'collection', name }, or null when no parent sets auth
+ */
+export function findInheritedAuth({ collection = null, folders = [] } = {}) {
+  const setsAuth = (auth) => !!auth?.type && auth.type !== 'inherit'
+
+  const folder = [...folders].reverse().find(f => setsAuth(f.auth))
+  if (folder) {
+    return { auth: folder.auth, level: 'folder', name: folder.name }
+  }
+  if (setsAuth(collection?.auth)) {
+    return { auth: collection.auth, level: 'collection', name: collection.info?.name || collection.name || '' }
+  }
+  return null
+}
+
+/**
+ * Replace inherited auth with the auth it resolves to
+ * Requests without auth inherit too, as in Postman.
+ * @param {Object} request - Postman request
+ * @param {Object} context - { collection, folders } for findInheritedAuth()
+ * @returns {Object} - The request, or a copy with the effective auth
+ */
+export function resolveRequestAuth(request, context = {}) {
+  if (request?.auth?.type && request.auth.type !== 'inherit') return request
+
+  const inherited = findInheritedAuth(context)
+  return { ...request, auth: inherited ? inherited.auth : null }
+}
+
+/**
+ * Build an HttpClient.send config from a Postman request
+ * Interpolates {{variables}} in the URL, params, headers and body, and adds
+ * bearer, basic, API key (header) and OAuth 2.0 auth. OAuth 2.0 uses the
+ * access token OAuth2Service.authorizeRequest() put on the request. AWS
+ * Signature, Hawk, Digest and NTLM settings are passed on under their type
+ * (e.g. awsv4) for the HTTP client to complete.
+ * @param {Object} request - Postman request ({ method, url, header, body, auth })
+ * @param {Function} interpolate - Resolves {{variables}} in a string
+ * @returns {Object} - { method, url, params, headers, body, bodyType, [awsv4|hawk|digest|ntlm] }
+ */
+export function buildSendConfig(request, interpolate = (text) => text) {
+  const url = interpolate(request.url?.raw || '')
+  const headers = (request.header || []).map(h => ({
+    ...h,
+    key: interpolate(h.key || ''),
+    value: interpolate(h.value || '')
+  }))
+
+  // Add auth headers based on request.auth configuration
+  if (request.auth?.type && request.auth.type !== 'none') {
+    const authType = request.auth.type
+
+    if (authType === 'bearer' && request.auth.bearer?.token) {
+      const token = interpolate(request.auth.bearer.token)
+      if (token) {
+        headers.push({
+          key: 'Authorization',
+          value: `Bearer ${token}`,
+          enabled: true
+        })
+      }
+    } else if (authType === 'basic' && request.auth.basic) {
+      const username = interpolate(request.auth.basic.username || '')
+      const password = interpolate(request.auth.basic.password || '')
+      if (username || password) {
+        const credentials = btoa(`${username}:${password}`)
+        headers.push({
+          key: 'Authorization',
+          value: `Basic ${credentials}`,
+          enabled: true
+        })
+      }
+    } else if (authType === 'apikey' && request.auth.apikey) {
+      const apiKey = request.auth.apikey
+      const keyName = interpolate(apiKey.key || 'X-API-Key')
+      const keyValue = interpolate(apiKey.value || '')
+      if (keyValue && apiKey.in === 'header') {
+        headers.push({
+          key: keyName,
+          value: keyValue,
+          enabled: true
+        })
+      }
+    }
+  }
+
+  // Interpolate query parameters
+  const params = (request.url?.query || []).map(p => ({
+    ...p,
+    key: interpolate(p.key || ''),
+    value: interpolate(p.value || '')
+  }))
+
+  // OAuth 2.0 token goes in the Authorization header or the access_token query parameter
+  const oauth2 = request.auth?.type === 'oauth2' ? request.auth.oauth2 : null
+  if (oauth2?.accessToken) {
+    if (oauth2.addTokenTo === 'queryParams') {
+      params.push({ key: 'access_token', value: oauth2.accessToken, enabled: true })
+    } else {
+      const prefix = interpolate(oauth2.headerPrefix ?? 'Bearer')
+      headers.push({
+        key: 'Authorization',
+        value: prefix ? `${prefix} ${oauth2.accessToken}` : oauth2.accessToken,
+        enabled: true
+      })
+    }
+  }
+
+  let body = null
+  if (request.body?.mode === 'raw') {
+    body = interpolate(request.body.raw)
+  } else if (request.body?.mode === 'formdata') {
+    body = (request.body.formdata || []).map(item => ({
+      ...item,
+      key: interpolate(item.key || ''),
+      value: interpolate(item.value || '')
+    }))
+  } else if (request.body?.mode === 'urlencoded') {
+    body = (request.body.urlencoded || []).map(item => ({
+      ...item,
+      key: interpolate(item.key || ''),
+      value: interpolate(item.value || '')
+    }))
+  }
+
+  const config = {
+    method: request.method,
+    url,
+    params,
+    headers,
+    body,
+    bodyType: request.body?.mode
+  }
+
+  const clientAuthType = request.auth?.type
+  if (CLIENT_AUTH_TYPES[clientAuthType] && request.auth[clientAuthType]) {
+    const settings = CLIENT_AUTH_TYPES[clientAuthType](request.auth[clientAuthType])
+    config[clientAuthType] = Object.fromEntries(Object.entries(settings).map(([key, value]) =>
+      [key, typeof value === 'string' ? interpolate(value) : value]))
+  }
+
+  return config
+}
+
+export class RequestExecutionService {
+  constructor() {
+    // Returns the MockServer for a URL, or null to send it over the network
+    this.mockResolver = () => null
+  }
+
+  /**
+   * Answer requests to mock base URLs in-process
+   * @param {Function} resolver - (url) => MockServer|null
+   */
+  setMockResolver(resolver) {
+    this.mockResolver = resolver || (() => null)
+  }
+
+  /**
+   * Create a client for a single send
+   * @param {Object} protocolProfileBehavior - Per-request overrides
+   * @returns {HttpClient} - Configured client
+   */
+  createClient(protocolProfileBehavior = {}) {
+    return HttpClientFactory.createFromSettings(
+      loadSettings(),
+      protocolProfileToOptions(protocolProfileBehavior)
+    )
+  }
+
+  /**
+   * Send a request with the configured client
+   * @param {Object} config - HttpClient.send configuration (method, url, params, headers, body, bodyType, signal)
+   * @param {Object} options
+   * @param {Object} options.protocolProfileBehavior - Per-request overrides
+   * @returns {Promise<HttpResponse>} - Response object
+   */
+  async send(config, { protocolProfileBehavior = {} } = {}) {
+    const client = this.createClient(protocolProfileBehavior)
+
+    const mockServer = this.mockResolver(config.url)
+    if (mockServer) {
+      logger.debug('Answering request from mock server:', mockServer.name)
+      return mockServer.send(config, client)
+    }
+
+    logger.debug('Executing request with options:', client.options)
+    return client.send(config)
+  }
+}
+
+export default new RequestExecutionService()
@@ -0,0 +1,73 @@
+/**
+ * RequestExecutionService Tests
+ *
+ * Tests mapping of protocolProfileBehavior overrides onto client options and
+ * resolving auth inherited from folders and the collection.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { protocolProfileToOptions, findInheritedAuth, resolveRequestAuth, buildSendConfig } from '../RequestExecutionService.js'
+
+describe('protocolProfileToOptions', () => {
+  it('should map Postman keys to client options', () => {
+    expect(protocolProfileToOptions({
+      followRedirects: false,
+      maxRedirects: 3,
+      strictSSL: false,
+      disableKeepAlive: true
+    })).toEqual({
+      followRedirects: false,
+      maxRedirects: 3,
+      validateSSL: false,
+      keepAlive: false
+    })
+  })
+
+  it('should ignore unset and unknown keys', () => {
+    expect(protocolProfileToOptions({ disableBodyPruning: true })).toEqual({})
+    expect(protocolProfileToOptions(null)).toEqual({})
+  })
+})
+
+describe('auth inheritance', () => {
+  const collectionAuth = { type: 'bearer', bearer: { token: 'collection-token' } }
+  const folderAuth = { type: 'basic', basic: { username: 'admin', password: 'secret' } }
+  const collection = { info: { name: 'API' }, auth: collectionAuth }
+  const request = (auth) => ({ method: 'GET', url: { raw: 'https://api.example.com' }, header: [], auth })
+
+  it('should use the nearest folder that sets auth', () => {
+    const folders = [
+      { name: 'Admin', auth: folderAuth },
+      { name: 'Users', auth: { type: 'inherit' } },
+      { name: 'Reports' }
+    ]
+
+    expect(findInheritedAuth({ collection, folders })).toEqual({ auth: folderAuth, level: 'folder', name: 'Admin' })
+  })
+
+  it('should fall back to the collection, and to nothing', () => {
+    expect(findInheritedAuth({ collection, folders: [{ name: 'Users' }] }))
+      .toEqual({ auth: collectionAuth, level: 'collection', name: 'API' })
+    expect(findInheritedAuth({ collection: { info: { name: 'Open' } }, folders: [] })).toBeNull()
+  })
+
+  it('should resolve inherited and missing auth but keep the request\'s own', () => {
+    const context = { collection, folders: [] }
+
+    expect(resolveRequestAuth(request({ type: 'inherit' }), context).auth).toBe(collectionAuth)
+    expect(resolveRequestAuth(request(undefined), context).auth).toBe(collectionAuth)
+    expect(resolveRequestAuth(request({ type: 'none' }), context).auth).toEqual({ type: 'none' })
+    expect(resolveRequestAuth(request({ type: 'inherit' }), {}).auth).toBeNull()
+  })
+
+  it('should send the inherited auth', () => {
+    const config = buildSendConfig(resolveRequestAuth(request({ type: 'inherit' }), {
+      collection,
+      folders: [{ name: 'Admin', auth: { type: 'none' } }]
+    }))
+    expect(config.headers.find(h => h.key === 'Authorization')).toBeUndefined()
+
+    const inherited = buildSendConfig(resolveRequestAuth(request({ type: 'inherit' }), { collection, folders: [] }))
+    expect(inherited.headers).toContainEqual(expect.objectContaining({ key: 'Authorization', value: 'Bearer collection-token' }))
+  })
+})
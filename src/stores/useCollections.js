@@ -211,12 +211,85 @@ function createCollectionsStore() {
         // Update event array (scripts)
         request.event = updates.event
       }
+      if (updates.dataFile !== undefined) {
+        // Attached data file for data-driven sends (null detaches it)
+        setDataFile(request, updates.dataFile)
+      }
+      if (updates.protocolProfileBehavior !== undefined) {
+        // Settings overrides live on the item, as in Postman; older imports kept them on the request
+        if (Object.keys(updates.protocolProfileBehavior || {}).length > 0) {
+          request.protocolProfileBehavior = { ...updates.protocolProfileBehavior }
+        } else {
+          delete request.protocolProfileBehavior
+        }
+        delete request.request?.protocolProfileBehavior
+      }
       logger.debug('Updated request:', requestId)
       collectionsStorage.save()
     }
     return request
   }
 
+  /**
+   * Get a saved response (example) of a request
+   */
+  const getExample = (collectionId, requestId, exampleId) => {
+    const request = getRequest(collectionId, requestId)
+    return request?.response?.find(example => example.id === exampleId) || null
+  }
+
+  /**
+   * Save a response as an example of a request
+   * @param {Object} example - From createExample()
+   */
+  const addExample = (collectionId, requestId, example) => {
+    const request = getRequest(collectionId, requestId)
+    if (!request) return null
+
+    request.response = [...(request.response || []), example]
+    logger.debug('Added example to request:', requestId, example.name)
+    collectionsStorage.save()
+    return example
+  }
+
+  /**
+   * Update fields of an example (name, code, status, header, body)
+   */
+  const updateExample = (collectionId, requestId, exampleId, updates) => {
+    const example = getExample(collectionId, requestId, exampleId)
+    if (!example) return null
+
+    const fields = ['name', 'code', 'status', 'header', 'body']
+    fields.forEach(key => {
+      if (updates[key] !== undefined) {
+        example[key] = updates[key]
+      }
+    })
+    collectionsStorage.save()
+    return example
+  }
+
+  const deleteExample = (collectionId, requestId, exampleId) => {
+    const request = getRequest(collectionId, requestId)
+    const index = request?.response?.findIndex(example => example.id === exampleId) ?? -1
+    if (index === -1) return false
+
+    request.response.splice(index, 1)
+    collectionsStorage.save()
+    return true
+  }
+
+  /**
+   * Attach a data file ({ name, format, content }) to a request or folder, or remove it
+   */
+  const setDataFile = (target, dataFile) => {
+    if (dataFile) {
+      target.dataFile = dataFile
+    } else {
+      delete target.dataFile
+    }
+  }
+
   /**
    * Deep merge source into target, modifying target in place
    * @param {Object} target - Target object to merge into
@@ -405,6 +478,53 @@ function createCollectionsStore() {
     return null
   }
 
+  const getFolder = (collectionId, folderId) => {
+    const folderResult = findItemInCollection(collectionId, folderId)
+    return folderResult?.item?.type === 'folder' ? folderResult.item : null
+  }
+
+  /**
+   * Get the folders containing an item, outermost first
+   */
+  const getItemAncestors = (collectionId, itemId) => {
+    const collection = getCollection(collectionId)
+    if (!collection) return []
+
+    const findPath = (items, path) => {
+      for (const item of items) {
+        if (item.id === itemId) return path
+        if (item.item && Array.isArray(item.item)) {
+          const found = findPath(item.item, [...path, item])
+          if (found) return found
+        }
+      }
+      return null
+    }
+
+    return findPath(collection.item || [], []) || []
+  }
+
+  /**
+   * Update collection- or folder-level settings (scripts, auth, variables, data file, mock server)
+   * Targets the folder when folderId is given, otherwise the collection itself
+   */
+  const updateItemSettings = (collectionId, folderId, updates) => {
+    const target = folderId ? getFolder(collectionId, folderId) : getCollection(collectionId)
+    if (!target) return null
+
+    const settingKeys = folderId ? ['event', 'auth', 'variable'] : ['event', 'auth', 'variable', 'mock']
+    settingKeys.forEach(key => {
+      if (key in updates) {
+        target[key] = updates[key]
+      }
+    })
+    if ('dataFile' in updates) {
+      setDataFile(target, updates.dataFile)
+    }
+    collectionsStorage.save()
+    return target
+  }
+
   const duplicateFolder = (collectionId, folderId) => {
     const folderResult = findItemInCollection(collectionId, folderId)
     if (folderResult) {
@@ -561,12 +681,21 @@ function createCollectionsStore() {
     duplicateRequest,
     moveRequest,
 
+    // Example operations
+    getExample,
+    addExample,
+    updateExample,
+    deleteExample,
+
     // Folder operations
     addFolderToCollection,
     addRequestToFolder,
     addFolderToFolder,
     renameFolder,
     duplicateFolder,
+    getFolder,
+    getItemAncestors,
+    updateItemSettings,
     deleteFolder,
 
     // Search and filtering
@@ -14,6 +14,8 @@ import {
   createScriptResultsMessage,
   createConsoleLogMessage,
   createEnvChangeMessage,
+  createDataRowMessage,
+  createDataSummaryMessage,
   createAiUserMessage,
   createAiAssistantMessage,
   addMessageToConversation,
@@ -199,16 +201,17 @@ function createConversationsStore() {
    * Add a validation error message to the active conversation
    * @param {Array} errors - Array of validation errors from cURL validator
    * @param {string} curlInput - The original cURL input
+   * @param {string} dialect - Shell the input was read as (a key of SHELL_DIALECTS)
    * @returns {object|null} The created message
    */
-  const addValidationError = (errors, curlInput = '') => {
+  const addValidationError = (errors, curlInput = '', dialect = 'posix') => {
     const conversation = activeConversation.value
     if (!conversation) {
       logger.warn('No active conversation to add validation error to')
       return null
     }
 
-    const message = createValidationMessage(errors, curlInput)
+    const message = createValidationMessage(errors, curlInput, dialect)
     addMessageToConversation(conversation, message)
 
     logger.debug('Validation error message added:', message.id)
@@ -242,9 +245,10 @@ function createConversationsStore() {
   /**
    * Add console log message to the active conversation
    * @param {Array} logs - Array of console log entries
+   * @param {string} phase - Script phase that produced the logs
    * @returns {object|null} The created message
    */
-  const addConsoleLogs = (logs) => {
+  const addConsoleLogs = (logs, phase = 'test') => {
     const conversation = activeConversation.value
     if (!conversation) {
       logger.warn('No active conversation to add console logs to')
@@ -256,7 +260,7 @@ function createConversationsStore() {
       return null
     }
 
-    const message = createConsoleLogMessage(logs)
+    const message = createConsoleLogMessage(logs, phase)
     addMessageToConversation(conversation, message)
 
     logger.debug('Console log message added:', message.id)
@@ -289,6 +293,50 @@ function createConversationsStore() {
     return message
   }
 
+  /**
+   * Add a data row message, which groups the messages of one data file row
+   * @param {number} index - Zero-based row index
+   * @param {number} total - Number of rows
+   * @param {object} row - The row's column values
+   * @returns {object|null} The created message
+   */
+  const addDataRow = (index, total, row) => {
+    const conversation = activeConversation.value
+    if (!conversation) {
+      logger.warn('No active conversation to add data row to')
+      return null
+    }
+
+    const message = createDataRowMessage(index, total, row)
+    addMessageToConversation(conversation, message)
+
+    logger.debug('Data row message added:', message.id)
+    return message
+  }
+
+  /**
+   * Add the summary of a data-driven send to the active conversation
+   * @param {object} summary - { fileName, rows, cancelled }
+   * @returns {object|null} The created message
+   */
+  const addDataSummary = (summary) => {
+    const conversation = activeConversation.value
+    if (!conversation) {
+      logger.warn('No active conversation to add data summary to')
+      return null
+    }
+
+    const message = createDataSummaryMessage(summary)
+    addMessageToConversation(conversation, message)
+
+    logger.debug('Data summary message added:', message.id)
+
+    conversations.value = [...conversations.value]
+    conversationsStorage.save()
+
+    return message
+  }
+
   /**
    * Clear messages from the active conversation
    */
@@ -475,6 +523,8 @@ function createConversationsStore() {
     addScriptResults,
     addConsoleLogs,
     addEnvChanges,
+    addDataRow,
+    addDataSummary,
     addAiUserMessage,
     addAiAssistantMessage,
     clearActiveConversation,
@@ -38,6 +38,11 @@ function createEnvironmentsStore() {
     return null
   })
 
+  // Globals are stored as an environment flagged isGlobal
+  const globalEnvironment = computed(() => {
+    return allEnvironments.value.find(env => env.isGlobal) || null
+  })
+
   const totalVariables = computed(() => {
     return allEnvironments.value.reduce((total, env) => {
       return total + (env.values?.length || 0)
@@ -52,6 +57,15 @@ function createEnvironmentsStore() {
     return environmentJson
   }
 
+  const getOrCreateGlobalEnvironment = () => {
+    if (globalEnvironment.value) {
+      return globalEnvironment.value
+    }
+    const globalJson = Environment.createGlobal().toJSON()
+    environments.value.push(globalJson)
+    return getEnvironment(globalJson.id)
+  }
+
   const getEnvironment = (id) => {
     return allEnvironments.value.find(env => env.id === id)
   }
@@ -212,6 +226,20 @@ function createEnvironmentsStore() {
     return []
   }
 
+  /**
+   * A store-like view pinned to one environment instead of the active one
+   * Lets runs use a chosen environment without changing the user's selection.
+   * Implements the subset used by PostmanScriptRunner and ScriptSandbox.
+   */
+  const getEnvironmentView = (environmentId) => ({
+    activeEnvironment: computed(() => environmentId ? getEnvironment(environmentId) || null : null),
+    resolveVariable: (key) => environmentId ? resolveVariable(key, environmentId) : null,
+    getAvailableVariables: () => environmentId ? getAvailableVariables(environmentId) : [],
+    addVariable,
+    updateVariable,
+    deleteVariable
+  })
+
   // Search and filtering
   const searchVariables = (query) => {
     const results = []
@@ -312,11 +340,13 @@ function createEnvironmentsStore() {
     environments: allEnvironments,
     activeEnvironment,
     activeEnvironmentId: computed(() => activeEnvironmentId.value),
+    globalEnvironment,
     totalVariables,
 
     // Environment operations
     createEnvironment: createNewEnvironment,
     getEnvironment,
+    getOrCreateGlobalEnvironment,
     updateEnvironment,
     deleteEnvironment,
     duplicateEnvironment,
@@ -333,6 +363,7 @@ function createEnvironmentsStore() {
     resolveVariable,
     interpolateString,
     getAvailableVariables,
+    getEnvironmentView,
 
     // Search and filtering
     searchVariables,
@@ -0,0 +1,62 @@
+/**
+ * Mock Servers Store
+ *
+ * One MockServer per collection with mock mode enabled, rebuilt whenever the
+ * collection or its examples change. RequestExecutionService asks findServer()
+ * before sending, so any request under a mock base URL is answered from the
+ * collection's saved examples.
+ *
+ * Mock settings live on the collection: collection.mock = { enabled, baseUrl }
+ */
+
+import { computed } from 'vue'
+import { useCollections } from './useCollections.js'
+import { MockServer } from '../core/mock/MockServer.js'
+import { createLogger } from '../core/logger.js'
+
+// Host of default mock base URLs; never resolved, requests are answered in-process
+export const MOCK_HOST = 'https://mock.toastman.local'
+
+// Global mock servers store
+let mockServersStore = null
+
+export function useMockServers() {
+  if (!mockServersStore) {
+    mockServersStore = createMockServersStore()
+  }
+  return mockServersStore
+}
+
+function createMockServersStore() {
+  const logger = createLogger('mockServers')
+  const collectionsStore = useCollections()
+
+  const servers = computed(() => (collectionsStore.collections.value || [])
+    .filter(collection => collection.mock?.enabled && collection.mock.baseUrl)
+    .map(collection => new MockServer({
+      baseUrl: collection.mock.baseUrl,
+      collection,
+      logger
+    })))
+
+  /**
+   * Find the mock server answering a URL
+   * @param {string} url - Request URL after variable interpolation
+   * @returns {MockServer|null}
+   */
+  const findServer = (url) => servers.value.find(server => server.handles(url || '')) || null
+
+  /**
+   * Suggested base URL for a collection's mock server
+   */
+  const getDefaultBaseUrl = (collection) => {
+    const name = (collection?.info?.name || 'collection').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    return `${MOCK_HOST}/${name || 'collection'}`
+  }
+
+  return {
+    servers,
+    findServer,
+    getDefaultBaseUrl
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * OAuth 2.0 Tokens Store
+ *
+ * Access tokens obtained for oauth2 auth, persisted per collection so every
+ * request in a collection with the same token endpoint, client and scope
+ * shares one token. OAuth2Service reads and writes tokens through this store.
+ *
+ * Requests not saved to a collection keep their tokens under an empty id.
+ */
+
+import { useOAuth2TokensStorage } from '../composables/useStorage.js'
+import { createLogger } from '../core/logger.js'
+
+// Global OAuth 2.0 tokens store
+let oauth2TokensStore = null
+
+export function useOAuth2Tokens() {
+  if (!oauth2TokensStore) {
+    oauth2TokensStore = createOAuth2TokensStore()
+  }
+  return oauth2TokensStore
+}
+
+function createOAuth2TokensStore() {
+  const logger = createLogger('oauth2Tokens')
+  const { data: tokens } = useOAuth2TokensStorage()
+
+  const getToken = (collectionId, key) => tokens.value[collectionId || '']?.[key] || null
+
+  const saveToken = (collectionId, key, token) => {
+    const id = collectionId || ''
+    tokens.value = {
+      ...tokens.value,
+      [id]: { ...(tokens.value[id] || {}), [key]: token }
+    }
+    logger.debug('Saved token for collection:', id || '(none)')
+  }
+
+  const deleteToken = (collectionId, key) => {
+    const id = collectionId || ''
+    if (!tokens.value[id]?.[key]) return
+
+    const { [key]: removed, ...rest } = tokens.value[id]
+    tokens.value = { ...tokens.value, [id]: rest }
+  }
+
+  /**
+   * Remove every token of a collection
+   */
+  const clearCollection = (collectionId) => {
+    const { [collectionId || '']: removed, ...rest } = tokens.value
+    tokens.value = rest
+  }
+
+  return {
+    tokens,
+    getToken,
+    saveToken,
+    deleteToken,
+    clearCollection
+  }
+}
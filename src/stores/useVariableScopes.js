@@ -0,0 +1,212 @@
+/**
+ * Variable Scopes Store
+ *
+ * Resolves {{variables}} across every Postman scope instead of only the
+ * active environment: local > data > environment > collection > global.
+ *
+ * - Globals live in the environment flagged isGlobal (created on first write)
+ * - Collection variables come from the variable array of the collection
+ *   that owns the current request (set via setActiveCollection)
+ * - Data variables hold the current data file row during runs
+ * - Local variables are passed in per call by the request pipeline
+ */
+
+import { ref } from 'vue'
+import { useEnvironments } from './useEnvironments.js'
+import { useCollections } from './useCollections.js'
+import { generateId } from '../models/types.js'
+import {
+  toVariableMap,
+  resolveScopedVariable,
+  interpolateScoped,
+  listScopedVariables
+} from '../core/variables/scopes.js'
+
+// Global variable scopes store
+let variableScopesStore = null
+
+export function useVariableScopes() {
+  if (!variableScopesStore) {
+    variableScopesStore = createVariableScopesStore()
+  }
+  return variableScopesStore
+}
+
+function createVariableScopesStore() {
+  const environmentsStore = useEnvironments()
+  const collectionsStore = useCollections()
+
+  const activeCollectionId = ref(null)
+  const dataVariables = ref({})
+
+  const setActiveCollection = (collectionId) => {
+    activeCollectionId.value = collectionId || null
+  }
+
+  const setDataVariables = (row) => {
+    dataVariables.value = row ? { ...row } : {}
+  }
+
+  const getActiveCollection = (collectionId = null) => {
+    const id = collectionId || activeCollectionId.value
+    return id ? collectionsStore.getCollection(id) : null
+  }
+
+  /**
+   * Build the scope maps used for resolution
+   * @param {Object} options
+   * @param {Object} options.local - Send-local variables
+   * @param {Object} options.data - Data row to use instead of the shared one
+   * @param {string|false} options.environmentId - Environment to use instead of the active one, false for none
+   * @param {string} options.collectionId - Collection to use instead of the active one
+   * @returns {Object} - { local, data, environment, collection, global }
+   */
+  const getScopes = ({ local = null, data = null, environmentId = null, collectionId = null } = {}) => {
+    let environment = null
+    if (environmentId) {
+      environment = environmentsStore.getEnvironment(environmentId)
+    } else if (environmentId !== false) {
+      environment = environmentsStore.activeEnvironment.value
+    }
+
+    return {
+      local: local || {},
+      data: data || dataVariables.value,
+      // The globals environment is never also treated as the environment scope
+      environment: environment && !environment.isGlobal ? toVariableMap(environment.values) : {},
+      collection: toVariableMap(getActiveCollection(collectionId)?.variable),
+      global: toVariableMap(environmentsStore.globalEnvironment.value?.values)
+    }
+  }
+
+  /**
+   * Resolve a variable and report which scope supplied it
+   * @returns {{ value: *, scope: string }|null}
+   */
+  const resolveVariable = (key, options = {}) => {
+    return resolveScopedVariable(key, getScopes(options))
+  }
+
+  const interpolateString = (text, options = {}) => {
+    return interpolateScoped(text, getScopes(options))
+  }
+
+  /**
+   * All resolvable variables, one per key with the winning scope
+   */
+  const getAvailableVariables = (options = {}) => {
+    return listScopedVariables(getScopes(options))
+  }
+
+  /**
+   * Plain copies of the non-environment scopes for the script runner
+   * The environment scope is handled by the environment snapshot.
+   */
+  const getScriptScopes = (options = {}) => {
+    const scopes = getScopes(options)
+    return {
+      data: { ...scopes.data },
+      collection: { ...scopes.collection },
+      global: { ...scopes.global }
+    }
+  }
+
+  const applyGlobalChange = (change) => {
+    const existing = environmentsStore.globalEnvironment.value?.values.find(v => v.key === change.key)
+
+    if (change.action === 'unset') {
+      if (existing) {
+        environmentsStore.deleteVariable(environmentsStore.globalEnvironment.value.id, existing.id)
+      }
+      return
+    }
+
+    const globals = environmentsStore.getOrCreateGlobalEnvironment()
+    if (existing) {
+      environmentsStore.updateVariable(globals.id, existing.id, { value: change.value, enabled: true })
+    } else {
+      environmentsStore.addVariable(globals.id, change.key, change.value)
+    }
+  }
+
+  const applyCollectionChanges = (changes, collectionId) => {
+    const collection = getActiveCollection(collectionId)
+    if (!collection || changes.length === 0) return false
+
+    const variables = (collection.variable || []).map(v => ({ ...v }))
+
+    changes.forEach(change => {
+      const index = variables.findIndex(v => v.key === change.key)
+      if (change.action === 'unset') {
+        if (index !== -1) variables.splice(index, 1)
+      } else if (index !== -1) {
+        variables[index].value = change.value
+        variables[index].enabled = true
+      } else {
+        variables.push({ id: generateId(), key: change.key, value: change.value, type: 'string', enabled: true })
+      }
+    })
+
+    collectionsStore.updateItemSettings(collection.info.id, null, { variable: variables })
+    return true
+  }
+
+  /**
+   * Persist global and collection changes recorded by scripts
+   * @param {Array} changes - ScriptResult.environmentChanges
+   * @param {Object} options - { collectionId } to write instead of the active collection
+   * @returns {{ global: boolean, collection: boolean }} - Whether each scope could be written
+   */
+  const applyScriptChanges = (changes = [], { collectionId = null } = {}) => {
+    const globalChanges = changes.filter(c => c.scope === 'global')
+    const collectionChanges = changes.filter(c => c.scope === 'collection')
+
+    globalChanges.forEach(applyGlobalChange)
+
+    return {
+      global: true,
+      collection: collectionChanges.length === 0 || applyCollectionChanges(collectionChanges, collectionId)
+    }
+  }
+
+  /**
+   * Scope access pinned to a collection, environment and data row
+   * Used by runs, which must not depend on what the composer has loaded.
+   * The returned object can be passed to ScriptSandbox as variableScopes.
+   * @param {Object} context - { collectionId, environmentId (none when empty), data }
+   */
+  const createScopeContext = (context = {}) => {
+    const options = { ...context, environmentId: context.environmentId || false }
+
+    return {
+      setData: (row) => { options.data = row ? { ...row } : null },
+      resolveVariable: (key, local = null) => resolveVariable(key, { ...options, local }),
+      interpolateString: (text, local = null) => interpolateString(text, { ...options, local }),
+      getScriptScopes: () => getScriptScopes(options),
+      applyScriptChanges: (changes) => applyScriptChanges(changes, options)
+    }
+  }
+
+  return {
+    // Reactive data
+    activeCollectionId,
+    dataVariables,
+
+    // Scope selection
+    setActiveCollection,
+    setDataVariables,
+
+    // Resolution
+    getScopes,
+    resolveVariable,
+    interpolateString,
+    getAvailableVariables,
+
+    // Scripts
+    getScriptScopes,
+    applyScriptChanges,
+
+    // Runs
+    createScopeContext
+  }
+}
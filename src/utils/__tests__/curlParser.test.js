@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest'
+import { parseCurl, mergeProtocolProfileBehavior } from '../curlParser.js'
+import { requestToCurl } from '../curlGenerator.js'
+import { validateCurl } from '../../ace/curl-validator.js'
+
+const headerMap = (request) => Object.fromEntries(request.header.map(h => [h.key, h.value]))
+
+describe('parseCurl', () => {
+  it('expands bundled short flags and attached values', () => {
+    const { request, protocolProfileBehavior, warnings } = parseCurl("curl -sSL -XPATCH 'https://api.example.com/users/1' -d 'name=Ada'")
+
+    expect(request.method).toBe('PATCH')
+    expect(request.body.raw).toBe('name=Ada')
+    expect(protocolProfileBehavior).toEqual({ followRedirects: true })
+    expect(warnings).toEqual([])
+  })
+
+  it('maps cookie, user agent, referer and compression flags onto headers', () => {
+    const { request } = parseCurl(
+      "https://example.com -b 'session=abc' -b 'theme=dark' -A 'agent/1.0' -e 'https://ref.example.com;auto' --compressed"
+    )
+
+    expect(headerMap(request)).toEqual({
+      'User-Agent': 'agent/1.0',
+      Referer: 'https://ref.example.com',
+      'Accept-Encoding': 'deflate, gzip, br',
+      Cookie: 'session=abc; theme=dark'
+    })
+  })
+
+  it('sends --json with JSON headers unless -H sets them', () => {
+    const { request } = parseCurl(`https://example.com --json '{"a":1}' -H 'Accept: text/plain'`)
+
+    expect(request.method).toBe('POST')
+    expect(request.body).toMatchObject({ mode: 'raw', raw: '{"a":1}', options: { raw: { language: 'json' } } })
+    expect(headerMap(request)).toEqual({ Accept: 'text/plain', 'Content-Type': 'application/json' })
+  })
+
+  it('joins data flags and moves them to the query with -G', () => {
+    const post = parseCurl("https://example.com/search -d 'q=cats' --data-urlencode 'page size=10'")
+    expect(post.request.method).toBe('POST')
+    expect(post.request.body.raw).toBe('q=cats&page%20size=10')
+
+    const get = parseCurl("https://example.com/search -G -d 'q=cats' -d 'limit=5'")
+    expect(get.request.method).toBe('GET')
+    expect(get.request.url.query.map(q => [q.key, q.value])).toEqual([['q', 'cats'], ['limit', '5']])
+    expect(get.request.body.mode).toBe('none')
+  })
+
+  it('reads -k, -L, --max-redirs and --max-time into protocolProfileBehavior', () => {
+    const { protocolProfileBehavior } = parseCurl('https://example.com -k --location --max-redirs 3 -m 2.5')
+
+    expect(protocolProfileBehavior).toEqual({
+      strictSSL: false,
+      followRedirects: true,
+      maxRedirects: 3,
+      timeout: 2500
+    })
+  })
+
+  it('warns about what it cannot apply', () => {
+    const { request, warnings } = parseCurl(
+      'https://example.com --data-binary @photo.jpg -x http://proxy:8080 -o out.json -b cookies.txt --frobnicate'
+    )
+
+    expect(request.method).toBe('POST')
+    expect(request.body.mode).toBe('none')
+    expect(warnings.map(w => w.flag)).toEqual(['--data-binary', '-x', '-o', '-b', '--frobnicate'])
+    expect(warnings.every(w => w.type === 'warning' && w.text)).toBe(true)
+  })
+
+  it('keeps @ literal in --data-raw', () => {
+    const { request, warnings } = parseCurl("https://example.com --data-raw '@handle'")
+
+    expect(request.body.raw).toBe('@handle')
+    expect(warnings).toEqual([])
+  })
+
+  it('picks HEAD for -I and PUT for -T', () => {
+    expect(parseCurl('https://example.com -I').request.method).toBe('HEAD')
+    expect(parseCurl('https://example.com -T file.txt').request.method).toBe('PUT')
+  })
+
+  it('round-trips protocolProfileBehavior through requestToCurl', () => {
+    const behavior = { strictSSL: false, followRedirects: true, maxRedirects: 3, timeout: 1500 }
+    const curl = requestToCurl({ method: 'GET', url: { raw: 'https://example.com' } }, { protocolProfileBehavior: behavior })
+
+    expect(curl).toBe("'https://example.com' -k -L --max-redirs 3 --max-time 1.5")
+    expect(parseCurl(curl).protocolProfileBehavior).toEqual(behavior)
+  })
+})
+
+describe('mergeProtocolProfileBehavior', () => {
+  it('replaces settings the cURL shows and keeps the rest', () => {
+    const current = { strictSSL: false, followRedirects: true, timeout: 1000, disableKeepAlive: true }
+
+    expect(mergeProtocolProfileBehavior(current, { maxRedirects: 2 })).toEqual({ disableKeepAlive: true, maxRedirects: 2 })
+    expect(mergeProtocolProfileBehavior({ followRedirects: false }, {})).toEqual({ followRedirects: false })
+  })
+})
+
+describe('validateCurl with bundled flags', () => {
+  it('accepts bundles of known short flags', () => {
+    expect(validateCurl('curl -sSLk -XPOST https://example.com')).toEqual([])
+  })
+
+  it('checks the bundle', () => {
+    expect(validateCurl('curl -XFETCH https://example.com')[0].text).toMatch('Invalid HTTP method "FETCH"')
+    expect(validateCurl('curl -sz https://example.com')[0].text).toMatch('Unknown flag "-sz"')
+  })
+})
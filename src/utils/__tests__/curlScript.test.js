@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest'
+import { splitCurlCommands } from '../curlScript.js'
+import { parseCurl } from '../curlParser.js'
+import { validateCurl } from '../../ace/curl-validator.js'
+
+const readme = [
+  '#!/bin/bash',
+  '# Create a user',
+  'curl -X POST https://api.example.com/users \\',
+  "  -H 'Content-Type: application/json' \\",
+  `  -d '{"name": "a; b && c"}'`,
+  '',
+  'export TOKEN=abc',
+  '# List users',
+  'curl https://api.example.com/users -H "Authorization: Bearer $TOKEN" | jq \'.[].id\'',
+  'curl https://api.example.com/users/1 && curl -X DELETE https://api.example.com/users/1'
+].join('\n')
+
+describe('splitCurlCommands', () => {
+  it('finds the curl commands of a README snippet', () => {
+    const commands = splitCurlCommands(readme)
+
+    expect(commands.map(command => command.text)).toEqual([
+      `curl -X POST https://api.example.com/users \\\n  -H 'Content-Type: application/json' \\\n  -d '{"name": "a; b && c"}'`,
+      'curl https://api.example.com/users -H "Authorization: Bearer $TOKEN"',
+      'curl https://api.example.com/users/1',
+      'curl -X DELETE https://api.example.com/users/1'
+    ])
+    expect(commands.map(command => command.label)).toEqual(['Create a user', 'List users', null, null])
+    expect(commands[3]).toMatchObject({ row: 9, column: 40, endRow: 9, endColumn: 86 })
+  })
+
+  it('keeps commands typed over several lines together', () => {
+    expect(splitCurlCommands("curl https://example.com\n  -H 'a: b'\n  -d x")).toHaveLength(1)
+    expect(splitCurlCommands("https://example.com\n-X POST")).toHaveLength(1)
+  })
+
+  it('splits && and ; chains continued on the next line', () => {
+    expect(splitCurlCommands('curl https://a.com && \\\ncurl https://b.com').map(command => command.text))
+      .toEqual(['curl https://a.com', 'curl https://b.com'])
+
+    const chain = [
+      'curl -X POST https://api.example.com/login -d user=a ; \\',
+      '  curl https://api.example.com/users -H "Authorization: Bearer $TOKEN" && \\',
+      '  curl https://api.example.com/logout'
+    ].join('\r\n')
+    expect(splitCurlCommands(chain).map(command => command.text)).toEqual([
+      'curl -X POST https://api.example.com/login -d user=a',
+      'curl https://api.example.com/users -H "Authorization: Bearer $TOKEN"',
+      'curl https://api.example.com/logout'
+    ])
+  })
+
+  it('splits Windows cmd and PowerShell scripts', () => {
+    const cmd = 'rem Search\ncurl ^"https://example.com/?a=1^&b=2^" & curl ^"https://example.com/2^"'
+    expect(splitCurlCommands(cmd).map(command => [command.label, command.text])).toEqual([
+      ['Search', 'curl ^"https://example.com/?a=1^&b=2^"'],
+      [null, 'curl ^"https://example.com/2^"']
+    ])
+
+    const powershell = 'curl.exe "https://example.com" `\n  -d "a;b"; curl.exe "https://example.com/2"'
+    expect(splitCurlCommands(powershell)).toHaveLength(2)
+  })
+})
+
+describe('scripts in the parser and validator', () => {
+  it('parses the first command', () => {
+    const { request } = parseCurl(readme)
+
+    expect(request.method).toBe('POST')
+    expect(request.body.raw).toBe('{"name": "a; b && c"}')
+  })
+
+  it('validates each command at its position', () => {
+    const errors = validateCurl('# Broken\ncurl https://example.com && curl -X FETCH https://example.com')
+
+    expect(errors).toEqual([
+      expect.objectContaining({ row: 1, column: 36, endColumn: 41, type: 'error' })
+    ])
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { exampleFromResponse, exampleToResponse, compareResponses } from '../exampleUtils.js'
+import { diffLines } from '../textDiff.js'
+
+const response = {
+  status: 200,
+  statusText: 'OK',
+  headers: { 'Content-Type': 'application/json', date: 'Mon, 19 Oct 2026 10:00:00 GMT' },
+  body: { id: 1, name: 'Ada' }
+}
+
+describe('exampleFromResponse', () => {
+  it('stores the response as a Postman example with its request', () => {
+    const request = { method: 'GET', url: { raw: '{{baseUrl}}/users/1' }, header: [] }
+    const example = exampleFromResponse(response, request, 'Found')
+
+    expect(example).toMatchObject({
+      name: 'Found',
+      code: 200,
+      status: 'OK',
+      originalRequest: request,
+      _postman_previewlanguage: 'json'
+    })
+    expect(example.originalRequest).not.toBe(request)
+    expect(example.header).toContainEqual({ key: 'Content-Type', value: 'application/json' })
+    expect(JSON.parse(example.body)).toEqual({ id: 1, name: 'Ada' })
+  })
+
+  it('round-trips through exampleToResponse', () => {
+    const data = exampleToResponse(exampleFromResponse(response, null, 'Found'))
+
+    expect(data).toMatchObject({ status: 200, statusText: 'OK', success: true })
+    expect(data.headers['content-type']).toBe('application/json')
+  })
+})
+
+describe('compareResponses', () => {
+  it('ignores volatile headers and reformatted JSON', () => {
+    const expected = exampleToResponse(exampleFromResponse(response, null, 'Found'))
+    const actual = { ...response, headers: { 'content-type': 'application/json', date: 'Tue, 20 Oct 2026 08:00:00 GMT' }, body: '{"id":1,"name":"Ada"}' }
+
+    const result = compareResponses(expected, actual)
+    expect(result.status.same).toBe(true)
+    expect(result.headers).toEqual([])
+    expect(result.bodySame).toBe(true)
+  })
+
+  it('reports status, header and body differences', () => {
+    const expected = exampleToResponse(exampleFromResponse(response, null, 'Found'))
+    const actual = { status: 404, headers: { 'content-type': 'text/plain' }, body: 'Not found' }
+
+    const result = compareResponses(expected, actual)
+    expect(result.status).toEqual({ expected: 200, actual: 404, same: false })
+    expect(result.headers).toEqual([{ key: 'content-type', expected: 'application/json', actual: 'text/plain' }])
+    expect(result.bodySame).toBe(false)
+    expect(result.body.filter(line => line.type === 'added').map(line => line.text)).toEqual(['Not found'])
+  })
+})
+
+describe('diffLines', () => {
+  it('keeps common lines and marks removals before additions', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'added', text: 'x' },
+      { type: 'same', text: 'c' }
+    ])
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { detectShellDialect, tokenizeShell } from '../shellTokenizer.js'
+import { parseCurl } from '../curlParser.js'
+import { validateCurl } from '../../ace/curl-validator.js'
+
+const values = (input, dialect) => tokenizeShell(input, dialect).tokens.map(token => token.value)
+
+// As produced by Chrome's "Copy as cURL (cmd)"
+const chromeCmd = [
+  'curl ^"https://api.example.com/items?q=a^&b=1^" ^',
+  '  -H ^"accept: application/json^" ^',
+  '  -H ^"content-type: application/json^" ^',
+  '  --data-raw ^"^{^\\^"name^\\^":^\\^"50^%^ off^\\^"^}^"'
+].join('\n')
+
+// As produced by "Copy as cURL (bash)" for a body with a quote and a newline
+const chromeBash = [
+  "curl 'https://api.example.com/items' \\",
+  "  -H 'content-type: text/plain' \\",
+  "  --data-raw $'it\\'s\\nfine \\u00e9'"
+].join('\n')
+
+const powershell = [
+  'curl.exe "https://api.example.com/items" `',
+  '  -H "content-type: application/json" `',
+  '  -d "{""name"":""`$5 deal""}"'
+].join('\n')
+
+describe('detectShellDialect', () => {
+  it('recognizes copied commands', () => {
+    expect(detectShellDialect(chromeCmd)).toBe('cmd')
+    expect(detectShellDialect(chromeBash)).toBe('bash')
+    expect(detectShellDialect(powershell)).toBe('powershell')
+    expect(detectShellDialect("curl 'https://example.com' -H 'a: b'")).toBe('posix')
+  })
+})
+
+describe('tokenizeShell', () => {
+  it('unescapes POSIX quoting', () => {
+    expect(values(`curl -d "say \\"hi\\" \\$HOME" 'it'\\''s' a\\ b`)).toEqual([
+      'curl', '-d', 'say "hi" $HOME', "it's", 'a b'
+    ])
+  })
+
+  it('keeps empty quoted arguments', () => {
+    expect(values("curl -d '' https://example.com")).toEqual(['curl', '-d', '', 'https://example.com'])
+  })
+
+  it('decodes ANSI-C quoting', () => {
+    expect(values(chromeBash)).toEqual([
+      'curl', 'https://api.example.com/items', '-H', 'content-type: text/plain', '--data-raw', "it's\nfine é"
+    ])
+    expect(values("$'\\xc3\\xa9\\t\\101'")).toEqual(['é\tA'])
+  })
+
+  it('reads Windows cmd carets, then the C runtime quoting', () => {
+    expect(values(chromeCmd)).toEqual([
+      'curl',
+      'https://api.example.com/items?q=a&b=1',
+      '-H', 'accept: application/json',
+      '-H', 'content-type: application/json',
+      '--data-raw', '{"name":"50% off"}'
+    ])
+    expect(values('curl -d "{\\"a\\":1}" C:\\temp\\x', 'cmd')).toEqual(['curl', '-d', '{"a":1}', 'C:\\temp\\x'])
+  })
+
+  it('reads PowerShell backticks and doubled quotes', () => {
+    expect(values(powershell)).toEqual([
+      'curl.exe', 'https://api.example.com/items', '-H', 'content-type: application/json', '-d', '{"name":"$5 deal"}'
+    ])
+    expect(values("'it''s' \"tab`there\"", 'powershell')).toEqual(["it's", 'tab\there'])
+  })
+
+  it('tracks positions across continuations', () => {
+    const { tokens } = tokenizeShell(chromeCmd)
+    expect(tokens[2]).toMatchObject({ value: '-H', row: 1, column: 2, endRow: 1, endColumn: 4 })
+  })
+
+  it('reports unclosed quotes', () => {
+    expect(tokenizeShell("curl -d 'abc").unclosedQuote).toEqual({ quote: "'", row: 0, column: 8 })
+    expect(tokenizeShell('curl.exe -d "abc', 'powershell').unclosedQuote).toEqual({ quote: '"', row: 0, column: 12 })
+  })
+})
+
+describe('copied commands', () => {
+  it('parse into the same request in every dialect', () => {
+    const { request, dialect } = parseCurl(chromeCmd)
+
+    expect(dialect).toBe('cmd')
+    expect(request.method).toBe('POST')
+    expect(request.url.query.map(q => [q.key, q.value])).toEqual([['q', 'a'], ['b', '1']])
+    expect(request.body.raw).toBe('{"name":"50% off"}')
+    expect(parseCurl(powershell).request.body.raw).toBe('{"name":"$5 deal"}')
+  })
+
+  it('validate without errors', () => {
+    expect(validateCurl(chromeCmd)).toEqual([])
+    expect(validateCurl(chromeBash)).toEqual([])
+    expect(validateCurl(powershell)).toEqual([])
+  })
+})
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { findShellVariables, listShellVariables, replaceShellVariables } from '../shellVariables.js'
+import { parseCurl, validateCurlInput } from '../curlParser.js'
+import { requestToCurl } from '../curlGenerator.js'
+import { validateCurl } from '../../ace/curl-validator.js'
+
+describe('findShellVariables', () => {
+  it('finds $VAR and ${VAR} where the shell expands them', () => {
+    const input = `curl -H "Authorization: Bearer $TOKEN" "\${BASE_URL}/users" -d '$LITERAL' -d \\$ESCAPED -d $'$ANSI' $PAGE`
+
+    expect(findShellVariables(input).map(variable => variable.name)).toEqual(['TOKEN', 'BASE_URL', 'PAGE'])
+  })
+
+  it('reads $env:NAME in PowerShell and nothing in cmd', () => {
+    expect(listShellVariables('curl.exe "$env:BASE_URL/users" -H "x: $TOKEN"')).toEqual(['BASE_URL', 'TOKEN'])
+    expect(listShellVariables('curl ^"https://example.com/$HOME^"')).toEqual([])
+  })
+
+  it('lists each name once', () => {
+    expect(listShellVariables('curl "$HOST/a" "$HOST/b"')).toEqual(['HOST'])
+  })
+})
+
+describe('replaceShellVariables', () => {
+  it('rewrites variables as {{variables}}, optionally under another key', () => {
+    const input = 'curl -H "Authorization: Bearer $TOKEN" "${BASE_URL}/users"'
+
+    expect(replaceShellVariables(input, { BASE_URL: 'baseUrl' }))
+      .toBe('curl -H "Authorization: Bearer {{TOKEN}}" "{{baseUrl}}/users"')
+  })
+
+  it('parses into a request with environment variables', () => {
+    const { request } = parseCurl(replaceShellVariables('curl "$BASE_URL/users?page=$PAGE" -H "X-Key: $KEY"'))
+
+    expect(request.url.raw).toBe('{{BASE_URL}}/users')
+    expect(request.url.query[0]).toMatchObject({ key: 'page', value: '{{PAGE}}' })
+    expect(request.header[0]).toMatchObject({ key: 'X-Key', value: '{{KEY}}' })
+  })
+
+  it('keeps the URL when the conversion is declined', () => {
+    const { request } = parseCurl('curl -H "Authorization: Bearer $TOKEN" "$BASE_URL/users"')
+
+    expect(request.url.raw).toBe('$BASE_URL/users')
+    expect(request.auth).toEqual({ type: 'bearer', bearer: { token: '$TOKEN' } })
+    expect(parseCurl('curl "${BASE_URL}/users"').request.url.raw).toBe('${BASE_URL}/users')
+    expect(validateCurlInput('curl "$BASE_URL/users"')).toEqual({ valid: true })
+    expect(validateCurl('curl "$BASE_URL/users"')).toEqual([])
+  })
+})
+
+describe('requestToCurl with exportVariables', () => {
+  const request = {
+    method: 'POST',
+    url: { raw: '{{baseUrl}}/users', query: [{ key: 'id', value: '{{user-id}}' }] },
+    header: [{ key: 'X-Request-Id', value: '{{$guid}}' }],
+    auth: { type: 'bearer', bearer: { token: '{{token}}' } },
+    body: { mode: 'raw', raw: '{"name":"{{name}}"}' }
+  }
+
+  it('writes variables as shell variables after an export block', () => {
+    const values = { baseUrl: 'https://api.example.com', token: "it's" }
+    const curl = requestToCurl(request, { exportVariables: true, resolveVariable: (name) => values[name] ?? null })
+
+    expect(curl).toBe([
+      "export baseUrl='https://api.example.com'",
+      "export user_id=''",
+      "export token='it'\\''s'",
+      "export name=''",
+      '',
+      `curl "\${baseUrl}"'/users?id='"\${user_id}" -X POST -H 'Authorization: Bearer '"\${token}" ` +
+        `-H 'X-Request-Id: {{$guid}}' -d '{"name":"'"\${name}"'"}'`
+    ].join('\n'))
+  })
+
+  it('converts back to the same request', () => {
+    const curl = requestToCurl(request, { exportVariables: true })
+    const command = curl.substring(curl.indexOf('curl '))
+    const { request: parsed } = parseCurl(replaceShellVariables(command, { user_id: 'user-id' }))
+
+    expect(parsed.url.raw).toBe('{{baseUrl}}/users')
+    expect(parsed.url.query[0]).toMatchObject({ key: 'id', value: '{{user-id}}' })
+    expect(parsed.auth).toEqual({ type: 'bearer', bearer: { token: '{{token}}' } })
+    expect(parsed.body.raw).toBe('{"name":"{{name}}"}')
+  })
+})
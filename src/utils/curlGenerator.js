@@ -28,13 +28,66 @@ function escapeDoubleQuotes(str) {
   return str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
 }
 
+/**
+ * Shell-quote a string, writing its {{variables}} as "$NAME" outside the quotes
+ * Dynamic variables ({{$guid}}) have no shell equivalent and stay as they are.
+ * @param {string} str - String to quote
+ * @param {Function} onVariable - Called with (name, shellName) for each variable
+ * @returns {string}
+ */
+function quoteWithShellVariables(str, onVariable) {
+  const pieces = []
+  let literal = ''
+  let lastIndex = 0
+
+  for (const match of (str || '').matchAll(/\{\{([^{}]+)\}\}/g)) {
+    const name = match[1].trim()
+    literal += str.slice(lastIndex, match.index)
+    lastIndex = match.index + match[0].length
+
+    if (name.startsWith('$')) {
+      literal += match[0]
+      continue
+    }
+    const shellName = toShellVariableName(name)
+    onVariable(name, shellName)
+    if (literal) pieces.push(`'${escapeForShell(literal)}'`)
+    pieces.push(`"\${${shellName}}"`)
+    literal = ''
+  }
+  literal += (str || '').slice(lastIndex)
+  if (literal || pieces.length === 0) pieces.push(`'${escapeForShell(literal)}'`)
+
+  return pieces.join('')
+}
+
+/**
+ * Shell variable name for a {{variable}} (letters, digits and _, not starting with a digit)
+ * @param {string} name - Variable name
+ * @returns {string}
+ */
+function toShellVariableName(name) {
+  const shellName = name.replace(/[^A-Za-z0-9_]/g, '_')
+  return /^[0-9]/.test(shellName) ? `_${shellName}` : shellName
+}
+
+/**
+ * Percent-encode a query key or value, leaving {{variables}} as they are
+ * @param {string} text - Key or value
+ * @returns {string}
+ */
+function encodeQueryPart(text) {
+  return text.split(/(\{\{[^{}]+\}\})/).map((part, index) =>
+    index % 2 === 1 ? part : encodeURIComponent(part)).join('')
+}
+
 /**
  * Get the raw URL string from various URL formats
  * @param {object|string} url - URL object or string
  * @param {object} [auth] - Optional auth object for API key in query params
  * @returns {string}
  */
-function getUrlString(url, auth) {
+export function getUrlString(url, auth) {
   if (!url) return ''
 
   // Check if we need to add API key to query params
@@ -53,12 +106,27 @@ function getUrlString(url, auth) {
   }
 
   if (url.raw) {
+    // createUrl() keeps the query out of raw, in url.query
+    let raw = url.raw
+    if (!raw.includes('?') && url.query?.length > 0) {
+      const query = url.query
+        .filter(q => q.enabled !== false && q.key)
+        .map(q => `${encodeQueryPart(q.key)}=${encodeQueryPart(q.value || '')}`)
+        .join('&')
+      if (query) {
+        const hashIndex = raw.indexOf('#')
+        raw = hashIndex === -1
+          ? `${raw}?${query}`
+          : `${raw.substring(0, hashIndex)}?${query}${raw.substring(hashIndex)}`
+      }
+    }
+
     // Append API key to raw URL if needed
     if (apiKeyQuery) {
-      const separator = url.raw.includes('?') ? '&' : '?'
-      return `${url.raw}${separator}${encodeURIComponent(apiKeyQuery.key)}=${encodeURIComponent(apiKeyQuery.value)}`
+      const separator = raw.includes('?') ? '&' : '?'
+      return `${raw}${separator}${encodeURIComponent(apiKeyQuery.key)}=${encodeURIComponent(apiKeyQuery.value)}`
     }
-    return url.raw
+    return raw
   }
 
   // Build URL from parts
@@ -93,10 +161,14 @@ function getUrlString(url, auth) {
  * @param {object} options - Generation options
  * @param {boolean} options.includeCurlPrefix - Include 'curl' prefix (default: false)
  * @param {boolean} options.multiline - Format as multiline with backslashes (default: false)
+ * @param {object} options.protocolProfileBehavior - Per-request settings shown as -k, -L, --max-redirs and --max-time (default: request.protocolProfileBehavior)
+ * @param {boolean} options.exportVariables - Write {{var}} as "$var", after an export block setting them (implies includeCurlPrefix)
+ * @param {Function} options.resolveVariable - (name) => value for the export block (default: empty values)
  * @returns {string}
  */
 export function requestToCurl(request, options = {}) {
-  const { includeCurlPrefix = false, multiline = false } = options
+  const { multiline = false, exportVariables = false, resolveVariable = () => null } = options
+  const includeCurlPrefix = options.includeCurlPrefix || exportVariables
 
   if (!request) {
     return ''
@@ -105,6 +177,13 @@ export function requestToCurl(request, options = {}) {
   const parts = []
   const lineBreak = multiline ? ' \\\n  ' : ' '
 
+  // Shell-quote a value; exported variables are left outside the single quotes so the shell expands them
+  const exported = new Map()
+  const quote = (text) => {
+    if (!exportVariables) return `'${escapeForShell(text)}'`
+    return quoteWithShellVariables(text, (name, shellName) => exported.set(shellName, name))
+  }
+
   // Add curl prefix if requested
   if (includeCurlPrefix) {
     parts.push('curl')
@@ -114,7 +193,7 @@ export function requestToCurl(request, options = {}) {
   // Pass auth to handle API key in query params
   const url = getUrlString(request.url, request.auth)
   if (url) {
-    parts.push(`'${escapeForShell(url)}'`)
+    parts.push(quote(url))
   }
 
   // Method (only add if not GET, since GET is default)
@@ -123,6 +202,21 @@ export function requestToCurl(request, options = {}) {
     parts.push(`-X ${method}`)
   }
 
+  // Per-request settings curl has flags for
+  const behavior = options.protocolProfileBehavior || request.protocolProfileBehavior || {}
+  if (behavior.strictSSL === false) {
+    parts.push('-k')
+  }
+  if (behavior.followRedirects === true) {
+    parts.push('-L')
+  }
+  if (typeof behavior.maxRedirects === 'number' && behavior.maxRedirects >= 0) {
+    parts.push(`--max-redirs ${behavior.maxRedirects}`)
+  }
+  if (typeof behavior.timeout === 'number' && behavior.timeout > 0) {
+    parts.push(`--max-time ${behavior.timeout / 1000}`)
+  }
+
   // Authentication
   const auth = request.auth
   if (auth && auth.type && auth.type !== 'none') {
@@ -130,16 +224,14 @@ export function requestToCurl(request, options = {}) {
       case 'basic':
         const basicAuth = auth.basic || {}
         if (basicAuth.username) {
-          const username = escapeForShell(basicAuth.username)
-          const password = escapeForShell(basicAuth.password || '')
-          parts.push(`-u '${username}:${password}'`)
+          parts.push(`-u ${quote(`${basicAuth.username}:${basicAuth.password || ''}`)}`)
         }
         break
 
       case 'bearer':
         const bearerAuth = auth.bearer || {}
         if (bearerAuth.token) {
-          parts.push(`-H 'Authorization: Bearer ${escapeForShell(bearerAuth.token)}'`)
+          parts.push(`-H ${quote(`Authorization: Bearer ${bearerAuth.token}`)}`)
         }
         break
 
@@ -152,7 +244,37 @@ export function requestToCurl(request, options = {}) {
             // The URL should already contain the query param if added via UI
           } else {
             // Default: header
-            parts.push(`-H '${escapeForShell(apikeyAuth.key)}: ${escapeForShell(apikeyAuth.value)}'`)
+            parts.push(`-H ${quote(`${apikeyAuth.key}: ${apikeyAuth.value}`)}`)
+          }
+        }
+        break
+
+      case 'digest':
+        const digestAuth = auth.digest || {}
+        if (digestAuth.username) {
+          parts.push('--digest')
+          parts.push(`-u ${quote(`${digestAuth.username}:${digestAuth.password || ''}`)}`)
+        }
+        break
+
+      case 'ntlm':
+        const ntlmAuth = auth.ntlm || {}
+        if (ntlmAuth.username) {
+          const ntlmUser = ntlmAuth.domain ? `${ntlmAuth.domain}\\${ntlmAuth.username}` : ntlmAuth.username
+          parts.push('--ntlm')
+          parts.push(`-u ${quote(`${ntlmUser}:${ntlmAuth.password || ''}`)}`)
+        }
+        break
+
+      case 'awsv4':
+        // curl computes the signature itself when sending
+        const awsAuth = auth.awsv4 || {}
+        if (awsAuth.accessKey) {
+          const provider = `aws:amz:${awsAuth.region || 'us-east-1'}:${awsAuth.service || 'execute-api'}`
+          parts.push(`--aws-sigv4 ${quote(provider)}`)
+          parts.push(`-u ${quote(`${awsAuth.accessKey}:${awsAuth.secretKey || ''}`)}`)
+          if (awsAuth.sessionToken) {
+            parts.push(`-H ${quote(`X-Amz-Security-Token: ${awsAuth.sessionToken}`)}`)
           }
         }
         break
@@ -165,14 +287,15 @@ export function requestToCurl(request, options = {}) {
     if (header.enabled === false) continue
     if (!header.key) continue
 
-    // Skip Authorization header if auth is configured (auth takes precedence)
+    // Skip Authorization header if auth is configured (auth takes precedence);
+    // unresolved inherited auth adds nothing
     if (header.key.toLowerCase() === 'authorization' &&
-        auth && auth.type && auth.type !== 'none') {
+        auth && auth.type && auth.type !== 'none' && auth.type !== 'inherit') {
       continue
     }
 
     const headerValue = `${header.key}: ${header.value || ''}`
-    parts.push(`-H '${escapeForShell(headerValue)}'`)
+    parts.push(`-H ${quote(headerValue)}`)
   }
 
   // Body
@@ -182,7 +305,7 @@ export function requestToCurl(request, options = {}) {
     switch (body.mode) {
       case 'raw':
         if (body.raw) {
-          parts.push(`-d '${escapeForShell(body.raw)}'`)
+          parts.push(`-d ${quote(body.raw)}`)
         }
         break
 
@@ -194,9 +317,10 @@ export function requestToCurl(request, options = {}) {
           if (!field.key) continue
 
           if (field.type === 'file') {
-            parts.push(`-F '${escapeForShell(field.key)}=@${escapeForShell(field.value)}'`)
+            // Imported collections keep the path in src
+            parts.push(`-F ${quote(`${field.key}=@${field.src ?? field.value}`)}`)
           } else {
-            parts.push(`-F '${escapeForShell(field.key)}=${escapeForShell(field.value)}'`)
+            parts.push(`-F ${quote(`${field.key}=${field.value}`)}`)
           }
         }
         break
@@ -208,7 +332,7 @@ export function requestToCurl(request, options = {}) {
           if (field.enabled === false) continue
           if (!field.key) continue
 
-          parts.push(`--data-urlencode '${escapeForShell(field.key)}=${escapeForShell(field.value)}'`)
+          parts.push(`--data-urlencode ${quote(`${field.key}=${field.value}`)}`)
         }
         break
 
@@ -216,7 +340,7 @@ export function requestToCurl(request, options = {}) {
         if (body.binary || body.file) {
           const file = body.binary || body.file
           if (typeof file === 'string') {
-            parts.push(`--data-binary '@${escapeForShell(file)}'`)
+            parts.push(`--data-binary ${quote(`@${file}`)}`)
           }
         }
         break
@@ -227,13 +351,20 @@ export function requestToCurl(request, options = {}) {
             query: body.graphql.query || '',
             variables: body.graphql.variables ? JSON.parse(body.graphql.variables) : {}
           })
-          parts.push(`-d '${escapeForShell(graphqlBody)}'`)
+          parts.push(`-d ${quote(graphqlBody)}`)
         }
         break
     }
   }
 
-  return parts.join(lineBreak)
+  const command = parts.join(lineBreak)
+  if (exported.size === 0) {
+    return command
+  }
+
+  const exports = [...exported].map(([shellName, name]) =>
+    `export ${shellName}='${escapeForShell(String(resolveVariable(name) ?? ''))}'`)
+  return `${exports.join('\n')}\n\n${command}`
 }
 
 /**
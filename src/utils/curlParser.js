@@ -2,74 +2,43 @@
  * cURL Parser
  *
  * Parses cURL-style strings (without the `curl` prefix) into Postman-compatible request objects.
+ * Commands copied as bash (including $'...' quoting), Windows cmd or PowerShell are understood.
+ * Comments are skipped, and of a script with several commands the first is parsed
+ * (see curlScript.js).
  *
  * Supported formats:
  * - URL -X METHOD -H "Header: Value" -d '{"body":"data"}'
  * - https://api.example.com/users -X POST -H "Content-Type: application/json" -d '{"name":"John"}'
  *
  * Supported flags:
- * - -X, --request: HTTP method
+ * - -X, --request: HTTP method (otherwise picked like curl: -I HEAD, -T PUT, data POST)
+ * - --url: URL
  * - -H, --header: Headers (can appear multiple times)
- * - -d, --data, --data-raw: Request body
+ * - -d, --data, --data-raw, --data-binary, --data-ascii: Request body (joined with &)
+ * - --json: JSON body with Content-Type and Accept headers
  * - -F, --form: Form data (multipart)
  * - --data-urlencode: URL-encoded data
+ * - -G, --get: Data as the query string
+ * - -u, --user, --basic, --digest, --ntlm, --aws-sigv4, --oauth2-bearer: Auth
+ * - -b, --cookie, -A, --user-agent, -e, --referer, --compressed: Headers
+ * - -k, -L, --max-redirs, -m/--max-time: protocolProfileBehavior
+ * - Bundled short flags (-sSL, -XPOST)
+ *
+ * Files (@file, -T), proxies, output and cookie jar flags cannot be applied
+ * and are reported as warnings by parseCurl().
  */
 
 import { createUrl, createKeyValue, createRequestBody } from '../models/types.js'
+import { detectShellDialect, tokenizeShell } from './shellTokenizer.js'
+import { splitCurlCommands } from './curlScript.js'
 
 /**
- * Tokenize a cURL string, respecting quoted strings
+ * Tokenize a cURL string the way its shell would (see shellTokenizer.js)
  * @param {string} input - The cURL string to tokenize
  * @returns {string[]} Array of tokens
  */
 function tokenize(input) {
-  const tokens = []
-  let current = ''
-  let inSingleQuote = false
-  let inDoubleQuote = false
-  let escaped = false
-
-  for (let i = 0; i < input.length; i++) {
-    const char = input[i]
-
-    if (escaped) {
-      current += char
-      escaped = false
-      continue
-    }
-
-    if (char === '\\') {
-      escaped = true
-      current += char
-      continue
-    }
-
-    if (char === "'" && !inDoubleQuote) {
-      inSingleQuote = !inSingleQuote
-      continue
-    }
-
-    if (char === '"' && !inSingleQuote) {
-      inDoubleQuote = !inDoubleQuote
-      continue
-    }
-
-    if (char === ' ' && !inSingleQuote && !inDoubleQuote) {
-      if (current.trim()) {
-        tokens.push(current.trim())
-      }
-      current = ''
-      continue
-    }
-
-    current += char
-  }
-
-  if (current.trim()) {
-    tokens.push(current.trim())
-  }
-
-  return tokens
+  return tokenizeShell(input).tokens.map(token => token.value)
 }
 
 /**
@@ -86,6 +55,10 @@ function isUrl(str) {
   if (str.includes('{{') && str.includes('}}')) {
     return true
   }
+  // So are shell variables like $BASE_URL/path, kept when they are not converted
+  if (/^\$(\{\w+\}|env:\w+|[A-Za-z_]\w*)/.test(str)) {
+    return true
+  }
   // Looks like a domain (contains . and no spaces, doesn't start with -)
   if (!str.startsWith('-') && str.includes('.') && !str.includes(' ')) {
     return true
@@ -150,27 +123,135 @@ function safeBase64Decode(str) {
   }
 }
 
+// Short flags that take no value, so they may be bundled (-sSL)
+const SHORT_SWITCHES = new Set(['k', 'L', 'G', 'I', 'v', 'i', 's', 'S', 'f', 'O'])
+
+// Short flags that take a value, attached (-XPOST) or as the next token
+const SHORT_OPTIONS = new Set(['X', 'H', 'd', 'F', 'u', 'o', 'm', 'b', 'c', 'A', 'e', 'x', 'U', 'T'])
+
+// Flags that only change curl's own output; the conversation shows the full response anyway
+const OUTPUT_FLAGS = new Set([
+  '-v', '--verbose',
+  '-i', '--include',
+  '-s', '--silent',
+  '-S', '--show-error',
+  '-f', '--fail'
+])
+
+// Flags with nothing to map onto, and why they are left out
+const IGNORED_FLAGS = {
+  '-o': 'The response is shown in the conversation, not written to a file',
+  '--output': 'The response is shown in the conversation, not written to a file',
+  '-O': 'The response is shown in the conversation, not written to a file',
+  '--remote-name': 'The response is shown in the conversation, not written to a file',
+  '-c': 'Response cookies are not written to a cookie jar file',
+  '--cookie-jar': 'Response cookies are not written to a cookie jar file',
+  '--connect-timeout': 'Only the total time limit (--max-time) can be set per request',
+  '-x': 'Proxies are set in Settings → Proxy, not per request',
+  '--proxy': 'Proxies are set in Settings → Proxy, not per request',
+  '-U': 'Proxies are set in Settings → Proxy, not per request',
+  '--proxy-user': 'Proxies are set in Settings → Proxy, not per request',
+  '--http1.1': 'The HTTP version is picked by the HTTP client',
+  '--http2': 'The HTTP version is picked by the HTTP client'
+}
+
+// Ignored flags that take a value
+const IGNORED_FLAGS_WITH_VALUE = new Set([
+  '-o', '--output', '-c', '--cookie-jar', '--connect-timeout', '-x', '--proxy', '-U', '--proxy-user'
+])
+
+/**
+ * Split bundled short flags (-sSL, -XPOST) into separate tokens
+ * @param {string} token - Token in flag position
+ * @returns {string[]|null} Tokens, or null when it is not a bundle of known short flags
+ */
+function expandShortFlags(token) {
+  if (!/^-[A-Za-z]./.test(token)) return null
+
+  const expanded = []
+  for (let i = 1; i < token.length; i++) {
+    const letter = token[i]
+    if (SHORT_OPTIONS.has(letter)) {
+      expanded.push(`-${letter}`)
+      if (i + 1 < token.length) expanded.push(token.substring(i + 1))
+      return expanded
+    }
+    if (!SHORT_SWITCHES.has(letter)) return null
+    expanded.push(`-${letter}`)
+  }
+  return expanded
+}
+
+/**
+ * Whether a data value makes curl read a file (@file, or @- for stdin)
+ * --data-urlencode also reads files for name@file; --data-raw never does.
+ */
+function readsFile(flag, value) {
+  if (flag === '--data-raw') return false
+  if (flag === '--data-urlencode') {
+    const at = value.indexOf('@')
+    const equals = value.indexOf('=')
+    return at !== -1 && (equals === -1 || at < equals)
+  }
+  return value.startsWith('@')
+}
+
+/**
+ * Whether a header is already set (case-insensitive)
+ */
+function hasHeader(headers, key) {
+  return headers.some(h => h.key.toLowerCase() === key.toLowerCase())
+}
+
+/**
+ * Append data to the URL's query string (for -G)
+ */
+function appendQuery(url, query) {
+  if (!query) return url
+  const hashIndex = url.indexOf('#')
+  const base = hashIndex === -1 ? url : url.substring(0, hashIndex)
+  const hash = hashIndex === -1 ? '' : url.substring(hashIndex)
+  return `${base}${base.includes('?') ? '&' : '?'}${query}${hash}`
+}
+
 /**
  * Parse a cURL-style string into a Postman-compatible request object
  * @param {string} curlString - The cURL string (without `curl` prefix)
  * @returns {object} Postman-compatible request object
  */
 export function curlToRequest(curlString) {
+  return parseCurl(curlString).request
+}
+
+/**
+ * Parse a cURL-style string, keeping what the request object cannot hold
+ * Commands copied for bash, Windows cmd or PowerShell are read in their own
+ * quoting rules.
+ * Flags map onto headers (-A, -e, -b, --compressed, --json), the body and
+ * auth, or per-request settings in Postman's protocolProfileBehavior (-k, -L,
+ * --max-redirs, --max-time). Flags that cannot be represented are reported
+ * as warnings instead of being dropped.
+ * @param {string} curlString - The cURL string (with or without `curl` prefix)
+ * @returns {{request: object, protocolProfileBehavior: object, warnings: Array<{type: string, flag: string, text: string}>, dialect: string}} dialect is a key of SHELL_DIALECTS
+ */
+export function parseCurl(curlString) {
   if (!curlString || typeof curlString !== 'string') {
-    return createEmptyRequest()
+    return { request: createEmptyRequest(), protocolProfileBehavior: {}, warnings: [], dialect: 'posix' }
   }
 
-  // Clean up the input
-  let input = curlString.trim()
+  // Split as the shell it was copied for would (bash, Windows cmd, PowerShell);
+  // of a script with several commands, the first is read
+  const dialect = detectShellDialect(curlString)
+  const [command] = splitCurlCommands(curlString, dialect)
+  const { tokens: shellTokens } = tokenizeShell((command?.text ?? curlString).trim(), dialect)
+  const tokens = shellTokens.map(token => token.value)
 
   // Remove 'curl' prefix if present
-  if (input.toLowerCase().startsWith('curl ')) {
-    input = input.substring(5).trim()
+  if (/^curl(\.exe)?$/i.test(tokens[0] || '')) {
+    tokens.shift()
   }
 
-  const tokens = tokenize(input)
-
-  let method = 'GET'
+  let method = null
   let url = ''
   const headers = []
   let bodyMode = 'none'
@@ -178,10 +259,37 @@ export function curlToRequest(curlString) {
   const formData = []
   const urlEncoded = []
   let auth = null
+  let awsSigv4 = null
+  let authScheme = 'basic'
+  let hasData = false
+  let isJson = false
+  let getMode = false
+  let headMode = false
+  let upload = false
+  const cookies = []
+  let userAgent = null
+  let referer = null
+  let compressed = false
+  const protocolProfileBehavior = {}
+  const warnings = []
+
+  const warn = (flag, text) => warnings.push({ type: 'warning', flag, text })
+
+  // Raw data: -d pieces are joined with &, --json pieces are concatenated
+  const addRawData = (flag, value, separator) => {
+    hasData = true
+    if (readsFile(flag, value)) {
+      warn(flag, `The body is read from the file "${value.substring(1)}", which cannot be opened here. Paste its content as the body instead.`)
+      return
+    }
+    bodyMode = 'raw'
+    bodyRaw = bodyRaw ? `${bodyRaw}${separator}${value}` : value
+  }
 
   let i = 0
   while (i < tokens.length) {
     const token = tokens[i]
+    const value = i + 1 < tokens.length ? tokens[i + 1] : null
 
     // Check for URL
     if (isUrl(token)) {
@@ -194,8 +302,17 @@ export function curlToRequest(curlString) {
     switch (token) {
       case '-X':
       case '--request':
-        if (i + 1 < tokens.length) {
-          method = tokens[i + 1].toUpperCase()
+        if (value !== null) {
+          method = value.toUpperCase()
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '--url':
+        if (value !== null) {
+          url = value
           i += 2
         } else {
           i++
@@ -205,22 +322,21 @@ export function curlToRequest(curlString) {
       case '-u':
       case '--user':
         // Basic auth: -u username:password
-        if (i + 1 < tokens.length) {
-          const userPass = tokens[i + 1]
-          const colonIndex = userPass.indexOf(':')
+        if (value !== null) {
+          const colonIndex = value.indexOf(':')
           if (colonIndex !== -1) {
             auth = {
               type: 'basic',
               basic: {
-                username: userPass.substring(0, colonIndex),
-                password: userPass.substring(colonIndex + 1)
+                username: value.substring(0, colonIndex),
+                password: value.substring(colonIndex + 1)
               }
             }
           } else {
             // No password provided
             auth = {
               type: 'basic',
-              basic: { username: userPass, password: '' }
+              basic: { username: value, password: '' }
             }
           }
           i += 2
@@ -229,10 +345,37 @@ export function curlToRequest(curlString) {
         }
         break
 
+      case '--digest':
+      case '--ntlm':
+      case '--basic':
+        // Scheme for the -u credentials
+        authScheme = token.slice(2)
+        i++
+        break
+
+      case '--aws-sigv4':
+        // AWS Signature: --aws-sigv4 'aws:amz:region:service', credentials from -u
+        if (value !== null) {
+          awsSigv4 = value
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '--oauth2-bearer':
+        if (value !== null) {
+          auth = { type: 'bearer', bearer: { token: value } }
+          i += 2
+        } else {
+          i++
+        }
+        break
+
       case '-H':
       case '--header':
-        if (i + 1 < tokens.length) {
-          const parsed = parseHeader(tokens[i + 1])
+        if (value !== null) {
+          const parsed = parseHeader(value)
 
           // Check for Authorization header and extract auth
           if (parsed.key.toLowerCase() === 'authorization') {
@@ -285,13 +428,21 @@ export function curlToRequest(curlString) {
       case '-d':
       case '--data':
       case '--data-raw':
-        if (i + 1 < tokens.length) {
-          bodyMode = 'raw'
-          bodyRaw = tokens[i + 1]
-          // Auto-detect POST if method is still GET
-          if (method === 'GET') {
-            method = 'POST'
-          }
+      case '--data-ascii':
+      case '--data-binary':
+        if (value !== null) {
+          addRawData(token, value, '&')
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '--json':
+        // Body plus JSON Content-Type and Accept headers
+        if (value !== null) {
+          isJson = true
+          addRawData(token, value, '')
           i += 2
         } else {
           i++
@@ -299,12 +450,14 @@ export function curlToRequest(curlString) {
         break
 
       case '--data-urlencode':
-        if (i + 1 < tokens.length) {
-          bodyMode = 'urlencoded'
-          const field = parseFormField(tokens[i + 1])
-          urlEncoded.push(createKeyValue(field.key, field.value, true))
-          if (method === 'GET') {
-            method = 'POST'
+        if (value !== null) {
+          hasData = true
+          if (readsFile(token, value)) {
+            warn(token, `The value of "${value}" is read from a file, which cannot be opened here. Add the field in the body instead.`)
+          } else {
+            bodyMode = 'urlencoded'
+            const field = parseFormField(value.startsWith('=') ? value.substring(1) : value)
+            urlEncoded.push(createKeyValue(field.key, field.value, true))
           }
           i += 2
         } else {
@@ -314,15 +467,107 @@ export function curlToRequest(curlString) {
 
       case '-F':
       case '--form':
-        if (i + 1 < tokens.length) {
+        if (value !== null) {
+          hasData = true
           bodyMode = 'formdata'
-          const field = parseFormField(tokens[i + 1])
+          const field = parseFormField(value)
           formData.push({
             ...createKeyValue(field.key, field.value, true),
             type: field.type
           })
-          if (method === 'GET') {
-            method = 'POST'
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '-T':
+      case '--upload-file':
+        if (value !== null) {
+          upload = true
+          warn(token, `The body is read from the file "${value}", which cannot be opened here. Paste its content as the body instead.`)
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '-b':
+      case '--cookie':
+        // name=value pairs are sent as the Cookie header; anything else names a cookie file
+        if (value !== null) {
+          if (value.includes('=')) {
+            cookies.push(value.trim().replace(/;\s*$/, ''))
+          } else {
+            warn(token, `Cookies are read from the file "${value}", which cannot be opened here. Add a Cookie header instead.`)
+          }
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '-A':
+      case '--user-agent':
+        if (value !== null) {
+          userAgent = value
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '-e':
+      case '--referer':
+        // ";auto" makes curl update the referer on redirects
+        if (value !== null) {
+          referer = value.replace(/;auto$/, '')
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '--compressed':
+        compressed = true
+        i++
+        break
+
+      case '-k':
+      case '--insecure':
+        protocolProfileBehavior.strictSSL = false
+        i++
+        break
+
+      case '-L':
+      case '--location':
+      case '--location-trusted':
+        protocolProfileBehavior.followRedirects = true
+        i++
+        break
+
+      case '--max-redirs':
+        if (value !== null) {
+          const maxRedirects = parseInt(value, 10)
+          if (maxRedirects >= 0) {
+            protocolProfileBehavior.maxRedirects = maxRedirects
+          } else {
+            warn(token, `"${value}" is not a number of redirects`)
+          }
+          i += 2
+        } else {
+          i++
+        }
+        break
+
+      case '-m':
+      case '--max-time':
+        if (value !== null) {
+          const seconds = parseFloat(value)
+          if (seconds > 0) {
+            protocolProfileBehavior.timeout = Math.round(seconds * 1000)
+          } else {
+            warn(token, `"${value}" is not a number of seconds`)
           }
           i += 2
         } else {
@@ -332,28 +577,102 @@ export function curlToRequest(curlString) {
 
       case '-G':
       case '--get':
-        method = 'GET'
+        getMode = true
         i++
         break
 
       case '-I':
       case '--head':
-        method = 'HEAD'
+        headMode = true
         i++
         break
 
       default:
-        // Unknown token, skip
-        i++
+        if (OUTPUT_FLAGS.has(token)) {
+          i++
+        } else if (IGNORED_FLAGS[token]) {
+          warn(token, IGNORED_FLAGS[token])
+          i += IGNORED_FLAGS_WITH_VALUE.has(token) && value !== null ? 2 : 1
+        } else if (token.startsWith('-') && expandShortFlags(token)) {
+          // Read the bundle's flags one by one
+          tokens.splice(i, 1, ...expandShortFlags(token))
+        } else {
+          if (token.startsWith('-')) {
+            warn(token, `Unknown flag "${token}" was ignored`)
+          }
+          i++
+        }
         break
     }
   }
 
+  if (awsSigv4) {
+    auth = toAwsV4Auth(awsSigv4, auth, headers)
+  } else if (auth?.type === 'basic' && authScheme !== 'basic') {
+    auth = toChallengeAuth(authScheme, auth.basic)
+  }
+
+  // Headers from flags; an explicit -H wins
+  if (isJson) {
+    if (!hasHeader(headers, 'Content-Type')) headers.push(createKeyValue('Content-Type', 'application/json', true))
+    if (!hasHeader(headers, 'Accept')) headers.push(createKeyValue('Accept', 'application/json', true))
+  }
+  if (userAgent !== null && !hasHeader(headers, 'User-Agent')) {
+    headers.push(createKeyValue('User-Agent', userAgent, true))
+  }
+  if (referer !== null && !hasHeader(headers, 'Referer')) {
+    headers.push(createKeyValue('Referer', referer, true))
+  }
+  if (compressed && !hasHeader(headers, 'Accept-Encoding')) {
+    headers.push(createKeyValue('Accept-Encoding', 'deflate, gzip, br', true))
+  }
+  if (cookies.length > 0) {
+    const cookieHeader = headers.find(h => h.key.toLowerCase() === 'cookie')
+    if (cookieHeader) {
+      cookieHeader.value = [cookieHeader.value, ...cookies].filter(Boolean).join('; ')
+    } else {
+      headers.push(createKeyValue('Cookie', cookies.join('; '), true))
+    }
+  }
+
+  // curl sends -d and --data-urlencode data together, joined with &
+  if (bodyMode !== 'formdata' && urlEncoded.length > 0 && bodyRaw) {
+    const encoded = urlEncoded.map(field => `${encodeURIComponent(field.key)}=${encodeURIComponent(field.value)}`)
+    bodyMode = 'raw'
+    bodyRaw = [bodyRaw, ...encoded].join('&')
+  }
+
+  // -G sends the data as the query string
+  if (getMode && hasData) {
+    const query = bodyMode === 'urlencoded'
+      ? urlEncoded.map(field => `${encodeURIComponent(field.key)}=${encodeURIComponent(field.value)}`).join('&')
+      : bodyRaw
+    url = appendQuery(url, query)
+    if (bodyMode === 'formdata') {
+      warn('-G', 'Form fields (-F) cannot be sent in the query string and were kept as the body')
+    } else {
+      bodyMode = 'none'
+    }
+  }
+
+  // Method: -X, else -I, -G, data or upload as curl picks it
+  if (!method) {
+    if (headMode) {
+      method = 'HEAD'
+    } else if (upload) {
+      method = 'PUT'
+    } else if (hasData && !(getMode && bodyMode === 'none')) {
+      method = 'POST'
+    } else {
+      method = 'GET'
+    }
+  }
+
   // Build the body object
   let body = createRequestBody(bodyMode)
   if (bodyMode === 'raw') {
     body.raw = bodyRaw
-    body.options = { raw: { language: detectBodyLanguage(bodyRaw) } }
+    body.options = { raw: { language: isJson ? 'json' : detectBodyLanguage(bodyRaw) } }
   } else if (bodyMode === 'formdata') {
     body.formdata = formData
   } else if (bodyMode === 'urlencoded') {
@@ -364,11 +683,81 @@ export function curlToRequest(curlString) {
   const urlObj = createUrl(url)
 
   return {
-    method,
-    url: urlObj,
-    header: headers.length > 0 ? headers : [],
-    body,
-    auth
+    request: {
+      method,
+      url: urlObj,
+      header: headers.length > 0 ? headers : [],
+      body,
+      auth
+    },
+    protocolProfileBehavior,
+    warnings,
+    dialect
+  }
+}
+
+/**
+ * Combine a request's protocolProfileBehavior with the one parsed from its cURL
+ * Settings the cURL shows as flags (see requestToCurl) come from the cURL, so
+ * removing a flag removes the setting; settings cURL cannot show are kept.
+ * @param {object} current - The request's protocolProfileBehavior
+ * @param {object} parsed - protocolProfileBehavior from parseCurl()
+ * @returns {object}
+ */
+export function mergeProtocolProfileBehavior(current, parsed) {
+  const kept = { ...(current || {}) }
+  if (kept.strictSSL === false) delete kept.strictSSL
+  if (kept.followRedirects === true) delete kept.followRedirects
+  delete kept.maxRedirects
+  delete kept.timeout
+  return { ...kept, ...parsed }
+}
+
+/**
+ * Build awsv4 auth from --aws-sigv4 and the -u credentials
+ * The session token header is moved into the auth settings.
+ * @param {string} provider - 'aws:amz:region:service'
+ * @param {object|null} auth - Auth parsed from -u
+ * @param {Array} headers - Parsed headers (modified)
+ * @returns {object}
+ */
+function toAwsV4Auth(provider, auth, headers) {
+  const [, , region = '', service = ''] = provider.split(':')
+  const tokenIndex = headers.findIndex(h => h.key.toLowerCase() === 'x-amz-security-token')
+  const sessionToken = tokenIndex !== -1 ? headers.splice(tokenIndex, 1)[0].value : ''
+
+  return {
+    type: 'awsv4',
+    awsv4: {
+      accessKey: auth?.basic?.username || '',
+      secretKey: auth?.basic?.password || '',
+      sessionToken,
+      region,
+      service
+    }
+  }
+}
+
+/**
+ * Build digest or ntlm auth from the -u credentials
+ * NTLM users may carry their domain: DOMAIN\user.
+ * @param {string} scheme - 'digest' or 'ntlm'
+ * @param {object} credentials - { username, password }
+ * @returns {object}
+ */
+function toChallengeAuth(scheme, { username, password }) {
+  if (scheme === 'digest') {
+    return { type: 'digest', digest: { username, password } }
+  }
+
+  const separator = username.indexOf('\\')
+  return {
+    type: 'ntlm',
+    ntlm: {
+      username: separator !== -1 ? username.substring(separator + 1) : username,
+      password,
+      domain: separator !== -1 ? username.substring(0, separator) : ''
+    }
   }
 }
 
@@ -433,14 +822,8 @@ export function validateCurlInput(input) {
 
   const trimmed = input.trim()
 
-  // Remove curl prefix if present
-  let toCheck = trimmed
-  if (toCheck.toLowerCase().startsWith('curl ')) {
-    toCheck = toCheck.substring(5).trim()
-  }
-
   // Must contain a URL
-  const tokens = tokenize(toCheck)
+  const tokens = tokenize(trimmed)
   const hasUrl = tokens.some(token => isUrl(token))
 
   if (!hasUrl) {
@@ -452,5 +835,7 @@ export function validateCurlInput(input) {
 
 export default {
   curlToRequest,
+  parseCurl,
+  mergeProtocolProfileBehavior,
   validateCurlInput
 }
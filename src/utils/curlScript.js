@@ -0,0 +1,165 @@
+/**
+ * cURL Scripts
+ *
+ * READMEs show API usage as shell snippets: several curl commands, comments,
+ * `&&` chains and pipes into jq. splitCurlCommands() finds the curl commands
+ * of such a snippet, with the lines they span so the editor can run each one.
+ *
+ * Commands end at a line break or at ; && || | & outside quotes (cmd: & && || |,
+ * PowerShell: ; && || |). A line break inside quotes or after a continuation
+ * (\, ^ or `) does not end a command, and neither does one followed by a line
+ * starting with a flag, a quote or a URL, as in commands typed over several lines.
+ */
+
+import { detectShellDialect } from './shellTokenizer.js'
+
+const BLANK = /\s/
+const CURL = /^curl(\.exe)?$/i
+const SEPARATORS = ['&&', '||', ';', '&', '|']
+
+/**
+ * Find the commands of a cURL script
+ * When the script has curl commands, other commands (export, echo, jq) are left
+ * out; otherwise every command is kept, for input without the curl prefix.
+ * @param {string} input - Script text
+ * @param {string} [dialect] - A key of SHELL_DIALECTS (detected when left out)
+ * @returns {Array<{text: string, label: string|null, row: number, column: number, endRow: number, endColumn: number}>}
+ *   text is the command as written; label is the comment line above it; the range ends after its last character
+ */
+export function splitCurlCommands(input, dialect = detectShellDialect(input)) {
+  const text = (input || '').replace(/\r\n/g, '\n')
+  const segments = splitSegments(text, dialect)
+
+  const commands = segments.map(segment => ({
+    text: text.slice(segment.start, segment.end),
+    label: segment.label,
+    ...position(text, segment.start, 'row', 'column'),
+    ...position(text, segment.end, 'endRow', 'endColumn')
+  }))
+
+  const curlCommands = commands.filter(command => CURL.test(command.text.split(/\s/)[0]))
+  return curlCommands.length > 0 ? curlCommands : commands
+}
+
+/**
+ * Row and column of an index
+ */
+function position(text, index, rowKey, columnKey) {
+  const before = text.slice(0, index)
+  const lineStart = before.lastIndexOf('\n') + 1
+  return {
+    [rowKey]: (before.match(/\n/g) || []).length,
+    [columnKey]: index - lineStart
+  }
+}
+
+/**
+ * Whether the line at an index continues the command above it
+ */
+function continuesCommand(text, index) {
+  const line = text.slice(index, text.indexOf('\n', index) === -1 ? text.length : text.indexOf('\n', index))
+  const word = line.trimStart()
+  return /^[-'"]/.test(word) || /^(\{\{|https?:\/\/)/i.test(word)
+}
+
+/**
+ * Text of a comment line, or null when the line is not a comment
+ */
+function readComment(line, dialect) {
+  const match = dialect === 'cmd'
+    ? /^(?:rem(?=\s|$)|::)(.*)$/i.exec(line)
+    : /^#(.*)$/.exec(line)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Split a script into commands
+ * @returns {Array<{start: number, end: number, label: string|null}>} Ranges without surrounding whitespace
+ */
+function splitSegments(text, dialect) {
+  const segments = []
+  const escape = dialect === 'cmd' ? '^' : dialect === 'powershell' ? '`' : '\\'
+  let start = -1
+  let end = -1
+  let label = null
+  let quote = null
+
+  const finish = () => {
+    if (start !== -1) segments.push({ start, end, label })
+    start = -1
+    label = null
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quote) {
+      if (quote === "'" && char === "'") {
+        quote = null
+      } else if (quote === "$'" && char === '\\') {
+        i++
+      } else if (quote === "$'" && char === "'") {
+        quote = null
+      } else if (quote === '"' && char === escape && dialect !== 'cmd') {
+        i++
+      } else if (quote === '"' && char === '"') {
+        quote = null
+      }
+      end = i + 1
+      continue
+    }
+
+    if (char === '\n') {
+      if (start !== -1 && !continuesCommand(text, i + 1)) finish()
+      continue
+    }
+    if (BLANK.test(char)) continue
+
+    // Comments take the rest of the line and name the next command
+    if (start === -1 || BLANK.test(text[i - 1])) {
+      const lineEnd = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i)
+      const comment = start === -1 || dialect !== 'cmd' ? readComment(text.slice(i, lineEnd), dialect) : null
+      if (comment !== null) {
+        // A #! line is not a name
+        if (start === -1 && !comment.startsWith('!')) label = comment || label
+        i = lineEnd - 1
+        continue
+      }
+    }
+
+    if (char === escape) {
+      // An escaped line break continues the command, or is blank space between commands
+      if (start === -1 && /^\r?\n/.test(text.slice(i + 1, i + 3))) {
+        i = text.indexOf('\n', i)
+        continue
+      }
+      if (start === -1) start = i
+      i++
+      end = text[i] === '\n' ? i : i + 1
+      continue
+    }
+
+    const separator = SEPARATORS.find(candidate => text.startsWith(candidate, i))
+    if (separator && !(dialect === 'powershell' && separator === '&') && !(dialect === 'cmd' && separator === ';')) {
+      finish()
+      i += separator.length - 1
+      continue
+    }
+
+    if (start === -1) start = i
+    if (char === '"' || (char === "'" && dialect !== 'cmd')) {
+      quote = char
+    } else if (char === '$' && text[i + 1] === "'" && dialect !== 'cmd' && dialect !== 'powershell') {
+      quote = "$'"
+      i++
+    }
+    end = i + 1
+  }
+
+  finish()
+  return segments
+}
+
+export default {
+  splitCurlCommands
+}
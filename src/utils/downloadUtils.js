@@ -0,0 +1,23 @@
+/**
+ * Download Utilities
+ * Saves generated content (exports, reports) as a file through the browser
+ */
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,110 @@
+/**
+ * Example Utilities
+ * Converts between saved responses (Postman examples) and the response data
+ * shown in conversations, and compares the two
+ */
+
+import { createExample } from '../models/types.js'
+import { diffLines } from './textDiff.js'
+
+/**
+ * Pretty-print a body for storing or comparing: JSON is indented, anything else kept as text
+ */
+export function formatBodyText(body) {
+  if (body === null || body === undefined) return ''
+  if (typeof body === 'object') return JSON.stringify(body, null, 2)
+
+  const text = String(body)
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Postman preview language for a content type
+ */
+function previewLanguage(contentType = '') {
+  if (contentType.includes('json')) return 'json'
+  if (contentType.includes('html')) return 'html'
+  if (contentType.includes('xml')) return 'xml'
+  return 'text'
+}
+
+/**
+ * Build an example from a response and the request that produced it
+ * @param {Object} response - Response message data ({ status, statusText, headers, body })
+ * @param {Object} request - Request message data.request (Postman request), if known
+ * @param {string} name - Example name
+ * @returns {Object} - Example for request.response[]
+ */
+export function exampleFromResponse(response, request = null, name = 'Example') {
+  const headers = response.headers || {}
+  const contentType = Object.entries(headers).find(([key]) => key.toLowerCase() === 'content-type')?.[1] || ''
+
+  const example = createExample({
+    name,
+    originalRequest: request ? JSON.parse(JSON.stringify(request)) : null,
+    code: response.status,
+    status: response.statusText || '',
+    header: Object.entries(headers).map(([key, value]) => ({ key, value: String(value) })),
+    body: formatBodyText(response.body)
+  })
+  example._postman_previewlanguage = previewLanguage(contentType)
+  return example
+}
+
+/**
+ * Response data for an example, in the shape ResponseBubble shows
+ * Header names are lowercased like live responses.
+ * @param {Object} example - Saved response
+ * @returns {Object} - { status, statusText, headers, body, size, time, success }
+ */
+export function exampleToResponse(example) {
+  const headers = Object.fromEntries((example.header || [])
+    .filter(h => h.key && h.disabled !== true)
+    .map(h => [h.key.toLowerCase(), h.value || '']))
+  const body = example.body ?? ''
+
+  return {
+    status: Number(example.code) || 0,
+    statusText: example.status || '',
+    headers,
+    body,
+    size: new TextEncoder().encode(body).length,
+    time: null,
+    success: Number(example.code) < 400
+  }
+}
+
+/**
+ * Compare an example with a live response
+ * @param {Object} expected - Response data of the example (from exampleToResponse)
+ * @param {Object} actual - Live response message data
+ * @returns {Object} - { status: { expected, actual, same }, headers: [{ key, expected, actual }], body: diff lines or null, bodySame }
+ */
+export function compareResponses(expected, actual) {
+  const lower = (headers) => Object.fromEntries(Object.entries(headers || {}).map(([key, value]) => [key.toLowerCase(), String(value)]))
+  const expectedHeaders = lower(expected.headers)
+  const actualHeaders = lower(actual.headers)
+
+  // Only headers that differ; date-like headers differ on every response and are left out
+  const volatile = ['date', 'age', 'expires', 'last-modified', 'etag', 'x-request-id', 'content-length']
+  const keys = [...new Set([...Object.keys(expectedHeaders), ...Object.keys(actualHeaders)])]
+    .filter(key => !volatile.includes(key))
+    .sort()
+  const headers = keys
+    .filter(key => expectedHeaders[key] !== actualHeaders[key])
+    .map(key => ({ key, expected: expectedHeaders[key] ?? null, actual: actualHeaders[key] ?? null }))
+
+  const expectedBody = formatBodyText(expected.body)
+  const actualBody = formatBodyText(actual.body)
+
+  return {
+    status: { expected: expected.status, actual: actual.status, same: expected.status === actual.status },
+    headers,
+    body: diffLines(expectedBody, actualBody),
+    bodySame: expectedBody === actualBody
+  }
+}
@@ -3,6 +3,12 @@
  * Uses custom events to communicate with App.vue
  */
 
+import { Settings } from '../models/Settings.js'
+import { STORAGE_KEYS } from '../core/constants.js'
+import { createLogger } from '../core/logger.js'
+
+const logger = createLogger('settings')
+
 /**
  * Opens the settings dialog on a specific tab
  * @param {string} tab - The tab to open ('general', 'request', 'ui', 'proxy', 'certificates', 'ai')
@@ -21,3 +27,18 @@ export function closeSettings() {
   const event = new CustomEvent('toastman:close-settings')
   window.dispatchEvent(event)
 }
+
+/**
+ * Loads the persisted application settings
+ * Falls back to defaults when nothing is stored or the stored data is invalid
+ * @returns {Settings} - Settings model instance
+ */
+export function loadSettings() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEYS.SETTINGS)
+    return saved ? new Settings(JSON.parse(saved)) : new Settings()
+  } catch (error) {
+    logger.warn('Failed to load settings, using defaults:', error.message)
+    return new Settings()
+  }
+}
@@ -0,0 +1,430 @@
+/**
+ * Shell Tokenizer
+ *
+ * Splits a command line into arguments the way the shell it was written for
+ * would. "Copy as cURL" in browser devtools produces several dialects:
+ * - posix: single and double quotes, backslash escapes and continuations
+ * - bash: posix plus ANSI-C $'...' quoting, used by Chrome and Firefox for
+ *   values with control characters or quotes
+ * - cmd: Windows cmd ^ escapes and continuations; curl.exe then splits its
+ *   command line with the C runtime's rules (Chrome's "Copy as cURL (cmd)")
+ * - powershell: backtick escapes and continuations, '' and "" inside quotes
+ *
+ * Tokens keep the row and column they came from, for editor annotations.
+ */
+
+export const SHELL_DIALECTS = {
+  posix: 'POSIX shell',
+  bash: 'Bash (ANSI-C quoting)',
+  cmd: 'Windows cmd',
+  powershell: 'PowerShell'
+}
+
+const WHITESPACE = new Set([' ', '\t', '\n'])
+
+// bash $'...' escapes with a fixed meaning
+const ANSI_C_ESCAPES = {
+  a: '\x07',
+  b: '\b',
+  e: '\x1b',
+  E: '\x1b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v',
+  '\\': '\\',
+  "'": "'",
+  '"': '"',
+  '?': '?'
+}
+
+// PowerShell escapes inside double quotes; elsewhere ` makes any character literal
+const POWERSHELL_ESCAPES = {
+  0: '\0',
+  a: '\x07',
+  b: '\b',
+  e: '\x1b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v'
+}
+
+/**
+ * Guess which shell a command was written for
+ * @param {string} input - Command line
+ * @returns {string} A key of SHELL_DIALECTS
+ */
+export function detectShellDialect(input) {
+  const text = input || ''
+
+  // Chrome wraps every cmd argument in ^"...^" and ends lines with ^
+  if (/\^\r?\n/.test(text) || /(^|\s)\^"/.test(text)) return 'cmd'
+  // In PowerShell `curl` is Invoke-WebRequest, so commands call curl.exe
+  if (/`\r?\n/.test(text) || /^\s*curl\.exe(\s|$)/im.test(text)) return 'powershell'
+  if (/(^|\s)\$'/.test(text)) return 'bash'
+  return 'posix'
+}
+
+/**
+ * Split a command line into arguments
+ * @param {string} input - Command line, may span several lines
+ * @param {string} [dialect] - A key of SHELL_DIALECTS (detected when left out)
+ * @returns {{dialect: string, tokens: Array<{value: string, row: number, column: number, endRow: number, endColumn: number}>, unclosedQuote: {quote: string, row: number, column: number}|null}}
+ */
+export function tokenizeShell(input, dialect = detectShellDialect(input)) {
+  const chars = toChars(input || '')
+
+  let result
+  if (dialect === 'cmd') {
+    result = splitWindowsArguments(removeCmdEscapes(chars))
+  } else if (dialect === 'powershell') {
+    result = splitPowerShell(chars)
+  } else {
+    result = splitPosix(chars)
+  }
+
+  return { dialect, ...result }
+}
+
+/**
+ * Characters with their positions (\r\n line endings become \n)
+ */
+function toChars(input) {
+  const chars = []
+  let row = 0
+  let column = 0
+  const text = input.replace(/\r\n/g, '\n')
+
+  for (const char of text) {
+    chars.push({ char, row, column })
+    if (char === '\n') {
+      row++
+      column = 0
+    } else {
+      column += char.length
+    }
+  }
+  return chars
+}
+
+/**
+ * Collects argument text and the range it spans
+ * add('', at) starts an argument without text, so '' is an empty argument.
+ */
+function createCollector() {
+  const tokens = []
+  let token = null
+
+  return {
+    tokens,
+    add(text, at) {
+      if (!token) {
+        token = { value: '', row: at.row, column: at.column, endRow: at.row, endColumn: at.column + 1 }
+      }
+      token.value += text
+      token.endRow = at.row
+      token.endColumn = at.column + 1
+    },
+    end() {
+      if (token) tokens.push(token)
+      token = null
+    }
+  }
+}
+
+const unclosed = (quote, at) => quote ? { quote, row: at.row, column: at.column } : null
+
+/**
+ * POSIX shell and bash words
+ */
+function splitPosix(chars) {
+  const out = createCollector()
+  let quote = null
+  let quoteStart = null
+  // Bytes from \x and octal escapes in $'...', decoded as UTF-8 together
+  let bytes = []
+
+  const flushBytes = (at) => {
+    if (bytes.length === 0) return
+    out.add(new TextDecoder().decode(Uint8Array.from(bytes)), at)
+    bytes = []
+  }
+
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i]
+    const next = chars[i + 1]
+
+    if (quote === "'") {
+      if (c.char === "'") {
+        quote = null
+        out.add('', c)
+      } else {
+        out.add(c.char, c)
+      }
+      continue
+    }
+
+    if (quote === '"') {
+      if (c.char === '"') {
+        quote = null
+        out.add('', c)
+      } else if (c.char === '\\' && next && '$`"\\\n'.includes(next.char)) {
+        // Backslash only escapes these inside double quotes; \<newline> is removed
+        if (next.char !== '\n') out.add(next.char, next)
+        i++
+      } else {
+        out.add(c.char, c)
+      }
+      continue
+    }
+
+    if (quote === "$'") {
+      if (c.char === "'") {
+        flushBytes(c)
+        quote = null
+        out.add('', c)
+      } else if (c.char === '\\' && next) {
+        const escape = readAnsiCEscape(chars, i + 1)
+        const end = chars[i + escape.length]
+        if (escape.byte !== undefined) {
+          bytes.push(escape.byte)
+        } else {
+          flushBytes(c)
+          out.add(escape.text, end)
+        }
+        i += escape.length
+      } else {
+        flushBytes(c)
+        out.add(c.char, c)
+      }
+      continue
+    }
+
+    if (c.char === '\\') {
+      // \<newline> continues the line; otherwise the next character is literal
+      if (next && next.char !== '\n') out.add(next.char, next)
+      i++
+      continue
+    }
+
+    if (c.char === "'" || c.char === '"') {
+      quote = c.char
+      quoteStart = c
+      out.add('', c)
+      continue
+    }
+
+    if (c.char === '$' && next?.char === "'") {
+      quote = "$'"
+      quoteStart = c
+      out.add('', next)
+      i++
+      continue
+    }
+
+    if (WHITESPACE.has(c.char)) {
+      out.end()
+      continue
+    }
+
+    out.add(c.char, c)
+  }
+
+  out.end()
+  return { tokens: out.tokens, unclosedQuote: unclosed(quote === "$'" ? "'" : quote, quoteStart) }
+}
+
+/**
+ * Read the escape after a backslash in $'...'
+ * @param {Array} chars - Characters
+ * @param {number} start - Index of the character after the backslash
+ * @returns {{text?: string, byte?: number, length: number}} length counts the characters read
+ */
+function readAnsiCEscape(chars, start) {
+  const letter = chars[start].char
+  const read = (pattern, max) => {
+    let digits = ''
+    while (digits.length < max && chars[start + 1 + digits.length] && pattern.test(chars[start + 1 + digits.length].char)) {
+      digits += chars[start + 1 + digits.length].char
+    }
+    return digits
+  }
+
+  if (ANSI_C_ESCAPES[letter] !== undefined) {
+    return { text: ANSI_C_ESCAPES[letter], length: 1 }
+  }
+  if (/[0-7]/.test(letter)) {
+    const digits = letter + read(/[0-7]/, 2)
+    return { byte: parseInt(digits, 8) & 0xff, length: digits.length }
+  }
+  if (letter === 'x') {
+    const digits = read(/[0-9a-fA-F]/, 2)
+    if (digits) return { byte: parseInt(digits, 16), length: 1 + digits.length }
+  }
+  if (letter === 'u' || letter === 'U') {
+    const digits = read(/[0-9a-fA-F]/, letter === 'u' ? 4 : 8)
+    if (digits) return { text: String.fromCodePoint(parseInt(digits, 16)), length: 1 + digits.length }
+  }
+  if (letter === 'c' && chars[start + 1]) {
+    return { text: String.fromCharCode(chars[start + 1].char.charCodeAt(0) & 0x1f), length: 2 }
+  }
+  // Unknown escapes are kept as written
+  return { text: `\\${letter}`, length: 1 }
+}
+
+/**
+ * First pass of Windows cmd: ^ escapes the next character outside quotes, and
+ * ^ at the end of a line joins the next line, escaping its first character
+ */
+function removeCmdEscapes(chars) {
+  const stream = []
+  let inQuotes = false
+
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i]
+
+    if (c.char === '^' && !inQuotes) {
+      i++
+      if (chars[i]?.char === '\n') i++
+      if (chars[i]) stream.push(chars[i])
+      continue
+    }
+
+    if (c.char === '"') inQuotes = !inQuotes
+    stream.push(c)
+  }
+  return stream
+}
+
+/**
+ * Second pass of Windows cmd: the C runtime's argument rules. Backslashes are
+ * literal unless they precede a quote, where each pair makes one backslash
+ * and an odd one escapes the quote; "" inside quotes is a literal quote.
+ */
+function splitWindowsArguments(chars) {
+  const out = createCollector()
+  let inQuotes = false
+  let quoteStart = null
+
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i]
+
+    if (c.char === '\\') {
+      let end = i
+      while (chars[end]?.char === '\\') end++
+      const count = end - i
+
+      if (chars[end]?.char === '"') {
+        for (let k = 0; k < Math.floor(count / 2); k++) out.add('\\', chars[i + k * 2 + 1])
+        if (count % 2 === 1) {
+          out.add('"', chars[end])
+          i = end
+        } else {
+          i = end - 1
+        }
+      } else {
+        for (let k = i; k < end; k++) out.add('\\', chars[k])
+        i = end - 1
+      }
+      continue
+    }
+
+    if (c.char === '"') {
+      if (inQuotes && chars[i + 1]?.char === '"') {
+        out.add('"', chars[i + 1])
+        i++
+        continue
+      }
+      inQuotes = !inQuotes
+      quoteStart = c
+      out.add('', c)
+      continue
+    }
+
+    if (!inQuotes && WHITESPACE.has(c.char)) {
+      out.end()
+      continue
+    }
+
+    out.add(c.char, c)
+  }
+
+  out.end()
+  return { tokens: out.tokens, unclosedQuote: unclosed(inQuotes ? '"' : null, quoteStart) }
+}
+
+/**
+ * PowerShell arguments
+ */
+function splitPowerShell(chars) {
+  const out = createCollector()
+  let quote = null
+  let quoteStart = null
+
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i]
+    const next = chars[i + 1]
+
+    if (quote === "'") {
+      if (c.char === "'" && next?.char === "'") {
+        out.add("'", next)
+        i++
+      } else if (c.char === "'") {
+        quote = null
+        out.add('', c)
+      } else {
+        out.add(c.char, c)
+      }
+      continue
+    }
+
+    if (quote === '"') {
+      if (c.char === '`' && next) {
+        out.add(POWERSHELL_ESCAPES[next.char] ?? next.char, next)
+        i++
+      } else if (c.char === '"' && next?.char === '"') {
+        out.add('"', next)
+        i++
+      } else if (c.char === '"') {
+        quote = null
+        out.add('', c)
+      } else {
+        out.add(c.char, c)
+      }
+      continue
+    }
+
+    if (c.char === '`') {
+      // `<newline> continues the line; otherwise the next character is literal
+      if (next && next.char !== '\n') out.add(next.char, next)
+      i++
+      continue
+    }
+
+    if (c.char === "'" || c.char === '"') {
+      quote = c.char
+      quoteStart = c
+      out.add('', c)
+      continue
+    }
+
+    if (WHITESPACE.has(c.char)) {
+      out.end()
+      continue
+    }
+
+    out.add(c.char, c)
+  }
+
+  out.end()
+  return { tokens: out.tokens, unclosedQuote: unclosed(quote, quoteStart) }
+}
+
+export default {
+  SHELL_DIALECTS,
+  detectShellDialect,
+  tokenizeShell
+}
@@ -0,0 +1,108 @@
+/**
+ * Shell Variables
+ *
+ * API docs write commands with shell variables, e.g.
+ * `curl -H "Authorization: Bearer $TOKEN" "$BASE_URL/users"`. These helpers
+ * find $VAR and ${VAR} where the shell would expand them (not inside single
+ * quotes) and rewrite them as {{VAR}} environment variables.
+ * requestToCurl({ exportVariables: true }) does the reverse.
+ */
+
+import { detectShellDialect } from './shellTokenizer.js'
+
+const NAME = '[A-Za-z_][A-Za-z0-9_]*'
+const BRACED = new RegExp(`^\\$\\{(${NAME})\\}`)
+const PLAIN = new RegExp(`^\\$(${NAME})`)
+// PowerShell reads environment variables as $env:NAME
+const POWERSHELL_ENV = new RegExp(`^\\$env:(${NAME})`, 'i')
+
+/**
+ * Find the shell variables of a command
+ * Windows cmd commands use %VAR% and are not searched.
+ * @param {string} input - Command line
+ * @param {string} [dialect] - A key of SHELL_DIALECTS (detected when left out)
+ * @returns {Array<{name: string, start: number, end: number}>} Occurrences in input order
+ */
+export function findShellVariables(input, dialect = detectShellDialect(input)) {
+  const text = input || ''
+  const found = []
+  if (dialect === 'cmd') return found
+
+  const escape = dialect === 'powershell' ? '`' : '\\'
+  let quote = null
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quote === "'") {
+      if (char === "'") quote = null
+      continue
+    }
+    if (quote === "$'") {
+      if (char === '\\') i++
+      else if (char === "'") quote = null
+      continue
+    }
+
+    if (char === escape) {
+      i++
+      continue
+    }
+    if (char === '"') {
+      quote = quote === '"' ? null : '"'
+      continue
+    }
+    if (char === "'" && quote !== '"') {
+      quote = "'"
+      continue
+    }
+    if (char !== '$') continue
+
+    const rest = text.slice(i)
+    if (dialect !== 'powershell' && quote !== '"' && rest.startsWith("$'")) {
+      quote = "$'"
+      i++
+      continue
+    }
+
+    const match = (dialect === 'powershell' && POWERSHELL_ENV.exec(rest)) || BRACED.exec(rest) || PLAIN.exec(rest)
+    if (match) {
+      found.push({ name: match[1], start: i, end: i + match[0].length })
+      i += match[0].length - 1
+    }
+  }
+
+  return found
+}
+
+/**
+ * Names of the shell variables of a command, each once
+ * @param {string} input - Command line
+ * @returns {string[]}
+ */
+export function listShellVariables(input) {
+  return [...new Set(findShellVariables(input).map(variable => variable.name))]
+}
+
+/**
+ * Rewrite shell variables as {{variables}}
+ * @param {string} input - Command line
+ * @param {Object} keys - { [shell name]: variable key }; unlisted names keep their name
+ * @returns {string}
+ */
+export function replaceShellVariables(input, keys = {}) {
+  let result = ''
+  let lastIndex = 0
+
+  for (const variable of findShellVariables(input)) {
+    result += input.slice(lastIndex, variable.start) + `{{${keys[variable.name] || variable.name}}}`
+    lastIndex = variable.end
+  }
+  return result + (input || '').slice(lastIndex)
+}
+
+export default {
+  findShellVariables,
+  listShellVariables,
+  replaceShellVariables
+}
@@ -0,0 +1,48 @@
+/**
+ * Text Diff
+ * Line-based diff (longest common subsequence) for comparing response bodies
+ */
+
+// Beyond this many lines on both sides the LCS table gets too large to build
+const MAX_DIFF_LINES = 2000
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array} - [{ type: 'same'|'removed'|'added', text }] in order, or null when too large to diff
+ */
+export function diffLines(before = '', after = '') {
+  const a = before.split('\n')
+  const b = after.split('\n')
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) return null
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] })
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] })
+    } else {
+      lines.push({ type: 'added', text: b[j++] })
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] })
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] })
+
+  return lines
+}